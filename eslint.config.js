@@ -30,6 +30,7 @@ export default [
         ClipboardItem: 'readonly',
         Image: 'readonly',
         localStorage: 'readonly',
+        indexedDB: 'readonly',
         FileReader: 'readonly',
         btoa: 'readonly',
         atob: 'readonly',
@@ -37,6 +38,8 @@ export default [
         prompt: 'readonly',
         confirm: 'readonly',
         alert: 'readonly',
+        Worker: 'readonly',
+        self: 'readonly',
       },
     },
     rules: {
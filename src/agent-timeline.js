@@ -0,0 +1,223 @@
+// Per-agent session timeline. Each agent window keeps a timeline next to its
+// text feed: tool-call spans (the PreToolUse/PostToolUse pairs the window
+// matches through win.pendingTool), idle gaps, and point marks for crashes,
+// stops, decisions and mail. The strip shows the last few minutes up to now;
+// the mouse wheel zooms around the cursor, shift+wheel pans back in time and a
+// double-click returns to the live edge. Hovering an item shows its details.
+//
+// Long tool calls and runs of the same call repeated back to back are flagged,
+// so agents stuck in a slow command or a loop stand out.
+
+import { formatDuration } from './left-sidebar.js';
+
+const TIMELINE_MAX = 2000; // spans and marks kept per agent; older ones drop off
+const LONG_TOOL_MS = 60000; // tool calls at least this long are flagged
+const REPEAT_MIN = 5; // identical consecutive tool calls that count as a loop
+const DEFAULT_WINDOW_MS = 10 * 60 * 1000;
+const MIN_WINDOW_MS = 10 * 1000;
+const MAX_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {Object} TimelineSpan
+ * @property {'tool'|'idle'} kind
+ * @property {number} start - ms timestamp
+ * @property {number} end - ms timestamp
+ * @property {string} [tool] - Tool name
+ * @property {string} [label] - Tool call summary
+ * @property {boolean} [repeat] - Part of a run of identical calls
+ */
+
+/**
+ * @typedef {Object} TimelineMark
+ * @property {'crash'|'stop'|'decision'|'mail'} kind
+ * @property {number} ts - ms timestamp
+ * @property {string} text
+ */
+
+/**
+ * @returns {{spans: TimelineSpan[], marks: TimelineMark[], idleSince: number|null, run: TimelineSpan[]}}
+ */
+export function createTimeline() {
+  return { spans: [], marks: [], idleSince: null, run: [] };
+}
+
+/**
+ * Add a finished span. Tool calls repeating the previous one's tool and label
+ * extend a run, flagged once it reaches REPEAT_MIN.
+ *
+ * @param {Object} tl - From createTimeline()
+ * @param {TimelineSpan} span
+ * @returns {void}
+ */
+export function addSpan(tl, span) {
+  tl.spans.push(span);
+  if (tl.spans.length > TIMELINE_MAX) tl.spans.shift();
+  if (span.kind !== 'tool') return;
+  const prev = tl.run[tl.run.length - 1];
+  if (prev && prev.tool === span.tool && prev.label === span.label) tl.run.push(span);
+  else tl.run = [span];
+  if (tl.run.length >= REPEAT_MIN) for (const s of tl.run) s.repeat = true;
+}
+
+/**
+ * @param {Object} tl
+ * @param {TimelineMark} mark
+ * @returns {void}
+ */
+export function addMark(tl, mark) {
+  tl.marks.push(mark);
+  if (tl.marks.length > TIMELINE_MAX) tl.marks.shift();
+}
+
+/**
+ * @param {Object} tl
+ * @param {number} ts
+ * @returns {void}
+ */
+export function startIdle(tl, ts) {
+  if (tl.idleSince === null) tl.idleSince = ts;
+}
+
+/**
+ * Close the open idle gap, if any, as an idle span.
+ *
+ * @param {Object} tl
+ * @param {number} ts
+ * @returns {void}
+ */
+export function endIdle(tl, ts) {
+  if (tl.idleSince !== null && ts > tl.idleSince) addSpan(tl, { kind: 'idle', start: tl.idleSince, end: ts });
+  tl.idleSince = null;
+}
+
+/**
+ * Items overlapping the visible range, positioned as fractions of its width.
+ * An open idle gap and the tool call in flight run up to `now`.
+ *
+ * @param {Object} tl
+ * @param {{windowMs: number, offsetMs: number}} view - Range width, and how far before now it ends
+ * @param {number} now
+ * @param {{toolName: string, label?: string, startTs: number}|null} [pending] - The window's pendingTool
+ * @returns {{item: Object, left: number, width: number, running: boolean}[]}
+ */
+export function visibleItems(tl, view, now, pending = null) {
+  const end = now - view.offsetMs;
+  const start = end - view.windowMs;
+  const out = [];
+  const place = (item, from, to, running) => {
+    if (to < start || from > end) return;
+    const left = (Math.max(from, start) - start) / view.windowMs;
+    const right = (Math.min(to, end) - start) / view.windowMs;
+    out.push({ item, left, width: right - left, running });
+  };
+  for (const span of tl.spans) place(span, span.start, span.end, false);
+  if (tl.idleSince !== null) place({ kind: 'idle', start: tl.idleSince, end: now }, tl.idleSince, now, true);
+  if (pending) {
+    const span = { kind: 'tool', tool: pending.toolName, label: pending.label || '', start: pending.startTs, end: now };
+    place(span, span.start, now, true);
+  }
+  for (const mark of tl.marks) place(mark, mark.ts, mark.ts, false);
+  return out;
+}
+
+/**
+ * Zoom the view by `factor` keeping the time under the cursor in place.
+ *
+ * @param {{windowMs: number, offsetMs: number}} view - Updated in place
+ * @param {number} factor - Above 1 zooms out
+ * @param {number} at - Cursor position as a fraction of the width
+ * @returns {void}
+ */
+export function zoomView(view, factor, at) {
+  const windowMs = Math.min(Math.max(view.windowMs * factor, MIN_WINDOW_MS), MAX_WINDOW_MS);
+  // Time at the cursor, counted back from now, stays where it is
+  const cursorBack = view.offsetMs + (1 - at) * view.windowMs;
+  view.offsetMs = Math.max(0, cursorBack - (1 - at) * windowMs);
+  view.windowMs = windowMs;
+}
+
+function itemClasses(item, running) {
+  const classes = [`atl-${item.kind}`];
+  if (item.tool) classes.push(`tool-${item.tool.toLowerCase()}`);
+  if (item.kind === 'tool' && item.end - item.start >= LONG_TOOL_MS) classes.push('long');
+  if (item.repeat) classes.push('repeat');
+  if (running) classes.push('running');
+  return classes.join(' ');
+}
+
+function clockTime(ts) {
+  return new Date(ts).toTimeString().slice(0, 8);
+}
+
+function describe(item, running) {
+  if (item.ts !== undefined) return `${clockTime(item.ts)} · ${item.kind}${item.text ? `: ${item.text}` : ''}`;
+  const dur = formatDuration(Math.max(0, Math.round((item.end - item.start) / 1000)));
+  const what = item.kind === 'idle' ? 'idle' : `${item.tool}${item.label ? ` · ${item.label}` : ''}`;
+  const flags = `${running ? ' · running' : ''}${item.repeat ? ' · repeated' : ''}`;
+  return `${clockTime(item.start)} · ${what} · ${dur}${flags}`;
+}
+
+/**
+ * Build the timeline strip inside `el` and wire zoom, pan and hover.
+ *
+ * @param {HTMLElement} el - Empty container
+ * @param {Object} tl - From createTimeline()
+ * @param {Function} getPending - () => the window's pendingTool, or null
+ * @returns {{draw: Function}} draw() re-renders; cheap enough to call every second
+ */
+export function mountTimeline(el, tl, getPending) {
+  el.innerHTML =
+    '<div class="atl-track"></div><div class="atl-info"><span class="atl-range"></span><span class="atl-detail"></span></div>';
+  const track = el.querySelector('.atl-track');
+  const rangeEl = el.querySelector('.atl-range');
+  const detailEl = el.querySelector('.atl-detail');
+  const view = { windowMs: DEFAULT_WINDOW_MS, offsetMs: 0 };
+  let shown = [];
+
+  const draw = () => {
+    const now = Date.now();
+    shown = visibleItems(tl, view, now, getPending());
+    track.innerHTML = shown
+      .map(({ item, left, width, running }, i) => {
+        const style =
+          item.ts !== undefined
+            ? `left:${(left * 100).toFixed(2)}%`
+            : `left:${(left * 100).toFixed(2)}%;width:${Math.max(width * 100, 0.2).toFixed(2)}%`;
+        return `<div class="atl-item ${itemClasses(item, running)}" data-i="${i}" style="${style}"></div>`;
+      })
+      .join('');
+    const end = now - view.offsetMs;
+    rangeEl.textContent = `${formatDuration(Math.round(view.windowMs / 1000))}${view.offsetMs > 0 ? ` to ${clockTime(end)}` : ' · live'}`;
+  };
+
+  track.addEventListener('mouseover', (e) => {
+    const hit = shown[e.target.closest?.('.atl-item')?.dataset.i];
+    detailEl.textContent = hit ? describe(hit.item, hit.running) : '';
+  });
+  track.addEventListener('mouseleave', () => {
+    detailEl.textContent = '';
+  });
+  track.addEventListener(
+    'wheel',
+    (e) => {
+      e.preventDefault();
+      const rect = track.getBoundingClientRect();
+      if (e.shiftKey || Math.abs(e.deltaX) > Math.abs(e.deltaY)) {
+        const delta = e.shiftKey ? e.deltaY : e.deltaX;
+        view.offsetMs = Math.max(0, view.offsetMs - (delta / rect.width) * view.windowMs);
+      } else {
+        zoomView(view, e.deltaY > 0 ? 1.25 : 0.8, (e.clientX - rect.left) / rect.width);
+      }
+      draw();
+    },
+    { passive: false },
+  );
+  track.addEventListener('dblclick', () => {
+    view.windowMs = DEFAULT_WINDOW_MS;
+    view.offsetMs = 0;
+    draw();
+  });
+
+  draw();
+  return { draw };
+}
@@ -5,6 +5,7 @@
 import { rigColor } from './colors.js';
 import { formatToolLabel, TOOL_ICONS } from './event-format.js';
 import { formatDuration, escapeStatusText } from './left-sidebar.js';
+import { createTimeline, mountTimeline, addSpan, addMark, startIdle, endIdle } from './agent-timeline.js';
 
 // Callbacks set by main.js to avoid circular imports
 let _api = null;
@@ -174,6 +175,7 @@ export function showAgentWindow(node) {
       <span class="agent-status-idle-dur"></span>
       <span class="agent-status-tool"></span>
     </div>
+    <div class="agent-timeline"></div>
     <div class="agent-feed"><div class="agent-window-empty">waiting for events...</div></div>
     <div class="agent-mail-compose">
       <input class="agent-mail-input" type="text" placeholder="Send message to ${escapeHtml(agentName)}..." />
@@ -197,9 +199,18 @@ export function showAgentWindow(node) {
     idleSince: initStatus === 'idle' ? Date.now() : null,
     crashError: null,
   });
+  _mountAgentTimeline(agentWindows.get(node.id));
   _addBottomTrayChip(node);
 }
 
+// Session timeline strip under the status bar (agent-timeline.js)
+function _mountAgentTimeline(win) {
+  win.timeline = createTimeline();
+  if (win.lastStatus === 'idle') startIdle(win.timeline, win.idleSince);
+  const el = win.el.querySelector('.agent-timeline');
+  win.timelineView = el ? mountTimeline(el, win.timeline, () => win.pendingTool) : null;
+}
+
 let _activeDropdownAgent = null;
 
 function _addBottomTrayChip(node) {
@@ -567,6 +578,7 @@ function _ensureAgentWindow(node, contentArea) {
       <span class="agent-status-idle-dur"></span>
       <span class="agent-status-tool"></span>
     </div>
+    <div class="agent-timeline"></div>
     ${beadsList ? `<div class="agent-window-beads">${beadsList}</div>` : ''}
     <div class="agent-feed"><div class="agent-window-empty">waiting for events...</div></div>
     <div class="agent-mail-compose">
@@ -644,6 +656,7 @@ function _ensureAgentWindow(node, contentArea) {
     idleSince: agentStatus === 'idle' ? Date.now() : null,
     crashError: null,
   });
+  _mountAgentTimeline(agentWindows.get(node.id));
 }
 
 /**
@@ -982,7 +995,9 @@ export function appendAgentEvent(agentId, evt) {
     const entry = createEntry(timeStr, icon, label, `tool-${toolName.toLowerCase()} running`);
     win.feedEl.appendChild(entry);
     win.entries.push(entry);
-    win.pendingTool = { toolName, startTs: ts.getTime(), entry };
+    win.pendingTool = { toolName, label, startTs: ts.getTime(), entry };
+    endIdle(win.timeline, ts.getTime());
+    win.timelineView?.draw();
     win.lastTool = toolName;
     win.lastStatus = 'active';
     win.idleSince = null;
@@ -999,18 +1014,23 @@ export function appendAgentEvent(agentId, evt) {
       if (durEl && dur > 0.1) durEl.textContent = `${dur.toFixed(1)}s`;
       const iconEl = win.pendingTool.entry.querySelector('.agent-entry-icon');
       if (iconEl) iconEl.textContent = '✓';
+      const { toolName, label, startTs } = win.pendingTool;
+      addSpan(win.timeline, { kind: 'tool', tool: toolName, label, start: startTs, end: ts.getTime() });
       win.pendingTool = null;
+      win.timelineView?.draw();
     }
     return;
   }
   if (type === 'AgentStarted') {
     win.feedEl.appendChild(createEntry(timeStr, '●', 'started', 'lifecycle lifecycle-started'));
+    endIdle(win.timeline, ts.getTime());
     win.lastStatus = 'active';
     win.idleSince = null;
     win.crashError = null;
     win.lastTool = null;
   } else if (type === 'AgentIdle') {
     win.feedEl.appendChild(createEntry(timeStr, '◌', 'idle', 'lifecycle lifecycle-idle'));
+    startIdle(win.timeline, ts.getTime());
     win.lastStatus = 'idle';
     win.idleSince = ts.getTime();
     win.crashError = null;
@@ -1019,12 +1039,17 @@ export function appendAgentEvent(agentId, evt) {
     win.lastStatus = 'crashed';
     win.idleSince = null;
     win.crashError = p.error || 'unknown error';
+    endIdle(win.timeline, ts.getTime());
+    addMark(win.timeline, { kind: 'crash', ts: ts.getTime(), text: win.crashError });
   } else if (type === 'AgentStopped') {
     win.feedEl.appendChild(createEntry(timeStr, '○', 'stopped', 'lifecycle lifecycle-stopped'));
+    endIdle(win.timeline, ts.getTime());
+    addMark(win.timeline, { kind: 'stop', ts: ts.getTime(), text: '' });
     win.lastStatus = 'stopped';
     win.idleSince = null;
   } else if (type === 'SessionStart') {
     win.feedEl.appendChild(createEntry(timeStr, '▸', 'session start', 'lifecycle'));
+    endIdle(win.timeline, ts.getTime());
     win.lastStatus = 'active';
     win.idleSince = null;
     win.crashError = null;
@@ -1049,8 +1074,10 @@ export function appendAgentEvent(agentId, evt) {
     win.feedEl.appendChild(
       createEntry(timeStr, '✉', `from ${p.from || 'unknown'}: ${p.subject || 'no subject'}`, 'mail mail-received'),
     );
+    addMark(win.timeline, { kind: 'mail', ts: ts.getTime(), text: `from ${p.from || 'unknown'}: ${p.subject || ''}` });
   } else if (type === 'MailRead') {
     win.feedEl.appendChild(createEntry(timeStr, '✉', 'mail read', 'mail'));
+    addMark(win.timeline, { kind: 'mail', ts: ts.getTime(), text: 'read' });
   } else if (type === 'DecisionCreated') {
     win.feedEl.appendChild(
       createEntry(timeStr, '?', (p.question || 'decision').slice(0, 50), 'decision decision-pending'),
@@ -1081,6 +1108,14 @@ export function appendAgentEvent(agentId, evt) {
   } else {
     return;
   }
+  if (type.startsWith('Decision')) {
+    const text =
+      p.question || (p.chosen_label ? `decided: ${p.chosen_label}` : type.slice('Decision'.length).toLowerCase());
+    addMark(win.timeline, { kind: 'decision', ts: ts.getTime(), text });
+  } else if (type === 'UserPromptSubmit') {
+    endIdle(win.timeline, ts.getTime());
+  }
+  win.timelineView?.draw();
   _updateAgentStatusBar(win);
   _updateTabStatus(agentId, win.lastStatus);
   _incrementTabUnread(agentId);
@@ -1155,7 +1190,8 @@ function _updateAgentStatusBar(win) {
 }
 
 /**
- * Start a 1-second interval that refreshes idle duration displays in agent status bars.
+ * Start a 1-second interval that refreshes idle duration displays in agent status bars
+ * and advances the session timelines.
  * @returns {void}
  */
 export function startAgentWindowIdleTimer() {
@@ -1164,6 +1200,8 @@ export function startAgentWindowIdleTimer() {
       if (win.lastStatus === 'idle' && win.idleSince) {
         _updateAgentStatusBar(win);
       }
+      // Keep session timelines moving with the clock
+      if (!win.collapsed) win.timelineView?.draw();
     }
   }, 1000);
 }
@@ -1,6 +1,8 @@
-// Beads API client — supports both bd-daemon (Connect-RPC) and kbeads (REST)
+// Beads API client — supports bd-daemon (Connect-RPC), kbeads (REST), and any other DataSource
 // Uses Vite proxy in dev (/api → backend), direct URL in prod
 
+import { rpcCall, restCall, createDataSource } from './data-sources.js';
+
 /** @type {string} Default base URL for API requests */
 const DEFAULT_BASE = '/api';
 
@@ -15,10 +17,11 @@ const SSE_MAX_RETRIES = 50;
 const SSE_BACKOFF_FACTOR = 2;
 
 /**
- * HTTP client for beads backends.
- * Supports two modes:
- * - 'rpc' (default): Connect-RPC JSON via bd-daemon (POST /api/bd.v1.BeadsService/<Method>)
- * - 'rest': kbeads REST API (GET/POST/PATCH /api/v1/...)
+ * Client for beads backends. Transport lives in a DataSource (see data-sources.js):
+ * - 'rpc': Connect-RPC JSON via bd-daemon (POST /api/bd.v1.BeadsService/<Method>)
+ * - 'rest' (default): kbeads REST API (GET/POST/PATCH /api/v1/...)
+ * - 'static': in-memory store seeded from a JSON file at baseUrl
+ * - or any object implementing DataSource, passed as opts.source
  * @class
  */
 export class BeadsAPI {
@@ -26,11 +29,15 @@ export class BeadsAPI {
    * Create a new BeadsAPI client.
    * @param {string} [baseUrl='/api'] - Base URL for API requests
    * @param {Object} [opts={}] - Options
-   * @param {string} [opts.mode='rpc'] - API mode: 'rpc' for bd-daemon, 'rest' for kbeads
+   * @param {string} [opts.mode='rest'] - API mode: 'rpc' for bd-daemon, 'rest' for kbeads, 'static' for a JSON file
+   * @param {boolean} [opts.readOnly=false] - Reject all write operations (offline snapshots)
+   * @param {import('./data-sources.js').DataSource} [opts.source] - Custom backend; overrides mode
    */
   constructor(baseUrl = DEFAULT_BASE, opts = {}) {
     this.baseUrl = baseUrl;
-    this.mode = opts.mode || 'rest';
+    this.source = opts.source || createDataSource(opts.mode || 'rest', baseUrl);
+    this.mode = this.source.mode;
+    this.readOnly = !!opts.readOnly;
     this._eventSources = [];
     this._reconnectManagers = [];
   }
@@ -38,35 +45,19 @@ export class BeadsAPI {
   // ────────── Transport helpers ──────────
 
   /**
-   * Make a Connect-RPC JSON call to the beads daemon.
+   * Make a Connect-RPC JSON call to the beads daemon, regardless of mode.
    * @param {string} method - The RPC method name (e.g. 'List', 'Show')
    * @param {Object} [body={}] - The request body to send as JSON
    * @returns {Promise<Object>} The parsed JSON response
    * @throws {Error} If the HTTP response is not ok
    * @private
    */
-  async _rpc(method, body = {}) {
-    const headers = {
-      'Content-Type': 'application/json',
-      'Connect-Protocol-Version': '1',
-    };
-
-    const resp = await fetch(`${this.baseUrl}/bd.v1.BeadsService/${method}`, {
-      method: 'POST',
-      headers,
-      body: JSON.stringify(body),
-    });
-
-    if (!resp.ok) {
-      const text = await resp.text().catch(() => '');
-      throw new Error(`RPC ${method}: ${resp.status} ${text.slice(0, 100)}`);
-    }
-
-    return resp.json();
+  _rpc(method, body = {}) {
+    return rpcCall(this.baseUrl, method, body);
   }
 
   /**
-   * Make a REST call to the kbeads API.
+   * Make a REST call to the kbeads API, regardless of mode.
    * @param {string} method - HTTP method (GET, POST, PATCH, DELETE)
    * @param {string} path - URL path relative to baseUrl (e.g. '/v1/beads')
    * @param {Object} [body] - Optional JSON body for POST/PATCH/PUT
@@ -74,21 +65,18 @@ export class BeadsAPI {
    * @throws {Error} If the HTTP response is not ok
    * @private
    */
-  async _rest(method, path, body) {
-    const opts = { method, headers: {} };
-    if (body !== undefined) {
-      opts.headers['Content-Type'] = 'application/json';
-      opts.body = JSON.stringify(body);
-    }
-
-    const resp = await fetch(`${this.baseUrl}${path}`, opts);
-
-    if (!resp.ok) {
-      const text = await resp.text().catch(() => '');
-      throw new Error(`REST ${method} ${path}: ${resp.status} ${text.slice(0, 100)}`);
-    }
+  _rest(method, path, body) {
+    return restCall(this.baseUrl, method, path, body);
+  }
 
-    return resp.json();
+  /**
+   * Reject a write when the client is read-only.
+   * @param {string} op - Operation name for the error message
+   * @throws {Error} If readOnly is set
+   * @private
+   */
+  _assertWritable(op) {
+    if (this.readOnly) throw new Error(`read-only: ${op} is disabled`);
   }
 
   // ────────── Read operations ──────────
@@ -98,8 +86,7 @@ export class BeadsAPI {
    * @returns {Promise<Object>} Status response
    */
   async ping() {
-    if (this.mode === 'rest') return this._rest('GET', '/v1/health');
-    return this._rpc('Ping', {});
+    return this.source.ping();
   }
 
   /**
@@ -109,8 +96,7 @@ export class BeadsAPI {
    */
   async graph(opts = {}) {
     const defaults = { limit: 500, include_deps: true, include_agents: true };
-    if (this.mode === 'rest') return this._rest('POST', '/v1/graph', { ...defaults, ...opts });
-    return this._rpc('Graph', { ...defaults, ...opts });
+    return this.source.graph({ ...defaults, ...opts });
   }
 
   /**
@@ -119,20 +105,7 @@ export class BeadsAPI {
    * @returns {Promise<Object>} List response
    */
   async list(opts = {}) {
-    if (this.mode === 'rest') {
-      const params = new URLSearchParams();
-      const merged = { limit: 500, ...opts };
-      if (merged.limit) params.set('limit', String(merged.limit));
-      if (merged.status) {
-        for (const s of [].concat(merged.status)) params.append('status', s);
-      }
-      if (merged.type) params.set('type', merged.type);
-      if (merged.assignee) params.set('assignee', merged.assignee);
-      if (merged.search) params.set('search', merged.search);
-      const qs = params.toString();
-      return this._rest('GET', `/v1/beads${qs ? '?' + qs : ''}`);
-    }
-    return this._rpc('List', { limit: 500, exclude_status: ['tombstone'], ...opts });
+    return this.source.list(opts);
   }
 
   /**
@@ -141,8 +114,7 @@ export class BeadsAPI {
    * @returns {Promise<Object>} The bead object
    */
   async show(id) {
-    if (this.mode === 'rest') return this._rest('GET', `/v1/beads/${id}`);
-    return this._rpc('Show', { id });
+    return this.source.show(id);
   }
 
   /**
@@ -150,8 +122,7 @@ export class BeadsAPI {
    * @returns {Promise<Object>} Stats object
    */
   async stats() {
-    if (this.mode === 'rest') return this._rest('GET', '/v1/stats');
-    return this._rpc('Stats', {});
+    return this.source.stats();
   }
 
   /**
@@ -159,8 +130,7 @@ export class BeadsAPI {
    * @returns {Promise<Object>} Response with ready beads
    */
   async ready() {
-    if (this.mode === 'rest') return this._rest('GET', '/v1/ready?limit=200');
-    return this._rpc('Ready', { limit: 200 });
+    return this.source.ready();
   }
 
   /**
@@ -168,8 +138,7 @@ export class BeadsAPI {
    * @returns {Promise<Object>} Response with blocked beads
    */
   async blocked() {
-    if (this.mode === 'rest') return this._rest('GET', '/v1/blocked');
-    return this._rpc('Blocked', {});
+    return this.source.blocked();
   }
 
   /**
@@ -179,10 +148,7 @@ export class BeadsAPI {
    * @returns {Promise<Object>} Tree structure
    */
   async depTree(id, maxDepth = 5) {
-    if (this.mode === 'rest') {
-      return this._rest('GET', `/v1/beads/${id}/dependencies?max_depth=${maxDepth}`);
-    }
-    return this._rpc('DepTree', { id, max_depth: maxDepth });
+    return this.source.depTree(id, maxDepth);
   }
 
   /**
@@ -190,10 +156,7 @@ export class BeadsAPI {
    * @returns {Promise<Object>} Epic overview
    */
   async epicOverview() {
-    if (this.mode === 'rest') {
-      return this._rest('GET', '/v1/beads?type=epic&limit=500');
-    }
-    return this._rpc('EpicOverview', {});
+    return this.source.epicOverview();
   }
 
   // ────────── Write operations ──────────
@@ -205,8 +168,8 @@ export class BeadsAPI {
    * @returns {Promise<Object>} The updated bead
    */
   async update(id, fields) {
-    if (this.mode === 'rest') return this._rest('PATCH', `/v1/beads/${id}`, fields);
-    return this._rpc('Update', { id, ...fields });
+    this._assertWritable('update');
+    return this.source.update(id, fields);
   }
 
   /**
@@ -215,8 +178,43 @@ export class BeadsAPI {
    * @returns {Promise<Object>} The closed bead
    */
   async close(id) {
-    if (this.mode === 'rest') return this._rest('POST', `/v1/beads/${id}/close`);
-    return this._rpc('Close', { id });
+    this._assertWritable('close');
+    return this.source.close(id);
+  }
+
+  /**
+   * Create a new bead.
+   * @param {Object} fields - title (required), issue_type, priority, description, assignee, labels
+   * @returns {Promise<Object>} The created bead
+   */
+  async create(fields) {
+    this._assertWritable('create');
+    return this.source.create({ issue_type: 'task', priority: 2, ...fields });
+  }
+
+  /**
+   * Record that `issueId` depends on `dependsOnId`. For 'blocks' the dependency
+   * blocks the issue; for 'parent-child' the dependency is the parent.
+   * @param {string} issueId - The dependent bead
+   * @param {string} dependsOnId - The bead it depends on
+   * @param {string} [type='blocks'] - Dependency type (blocks, parent-child, relates-to, waits-for)
+   * @returns {Promise<Object>} Backend response
+   */
+  async addDependency(issueId, dependsOnId, type = 'blocks') {
+    this._assertWritable('addDependency');
+    return this.source.addDependency(issueId, dependsOnId, type);
+  }
+
+  /**
+   * Remove a dependency added with addDependency().
+   * @param {string} issueId - The dependent bead
+   * @param {string} dependsOnId - The bead it depends on
+   * @param {string} [type='blocks'] - Dependency type
+   * @returns {Promise<Object>} Backend response
+   */
+  async removeDependency(issueId, dependsOnId, type = 'blocks') {
+    this._assertWritable('removeDependency');
+    return this.source.removeDependency(issueId, dependsOnId, type);
   }
 
   /**
@@ -227,11 +225,7 @@ export class BeadsAPI {
   async hasGraph() {
     if (this._hasGraphCached !== undefined) return this._hasGraphCached;
     try {
-      if (this.mode === 'rest') {
-        await this._rest('POST', '/v1/graph', { limit: 1 });
-      } else {
-        await this._rpc('Graph', { limit: 1 });
-      }
+      await this.source.graph({ limit: 1 });
       this._hasGraphCached = true;
       return true;
     } catch {
@@ -333,6 +327,35 @@ export class BeadsAPI {
     return mgr;
   }
 
+  /**
+   * Attach to a push data source's event channel. Returns an object with the same
+   * stop()/retry() surface as an SSE reconnection manager so callers needn't care.
+   * @private
+   */
+  _connectSubscription(channel, label, onEvent, callbacks = {}) {
+    const mgr = {
+      url: null,
+      label,
+      _unsubscribe: null,
+      connect: () => {
+        if (mgr._unsubscribe) return;
+        mgr._unsubscribe = this.source.subscribe(channel, onEvent);
+        callbacks.onStatus?.('connected', {});
+      },
+      stop: () => {
+        if (mgr._unsubscribe) mgr._unsubscribe();
+        mgr._unsubscribe = null;
+      },
+      retry: () => {
+        mgr.stop();
+        mgr.connect();
+      },
+    };
+    this._reconnectManagers.push(mgr);
+    mgr.connect();
+    return mgr;
+  }
+
   /**
    * Connect to the mutation SSE event stream.
    * @param {Function} onEvent - Callback invoked with each parsed event object
@@ -340,11 +363,9 @@ export class BeadsAPI {
    * @returns {Object} Reconnection manager
    */
   connectEvents(onEvent, callbacks = {}) {
-    const url = this.mode === 'rest'
-      ? `${this.baseUrl}/v1/events/stream`
-      : `${this.baseUrl}/events`;
+    if (this.source.subscribe) return this._connectSubscription('mutations', 'mutation', onEvent, callbacks);
     return this._connectWithReconnect(
-      url,
+      this.source.eventsUrl(),
       'mutation',
       (es) => {
         es.onmessage = (e) => {
@@ -368,8 +389,8 @@ export class BeadsAPI {
    * @returns {Object} Reconnection manager
    */
   connectBusEvents(streams, onEvent, callbacks = {}) {
-    const busPath = this.mode === 'rest' ? '/v1/bus/events' : '/bus/events';
-    const url = `${this.baseUrl}${busPath}?stream=${encodeURIComponent(streams)}`;
+    if (this.source.subscribe) return this._connectSubscription('bus', 'bus', onEvent, callbacks);
+    const url = this.source.busEventsUrl(streams);
     const eventTypes = ['agents', 'hooks', 'oj', 'mutations', 'decisions', 'mail'];
     return this._connectWithReconnect(
       url,
@@ -392,110 +413,58 @@ export class BeadsAPI {
   // ────────── Decision operations ──────────
 
   async decisionGet(issueId) {
-    if (this.mode === 'rest') return this._rest('GET', `/v1/decisions/${issueId}`);
-    return this._rpc('DecisionGet', { issue_id: issueId });
+    return this.source.decisionGet(issueId);
   }
 
   async decisionList(opts = {}) {
-    if (this.mode === 'rest') {
-      const params = new URLSearchParams();
-      if (opts.status) params.set('status', opts.status);
-      const qs = params.toString();
-      return this._rest('GET', `/v1/decisions${qs ? '?' + qs : ''}`);
-    }
-    return this._rpc('DecisionList', opts);
+    return this.source.decisionList(opts);
   }
 
   async decisionListRecent(since, requestedBy) {
-    if (this.mode === 'rest') {
-      const params = new URLSearchParams({ since });
-      if (requestedBy) params.set('requested_by', requestedBy);
-      return this._rest('GET', `/v1/decisions?${params.toString()}`);
-    }
-    const args = { since };
-    if (requestedBy) args.requested_by = requestedBy;
-    return this._rpc('DecisionListRecent', args);
+    return this.source.decisionListRecent(since, requestedBy);
   }
 
   async decisionResolve(issueId, selectedOption, responseText, respondedBy = 'beads3d') {
-    if (this.mode === 'rest') {
-      return this._rest('POST', `/v1/decisions/${issueId}/resolve`, {
-        selected_option: selectedOption,
-        response_text: responseText,
-        responded_by: respondedBy,
-      });
-    }
-    return this._rpc('DecisionResolve', {
-      issue_id: issueId,
-      selected_option: selectedOption,
-      response_text: responseText,
-      responded_by: respondedBy,
-    });
+    this._assertWritable('decisionResolve');
+    return this.source.decisionResolve(issueId, selectedOption, responseText, respondedBy);
   }
 
   async decisionCancel(issueId, reason, canceledBy = 'beads3d') {
-    if (this.mode === 'rest') {
-      return this._rest('POST', `/v1/decisions/${issueId}/cancel`, {
-        reason,
-        canceled_by: canceledBy,
-      });
-    }
-    return this._rpc('DecisionCancel', {
-      issue_id: issueId,
-      reason,
-      canceled_by: canceledBy,
-    });
+    this._assertWritable('decisionCancel');
+    return this.source.decisionCancel(issueId, reason, canceledBy);
   }
 
   async decisionRemind(issueId, force = false) {
-    // No kbeads REST equivalent — RPC-only for now
-    return this._rpc('DecisionRemind', { issue_id: issueId, force });
+    this._assertWritable('decisionRemind');
+    return this.source.decisionRemind(issueId, force);
   }
 
   /**
    * Send mail to an agent by creating a message bead.
    */
   async sendMail(toAgent, subject, body = '') {
-    if (this.mode === 'rest') {
-      return this._rest('POST', '/v1/beads', {
-        title: subject,
-        description: body,
-        type: 'message',
-        assignee: toAgent,
-        created_by: 'beads3d',
-        priority: 2,
-      });
-    }
-    return this._rpc('Create', {
-      title: subject,
-      description: body,
-      issue_type: 'message',
-      assignee: toAgent,
-      sender: 'beads3d',
-      priority: 2,
-    });
+    this._assertWritable('sendMail');
+    return this.source.sendMail(toAgent, subject, body);
   }
 
   // ────────── Config operations ──────────
 
   async configList() {
-    if (this.mode === 'rest') return this._rest('GET', '/v1/configs');
-    return this._rpc('ConfigList', {});
+    return this.source.configList();
   }
 
   async configGet(key) {
-    if (this.mode === 'rest') return this._rest('GET', `/v1/configs/${key}`);
-    return this._rpc('GetConfig', { key });
+    return this.source.configGet(key);
   }
 
   async configSet(key, value) {
-    if (this.mode === 'rest') return this._rest('PUT', `/v1/configs/${key}`, { value });
-    return this._rpc('ConfigSet', { key, value });
+    this._assertWritable('configSet');
+    return this.source.configSet(key, value);
   }
 
   async configUnset(key) {
-    if (this.mode === 'rest') return this._rest('DELETE', `/v1/configs/${key}`);
-    return this._rpc('ConfigUnset', { key });
+    this._assertWritable('configUnset');
+    return this.source.configUnset(key);
   }
 
   // ────────── Lifecycle ──────────
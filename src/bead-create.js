@@ -0,0 +1,227 @@
+// Create beads and dependencies from the 3D view: context-menu "new child",
+// "new blocker" and "link to…", plus Alt+drag one node onto another.
+
+/** @type {number} Max distance (world units) between a dropped node and its link target */
+const LINK_DROP_RADIUS = 20;
+
+/** Context-menu link kinds, as seen from the right-clicked bead */
+const LINK_LABELS = { blocks: 'blocks', 'blocked-by': 'blocked by', 'relates-to': 'relates to' };
+
+// Dependency injection — set by main.js before use
+let _deps = {};
+
+/**
+ * Inject dependencies from main.js.
+ *
+ * @param {Object} deps
+ * @param {Object}   deps.api             - BeadsAPI instance
+ * @param {Function} deps.getGraphData    - () => { nodes, links }
+ * @param {Function} deps.refresh         - () => Promise<void>, reload graph from the backend
+ * @param {Function} deps.showStatusToast - (msg, isError?) => void
+ * @returns {void}
+ */
+export function setBeadCreateDeps(deps) {
+  _deps = deps;
+  bindModifierKeys();
+}
+
+let _linkMode = null; // { from: node, kind } while waiting for the target click
+let _altDown = false;
+let _shiftDown = false;
+let _keysBound = false;
+
+// 3d-force-graph's drag callbacks carry no event, so track modifiers ourselves
+function bindModifierKeys() {
+  if (_keysBound) return;
+  _keysBound = true;
+  const track = (e) => {
+    _altDown = e.altKey;
+    _shiftDown = e.shiftKey;
+  };
+  window.addEventListener('keydown', (e) => {
+    track(e);
+    if (e.key === 'Escape' && _linkMode) cancelLinkMode();
+  });
+  window.addEventListener('keyup', track);
+  window.addEventListener('pointerdown', track, true);
+  window.addEventListener('blur', () => {
+    _altDown = false;
+    _shiftDown = false;
+  });
+}
+
+/**
+ * Translate a link gesture into an addDependency() call.
+ *
+ * @param {string} fromId - Bead the gesture started on
+ * @param {string} toId   - Bead it ended on
+ * @param {'blocks'|'blocked-by'|'relates-to'} kind - Relationship from → to
+ * @returns {{issueId: string, dependsOnId: string, type: string}}
+ */
+export function linkDependency(fromId, toId, kind) {
+  if (kind === 'blocks') return { issueId: toId, dependsOnId: fromId, type: 'blocks' };
+  if (kind === 'blocked-by') return { issueId: fromId, dependsOnId: toId, type: 'blocks' };
+  return { issueId: fromId, dependsOnId: toId, type: 'relates-to' };
+}
+
+/**
+ * Nearest visible bead to a dropped node, within `radius`.
+ *
+ * @param {Object}   dragged - The dropped node (x/y/z)
+ * @param {Object[]} nodes   - Candidate nodes
+ * @param {number}   [radius=LINK_DROP_RADIUS]
+ * @returns {Object|null}
+ */
+export function findDropTarget(dragged, nodes, radius = LINK_DROP_RADIUS) {
+  let best = null;
+  let bestDist = radius * radius;
+  for (const n of nodes) {
+    if (n === dragged || n._hidden || n.issue_type === 'agent' || n.x === undefined) continue;
+    const dx = n.x - dragged.x;
+    const dy = n.y - dragged.y;
+    const dz = (n.z || 0) - (dragged.z || 0);
+    const d2 = dx * dx + dy * dy + dz * dz;
+    if (d2 <= bestDist) {
+      best = n;
+      bestDist = d2;
+    }
+  }
+  return best;
+}
+
+function createdId(res) {
+  return res?.id || res?.issue?.id || null;
+}
+
+async function addLink(from, to, kind) {
+  const { issueId, dependsOnId, type } = linkDependency(from.id, to.id, kind);
+  try {
+    await _deps.api.addDependency(issueId, dependsOnId, type);
+    _deps.showStatusToast(`${from.id} ${LINK_LABELS[kind]} ${to.id}`);
+    await _deps.refresh();
+  } catch (err) {
+    _deps.showStatusToast(`error: ${err.message}`, true);
+  }
+}
+
+// Create a bead, then attach it to `node`; `attach` receives the new id
+async function createRelated(node, promptText, attach) {
+  const title = prompt(promptText);
+  if (!title || !title.trim()) return;
+  let newId = null;
+  try {
+    newId = createdId(await _deps.api.create({ title: title.trim(), priority: node.priority ?? 2 }));
+    if (!newId) throw new Error('backend did not return an id');
+    await attach(newId);
+    _deps.showStatusToast(`created ${newId}`);
+  } catch (err) {
+    // The bead may exist without its dependency — say so rather than hide it
+    _deps.showStatusToast(
+      newId ? `created ${newId}, but linking failed: ${err.message}` : `error: ${err.message}`,
+      true,
+    );
+  }
+  await _deps.refresh();
+}
+
+/**
+ * Prompt for a title and create a child bead under `node` (parent-child).
+ *
+ * @param {Object} node - Parent bead
+ * @returns {Promise<void>}
+ */
+export function createChildBead(node) {
+  return createRelated(node, `New child of ${node.id}:`, (id) => _deps.api.addDependency(id, node.id, 'parent-child'));
+}
+
+/**
+ * Prompt for a title and create a bead that blocks `node`.
+ *
+ * @param {Object} node - Bead to be blocked
+ * @returns {Promise<void>}
+ */
+export function createBlockerBead(node) {
+  return createRelated(node, `New blocker for ${node.id}:`, (id) => _deps.api.addDependency(node.id, id, 'blocks'));
+}
+
+/**
+ * Wait for the next node click and link `node` to it.
+ *
+ * @param {Object} node - Bead the link starts from
+ * @param {'blocks'|'blocked-by'|'relates-to'} kind
+ * @returns {void}
+ */
+export function startLinkMode(node, kind) {
+  _linkMode = { from: node, kind };
+  document.body.classList.add('link-mode');
+  _deps.showStatusToast(`click the bead ${node.id} ${LINK_LABELS[kind]} (esc to cancel)`);
+}
+
+/**
+ * Leave link mode without creating anything.
+ *
+ * @returns {void}
+ */
+export function cancelLinkMode() {
+  _linkMode = null;
+  document.body.classList.remove('link-mode');
+}
+
+/**
+ * @returns {boolean} Whether the next node click completes a link
+ */
+export function isLinkModeActive() {
+  return _linkMode !== null;
+}
+
+/**
+ * Finish link mode on the clicked bead.
+ *
+ * @param {Object} target
+ * @returns {Promise<void>}
+ */
+export async function completeLinkMode(target) {
+  const { from, kind } = _linkMode;
+  if (!target || target === from || target.issue_type === 'agent') {
+    _deps.showStatusToast('pick a different bead (esc to cancel)', true);
+    return;
+  }
+  cancelLinkMode();
+  await addLink(from, target, kind);
+}
+
+/**
+ * Called on every drag tick. Alt+drag is a link gesture rather than a move:
+ * remember where the node started so it can snap back on drop.
+ *
+ * @param {Object} node
+ * @param {{x: number, y: number, z: number}} [translate] - Delta applied by this drag tick
+ * @returns {boolean} True while the drag is a link gesture
+ */
+export function trackNodeDrag(node, translate = { x: 0, y: 0, z: 0 }) {
+  if (!node._linkDragOrigin && _altDown && node.issue_type !== 'agent') {
+    node._linkDragOrigin = { x: node.x - translate.x, y: node.y - translate.y, z: (node.z || 0) - translate.z };
+  }
+  return !!node._linkDragOrigin;
+}
+
+/**
+ * Called on drag end. For a link gesture, snap the node back and create a
+ * dependency to the bead it was dropped on: Alt = blocks, Alt+Shift = relates-to.
+ *
+ * @param {Object} node
+ * @returns {void}
+ */
+export function finishNodeDrag(node) {
+  const origin = node._linkDragOrigin;
+  if (!origin) return;
+  delete node._linkDragOrigin;
+  const target = findDropTarget(node, _deps.getGraphData().nodes);
+  Object.assign(node, origin);
+  if (node.fx !== undefined) Object.assign(node, { fx: origin.x, fy: origin.y, fz: origin.z });
+  if (!target) {
+    _deps.showStatusToast('no bead under the drop point');
+    return;
+  }
+  addLink(node, target, _shiftDown ? 'relates-to' : 'blocks');
+}
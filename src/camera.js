@@ -11,6 +11,8 @@ import {
   initFilterDashboard,
   updateAssigneeButtons,
   updateFilterCount,
+  getFilterProfileNames,
+  loadFilterProfile,
 } from './filter-dashboard.js';
 import { setDetailDeps, showDetail, hideDetail } from './detail-panel.js';
 import {
@@ -39,8 +41,13 @@ import { _vfxConfig } from './vfx.js';
 import { setControlPanelDeps, toggleControlPanel, initControlPanel, getControlPanelOpen } from './control-panel.js';
 import { setOnNodeClick, initRightSidebar } from './right-sidebar.js';
 import { setMutationDeps, dootPopups, dismissDootPopup } from './mutations.js';
-import { showStatusToast, hideContextMenu, ctxMenu } from './context-menu.js';
-import { setDecisionLightboxDeps, initDecisionLightbox } from './decision-lightbox.js';
+import { showStatusToast, hideContextMenu, ctxMenu, optimisticUpdate } from './context-menu.js';
+import { setDecisionLightboxDeps, initDecisionLightbox, toggleDecisionLightbox } from './decision-lightbox.js';
+import { toggleReplay, isReplayActive, exitReplay } from './replay.js';
+import { setCommandPaletteDeps, toggleCommandPalette } from './command-palette.js';
+import { KEYMAP_ACTIONS, setKeymapDeps, loadKeymap, actionForEvent, shortcutFor } from './keymap.js';
+import { attachQueryAutocomplete, queryContextFromNodes } from './query.js';
+import { togglePinMode, unpinAll } from './pins.js';
 
 // Dependency injection — set by main.js before setupControls()
 let _deps = {};
@@ -56,8 +63,9 @@ let _deps = {};
  * @param {Function} deps.setBloomEnabled      - (v) => void
  * @param {Function} deps.getBloomEnabled      - () => boolean
  * @param {Function} deps.refresh              - () => void
- * @param {Function} deps.applyFilters         - () => void
+ * @param {Function} deps.applyFilters         - (changed?: string) => void
  * @param {Function} deps.setLayout            - (mode) => void
+ * @param {Function} deps.setGanttLanes        - ('epic' | 'assignee') => void
  * @param {Function} deps.toggleLabels         - () => void
  * @param {Function} deps.getLabelsVisible     - () => boolean
  * @param {Function} deps.toggleMinimap        - () => void
@@ -204,8 +212,9 @@ export function unfreezeCamera() {
   const graphData = _deps.getGraphData();
   const controls = graph.controls();
   if (controls) controls.enabled = true;
-  // Unpin all nodes so forces resume (bd-casin)
+  // Unpin all nodes so forces resume (bd-casin) — except ones the user pinned
   for (const node of graphData.nodes) {
+    if (node._pinned) continue;
     node.fx = undefined;
     node.fy = undefined;
     node.fz = undefined;
@@ -328,7 +337,7 @@ export function captureScreenshot() {
 export function exportGraphJSON() {
   const graphData = _deps.getGraphData();
   const state = _deps.state;
-  const visibleNodes = graphData.nodes.filter((n) => !n._hidden);
+  const visibleNodes = graphData.nodes.filter((n) => !n._hidden && !n._stub);
   const visibleIds = new Set(visibleNodes.map((n) => n.id));
   const visibleLinks = graphData.links.filter((l) => {
     const srcId = typeof l.source === 'object' ? l.source.id : l.source;
@@ -349,7 +358,7 @@ export function exportGraphJSON() {
       },
     },
     stats: {
-      total_nodes: graphData.nodes.length,
+      total_nodes: graphData.nodes.filter((n) => !n._stub).length,
       visible_nodes: visibleNodes.length,
       visible_links: visibleLinks.length,
     },
@@ -361,9 +370,9 @@ export function exportGraphJSON() {
       issue_type: n.issue_type,
       assignee: n.assignee || null,
       blocked: !!n._blocked,
-      x: n.x ? Math.round(n.x * 10) / 10 : null,
-      y: n.y ? Math.round(n.y * 10) / 10 : null,
-      z: n.z ? Math.round(n.z * 10) / 10 : null,
+      x: Number.isFinite(n.x) ? Math.round(n.x * 10) / 10 : null,
+      y: Number.isFinite(n.y) ? Math.round(n.y * 10) / 10 : null,
+      z: Number.isFinite(n.z) ? Math.round(n.z * 10) / 10 : null,
     })),
     links: visibleLinks.map((l) => ({
       source: typeof l.source === 'object' ? l.source.id : l.source,
@@ -704,12 +713,17 @@ export function setupControls() {
   // Timeline layout removed (bd-t9unh)
   document.getElementById('btn-layout-radial').onclick = () => _deps.setLayout('radial');
   document.getElementById('btn-layout-cluster').onclick = () => _deps.setLayout('cluster');
+  document.getElementById('btn-layout-labels').onclick = () => _deps.setLayout('labels');
+  document.getElementById('btn-layout-swimlane').onclick = () => _deps.setLayout('swimlane');
+  document.getElementById('btn-layout-gantt').onclick = () => _deps.setLayout('gantt');
 
   btnRefresh.onclick = () => _deps.refresh();
 
   // Screenshot & export buttons
   document.getElementById('btn-screenshot').onclick = () => captureScreenshot();
   document.getElementById('btn-export').onclick = () => exportGraphJSON();
+  document.getElementById('btn-replay').onclick = () => toggleReplay();
+  document.getElementById('btn-pin').onclick = () => togglePinMode();
 
   // Bloom toggle
   btnBloom.onclick = () => {
@@ -768,6 +782,7 @@ export function setupControls() {
     toggleLabels: _deps.toggleLabels,
     getLabelsVisible: _deps.getLabelsVisible,
     setLayout: _deps.setLayout,
+    setGanttLanes: _deps.setGanttLanes,
     api,
   });
   initControlPanel();
@@ -779,12 +794,19 @@ export function setupControls() {
   // bd-9ndk0.3: Unified activity stream
   initUnifiedFeed();
 
+  // Query autocomplete (field names, then values from the loaded graph) — attached
+  // first so it can claim arrows/Enter/Tab while its list is open
+  const searchSuggest = document.getElementById('search-suggest');
+  if (searchSuggest) {
+    attachQueryAutocomplete(searchInput, searchSuggest, () => queryContextFromNodes(_deps.getGraphData().nodes));
+  }
+
   // Search — debounced input updates filter, Enter/arrows navigate results (bd-7n4g8)
   searchInput.addEventListener('input', (e) => {
     state.searchFilter = e.target.value;
     state.searchResultIdx = 0; // reset to first result on new input
     clearTimeout(state._searchDebounceTimer);
-    state._searchDebounceTimer = setTimeout(() => _deps.applyFilters(), 150);
+    state._searchDebounceTimer = setTimeout(() => _deps.applyFilters('search'), 150);
   });
   searchInput.addEventListener('keydown', (e) => {
     if (e.key === 'Enter') {
@@ -818,7 +840,7 @@ export function setupControls() {
         group.forEach((s) => state.statusFilter.add(s));
       }
       syncFilterDashboard();
-      _deps.applyFilters();
+      _deps.applyFilters('status');
     });
   });
 
@@ -834,7 +856,7 @@ export function setupControls() {
         state.typeFilter.add(type);
       }
       syncFilterDashboard();
-      _deps.applyFilters();
+      _deps.applyFilters('type');
     });
   });
 
@@ -847,7 +869,7 @@ export function setupControls() {
       state.agentFilterShow = !state.agentFilterShow;
       btnAgentShow.classList.toggle('active', state.agentFilterShow);
       syncFilterDashboard();
-      _deps.applyFilters();
+      _deps.applyFilters('agent');
     });
   }
 
@@ -856,7 +878,7 @@ export function setupControls() {
       state.agentFilterOrphaned = !state.agentFilterOrphaned;
       btnAgentOrphaned.classList.toggle('active', state.agentFilterOrphaned);
       syncFilterDashboard();
-      _deps.applyFilters();
+      _deps.applyFilters('orphaned');
     });
   }
 
@@ -913,6 +935,27 @@ export function setupControls() {
       set assigneeFilter(v) {
         state.assigneeFilter = v;
       },
+      get labelFilterInclude() {
+        return state.labelFilterInclude;
+      },
+      get labelFilterExclude() {
+        return state.labelFilterExclude;
+      },
+      get historyWindow() {
+        return state.historyWindow;
+      },
+      set historyWindow(v) {
+        state.historyWindow = v;
+      },
+      get closerFilter() {
+        return state.closerFilter;
+      },
+      get closeReasonFilter() {
+        return state.closeReasonFilter;
+      },
+      set closeReasonFilter(v) {
+        state.closeReasonFilter = v;
+      },
       get agentFilterShow() {
         return state.agentFilterShow;
       },
@@ -937,6 +980,12 @@ export function setupControls() {
       get graphData() {
         return _deps.getGraphData();
       },
+      get searchFilter() {
+        return state.searchFilter;
+      },
+      set searchFilter(v) {
+        state.searchFilter = v;
+      },
       get searchResults() {
         return state.searchResults;
       },
@@ -947,6 +996,9 @@ export function setupControls() {
       URL_STATUS: state.URL_STATUS,
       URL_TYPES: state.URL_TYPES,
       URL_ASSIGNEE: state.URL_ASSIGNEE,
+      URL_QUERY: state.URL_QUERY,
+      URL_LABELS: state.URL_LABELS,
+      URL_HISTORY: state.URL_HISTORY,
     },
   });
   initFilterDashboard();
@@ -965,7 +1017,9 @@ export function setupControls() {
       }
     },
     showStatusToast,
+    optimisticUpdate,
     getGraph: _deps.getGraph,
+    focusNode: _deps.handleNodeClick,
   });
 
   // Decision lightbox (beads-zuc3) — wire dependencies
@@ -989,16 +1043,24 @@ export function setupControls() {
     getGraphData: _deps.getGraphData,
     getGraph: _deps.getGraph,
     refresh: _deps.refresh,
+    applyFilters: _deps.applyFilters,
     handleNodeClick: _deps.handleNodeClick,
   });
 
+  // Shortcut actions, by keymap action id (keymap.js holds the bindings)
+  const keyActions = buildKeyActions(btnBloom, searchInput);
+
+  // Keymap — load saved bindings; the control panel edits them (see keymap.js)
+  setKeymapDeps({ api });
+  loadKeymap();
+
+  // Command palette (Ctrl+K)
+  setCommandPaletteDeps({ getCommands: () => buildPaletteCommands(keyActions) });
+  const hudBtnPalette = document.getElementById('hud-btn-palette');
+  if (hudBtnPalette) hudBtnPalette.onclick = () => toggleCommandPalette();
+
   // Keyboard shortcuts
   document.addEventListener('keydown', (e) => {
-    // '/' to focus search
-    if (e.key === '/' && !_deps.isTextInputFocused()) {
-      e.preventDefault();
-      searchInput.focus();
-    }
     // Escape to clear search, close detail, close context/bulk menu, and deselect
     if (e.key === 'Escape') {
       // Always unfreeze camera on Escape (bd-casin)
@@ -1022,6 +1084,12 @@ export function setupControls() {
         return;
       }
 
+      // Leave history replay and return to the live graph
+      if (isReplayActive()) {
+        exitReplay();
+        return;
+      }
+
       // Close Agents View if open (bd-jgvas)
       if (getAgentsViewOpen()) {
         // If search is focused and has text, clear it first
@@ -1048,7 +1116,7 @@ export function setupControls() {
         searchInput.value = '';
         state.searchFilter = '';
         searchInput.blur();
-        _deps.applyFilters();
+        _deps.applyFilters('search');
       }
       _deps.clearSelection();
       _deps.clearEpicHighlight();
@@ -1059,93 +1127,11 @@ export function setupControls() {
       // Close all agent windows (bd-kau4k)
       for (const [id] of agentWindows) closeAgentWindow(id);
     }
-    // 'r' to refresh
-    if (e.key === 'r' && !_deps.isTextInputFocused()) {
-      _deps.refresh();
-    }
-    // Performance overlay: backtick toggles, ~ toggles frame graph (bd-8nx79)
-    if (e.key === '`' && !e.shiftKey && !_deps.isTextInputFocused()) {
-      _deps.togglePerfOverlay();
-      return;
-    }
-    if (e.key === '~' && !_deps.isTextInputFocused()) {
-      _deps.togglePerfGraph();
-      return;
-    }
-    // VFX intensity: [ ] to adjust, Shift+1-4 for presets (bd-epyyu)
-    if (e.key === '[' && !_deps.isTextInputFocused()) {
-      _deps.setVfxIntensity(_vfxConfig.intensity - 0.25);
-      return;
-    }
-    if (e.key === ']' && !_deps.isTextInputFocused()) {
-      _deps.setVfxIntensity(_vfxConfig.intensity + 0.25);
-      return;
-    }
-    if (e.shiftKey && e.key === '!' && !_deps.isTextInputFocused()) {
-      _deps.presetVFX('subtle');
-      return;
-    }
-    if (e.shiftKey && e.key === '@' && !_deps.isTextInputFocused()) {
-      _deps.presetVFX('normal');
-      return;
-    }
-    if (e.shiftKey && e.key === '#' && !_deps.isTextInputFocused()) {
-      _deps.presetVFX('dramatic');
-      return;
-    }
-    if (e.shiftKey && e.key === '$' && !_deps.isTextInputFocused()) {
-      _deps.presetVFX('maximum');
-      return;
-    }
-    // 'b' to toggle bloom (ignore key repeat to prevent rapid on/off — beads-p97b)
-    if (e.key === 'b' && !e.repeat && !_deps.isTextInputFocused()) {
-      btnBloom.click();
-    }
-    // 'm' to toggle minimap
-    if (e.key === 'm' && !e.repeat && !_deps.isTextInputFocused()) {
-      _deps.toggleMinimap();
-    }
-    // 'l' for labels toggle (bd-1o2f7, beads-p97b: ignore key repeat)
-    if (e.key === 'l' && !e.repeat && !_deps.isTextInputFocused()) {
-      _deps.toggleLabels();
-    }
-    // 'f' for left sidebar (bd-nnr22, was filter dashboard bd-8o2gd)
-    if (e.key === 'f' && !e.repeat && !_deps.isTextInputFocused()) {
-      toggleLeftSidebar();
-    }
-    // 'g' for control panel (bd-69y6v)
-    if (e.key === 'g' && !e.repeat && !_deps.isTextInputFocused()) {
-      toggleControlPanel();
-    }
-    // 'p' for screenshot
-    if (e.key === 'p' && !_deps.isTextInputFocused()) {
-      captureScreenshot();
-    }
-    // 'x' for export
-    if (e.key === 'x' && !_deps.isTextInputFocused()) {
-      exportGraphJSON();
-    }
-    // Shift+D / Shift+S for epic cycling (bd-pnngb)
-    if (e.shiftKey && e.key === 'D' && !_deps.isTextInputFocused()) {
-      e.preventDefault();
-      _deps.cycleEpic(1);
-      return;
-    }
-    if (e.shiftKey && e.key === 'S' && !_deps.isTextInputFocused()) {
-      e.preventDefault();
-      _deps.cycleEpic(-1);
-      return;
-    }
-    // Shift+A for Agents View overlay (bd-jgvas)
-    if (e.shiftKey && e.key === 'A' && !_deps.isTextInputFocused()) {
+    // Rebindable shortcuts (keymap.js)
+    const action = actionForEvent(e);
+    if (action && (action.inInputs || !_deps.isTextInputFocused()) && (action.repeat || !e.repeat)) {
       e.preventDefault();
-      toggleAgentsView();
-      return;
-    }
-    // 1-5 for layout modes
-    const layoutKeys = { 1: 'free', 2: 'dag', 3: 'radial', 4: 'cluster' };
-    if (layoutKeys[e.key] && !_deps.isTextInputFocused()) {
-      _deps.setLayout(layoutKeys[e.key]);
+      keyActions[action.id]();
     }
 
     // Arrow + WASD keys: track held keys for Quake-style smooth camera (bd-zab4q, bd-pwaen)
@@ -1164,3 +1150,79 @@ export function setupControls() {
     _keysDown.delete(e.key);
   });
 }
+
+// What each keymap action does. Ids match KEYMAP_ACTIONS in keymap.js.
+function buildKeyActions(btnBloom, searchInput) {
+  return {
+    palette: () => toggleCommandPalette(),
+    search: () => searchInput.focus(),
+    refresh: () => _deps.refresh(),
+    bloom: () => btnBloom.click(),
+    minimap: () => _deps.toggleMinimap(),
+    labels: () => _deps.toggleLabels(),
+    sidebar: () => toggleLeftSidebar(),
+    controls: () => toggleControlPanel(),
+    filters: () => toggleFilterDashboard(),
+    agents: () => toggleAgentsView(),
+    decisions: () => toggleDecisionLightbox(),
+    replay: () => toggleReplay(),
+    'epic-next': () => _deps.cycleEpic(1),
+    'epic-prev': () => _deps.cycleEpic(-1),
+    center: () => centerCameraOnSelection(),
+    screenshot: () => captureScreenshot(),
+    export: () => exportGraphJSON(),
+    'pin-mode': () => togglePinMode(),
+    'unpin-all': () => unpinAll(),
+    perf: () => _deps.togglePerfOverlay(),
+    'perf-graph': () => _deps.togglePerfGraph(),
+    'vfx-down': () => _deps.setVfxIntensity(_vfxConfig.intensity - 0.25),
+    'vfx-up': () => _deps.setVfxIntensity(_vfxConfig.intensity + 0.25),
+    'layout-free': () => _deps.setLayout('free'),
+    'layout-dag': () => _deps.setLayout('dag'),
+    'layout-radial': () => _deps.setLayout('radial'),
+    'layout-cluster': () => _deps.setLayout('cluster'),
+    'layout-labels': () => _deps.setLayout('labels'),
+    'layout-swimlane': () => _deps.setLayout('swimlane'),
+    'layout-gantt': () => _deps.setLayout('gantt'),
+    'vfx-subtle': () => _deps.presetVFX('subtle'),
+    'vfx-normal': () => _deps.presetVFX('normal'),
+    'vfx-dramatic': () => _deps.presetVFX('dramatic'),
+    'vfx-maximum': () => _deps.presetVFX('maximum'),
+  };
+}
+
+// Everything the command palette can run: every keymap action (with its current
+// binding), plus filter profiles and beads.
+function buildPaletteCommands(keyActions) {
+  const commands = KEYMAP_ACTIONS.filter((a) => a.id !== 'palette').map((a) => ({
+    id: `action:${a.id}`,
+    label: a.label,
+    group: a.group,
+    shortcut: shortcutFor(a.id),
+    run: keyActions[a.id],
+  }));
+
+  const profileSelect = document.getElementById('fd-profile-select');
+  for (const name of ['', ...getFilterProfileNames()]) {
+    commands.push({
+      id: `profile:${name}`,
+      label: `Filter profile: ${name || 'default'}`,
+      group: 'profile',
+      run: () => {
+        if (profileSelect) profileSelect.value = name;
+        loadFilterProfile(name);
+      },
+    });
+  }
+
+  for (const node of _deps.getGraphData().nodes) {
+    if (node.issue_type === 'agent') continue;
+    commands.push({
+      id: `bead:${node.id}`,
+      label: node.title ? `${node.id} · ${node.title}` : node.id,
+      group: 'bead',
+      run: () => _deps.handleNodeClick(node),
+    });
+  }
+  return commands;
+}
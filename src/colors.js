@@ -51,6 +51,7 @@ export const DEP_TYPE_COLORS = {
   'jira-link': '#4a7a9e88', // muted blue — cross-project Jira links (kd-XGgiokgQBH)
   assigned_to: '#ff6b3566', // reduced opacity — high density in large graphs (bd-ld2fa)
   rig_conflict: '#ff3030', // bright red — agents on same rig+branch (bd-90ikf)
+  unloaded: '#6a6a8a55', // faint — bead to its "+N" stub of unloaded neighbours
   default: '#3a3a5a',
 };
 
@@ -0,0 +1,243 @@
+// Command palette (Ctrl+K / ⌘K) — fuzzy search over viewer actions, layouts,
+// VFX presets, filter profiles and bead IDs. Recently run commands rank first.
+
+/**
+ * @typedef {Object} PaletteCommand
+ * @property {string}   id       - Stable id, used to remember recent commands
+ * @property {string}   label    - Text shown and matched against
+ * @property {string}   group    - Category shown next to the label ('action', 'layout', 'bead', …)
+ * @property {string}   [shortcut] - Keyboard shortcut hint, e.g. 'Shift+D'
+ * @property {Function} run      - Invoked when the command is chosen
+ */
+
+const RECENT_KEY = 'beads3d-recent-commands';
+const MAX_RECENT = 20;
+const MAX_RESULTS = 50;
+
+// Dependency injection — set by camera.js before use
+let _getCommands = () => [];
+
+let _open = false;
+let _results = [];
+let _activeIdx = 0;
+let _restoreFocus = null;
+
+/**
+ * Inject dependencies.
+ *
+ * @param {Object} deps
+ * @param {Function} deps.getCommands - () => PaletteCommand[], called each time the palette opens
+ * @returns {void}
+ */
+export function setCommandPaletteDeps({ getCommands }) {
+  _getCommands = getCommands;
+}
+
+/**
+ * Score how well `query` fuzzy-matches `text`: every query character must appear
+ * in order. Consecutive runs, word starts and an early first match score higher.
+ *
+ * @param {string} query
+ * @param {string} text
+ * @returns {{score: number, indices: number[]}|null} Null when it doesn't match
+ */
+export function fuzzyMatch(query, text) {
+  const q = query.toLowerCase().replace(/\s+/g, '');
+  if (!q) return { score: 0, indices: [] };
+  const t = text.toLowerCase();
+  const indices = [];
+  let score = 0;
+  let ti = 0;
+  for (const ch of q) {
+    const found = t.indexOf(ch, ti);
+    if (found === -1) return null;
+    const prev = indices[indices.length - 1];
+    if (prev !== undefined && found === prev + 1) score += 5;
+    if (found === 0 || /[\s\-_:/.·]/.test(t[found - 1])) score += 3;
+    score -= Math.min(found - ti, 10) * 0.1; // gap penalty
+    indices.push(found);
+    ti = found + 1;
+  }
+  score -= indices[0] * 0.2;
+  if (t.includes(q)) score += 10; // exact substring beats scattered letters
+  return { score, indices };
+}
+
+/**
+ * Filter and order commands for a query. Recently used commands get a boost
+ * (and with an empty query, simply come first, most recent first).
+ *
+ * @param {PaletteCommand[]} commands
+ * @param {string} query
+ * @param {string[]} [recent] - Command ids, most recent first
+ * @param {number} [limit]
+ * @returns {Array<{command: PaletteCommand, indices: number[]}>}
+ */
+export function rankCommands(commands, query, recent = [], limit = MAX_RESULTS) {
+  const recency = new Map(recent.map((id, i) => [id, recent.length - i]));
+  const scored = [];
+  commands.forEach((command, order) => {
+    const m = fuzzyMatch(query, command.label);
+    if (!m) return;
+    const r = recency.get(command.id) || 0;
+    // Query matches dominate; recency breaks near-ties and orders the empty query
+    const score = query.trim() ? m.score + r * 0.5 : r * 100;
+    scored.push({ command, indices: m.indices, score, order });
+  });
+  scored.sort((a, b) => b.score - a.score || a.order - b.order);
+  return scored.slice(0, limit).map(({ command, indices }) => ({ command, indices }));
+}
+
+/**
+ * Move `id` to the front of the recent list.
+ *
+ * @param {string[]} recent
+ * @param {string} id
+ * @returns {string[]} New list, capped at MAX_RECENT
+ */
+export function pushRecent(recent, id) {
+  return [id, ...recent.filter((r) => r !== id)].slice(0, MAX_RECENT);
+}
+
+function loadRecent() {
+  try {
+    const list = JSON.parse(localStorage.getItem(RECENT_KEY) || '[]');
+    return Array.isArray(list) ? list : [];
+  } catch {
+    return [];
+  }
+}
+
+function escapeHtml(str) {
+  if (!str) return '';
+  const div = document.createElement('div');
+  div.textContent = str;
+  return div.innerHTML;
+}
+
+function highlight(label, indices) {
+  const hit = new Set(indices);
+  return [...label].map((ch, i) => (hit.has(i) ? `<b>${escapeHtml(ch)}</b>` : escapeHtml(ch))).join('');
+}
+
+/**
+ * @returns {boolean}
+ */
+export function isCommandPaletteOpen() {
+  return _open;
+}
+
+/**
+ * Show the palette with an empty query.
+ *
+ * @returns {void}
+ */
+export function openCommandPalette() {
+  const el = document.getElementById('command-palette');
+  if (!el || _open) return;
+  _open = true;
+  _restoreFocus = document.activeElement;
+  el.innerHTML = `
+    <div class="cmdp-box">
+      <input type="text" class="cmdp-input" placeholder="type a command, layout, preset or bead id…"
+        autocomplete="off" spellcheck="false" aria-label="Command">
+      <div class="cmdp-results" role="listbox"></div>
+    </div>`;
+  el.style.display = 'flex';
+  el.onclick = (e) => {
+    if (e.target === el) closeCommandPalette();
+  };
+
+  const commands = _getCommands();
+  const input = el.querySelector('.cmdp-input');
+  const update = () => {
+    _results = rankCommands(commands, input.value, loadRecent());
+    _activeIdx = 0;
+    renderResults();
+  };
+  input.addEventListener('input', update);
+  input.addEventListener('keydown', (e) => {
+    e.stopPropagation(); // keep graph shortcuts out of the palette
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      closeCommandPalette();
+    } else if (e.key === 'ArrowDown' || (e.key === 'n' && e.ctrlKey)) {
+      e.preventDefault();
+      moveActive(1);
+    } else if (e.key === 'ArrowUp' || (e.key === 'p' && e.ctrlKey)) {
+      e.preventDefault();
+      moveActive(-1);
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      runResult(_activeIdx);
+    } else if (e.key === 'k' && (e.ctrlKey || e.metaKey)) {
+      e.preventDefault();
+      closeCommandPalette();
+    }
+  });
+  update();
+  input.focus();
+}
+
+/**
+ * Hide the palette and give focus back to where it was.
+ *
+ * @returns {void}
+ */
+export function closeCommandPalette() {
+  const el = document.getElementById('command-palette');
+  if (!el || !_open) return;
+  _open = false;
+  el.style.display = 'none';
+  el.innerHTML = '';
+  _results = [];
+  if (_restoreFocus && _restoreFocus.focus && document.contains(_restoreFocus)) _restoreFocus.focus();
+  _restoreFocus = null;
+}
+
+/**
+ * @returns {void}
+ */
+export function toggleCommandPalette() {
+  if (_open) closeCommandPalette();
+  else openCommandPalette();
+}
+
+function renderResults() {
+  const list = document.querySelector('#command-palette .cmdp-results');
+  if (!list) return;
+  if (_results.length === 0) {
+    list.innerHTML = '<div class="cmdp-empty">no matching commands</div>';
+    return;
+  }
+  list.innerHTML = _results
+    .map(
+      ({ command, indices }, i) =>
+        `<div class="cmdp-item${i === _activeIdx ? ' active' : ''}" role="option" data-idx="${i}">` +
+        `<span class="cmdp-group">${escapeHtml(command.group)}</span>` +
+        `<span class="cmdp-label">${highlight(command.label, indices)}</span>` +
+        (command.shortcut ? `<kbd class="cmdp-key">${escapeHtml(command.shortcut)}</kbd>` : '') +
+        '</div>',
+    )
+    .join('');
+  list.querySelectorAll('.cmdp-item').forEach((item) => {
+    item.onmousedown = (e) => e.preventDefault(); // keep focus in the input
+    item.onclick = () => runResult(Number(item.dataset.idx));
+  });
+}
+
+function moveActive(delta) {
+  if (_results.length === 0) return;
+  _activeIdx = (_activeIdx + delta + _results.length) % _results.length;
+  renderResults();
+  const active = document.querySelector('#command-palette .cmdp-item.active');
+  if (active) active.scrollIntoView({ block: 'nearest' });
+}
+
+function runResult(idx) {
+  const entry = _results[idx];
+  if (!entry) return;
+  localStorage.setItem(RECENT_KEY, JSON.stringify(pushRecent(loadRecent(), entry.command.id)));
+  closeCommandPalette();
+  entry.command.run();
+}
@@ -1,6 +1,9 @@
 // --- Context menu (right-click) --- extracted from main.js (bd-7t6nt)
 // Handles right-click context menu on nodes: status/priority changes,
-// claim, close, expand deps, show deps/blockers, copy ID.
+// claim, close, expand neighbours, show deps/blockers, pin position, copy ID.
+
+import { createChildBead, createBlockerBead, startLinkMode } from './bead-create.js';
+import { pinNode, unpinNode, unpinAll, pinCount } from './pins.js';
 
 // Dependency injection — set by main.js before use
 let _deps = {};
@@ -16,6 +19,7 @@ let _deps = {};
  * @param {Function} deps.hideTooltip     - () => void
  * @param {Function} deps.expandDepTree   - (node) => void
  * @param {Function} deps.highlightSubgraph - (node, direction) => void
+ * @param {Function} [deps.applyFilters]  - () => void, re-filters after a node's fields change
  */
 export function setContextMenuDeps(deps) {
   _deps = deps;
@@ -84,10 +88,27 @@ export function handleNodeRightClick(node, event) {
     <div class="ctx-item" data-action="claim">claim (assign to me)</div>
     <div class="ctx-item" data-action="close-bead">close</div>
     <div class="ctx-sep"></div>
-    <div class="ctx-item" data-action="expand-deps">expand dep tree<span class="ctx-key">e</span></div>
+    <div class="ctx-item" data-action="new-child">new child bead</div>
+    <div class="ctx-item" data-action="new-blocker">new blocker</div>
+    <div class="ctx-item ctx-submenu">link to…
+      <div class="ctx-submenu-panel">
+        <div class="ctx-sub-item" data-action="link-to" data-value="blocks">blocks…</div>
+        <div class="ctx-sub-item" data-action="link-to" data-value="blocked-by">blocked by…</div>
+        <div class="ctx-sub-item" data-action="link-to" data-value="relates-to">relates to…</div>
+      </div>
+    </div>
+    <div class="ctx-sep"></div>
+    <div class="ctx-item" data-action="expand-deps">expand neighbours<span class="ctx-key">e</span></div>
     <div class="ctx-item" data-action="show-deps">show dependencies<span class="ctx-key">d</span></div>
     <div class="ctx-item" data-action="show-blockers">show blockers<span class="ctx-key">b</span></div>
     <div class="ctx-sep"></div>
+    ${
+      node._pinned
+        ? '<div class="ctx-item" data-action="unpin">unpin position</div>'
+        : '<div class="ctx-item" data-action="pin">pin position</div>'
+    }
+    ${pinCount() > 0 ? `<div class="ctx-item" data-action="unpin-all">unpin all (${pinCount()})</div>` : ''}
+    <div class="ctx-sep"></div>
     <div class="ctx-item" data-action="copy-id">copy ID<span class="ctx-key">c</span></div>
     <div class="ctx-item" data-action="copy-show">copy bd show ${_deps.escapeHtml(node.id)}</div>
   `;
@@ -127,29 +148,42 @@ export function hideContextMenu() {
   ctxNode = null;
 }
 
-// Apply an optimistic update to a node: immediately update local data + visuals,
-// fire the API call, and revert on failure.
-async function optimisticUpdate(node, changes, apiCall) {
+/**
+ * Apply an optimistic update to a node: immediately update local data + visuals,
+ * fire the API call, and revert on failure.
+ *
+ * @param {Object}   node    - Graph node to mutate
+ * @param {Object}   changes - Field values to apply
+ * @param {Function} apiCall - () => Promise for the backend write
+ * @returns {Promise<{ok: boolean, result?: Object}>} ok=false after a rollback
+ */
+export async function optimisticUpdate(node, changes, apiCall) {
   // Snapshot current values for rollback
   const snapshot = {};
   for (const key of Object.keys(changes)) {
     snapshot[key] = node[key];
   }
 
-  // Apply changes immediately
+  // Apply changes immediately; the node's cached filter mask no longer holds
   Object.assign(node, changes);
+  delete node._filterMask;
+  _deps.applyFilters?.();
 
   // Force Three.js object rebuild for this node (picks up new color, size, status effects)
   const graph = _deps.getGraph();
   graph.nodeThreeObject(graph.nodeThreeObject());
 
   try {
-    await apiCall();
+    const result = await apiCall();
+    return { ok: true, result };
   } catch (err) {
     // Revert on failure
     Object.assign(node, snapshot);
+    delete node._filterMask;
+    _deps.applyFilters?.();
     graph.nodeThreeObject(graph.nodeThreeObject());
     showStatusToast(`error: ${err.message}`, true);
+    return { ok: false };
   }
 }
 
@@ -182,6 +216,18 @@ async function handleContextAction(action, node, el) {
       showStatusToast(`closed ${node.id}`);
       await optimisticUpdate(node, { status: 'closed' }, () => api.close(node.id));
       break;
+    case 'new-child':
+      hideContextMenu();
+      await createChildBead(node);
+      break;
+    case 'new-blocker':
+      hideContextMenu();
+      await createBlockerBead(node);
+      break;
+    case 'link-to':
+      hideContextMenu();
+      startLinkMode(node, el?.dataset.value || 'blocks');
+      break;
     case 'expand-deps':
       _deps.expandDepTree(node);
       hideContextMenu();
@@ -194,6 +240,21 @@ async function handleContextAction(action, node, el) {
       _deps.highlightSubgraph(node, 'upstream');
       hideContextMenu();
       break;
+    case 'pin':
+      pinNode(node);
+      hideContextMenu();
+      showStatusToast(`pinned ${node.id}`);
+      break;
+    case 'unpin':
+      unpinNode(node);
+      hideContextMenu();
+      showStatusToast(`unpinned ${node.id}`);
+      break;
+    case 'unpin-all':
+      unpinAll();
+      hideContextMenu();
+      showStatusToast('unpinned all nodes');
+      break;
     case 'copy-id':
       copyToClipboard(node.id);
       showCtxToast('copied!');
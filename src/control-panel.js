@@ -4,7 +4,18 @@
 import { Color } from 'three';
 import { createStarField } from './shaders.js';
 import { _vfxConfig, setVfxIntensity, applyVfxPreset } from './vfx.js';
+import { simForce, simForceParams, simReheat, simAlphaDecay } from './simulation.js';
 import { setLeftSidebarOpen } from './left-sidebar.js';
+import { setHeatMetric } from './heatmap.js';
+import {
+  KEYMAP_ACTIONS,
+  getKeymap,
+  formatCombo,
+  recordCombo,
+  setBinding,
+  resetKeymap,
+  onKeymapChange,
+} from './keymap.js';
 
 // Dependency injection — set by main.js before initControlPanel()
 let _deps = {};
@@ -20,11 +31,12 @@ let _deps = {};
  * @param {Function} deps.setAgentTetherStrength - (v: number) => void
  * @param {Function} deps.setMinimapVisible - (v: boolean) => void
  * @param {Function} deps.getDepTypeHidden - () => Set
- * @param {Function} deps.applyFilters    - () => void
+ * @param {Function} deps.applyFilters    - (changed?: string) => void
  * @param {Function} deps.refresh         - () => void
  * @param {Function} deps.toggleLabels    - () => void
  * @param {Function} deps.getLabelsVisible - () => boolean
  * @param {Function} deps.setLayout       - (mode: string) => void
+ * @param {Function} deps.setGanttLanes   - ('epic' | 'assignee') => void
  * @param {Object}   deps.api             - BeadsAPI instance (configGet, configSet)
  */
 export function setControlPanelDeps(deps) {
@@ -66,7 +78,6 @@ export function initControlPanel() {
 
   // Convenience accessors from injected deps
   const getGraph = () => _deps.getGraph?.();
-  const getGraphData = () => _deps.getGraphData?.();
   const getBloomPass = () => _deps.getBloomPass?.();
 
   // Toggle button
@@ -368,7 +379,7 @@ export function initControlPanel() {
           depTypeHidden.add(depType);
         }
       }
-      _deps.applyFilters?.();
+      _deps.applyFilters?.('depType');
     });
   }
 
@@ -389,76 +400,45 @@ export function initControlPanel() {
 
   // Layout controls (bd-a1odd)
   wireSlider('cp-force-strength', (v) => {
-    const graph = getGraph();
-    if (graph) {
-      graph.d3Force('charge')?.strength(-v);
-      graph.d3ReheatSimulation();
-    }
+    if (!getGraph()) return;
+    simForceParams('charge', { strength: -v });
+    simReheat();
   });
   wireSlider('cp-link-distance', (v) => {
-    const graph = getGraph();
-    if (graph) {
-      graph.d3Force('link')?.distance(v);
-      graph.d3ReheatSimulation();
-    }
+    if (!getGraph()) return;
+    simForceParams('link', { distance: v });
+    simReheat();
   });
   wireSlider('cp-center-force', (v) => {
-    const graph = getGraph();
-    if (graph) {
-      graph.d3Force('center')?.strength(v);
-      graph.d3ReheatSimulation();
-    }
+    if (!getGraph()) return;
+    simForceParams('center', { strength: v });
+    simReheat();
   });
   wireSlider('cp-collision-radius', (v) => {
-    const graph = getGraph();
-    if (graph) {
-      if (v > 0) {
-        graph.d3Force('collision', (alpha) => {
-          const graphData = getGraphData();
-          const nodes = graphData.nodes;
-          for (let i = 0; i < nodes.length; i++) {
-            for (let j = i + 1; j < nodes.length; j++) {
-              const a = nodes[i],
-                b = nodes[j];
-              if (a._hidden || b._hidden) continue;
-              const dx = (b.x || 0) - (a.x || 0),
-                dy = (b.y || 0) - (a.y || 0),
-                dz = (b.z || 0) - (a.z || 0);
-              const dist = Math.sqrt(dx * dx + dy * dy + dz * dz) || 1;
-              if (dist < v * 2) {
-                const f = ((v * 2 - dist) / dist) * alpha * 0.5;
-                a.vx -= dx * f;
-                a.vy -= dy * f;
-                a.vz -= dz * f;
-                b.vx += dx * f;
-                b.vy += dy * f;
-                b.vz += dz * f;
-              }
-            }
-          }
-        });
-      } else {
-        graph.d3Force('collision', null);
-      }
-      graph.d3ReheatSimulation();
-    }
+    if (!getGraph()) return;
+    simForce('collision', v > 0 ? { type: 'collide', radius: v } : null);
+    simReheat();
   });
   wireSlider('cp-alpha-decay', (v) => {
-    const graph = getGraph();
-    if (graph) graph.d3AlphaDecay(v);
+    if (getGraph()) simAlphaDecay(v);
   });
   // Agent tether: slider controls pull strength (bd-uzj5j)
   wireSlider('cp-agent-tether', (v) => {
     _deps.setAgentTetherStrength?.(v);
-    const graph = getGraph();
-    if (graph && v > 0) graph.d3ReheatSimulation();
+    if (getGraph() && v > 0) simReheat();
   });
   // Layout mode dropdown (bd-a1odd)
   {
     const sel = document.getElementById('cp-layout-mode');
     if (sel) sel.addEventListener('change', () => _deps.setLayout?.(sel.value));
+    const lanes = document.getElementById('cp-gantt-lanes');
+    if (lanes) lanes.addEventListener('change', () => _deps.setGanttLanes?.(lanes.value));
   }
 
+  // Agent heatmap metric — recolors bead halos (heatmap.js)
+  const heatSel = document.getElementById('cp-heat-metric');
+  if (heatSel) heatSel.addEventListener('change', () => setHeatMetric(heatSel.value));
+
   // Animation controls
   wireSlider('cp-fly-speed', (v) => {
     window.__beads3d_flySpeed = v;
@@ -945,6 +925,8 @@ export function initControlPanel() {
       /* ignore invalid fragment */
     }
   }
+  initKeymapSection();
+
   // --- Config bead persistence (bd-ljy5v) ---
   // Load saved settings from daemon on startup, save changes back with debounce.
   const CONFIG_KEY = 'beads3d-control-panel-settings';
@@ -985,3 +967,72 @@ export function initControlPanel() {
       // Config bead not available — silently fall back to defaults
     });
 }
+
+// --- Keyboard shortcuts: view and rebind the keymap ---
+// Click a binding, then press the new combo. Escape cancels, Backspace/Delete unbinds.
+function initKeymapSection() {
+  const list = document.getElementById('cp-keymap-list');
+  const note = document.getElementById('cp-keymap-note');
+  const resetBtn = document.getElementById('cp-keymap-reset');
+  if (!list) return;
+
+  let capture = null; // { btn, onKey } while waiting for a key press
+
+  const stopCapture = () => {
+    if (!capture) return;
+    window.removeEventListener('keydown', capture.onKey, true);
+    capture.btn.classList.remove('capturing');
+    capture = null;
+  };
+
+  const render = () => {
+    stopCapture();
+    const keymap = getKeymap();
+    list.innerHTML = KEYMAP_ACTIONS.map(
+      (a) =>
+        `<div class="cp-row"><span class="cp-label">${a.label}</span>` +
+        `<button class="cp-key-btn" data-action="${a.id}">${formatCombo(keymap[a.id]) || '—'}</button></div>`,
+    ).join('');
+    list.querySelectorAll('.cp-key-btn').forEach((btn) => {
+      btn.onclick = () => startCapture(btn);
+      btn.onblur = () => {
+        if (capture?.btn === btn) render();
+      };
+    });
+  };
+
+  const startCapture = (btn) => {
+    stopCapture();
+    btn.textContent = 'press keys…';
+    btn.classList.add('capturing');
+    const onKey = async (e) => {
+      const combo = recordCombo(e);
+      if (!combo) return; // bare modifier — wait for the rest of the combo
+      e.preventDefault();
+      e.stopPropagation();
+      stopCapture();
+      if (e.key === 'Escape') {
+        render();
+        return;
+      }
+      const actionId = btn.dataset.action;
+      const unbind = e.key === 'Backspace' || e.key === 'Delete';
+      const displaced = await setBinding(actionId, unbind ? '' : combo);
+      if (note) {
+        const taken = KEYMAP_ACTIONS.find((a) => a.id === displaced);
+        note.textContent = taken ? `${formatCombo(combo)} was unbound from "${taken.label}"` : '';
+      }
+    };
+    capture = { btn, onKey };
+    window.addEventListener('keydown', onKey, true);
+  };
+
+  if (resetBtn)
+    resetBtn.onclick = () => {
+      if (note) note.textContent = '';
+      resetKeymap();
+    };
+
+  onKeymapChange(render);
+  render();
+}
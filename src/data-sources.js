@@ -0,0 +1,690 @@
+// Data sources — pluggable backends behind BeadsAPI.
+// BeadsAPI owns cross-cutting behaviour (defaults, read-only guard, SSE reconnection);
+// a data source only knows how to talk to one kind of tracker.
+
+/**
+ * Backend contract used by BeadsAPI. Every method returns a Promise of the
+ * backend's response in the bd-daemon/kbeads shape the UI already understands.
+ *
+ * Live events come from one of two hooks:
+ * - `eventsUrl()` / `busEventsUrl(streams)` — SSE endpoints, reconnected by BeadsAPI
+ * - `subscribe(channel, onEvent)` — push sources ('mutations' | 'bus'); returns an unsubscribe fn
+ *
+ * @typedef {Object} DataSource
+ * @property {string} mode - Short name ('rpc', 'rest', 'memory', ...)
+ * @property {() => Promise<Object>} ping
+ * @property {(opts: Object) => Promise<{nodes: Object[], edges: Object[], stats: Object}>} graph
+ * @property {(opts: Object) => Promise<Object>} list
+ * @property {(id: string) => Promise<Object>} show
+ * @property {() => Promise<Object>} stats
+ * @property {() => Promise<Object>} ready
+ * @property {() => Promise<Object>} blocked
+ * @property {(id: string, maxDepth: number) => Promise<Object>} depTree
+ * @property {() => Promise<Object>} epicOverview
+ * @property {(id: string, fields: Object) => Promise<Object>} update
+ * @property {(id: string) => Promise<Object>} close
+ * @property {(fields: Object) => Promise<Object>} create
+ * @property {(issueId: string, dependsOnId: string, type: string) => Promise<Object>} addDependency
+ * @property {(issueId: string, dependsOnId: string, type: string) => Promise<Object>} removeDependency
+ * @property {(toAgent: string, subject: string, body: string) => Promise<Object>} sendMail
+ * @property {(issueId: string) => Promise<Object>} decisionGet
+ * @property {(opts: Object) => Promise<Object>} decisionList
+ * @property {(since: string, requestedBy?: string) => Promise<Object>} decisionListRecent
+ * @property {(issueId: string, selectedOption: string, responseText: string, respondedBy: string) => Promise<Object>} decisionResolve
+ * @property {(issueId: string, reason: string, canceledBy: string) => Promise<Object>} decisionCancel
+ * @property {(issueId: string, force: boolean) => Promise<Object>} decisionRemind
+ * @property {() => Promise<Object>} configList
+ * @property {(key: string) => Promise<Object>} configGet
+ * @property {(key: string, value: string) => Promise<Object>} configSet
+ * @property {(key: string) => Promise<Object>} configUnset
+ * @property {() => string} [eventsUrl]
+ * @property {(streams: string) => string} [busEventsUrl]
+ * @property {(channel: string, onEvent: Function) => Function} [subscribe]
+ */
+
+// ────────── Transports ──────────
+
+/**
+ * Make a Connect-RPC JSON call to the beads daemon.
+ * @param {string} baseUrl - API base URL
+ * @param {string} method - The RPC method name (e.g. 'List', 'Show')
+ * @param {Object} [body={}] - The request body to send as JSON
+ * @returns {Promise<Object>} The parsed JSON response
+ * @throws {Error} If the HTTP response is not ok
+ */
+export async function rpcCall(baseUrl, method, body = {}) {
+  const headers = {
+    'Content-Type': 'application/json',
+    'Connect-Protocol-Version': '1',
+  };
+
+  const resp = await fetch(`${baseUrl}/bd.v1.BeadsService/${method}`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify(body),
+  });
+
+  if (!resp.ok) {
+    const text = await resp.text().catch(() => '');
+    throw new Error(`RPC ${method}: ${resp.status} ${text.slice(0, 100)}`);
+  }
+
+  return resp.json();
+}
+
+/**
+ * Make a REST call to the kbeads API.
+ * @param {string} baseUrl - API base URL
+ * @param {string} method - HTTP method (GET, POST, PATCH, DELETE)
+ * @param {string} path - URL path relative to baseUrl (e.g. '/v1/beads')
+ * @param {Object} [body] - Optional JSON body for POST/PATCH/PUT
+ * @returns {Promise<Object>} The parsed JSON response
+ * @throws {Error} If the HTTP response is not ok
+ */
+export async function restCall(baseUrl, method, path, body) {
+  const opts = { method, headers: {} };
+  if (body !== undefined) {
+    opts.headers['Content-Type'] = 'application/json';
+    opts.body = JSON.stringify(body);
+  }
+
+  const resp = await fetch(`${baseUrl}${path}`, opts);
+
+  if (!resp.ok) {
+    const text = await resp.text().catch(() => '');
+    throw new Error(`REST ${method} ${path}: ${resp.status} ${text.slice(0, 100)}`);
+  }
+
+  return resp.json();
+}
+
+// ────────── bd-daemon (Connect-RPC) ──────────
+
+/**
+ * bd-daemon backend: POST /api/bd.v1.BeadsService/<Method>.
+ * @implements {DataSource}
+ */
+export class RpcDataSource {
+  /** @param {string} baseUrl */
+  constructor(baseUrl) {
+    this.baseUrl = baseUrl;
+    this.mode = 'rpc';
+  }
+
+  _call(method, body) {
+    return rpcCall(this.baseUrl, method, body);
+  }
+
+  ping() {
+    return this._call('Ping', {});
+  }
+  graph(opts) {
+    return this._call('Graph', opts);
+  }
+  list(opts) {
+    return this._call('List', { limit: 500, exclude_status: ['tombstone'], ...opts });
+  }
+  show(id) {
+    return this._call('Show', { id });
+  }
+  stats() {
+    return this._call('Stats', {});
+  }
+  ready() {
+    return this._call('Ready', { limit: 200 });
+  }
+  blocked() {
+    return this._call('Blocked', {});
+  }
+  depTree(id, maxDepth) {
+    return this._call('DepTree', { id, max_depth: maxDepth });
+  }
+  epicOverview() {
+    return this._call('EpicOverview', {});
+  }
+
+  update(id, fields) {
+    return this._call('Update', { id, ...fields });
+  }
+  close(id) {
+    return this._call('Close', { id });
+  }
+  create(fields) {
+    return this._call('Create', fields);
+  }
+  addDependency(issueId, dependsOnId, type) {
+    return this._call('AddDependency', { issue_id: issueId, depends_on_id: dependsOnId, type });
+  }
+  removeDependency(issueId, dependsOnId, type) {
+    return this._call('RemoveDependency', { issue_id: issueId, depends_on_id: dependsOnId, type });
+  }
+  sendMail(toAgent, subject, body) {
+    return this._call('Create', {
+      title: subject,
+      description: body,
+      issue_type: 'message',
+      assignee: toAgent,
+      sender: 'beads3d',
+      priority: 2,
+    });
+  }
+
+  decisionGet(issueId) {
+    return this._call('DecisionGet', { issue_id: issueId });
+  }
+  decisionList(opts) {
+    return this._call('DecisionList', opts);
+  }
+  decisionListRecent(since, requestedBy) {
+    const args = { since };
+    if (requestedBy) args.requested_by = requestedBy;
+    return this._call('DecisionListRecent', args);
+  }
+  decisionResolve(issueId, selectedOption, responseText, respondedBy) {
+    return this._call('DecisionResolve', {
+      issue_id: issueId,
+      selected_option: selectedOption,
+      response_text: responseText,
+      responded_by: respondedBy,
+    });
+  }
+  decisionCancel(issueId, reason, canceledBy) {
+    return this._call('DecisionCancel', {
+      issue_id: issueId,
+      reason,
+      canceled_by: canceledBy,
+    });
+  }
+  decisionRemind(issueId, force) {
+    return this._call('DecisionRemind', { issue_id: issueId, force });
+  }
+
+  configList() {
+    return this._call('ConfigList', {});
+  }
+  configGet(key) {
+    return this._call('GetConfig', { key });
+  }
+  configSet(key, value) {
+    return this._call('ConfigSet', { key, value });
+  }
+  configUnset(key) {
+    return this._call('ConfigUnset', { key });
+  }
+
+  eventsUrl() {
+    return `${this.baseUrl}/events`;
+  }
+  busEventsUrl(streams) {
+    return `${this.baseUrl}/bus/events?stream=${encodeURIComponent(streams)}`;
+  }
+}
+
+// ────────── kbeads (REST) ──────────
+
+/**
+ * kbeads backend: GET/POST/PATCH /api/v1/...
+ * @implements {DataSource}
+ */
+export class RestDataSource {
+  /** @param {string} baseUrl */
+  constructor(baseUrl) {
+    this.baseUrl = baseUrl;
+    this.mode = 'rest';
+  }
+
+  _call(method, path, body) {
+    return restCall(this.baseUrl, method, path, body);
+  }
+
+  ping() {
+    return this._call('GET', '/v1/health');
+  }
+  graph(opts) {
+    return this._call('POST', '/v1/graph', opts);
+  }
+  list(opts) {
+    const params = new URLSearchParams();
+    const merged = { limit: 500, ...opts };
+    if (merged.limit) params.set('limit', String(merged.limit));
+    if (merged.status) {
+      for (const s of [].concat(merged.status)) params.append('status', s);
+    }
+    if (merged.type) params.set('type', merged.type);
+    if (merged.assignee) params.set('assignee', merged.assignee);
+    if (merged.search) params.set('search', merged.search);
+    const qs = params.toString();
+    return this._call('GET', `/v1/beads${qs ? '?' + qs : ''}`);
+  }
+  show(id) {
+    return this._call('GET', `/v1/beads/${id}`);
+  }
+  stats() {
+    return this._call('GET', '/v1/stats');
+  }
+  ready() {
+    return this._call('GET', '/v1/ready?limit=200');
+  }
+  blocked() {
+    return this._call('GET', '/v1/blocked');
+  }
+  depTree(id, maxDepth) {
+    return this._call('GET', `/v1/beads/${id}/dependencies?max_depth=${maxDepth}`);
+  }
+  epicOverview() {
+    return this._call('GET', '/v1/beads?type=epic&limit=500');
+  }
+
+  update(id, fields) {
+    return this._call('PATCH', `/v1/beads/${id}`, fields);
+  }
+  close(id) {
+    return this._call('POST', `/v1/beads/${id}/close`);
+  }
+  create(fields) {
+    // kbeads names the type field `type`
+    const { issue_type, ...rest } = fields;
+    return this._call('POST', '/v1/beads', { ...rest, type: issue_type, created_by: 'beads3d' });
+  }
+  addDependency(issueId, dependsOnId, type) {
+    return this._call('POST', `/v1/beads/${issueId}/dependencies`, { depends_on_id: dependsOnId, type });
+  }
+  removeDependency(issueId, dependsOnId, type) {
+    const qs = new URLSearchParams({ type });
+    return this._call('DELETE', `/v1/beads/${issueId}/dependencies/${dependsOnId}?${qs}`);
+  }
+  sendMail(toAgent, subject, body) {
+    return this._call('POST', '/v1/beads', {
+      title: subject,
+      description: body,
+      type: 'message',
+      assignee: toAgent,
+      created_by: 'beads3d',
+      priority: 2,
+    });
+  }
+
+  decisionGet(issueId) {
+    return this._call('GET', `/v1/decisions/${issueId}`);
+  }
+  decisionList(opts) {
+    const params = new URLSearchParams();
+    if (opts.status) params.set('status', opts.status);
+    const qs = params.toString();
+    return this._call('GET', `/v1/decisions${qs ? '?' + qs : ''}`);
+  }
+  decisionListRecent(since, requestedBy) {
+    const params = new URLSearchParams({ since });
+    if (requestedBy) params.set('requested_by', requestedBy);
+    return this._call('GET', `/v1/decisions?${params.toString()}`);
+  }
+  decisionResolve(issueId, selectedOption, responseText, respondedBy) {
+    return this._call('POST', `/v1/decisions/${issueId}/resolve`, {
+      selected_option: selectedOption,
+      response_text: responseText,
+      responded_by: respondedBy,
+    });
+  }
+  decisionCancel(issueId, reason, canceledBy) {
+    return this._call('POST', `/v1/decisions/${issueId}/cancel`, {
+      reason,
+      canceled_by: canceledBy,
+    });
+  }
+  decisionRemind(issueId, force) {
+    // No kbeads REST equivalent — RPC-only for now
+    return rpcCall(this.baseUrl, 'DecisionRemind', { issue_id: issueId, force });
+  }
+
+  configList() {
+    return this._call('GET', '/v1/configs');
+  }
+  configGet(key) {
+    return this._call('GET', `/v1/configs/${key}`);
+  }
+  configSet(key, value) {
+    return this._call('PUT', `/v1/configs/${key}`, { value });
+  }
+  configUnset(key) {
+    return this._call('DELETE', `/v1/configs/${key}`);
+  }
+
+  eventsUrl() {
+    return `${this.baseUrl}/v1/events/stream`;
+  }
+  busEventsUrl(streams) {
+    return `${this.baseUrl}/v1/bus/events?stream=${encodeURIComponent(streams)}`;
+  }
+}
+
+// ────────── Static file / in-memory ──────────
+
+/**
+ * In-memory backend. Seed it with data directly, or give it the URL of a static
+ * JSON file ({ nodes|issues, edges|links, decisions?, config? } — an
+ * exportGraphJSON() file works) that is fetched on first use.
+ * Writes mutate the in-memory copy and are pushed to 'mutations' subscribers
+ * in the same shape the SSE stream uses, so the UI updates live.
+ * @implements {DataSource}
+ */
+export class MemoryDataSource {
+  /**
+   * @param {Object} [opts={}]
+   * @param {Object} [opts.data] - Seed data
+   * @param {string} [opts.url] - Static JSON file to load when no data is given
+   */
+  constructor(opts = {}) {
+    this.mode = 'memory';
+    this._url = opts.url || null;
+    this._beads = new Map();
+    this._edges = [];
+    this._decisions = new Map();
+    this._config = new Map();
+    this._listeners = { mutations: new Set(), bus: new Set() };
+    this._nextId = 1;
+    this._loaded = opts.data ? Promise.resolve(this._ingest(opts.data)) : null;
+  }
+
+  _ingest(raw) {
+    for (const b of raw.nodes || raw.issues || []) {
+      if (b && b.id) this._beads.set(b.id, { ...b });
+    }
+    for (const e of raw.edges || raw.links || []) {
+      const source = typeof e.source === 'object' ? e.source.id : e.source;
+      const target = typeof e.target === 'object' ? e.target.id : e.target;
+      this._edges.push({ source, target, type: e.type || e.dep_type || 'blocks' });
+    }
+    for (const d of raw.decisions || []) {
+      if (d && d.issue_id) this._decisions.set(d.issue_id, { ...d });
+    }
+    for (const [k, v] of Object.entries(raw.config || {})) this._config.set(k, v);
+  }
+
+  async _ready() {
+    if (!this._loaded) {
+      this._loaded = (async () => {
+        if (!this._url) return;
+        const resp = await fetch(this._url);
+        if (!resp.ok) throw new Error(`static ${this._url}: ${resp.status}`);
+        this._ingest(await resp.json());
+      })();
+    }
+    return this._loaded;
+  }
+
+  _emit(channel, evt) {
+    for (const fn of this._listeners[channel] || []) fn(evt);
+  }
+
+  _get(id) {
+    const bead = this._beads.get(id);
+    if (!bead) throw new Error(`not found: ${id}`);
+    return bead;
+  }
+
+  // Open blockers, derived from blocks edges (blocker → blocked)
+  _blockedBy(id) {
+    const out = [];
+    for (const e of this._edges) {
+      if (e.type !== 'blocks' || e.target !== id) continue;
+      const blocker = this._beads.get(e.source);
+      if (!blocker || blocker.status !== 'closed') out.push(e.source);
+    }
+    return out;
+  }
+
+  _withDeps(bead) {
+    return { ...bead, blocked_by: bead.blocked_by || this._blockedBy(bead.id) };
+  }
+
+  _matches(bead, opts) {
+    if (opts.ids && !opts.ids.includes(bead.id)) return false;
+    const status = opts.status ? [].concat(opts.status) : null;
+    if (status && !status.includes(bead.status)) return false;
+    if (opts.exclude_status && [].concat(opts.exclude_status).includes(bead.status)) return false;
+    if (opts.exclude_types && opts.exclude_types.includes(bead.issue_type)) return false;
+    if (opts.type && bead.issue_type !== opts.type) return false;
+    if (opts.assignee && bead.assignee !== opts.assignee) return false;
+    if (opts.closed_after || opts.closed_before) {
+      const closed = Date.parse(bead.closed_at || bead.updated_at || '');
+      if (opts.closed_after && !(closed >= Date.parse(opts.closed_after))) return false;
+      if (opts.closed_before && !(closed < Date.parse(opts.closed_before))) return false;
+    }
+    if (opts.search) {
+      const q = opts.search.toLowerCase();
+      if (!`${bead.id} ${bead.title || ''}`.toLowerCase().includes(q)) return false;
+    }
+    return true;
+  }
+
+  _stats() {
+    let open = 0;
+    let active = 0;
+    let blocked = 0;
+    for (const b of this._beads.values()) {
+      if (b.status === 'closed') continue;
+      if (b.status === 'in_progress') active++;
+      else open++;
+      if (this._blockedBy(b.id).length > 0) blocked++;
+    }
+    return { total_open: open, total_in_progress: active, total_blocked: blocked };
+  }
+
+  async ping() {
+    await this._ready();
+    return { status: 'ok', mode: this.mode };
+  }
+
+  // Paged like the server: order_by 'updated_at' puts the most recently updated first,
+  // offset skips that many matches
+  async graph(opts = {}) {
+    await this._ready();
+    const matches = [...this._beads.values()].filter((b) => this._matches(b, opts));
+    if (opts.order_by === 'updated_at') {
+      matches.sort((a, b) => String(b.updated_at || '').localeCompare(String(a.updated_at || '')));
+    }
+    const offset = opts.offset || 0;
+    const nodes = matches.slice(offset, offset + (opts.limit || Infinity)).map((b) => this._withDeps(b));
+    const ids = new Set(nodes.map((n) => n.id));
+    const edges = opts.include_deps === false ? [] : this._edges.filter((e) => ids.has(e.source) || ids.has(e.target));
+    return { nodes, edges: edges.map((e) => ({ ...e })), stats: this._stats() };
+  }
+
+  async list(opts = {}) {
+    await this._ready();
+    return [...this._beads.values()]
+      .filter((b) => this._matches(b, opts))
+      .slice(0, opts.limit || 500)
+      .map((b) => this._withDeps(b));
+  }
+
+  async show(id) {
+    await this._ready();
+    return this._withDeps(this._get(id));
+  }
+
+  async stats() {
+    await this._ready();
+    return this._stats();
+  }
+
+  async ready() {
+    await this._ready();
+    return [...this._beads.values()]
+      .filter((b) => b.status === 'open' && this._blockedBy(b.id).length === 0)
+      .slice(0, 200)
+      .map((b) => this._withDeps(b));
+  }
+
+  async blocked() {
+    await this._ready();
+    return [...this._beads.values()]
+      .filter((b) => b.status !== 'closed' && this._blockedBy(b.id).length > 0)
+      .map((b) => this._withDeps(b));
+  }
+
+  async depTree(id, maxDepth) {
+    await this._ready();
+    const walk = (nodeId, depth, seen) => {
+      const deps = [];
+      if (depth < maxDepth) {
+        for (const blockerId of this._blockedBy(nodeId)) {
+          if (seen.has(blockerId) || !this._beads.has(blockerId)) continue;
+          seen.add(blockerId);
+          deps.push(walk(blockerId, depth + 1, seen));
+        }
+      }
+      return { ...this._beads.get(nodeId), dependencies: deps };
+    };
+    this._get(id);
+    return walk(id, 0, new Set([id]));
+  }
+
+  async epicOverview() {
+    await this._ready();
+    return [...this._beads.values()].filter((b) => b.issue_type === 'epic').map((b) => this._withDeps(b));
+  }
+
+  async update(id, fields) {
+    await this._ready();
+    const bead = this._get(id);
+    const oldStatus = bead.status;
+    Object.assign(bead, fields, { updated_at: new Date().toISOString() });
+    if (fields.status && fields.status !== oldStatus) {
+      this._emit('mutations', { type: 'status', issue_id: id, old_status: oldStatus, new_status: fields.status });
+    } else {
+      this._emit('mutations', { type: 'update', issue_id: id, ...fields });
+    }
+    return this._withDeps(bead);
+  }
+
+  async close(id) {
+    return this.update(id, { status: 'closed', closed_at: new Date().toISOString() });
+  }
+
+  async create(fields) {
+    await this._ready();
+    const id = `mem-${this._nextId++}`;
+    const now = new Date().toISOString();
+    const bead = { status: 'open', issue_type: 'task', priority: 2, ...fields, id, created_at: now, updated_at: now };
+    this._beads.set(id, bead);
+    this._emit('mutations', { type: 'create', issue_id: id, title: bead.title });
+    return { ...bead };
+  }
+
+  // Edges run dependency → dependent (blocker → blocked, parent → child), as the Graph API returns them
+  async addDependency(issueId, dependsOnId, type) {
+    await this._ready();
+    this._get(issueId);
+    this._get(dependsOnId);
+    const exists = this._edges.some((e) => e.source === dependsOnId && e.target === issueId && e.type === type);
+    if (!exists) this._edges.push({ source: dependsOnId, target: issueId, type });
+    this._emit('mutations', { type: 'dependency', issue_id: issueId, depends_on_id: dependsOnId, dep_type: type });
+    return {};
+  }
+
+  async removeDependency(issueId, dependsOnId, type) {
+    await this._ready();
+    this._edges = this._edges.filter((e) => !(e.source === dependsOnId && e.target === issueId && e.type === type));
+    this._emit('mutations', { type: 'dependency', issue_id: issueId, depends_on_id: dependsOnId, dep_type: type });
+    return {};
+  }
+
+  async sendMail(toAgent, subject, body) {
+    return this.create({ title: subject, description: body, issue_type: 'message', assignee: toAgent });
+  }
+
+  async decisionGet(issueId) {
+    await this._ready();
+    return { decision: this._decisions.get(issueId) || {}, issue: this._beads.get(issueId) || {} };
+  }
+
+  async decisionList(opts = {}) {
+    await this._ready();
+    let decisions = [...this._decisions.values()];
+    if (opts.status === 'pending') decisions = decisions.filter((d) => !d.selected_option && !d.canceled);
+    return { decisions };
+  }
+
+  async decisionListRecent(since, requestedBy) {
+    await this._ready();
+    const sinceMs = new Date(since).getTime() || 0;
+    const decisions = [...this._decisions.values()].filter(
+      (d) => new Date(d.created_at || 0).getTime() >= sinceMs && (!requestedBy || d.requested_by === requestedBy),
+    );
+    return { decisions };
+  }
+
+  async decisionResolve(issueId, selectedOption, responseText, respondedBy) {
+    await this._ready();
+    const decision = this._decisions.get(issueId) || { issue_id: issueId };
+    Object.assign(decision, {
+      selected_option: selectedOption,
+      response_text: responseText,
+      responded_by: respondedBy,
+      responded_at: new Date().toISOString(),
+    });
+    this._decisions.set(issueId, decision);
+    return { decision: { ...decision } };
+  }
+
+  async decisionCancel(issueId, reason, canceledBy) {
+    await this._ready();
+    const decision = this._decisions.get(issueId) || { issue_id: issueId };
+    Object.assign(decision, { canceled: true, cancel_reason: reason, canceled_by: canceledBy });
+    this._decisions.set(issueId, decision);
+    return { decision: { ...decision } };
+  }
+
+  async decisionRemind() {
+    await this._ready();
+    return {};
+  }
+
+  async configList() {
+    await this._ready();
+    return { config: Object.fromEntries(this._config) };
+  }
+
+  async configGet(key) {
+    await this._ready();
+    if (!this._config.has(key)) throw new Error(`config not found: ${key}`);
+    return { key, value: this._config.get(key) };
+  }
+
+  async configSet(key, value) {
+    await this._ready();
+    this._config.set(key, value);
+    return { key, value };
+  }
+
+  async configUnset(key) {
+    await this._ready();
+    this._config.delete(key);
+    return {};
+  }
+
+  /**
+   * @param {'mutations'|'bus'} channel
+   * @param {Function} onEvent
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(channel, onEvent) {
+    const set = this._listeners[channel];
+    if (!set) return () => {};
+    set.add(onEvent);
+    return () => set.delete(onEvent);
+  }
+}
+
+/**
+ * Build the data source for a ?mode= value.
+ * @param {string} mode - 'rpc', 'rest', or 'static' (baseUrl is then a JSON file URL)
+ * @param {string} baseUrl
+ * @returns {DataSource}
+ */
+export function createDataSource(mode, baseUrl) {
+  if (mode === 'rpc') return new RpcDataSource(baseUrl);
+  if (mode === 'static' || mode === 'memory') return new MemoryDataSource({ url: baseUrl });
+  return new RestDataSource(baseUrl);
+}
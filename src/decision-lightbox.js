@@ -71,13 +71,7 @@ export function initDecisionLightbox() {
     }
   });
 
-  // Global 'd' shortcut (when not in input)
-  document.addEventListener('keydown', (e) => {
-    if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA' || e.target.isContentEditable) return;
-    if (e.key === 'd' && !e.ctrlKey && !e.metaKey && !e.altKey) {
-      toggleDecisionLightbox();
-    }
-  });
+  // The global shortcut ('d' by default) is in the keymap — see keymap.js
 
   // Drag support on header
   if (header) {
@@ -2,13 +2,16 @@
 // Extracted from main.js to reduce monolith size.
 
 import { rigColor } from './colors.js';
+import { renderMarkdown } from './markdown.js';
 
 // Callbacks set by main.js to avoid circular imports
 let _api = null;
 let _showAgentWindow = null;
 let _openAgentTab = null; // bd-bwi52: open tabbed agents view for a node
 let _showStatusToast = null;
+let _optimisticUpdate = null;
 let _getGraph = null;
+let _focusNode = null;
 
 /**
  * Map of currently open detail panels, keyed by bead ID.
@@ -17,6 +20,26 @@ let _getGraph = null;
  */
 const openPanels = new Map(); // beadId → panel element
 
+/**
+ * Last server copy of each open bead — the baseline for edit conflict checks.
+ *
+ * @type {Map<string, Object>}
+ */
+const editBase = new Map(); // beadId → issue as last loaded/saved
+
+/** Fields that can be edited in place, and the editor each one uses. */
+const EDITABLE_FIELDS = {
+  title: 'line',
+  description: 'text',
+  notes: 'text',
+  acceptance_criteria: 'text',
+  labels: 'labels',
+  assignee: 'line',
+  priority: 'priority',
+};
+
+const PRIORITY_LABELS = ['P0 CRIT', 'P1 HIGH', 'P2 MED', 'P3 LOW', 'P4 BACKLOG'];
+
 /**
  * Inject dependencies from main.js.
  *
@@ -25,15 +48,27 @@ const openPanels = new Map(); // beadId → panel element
  * @param {Function} deps.showAgentWindow  - (node) => void
  * @param {Function} deps.openAgentTab     - (node) => void
  * @param {Function} deps.showStatusToast  - (msg, isError?) => void
+ * @param {Function} deps.optimisticUpdate - (node, changes, apiCall) => Promise<{ok, result}>
  * @param {Function} deps.getGraph         - () => ForceGraph3D instance
+ * @param {Function} deps.focusNode        - (node) => void, select and fly to a bead
  * @returns {void}
  */
-export function setDetailDeps({ api, showAgentWindow, openAgentTab, showStatusToast, getGraph }) {
+export function setDetailDeps({
+  api,
+  showAgentWindow,
+  openAgentTab,
+  showStatusToast,
+  optimisticUpdate,
+  getGraph,
+  focusNode,
+}) {
   _api = api;
   _showAgentWindow = showAgentWindow;
   _openAgentTab = openAgentTab;
   _showStatusToast = showStatusToast;
+  _optimisticUpdate = optimisticUpdate;
   _getGraph = getGraph;
+  _focusNode = focusNode;
 }
 
 export { openPanels };
@@ -73,26 +108,8 @@ export async function showDetail(node) {
   openPanels.set(node.id, panel);
   repositionPanels();
 
-  const pLabel = ['P0 CRIT', 'P1 HIGH', 'P2 MED', 'P3 LOW', 'P4 BACKLOG'][node.priority] || '';
-
   // Show basic info immediately
-  panel.innerHTML = `
-    <div class="detail-header">
-      <span class="detail-id">${escapeHtml(node.id)}</span>
-      <button class="detail-close">&times;</button>
-    </div>
-    <div class="detail-title">${escapeHtml(node.title || node.id)}</div>
-    <div class="detail-meta">
-      <span class="tag tag-${node.status}">${node.status}</span>
-      <span class="tag">${node.issue_type || 'task'}</span>
-      <span class="tag">${pLabel}</span>
-      ${node.assignee ? `<span class="tag tag-assignee">${escapeHtml(node.assignee)}</span>` : ''}
-      ${node.rig ? `<span class="tag" style="color:${rigColor(node.rig)};border-color:${rigColor(node.rig)}33">${escapeHtml(node.rig)}</span>` : ''}
-      ${node._blocked ? '<span class="tag tag-blocked">BLOCKED</span>' : ''}
-      ${node._jackExpired ? '<span class="tag tag-blocked">EXPIRED</span>' : ''}
-    </div>
-    <div class="detail-body loading">loading full details...</div>
-  `;
+  panel.innerHTML = `${renderDetailHeader(node, false)}<div class="detail-body loading">loading full details...</div>`;
 
   // Close button handler
   panel.querySelector('.detail-close').onclick = () => closeDetailPanel(node.id);
@@ -122,11 +139,7 @@ export async function showDetail(node) {
       // Fall back to regular detail
       try {
         const full = await _api.show(node.id);
-        const body = panel.querySelector('.detail-body');
-        if (body) {
-          body.classList.remove('loading');
-          body.innerHTML = renderFullDetail(full);
-        }
+        if (panel.isConnected) showFullDetail(panel, node, full);
       } catch (err2) {
         const body = panel.querySelector('.detail-body');
         if (body) {
@@ -141,11 +154,7 @@ export async function showDetail(node) {
   // Regular nodes
   try {
     const full = await _api.show(node.id);
-    const body = panel.querySelector('.detail-body');
-    if (body) {
-      body.classList.remove('loading');
-      body.innerHTML = renderFullDetail(full);
-    }
+    if (panel.isConnected) showFullDetail(panel, node, full);
   } catch (err) {
     const body = panel.querySelector('.detail-body');
     if (body) {
@@ -166,6 +175,7 @@ export function closeDetailPanel(beadId) {
   if (!panel) return;
   panel.classList.remove('open');
   openPanels.delete(beadId);
+  editBase.delete(beadId);
   setTimeout(() => {
     panel.remove();
     repositionPanels();
@@ -186,23 +196,60 @@ function repositionPanels() {
   }
 }
 
+// Header: id, close button, title and meta tags. Title, priority and assignee
+// become click-to-edit once the full bead has loaded.
+function renderDetailHeader(node, editable) {
+  const ed = (field) => (editable ? ` detail-editable" data-field="${field}` : '');
+  const pLabel = PRIORITY_LABELS[node.priority] || '';
+  const assignee = node.assignee
+    ? `<span class="tag tag-assignee${ed('assignee')}">${escapeHtml(node.assignee)}</span>`
+    : editable
+      ? `<span class="tag detail-empty-field${ed('assignee')}">unassigned</span>`
+      : '';
+  return `
+    <div class="detail-header">
+      <span class="detail-id">${escapeHtml(node.id)}</span>
+      <button class="detail-close">&times;</button>
+    </div>
+    <div class="detail-title${ed('title')}">${escapeHtml(node.title || node.id)}</div>
+    <div class="detail-meta">
+      <span class="tag tag-${node.status}">${node.status}</span>
+      <span class="tag">${node.issue_type || 'task'}</span>
+      <span class="tag${ed('priority')}">${pLabel}</span>
+      ${assignee}
+      ${node.rig ? `<span class="tag" style="color:${rigColor(node.rig)};border-color:${rigColor(node.rig)}33">${escapeHtml(node.rig)}</span>` : ''}
+      ${node._blocked ? '<span class="tag tag-blocked">BLOCKED</span>' : ''}
+      ${node._jackExpired ? '<span class="tag tag-blocked">EXPIRED</span>' : ''}
+    </div>
+  `;
+}
+
+// Markdown for bead text, with mentions of beads in the current graph turned into links
+function renderBeadMarkdown(text) {
+  const graph = _getGraph && _getGraph();
+  const ids = new Set(graph ? graph.graphData().nodes.map((n) => n.id) : []);
+  return renderMarkdown(text, { isBeadId: (id) => ids.has(id) });
+}
+
+// Editable long-text section; empty fields render a placeholder so they can be filled in
+function renderTextSection(title, field, value) {
+  const content = value
+    ? `<div class="detail-editable md" data-field="${field}">${renderBeadMarkdown(value)}</div>`
+    : `<div class="detail-editable detail-empty-field" data-field="${field}">add ${title.toLowerCase()}…</div>`;
+  return `<div class="detail-section"><h4>${title}</h4>${content}</div>`;
+}
+
 function renderFullDetail(issue) {
   const sections = [];
 
-  if (issue.description) {
-    sections.push(`<div class="detail-section"><h4>Description</h4><pre>${escapeHtml(issue.description)}</pre></div>`);
-  }
+  sections.push(renderTextSection('Description', 'description', issue.description));
   if (issue.design) {
-    sections.push(`<div class="detail-section"><h4>Design</h4><pre>${escapeHtml(issue.design)}</pre></div>`);
-  }
-  if (issue.notes) {
-    sections.push(`<div class="detail-section"><h4>Notes</h4><pre>${escapeHtml(issue.notes)}</pre></div>`);
-  }
-  if (issue.acceptance_criteria) {
     sections.push(
-      `<div class="detail-section"><h4>Acceptance Criteria</h4><pre>${escapeHtml(issue.acceptance_criteria)}</pre></div>`,
+      `<div class="detail-section"><h4>Design</h4><div class="md">${renderBeadMarkdown(issue.design)}</div></div>`,
     );
   }
+  sections.push(renderTextSection('Notes', 'notes', issue.notes));
+  sections.push(renderTextSection('Acceptance Criteria', 'acceptance_criteria', issue.acceptance_criteria));
 
   // Dependencies
   if (issue.dependencies && issue.dependencies.length > 0) {
@@ -223,10 +270,13 @@ function renderFullDetail(issue) {
   }
 
   // Labels
-  if (issue.labels && issue.labels.length > 0) {
-    const labels = issue.labels.map((l) => `<span class="tag">${escapeHtml(l)}</span>`).join(' ');
-    sections.push(`<div class="detail-section"><h4>Labels</h4>${labels}</div>`);
-  }
+  const labels =
+    issue.labels && issue.labels.length > 0
+      ? issue.labels.map((l) => `<span class="tag">${escapeHtml(l)}</span>`).join(' ')
+      : '<span class="detail-empty-field">add labels…</span>';
+  sections.push(
+    `<div class="detail-section"><h4>Labels</h4><div class="detail-editable" data-field="labels">${labels}</div></div>`,
+  );
 
   // Jack-specific metadata (bd-hffzf)
   if (issue.issue_type === 'jack' && issue.metadata) {
@@ -262,6 +312,169 @@ function renderFullDetail(issue) {
   return sections.join('') || '<em>No additional details</em>';
 }
 
+// Render the loaded bead into a panel and make its fields editable
+function showFullDetail(panel, node, issue) {
+  editBase.set(node.id, issue);
+  panel.innerHTML = `${renderDetailHeader(node, true)}<div class="detail-body">${renderFullDetail(issue)}</div>`;
+  panel.querySelector('.detail-close').onclick = () => closeDetailPanel(node.id);
+  panel.querySelectorAll('.detail-editable').forEach((el) => {
+    el.onclick = () => beginEdit(el, panel, node);
+  });
+  bindMarkdownLinks(panel);
+}
+
+// Links inside rendered markdown: bead mentions fly to the bead, and neither
+// kind of link should also open the editor underneath it
+function bindMarkdownLinks(root) {
+  root.querySelectorAll('.md a').forEach((a) => {
+    a.onclick = (e) => {
+      e.stopPropagation();
+      if (!a.dataset.beadId) return;
+      const nodes = _getGraph().graphData().nodes;
+      const target = nodes.find((n) => n.id === a.dataset.beadId);
+      if (target && _focusNode) _focusNode(target);
+    };
+  });
+}
+
+// --- Inline editing ---
+
+function isBlank(v) {
+  return v === undefined || v === null || v === '' || (Array.isArray(v) && v.length === 0);
+}
+
+/**
+ * Compare two field values, treating missing/empty values as equal.
+ *
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ */
+export function sameFieldValue(a, b) {
+  if (isBlank(a) && isBlank(b)) return true;
+  if (Array.isArray(a) || Array.isArray(b)) return JSON.stringify(a) === JSON.stringify(b);
+  return a === b;
+}
+
+/**
+ * Convert raw editor input into the value sent to api.update.
+ *
+ * @param {string} field - One of EDITABLE_FIELDS
+ * @param {string} raw   - Input/textarea/select value
+ * @returns {string|number|string[]}
+ */
+export function parseEditValue(field, raw) {
+  const kind = EDITABLE_FIELDS[field];
+  if (kind === 'priority') return Number(raw);
+  if (kind === 'labels') {
+    const labels = raw.split(',').map((l) => l.trim());
+    return [...new Set(labels.filter(Boolean))];
+  }
+  if (kind === 'line') return raw.trim();
+  return raw.replace(/\s+$/, '');
+}
+
+/**
+ * Did someone else change `field` since we loaded the bead? A newer updated_at
+ * alone isn't a conflict — only a different value for the field being saved.
+ *
+ * @param {Object} base    - Bead as the panel last saw it
+ * @param {Object} current - Bead as the server has it now
+ * @param {string} field
+ * @returns {boolean}
+ */
+export function editConflict(base, current, field) {
+  if (!base || !current) return false;
+  if (base.updated_at && base.updated_at === current.updated_at) return false;
+  return !sameFieldValue(base[field], current[field]);
+}
+
+// Swap a field for an editor. Enter saves (Ctrl+Enter in textareas), Escape cancels,
+// blur saves.
+function beginEdit(el, panel, node) {
+  if (el.querySelector('.detail-edit-input')) return;
+  const field = el.dataset.field;
+  const kind = EDITABLE_FIELDS[field];
+  const base = editBase.get(node.id) || node;
+  const current = base[field] ?? node[field];
+
+  let input;
+  if (kind === 'text') {
+    input = document.createElement('textarea');
+    input.rows = 6;
+    input.value = current || '';
+  } else if (kind === 'priority') {
+    input = document.createElement('select');
+    input.innerHTML = PRIORITY_LABELS.map((label, p) => `<option value="${p}">${label}</option>`).join('');
+    input.value = String(current ?? 2);
+  } else {
+    input = document.createElement('input');
+    input.type = 'text';
+    input.value = kind === 'labels' ? (current || []).join(', ') : current || '';
+    if (kind === 'labels') input.placeholder = 'comma, separated';
+  }
+  input.className = 'detail-edit-input';
+
+  const original = el.innerHTML;
+  el.onclick = null;
+  el.innerHTML = '';
+  el.appendChild(input);
+  input.focus();
+
+  let done = false;
+  const finish = (save) => {
+    if (done) return;
+    done = true;
+    el.innerHTML = original;
+    el.onclick = () => beginEdit(el, panel, node);
+    bindMarkdownLinks(el.parentElement);
+    if (save) saveEdit(panel, node, field, parseEditValue(field, input.value));
+  };
+  input.onkeydown = (e) => {
+    e.stopPropagation(); // keep graph keyboard shortcuts out of the editor
+    if (e.key === 'Escape') finish(false);
+    else if (e.key === 'Enter' && (kind !== 'text' || e.ctrlKey || e.metaKey)) {
+      e.preventDefault();
+      finish(true);
+    }
+  };
+  input.onblur = () => finish(true);
+  if (kind === 'priority') input.onchange = () => finish(true);
+}
+
+// Save one field: re-read the bead to catch conflicting edits, then apply
+// optimistically via optimisticUpdate (which rolls the node back on failure).
+async function saveEdit(panel, node, field, value) {
+  const base = editBase.get(node.id) || { ...node };
+  if (sameFieldValue(base[field], value)) return;
+
+  let current = null;
+  try {
+    current = await _api.show(node.id);
+  } catch {
+    /* can't re-read — let the update itself succeed or fail */
+  }
+  if (!panel.isConnected) return;
+  if (current && editConflict(base, current, field)) {
+    node[field] = current[field];
+    showFullDetail(panel, node, current);
+    _showStatusToast?.(`conflict: ${node.id} ${field} was changed by someone else — reloaded`, true);
+    return;
+  }
+
+  const next = { ...(current || base), [field]: value };
+  const pending = _optimisticUpdate(node, { [field]: value }, () => _api.update(node.id, { [field]: value }));
+  showFullDetail(panel, node, next);
+  const { ok, result } = await pending;
+  if (!panel.isConnected) return;
+  if (ok) {
+    // Prefer the server's copy (fresh updated_at) when the backend returns the bead
+    editBase.set(node.id, result && result.id === node.id ? { ...next, ...result } : next);
+  } else {
+    showFullDetail(panel, node, current || base);
+  }
+}
+
 // Render decision detail panel content (bd-1xskh)
 function renderDecisionDetail(node, resp) {
   const dec = resp.decision || {};
@@ -1,6 +1,17 @@
 // Filter Dashboard — configurable filter panel with profile persistence (bd-8o2gd, bd-7t6nt)
 // Extracted from main.js to reduce monolith size.
 
+import { loadPins, savePins, deletePins } from './pins.js';
+import { closerOf, parseHistoryParam, formatHistoryParam } from './history.js';
+import {
+  DEFAULT_EXCLUDED_TYPES,
+  getExcludedTypes,
+  isTypeExcluded,
+  setTypeExcluded,
+  setExcludedTypes,
+  excludedTypesDiff,
+} from './issue-types.js';
+
 // Callbacks set by main.js to avoid circular imports
 let _applyFilters = null;
 let _refresh = null;
@@ -54,6 +65,9 @@ export function syncFilterDashboard() {
     btn.classList.toggle('active', _state.typeFilter.has(btn.dataset.type));
   });
 
+  // Loaded types
+  updateLoadedTypeButtons();
+
   // Priority buttons
   document.querySelectorAll('.fd-priority').forEach((btn) => {
     btn.classList.toggle('active', _state.priorityFilter.has(btn.dataset.priority));
@@ -65,6 +79,9 @@ export function syncFilterDashboard() {
     btn.classList.toggle('active', days === _state.activeAgeDays);
   });
 
+  // History window
+  syncHistoryControls();
+
   // Agent toggles
   const fdShow = document.getElementById('fd-agent-show');
   const fdOrph = document.getElementById('fd-agent-orphaned');
@@ -73,6 +90,27 @@ export function syncFilterDashboard() {
 
   // Assignee buttons
   updateAssigneeButtons();
+
+  // Label pills
+  updateLabelPills();
+
+  // Closer buttons
+  updateCloserButtons();
+}
+
+// History window buttons are radio-style; a custom range shows in the date inputs
+function syncHistoryControls() {
+  const win = _state.historyWindow;
+  document.querySelectorAll('.fd-history').forEach((btn) => {
+    const days = parseInt(btn.dataset.days, 10);
+    btn.classList.toggle('active', days === 0 ? !win : win?.days === days);
+  });
+  const from = document.getElementById('fd-history-from');
+  const to = document.getElementById('fd-history-to');
+  if (from) from.value = win?.from || '';
+  if (to) to.value = win?.to || '';
+  const reason = document.getElementById('fd-close-reason');
+  if (reason) reason.value = _state.closeReasonFilter;
 }
 
 // Sync toolbar controls to match dashboard changes
@@ -145,7 +183,146 @@ export function updateAssigneeButtons() {
       body.querySelectorAll('.fd-btn').forEach((b) => {
         b.classList.toggle('active', _state.assigneeFilter === b.dataset.assignee);
       });
-      _applyFilters();
+      _applyFilters('assignee');
+    });
+    body.appendChild(btn);
+  }
+}
+
+// Label pills cycle: off → include (active) → exclude (struck through) → off
+function labelPillState(label) {
+  if (_state.labelFilterInclude.has(label)) return 'include';
+  if (_state.labelFilterExclude.has(label)) return 'exclude';
+  return '';
+}
+
+function syncLabelPill(btn) {
+  const mode = labelPillState(btn.dataset.label);
+  btn.classList.toggle('active', mode === 'include');
+  btn.classList.toggle('excluded', mode === 'exclude');
+  btn.setAttribute('aria-pressed', mode === 'include' ? 'true' : mode === 'exclude' ? 'mixed' : 'false');
+  btn.title =
+    mode === 'include'
+      ? 'showing only these labels — click to exclude'
+      : mode === 'exclude'
+        ? 'hidden — click to clear'
+        : 'click to show only this label';
+}
+
+/**
+ * @returns {void}
+ */
+export function updateLabelPills() {
+  const body = document.getElementById('fd-labels-body');
+  if (!body) return;
+
+  // Labels on loaded beads, plus any filtered label that is no longer present so it can be cleared
+  const labels = new Set([..._state.labelFilterInclude, ..._state.labelFilterExclude]);
+  for (const n of _state.graphData.nodes) {
+    if (n.issue_type === 'agent') continue;
+    for (const l of n.labels || []) if (l) labels.add(l);
+  }
+  const sorted = [...labels].sort();
+
+  // Only rebuild if set changed
+  const current = [...body.querySelectorAll('.fd-btn')].map((b) => b.dataset.label);
+  if (current.length === sorted.length && current.every((l, i) => l === sorted[i])) {
+    body.querySelectorAll('.fd-btn').forEach(syncLabelPill);
+    return;
+  }
+
+  body.innerHTML = '';
+  if (sorted.length === 0) {
+    body.innerHTML = '<span class="fd-empty">no labels</span>';
+    return;
+  }
+  for (const label of sorted) {
+    const btn = document.createElement('button');
+    btn.className = 'fd-btn fd-label';
+    btn.dataset.label = label;
+    btn.textContent = label;
+    syncLabelPill(btn);
+    btn.addEventListener('click', () => {
+      const mode = labelPillState(label);
+      _state.labelFilterInclude.delete(label);
+      _state.labelFilterExclude.delete(label);
+      if (mode === '') _state.labelFilterInclude.add(label);
+      else if (mode === 'include') _state.labelFilterExclude.add(label);
+      syncLabelPill(btn);
+      _applyFilters('label');
+    });
+    body.appendChild(btn);
+  }
+}
+
+/**
+ * Rebuild the closer buttons of the history section from the loaded history beads.
+ * @returns {void}
+ */
+export function updateCloserButtons() {
+  const body = document.getElementById('fd-closer-body');
+  if (!body) return;
+
+  // Closers of loaded history beads, plus any filtered closer so it can be cleared
+  const closers = new Set(_state.closerFilter);
+  for (const n of _state.graphData.nodes) {
+    const closer = n._history && closerOf(n);
+    if (closer) closers.add(closer);
+  }
+  const sorted = [...closers].sort();
+
+  // Only rebuild if set changed
+  const current = [...body.querySelectorAll('.fd-btn')].map((b) => b.dataset.closer);
+  if (current.length === sorted.length && current.every((c, i) => c === sorted[i])) {
+    body.querySelectorAll('.fd-btn').forEach((btn) => {
+      btn.classList.toggle('active', _state.closerFilter.has(btn.dataset.closer));
+    });
+    return;
+  }
+
+  body.innerHTML = '';
+  if (sorted.length === 0) {
+    body.innerHTML = `<span class="fd-empty">${_state.historyWindow ? 'no closed beads' : 'history off'}</span>`;
+    return;
+  }
+  for (const name of sorted) {
+    const btn = document.createElement('button');
+    btn.className = 'fd-btn';
+    btn.dataset.closer = name;
+    btn.textContent = name;
+    btn.title = `closed by ${name}`;
+    btn.classList.toggle('active', _state.closerFilter.has(name));
+    btn.addEventListener('click', () => {
+      if (_state.closerFilter.has(name)) _state.closerFilter.delete(name);
+      else _state.closerFilter.add(name);
+      btn.classList.toggle('active', _state.closerFilter.has(name));
+      _applyFilters('closer');
+    });
+    body.appendChild(btn);
+  }
+}
+
+/**
+ * Rebuild the loaded-types buttons: the types left out by default plus any
+ * other excluded type, lit while the graph loads that type.
+ * @returns {void}
+ */
+export function updateLoadedTypeButtons() {
+  const body = document.getElementById('fd-loaded-types-body');
+  if (!body) return;
+  const types = [...new Set([...DEFAULT_EXCLUDED_TYPES, ...getExcludedTypes()])];
+  body.innerHTML = '';
+  for (const type of types) {
+    const btn = document.createElement('button');
+    btn.className = 'fd-btn fd-loaded-type';
+    btn.dataset.type = type;
+    btn.textContent = type;
+    btn.title = `load ${type} beads`;
+    btn.classList.toggle('active', !isTypeExcluded(type));
+    btn.addEventListener('click', () => {
+      setTypeExcluded(type, !isTypeExcluded(type));
+      btn.classList.toggle('active', !isTypeExcluded(type));
+      _refresh(); // excluded types never reach the client, so re-fetch
     });
     body.appendChild(btn);
   }
@@ -155,6 +332,24 @@ export function updateAssigneeButtons() {
 
 const PROFILE_KEY_PREFIX = 'beads3d.view.';
 
+let _profileNames = []; // saved profile names, as of the last loadFilterProfiles()
+
+/**
+ * Names of the saved filter profiles (as last loaded from the server).
+ * @returns {string[]}
+ */
+export function getFilterProfileNames() {
+  return _profileNames;
+}
+
+/**
+ * Name of the filter profile selected in the dashboard ('' for the default).
+ * @returns {string}
+ */
+export function getActiveFilterProfile() {
+  return document.getElementById('fd-profile-select')?.value || '';
+}
+
 function _currentFilterState() {
   return {
     status: [..._state.statusFilter],
@@ -162,6 +357,14 @@ function _currentFilterState() {
     priority: [..._state.priorityFilter],
     age_days: _state.activeAgeDays,
     assignee: _state.assigneeFilter,
+    labels: {
+      include: [..._state.labelFilterInclude],
+      exclude: [..._state.labelFilterExclude],
+    },
+    history: _state.historyWindow,
+    closers: [..._state.closerFilter],
+    close_reason: _state.closeReasonFilter,
+    excluded_types: getExcludedTypes(),
     agents: {
       show: _state.agentFilterShow,
       orphaned: _state.agentFilterOrphaned,
@@ -180,6 +383,15 @@ function _applyFilterState(state) {
   (state.priority || []).forEach((p) => _state.priorityFilter.add(String(p)));
   _state.activeAgeDays = state.age_days ?? 7;
   _state.assigneeFilter = state.assignee || '';
+  _state.labelFilterInclude.clear();
+  _state.labelFilterExclude.clear();
+  (state.labels?.include || []).forEach((l) => _state.labelFilterInclude.add(l));
+  (state.labels?.exclude || []).forEach((l) => _state.labelFilterExclude.add(l));
+  _state.historyWindow = state.history || null;
+  _state.closerFilter.clear();
+  (state.closers || []).forEach((c) => _state.closerFilter.add(c));
+  _state.closeReasonFilter = state.close_reason || '';
+  setExcludedTypes(state.excluded_types);
   if (state.agents) {
     _state.agentFilterShow = state.agents.show !== false;
     _state.agentFilterOrphaned = !!state.agents.orphaned;
@@ -194,7 +406,21 @@ function _applyFilterState(state) {
   syncToolbarControls();
   _syncAllRigPills();
   // Age changes need re-fetch; for simplicity always refresh
-  _refresh();
+  return _refresh();
+}
+
+/**
+ * Apply the filters an exported snapshot was saved with (exportGraphJSON's
+ * `filters`); anything it doesn't record goes back to the default.
+ *
+ * @param {{search?: string, status?: string[], type?: string[], agents?: Object}|null} filters
+ * @returns {Promise<void>} Settles once the graph has refreshed
+ */
+export function applySnapshotFilters(filters) {
+  _state.searchFilter = filters?.search || '';
+  const searchInput = document.getElementById('search-input');
+  if (searchInput) searchInput.value = _state.searchFilter;
+  return _applyFilterState({ status: filters?.status, types: filters?.type, agents: filters?.agents });
 }
 
 /**
@@ -213,6 +439,7 @@ export async function loadFilterProfiles() {
       .filter((k) => k.startsWith(PROFILE_KEY_PREFIX))
       .map((k) => k.slice(PROFILE_KEY_PREFIX.length))
       .sort();
+    _profileNames = profiles;
     for (const name of profiles) {
       const opt = document.createElement('option');
       opt.value = name;
@@ -234,6 +461,7 @@ async function saveFilterProfile(name) {
   const state = _currentFilterState();
   try {
     await _api.configSet(PROFILE_KEY_PREFIX + name, JSON.stringify(state));
+    await savePins(name); // the profile keeps the current pinned layout
     localStorage.setItem('beads3d-filter-profile', name);
     await loadFilterProfiles();
     const select = document.getElementById('fd-profile-select');
@@ -255,14 +483,19 @@ export async function loadFilterProfile(name) {
     _state.typeFilter.clear();
     _state.priorityFilter.clear();
     _state.assigneeFilter = '';
+    _state.labelFilterInclude.clear();
+    _state.labelFilterExclude.clear();
     _state.agentFilterShow = true;
     _state.agentFilterOrphaned = false;
     _state.agentFilterRigExclude.clear();
     _state.activeAgeDays = 7;
+    clearHistoryState();
+    setExcludedTypes();
     syncFilterDashboard();
     syncToolbarControls();
     _syncAllRigPills();
     localStorage.removeItem('beads3d-filter-profile');
+    loadPins('');
     _refresh();
     return;
   }
@@ -271,6 +504,7 @@ export async function loadFilterProfile(name) {
     const resp = await _api.configGet(PROFILE_KEY_PREFIX + name);
     const state = JSON.parse(resp.value);
     _applyFilterState(state);
+    loadPins(name);
     localStorage.setItem('beads3d-filter-profile', name);
     console.log(`[beads3d] loaded filter profile: ${name}`);
   } catch (e) {
@@ -278,14 +512,22 @@ export async function loadFilterProfile(name) {
   }
 }
 
+function clearHistoryState() {
+  _state.historyWindow = null;
+  _state.closerFilter.clear();
+  _state.closeReasonFilter = '';
+}
+
 async function deleteFilterProfile(name) {
   if (!name) return;
   try {
     await _api.configUnset(PROFILE_KEY_PREFIX + name);
+    await deletePins(name);
     localStorage.removeItem('beads3d-filter-profile');
     await loadFilterProfiles();
     const select = document.getElementById('fd-profile-select');
     if (select) select.value = '';
+    loadPins('');
     console.log(`[beads3d] deleted filter profile: ${name}`);
   } catch (e) {
     console.warn(`[beads3d] failed to delete profile ${name}:`, e);
@@ -299,6 +541,14 @@ async function deleteFilterProfile(name) {
 export async function applyUrlFilterParams() {
   let needRefresh = false;
 
+  // ?q=<query> — search box query (query.js syntax); independent of profiles
+  if (_state.URL_QUERY) {
+    _state.searchFilter = _state.URL_QUERY;
+    const searchInput = document.getElementById('search-input');
+    if (searchInput) searchInput.value = _state.URL_QUERY;
+    _applyFilters('search');
+  }
+
   // ?profile=<name> — load a named profile
   if (_state.URL_PROFILE) {
     await loadFilterProfile(_state.URL_PROFILE);
@@ -327,6 +577,26 @@ export async function applyUrlFilterParams() {
     needRefresh = true;
   }
 
+  // ?labels=infra,-wontfix — labels to include; a leading '-' excludes
+  if (_state.URL_LABELS) {
+    _state.labelFilterInclude.clear();
+    _state.labelFilterExclude.clear();
+    for (const raw of _state.URL_LABELS.split(',')) {
+      const label = raw.trim();
+      if (label.startsWith('-') && label.length > 1) _state.labelFilterExclude.add(label.slice(1));
+      else if (label) _state.labelFilterInclude.add(label);
+    }
+    needRefresh = true;
+  }
+
+  // ?history=30 or ?history=2026-01-01..2026-03-31 — include beads closed in that window
+  const historyWindow = parseHistoryParam(_state.URL_HISTORY);
+  if (historyWindow) {
+    _state.historyWindow = historyWindow;
+    syncFilterDashboard();
+    _refresh(); // closed beads come from a separate fetch
+  }
+
   if (needRefresh) {
     syncFilterDashboard();
     syncToolbarControls();
@@ -345,6 +615,11 @@ export function getShareableUrl() {
   url.searchParams.delete('status');
   url.searchParams.delete('types');
   url.searchParams.delete('assignee');
+  url.searchParams.delete('labels');
+  url.searchParams.delete('history');
+  url.searchParams.delete('include_types');
+  url.searchParams.delete('exclude_types');
+  url.searchParams.delete('q');
 
   // Check if current state matches a saved profile
   const select = document.getElementById('fd-profile-select');
@@ -355,7 +630,16 @@ export function getShareableUrl() {
     if (_state.statusFilter.size > 0) url.searchParams.set('status', [..._state.statusFilter].join(','));
     if (_state.typeFilter.size > 0) url.searchParams.set('types', [..._state.typeFilter].join(','));
     if (_state.assigneeFilter) url.searchParams.set('assignee', _state.assigneeFilter);
+    const labels = [..._state.labelFilterInclude, ..._state.labelFilterExclude].map((l) =>
+      _state.labelFilterExclude.has(l) ? `-${l}` : l,
+    );
+    if (labels.length > 0) url.searchParams.set('labels', labels.join(','));
+    if (_state.historyWindow) url.searchParams.set('history', formatHistoryParam(_state.historyWindow));
+    const types = excludedTypesDiff();
+    if (types.include.length > 0) url.searchParams.set('include_types', types.include.join(','));
+    if (types.exclude.length > 0) url.searchParams.set('exclude_types', types.exclude.join(','));
   }
+  if (_state.searchFilter) url.searchParams.set('q', _state.searchFilter);
 
   return url.toString();
 }
@@ -405,7 +689,7 @@ export function initFilterDashboard() {
         group.forEach((s) => _state.statusFilter.add(s));
       }
       syncToolbarControls();
-      _applyFilters();
+      _applyFilters('status');
     });
   });
 
@@ -420,7 +704,7 @@ export function initFilterDashboard() {
         _state.typeFilter.add(type);
       }
       syncToolbarControls();
-      _applyFilters();
+      _applyFilters('type');
     });
   });
 
@@ -434,7 +718,7 @@ export function initFilterDashboard() {
       } else {
         _state.priorityFilter.add(p);
       }
-      _applyFilters();
+      _applyFilters('priority');
     });
   });
 
@@ -451,19 +735,48 @@ export function initFilterDashboard() {
     });
   });
 
+  // History window buttons — radio-style, re-fetch to load or drop closed beads
+  panel.querySelectorAll('.fd-history').forEach((btn) => {
+    btn.addEventListener('click', () => {
+      const days = parseInt(btn.dataset.days, 10);
+      _state.historyWindow = days > 0 ? { days } : null;
+      syncHistoryControls();
+      _refresh();
+    });
+  });
+
+  // Custom history range — either date may be left empty for an open end
+  const historyFrom = document.getElementById('fd-history-from');
+  const historyTo = document.getElementById('fd-history-to');
+  const onHistoryRange = () => {
+    const from = historyFrom?.value || '';
+    const to = historyTo?.value || '';
+    _state.historyWindow = from || to ? { from, to } : null;
+    syncHistoryControls();
+    _refresh();
+  };
+  historyFrom?.addEventListener('change', onHistoryRange);
+  historyTo?.addEventListener('change', onHistoryRange);
+
+  // Close reason — substring match on history beads
+  document.getElementById('fd-close-reason')?.addEventListener('input', (e) => {
+    _state.closeReasonFilter = e.target.value.trim().toLowerCase();
+    _applyFilters('closeReason');
+  });
+
   // Agent show/orphaned toggles — sync with toolbar
   document.getElementById('fd-agent-show')?.addEventListener('click', () => {
     _state.agentFilterShow = !_state.agentFilterShow;
     document.getElementById('fd-agent-show')?.classList.toggle('active', _state.agentFilterShow);
     syncToolbarControls();
-    _applyFilters();
+    _applyFilters('agent');
   });
 
   document.getElementById('fd-agent-orphaned')?.addEventListener('click', () => {
     _state.agentFilterOrphaned = !_state.agentFilterOrphaned;
     document.getElementById('fd-agent-orphaned')?.classList.toggle('active', _state.agentFilterOrphaned);
     syncToolbarControls();
-    _applyFilters();
+    _applyFilters('orphaned');
   });
 
   // Agent name exclusion input — glob patterns, comma-separated (bd-8o2gd phase 4)
@@ -477,7 +790,7 @@ export function initFilterDashboard() {
             .map((p) => p.trim().toLowerCase())
             .filter(Boolean)
         : [];
-      _applyFilters();
+      _applyFilters('agent');
     });
   }
 
@@ -506,6 +819,8 @@ export function initFilterDashboard() {
     _state.typeFilter.clear();
     _state.priorityFilter.clear();
     _state.assigneeFilter = '';
+    _state.labelFilterInclude.clear();
+    _state.labelFilterExclude.clear();
     _state.agentFilterShow = true;
     _state.agentFilterOrphaned = false;
     _state.agentFilterRigExclude.clear();
@@ -513,6 +828,8 @@ export function initFilterDashboard() {
     const excludeInput = document.getElementById('fd-agent-exclude');
     if (excludeInput) excludeInput.value = '';
     _state.activeAgeDays = 7;
+    clearHistoryState();
+    setExcludedTypes();
     syncFilterDashboard();
     syncToolbarControls();
     _syncAllRigPills();
@@ -526,8 +843,10 @@ export function initFilterDashboard() {
   const btnSaveAs = document.getElementById('fd-profile-save-as');
   const btnDelete = document.getElementById('fd-profile-delete');
 
-  // Load profile list, then apply URL params (bd-8o2gd phase 4)
+  // Load profile list, then apply URL params (bd-8o2gd phase 4). A ?profile=
+  // param loads its own pins; otherwise restore those of the selected profile.
   loadFilterProfiles().then(() => {
+    if (!_state.URL_PROFILE) loadPins(getActiveFilterProfile());
     applyUrlFilterParams();
   });
 
@@ -568,8 +887,10 @@ export function initFilterDashboard() {
  * @returns {void}
  */
 export function updateFilterCount() {
-  const visible = _state.graphData.nodes.filter((n) => !n._hidden).length;
-  const total = _state.graphData.nodes.length;
+  // "+N" stubs stand for unloaded beads; they aren't beads themselves
+  const beads = _state.graphData.nodes.filter((n) => !n._stub);
+  const visible = beads.filter((n) => !n._hidden).length;
+  const total = beads.length;
   const el = document.getElementById('filter-count');
   if (el) {
     if (_state.searchResults.length > 0) {
@@ -0,0 +1,364 @@
+// Custom layout forces, described by plain serializable specs so the same code
+// runs on the main thread and in the simulation worker (sim-worker.js). Nothing
+// here may touch the DOM or three.js.
+//
+// A spec is `{ type, ...params }`; createForce() turns it into a d3-force
+// compatible function. Forces see the simulation's nodes via initialize() and
+// read links through the context, so they follow graph reloads on either side.
+
+// --- Swimlanes: kanban-style status columns ---
+
+/** Swimlane columns, left to right. */
+export const SWIMLANES = ['open', 'in_progress', 'blocked', 'hooked', 'deferred', 'closed'];
+const SWIMLANE_ALIASES = { review: 'in_progress', on_ice: 'deferred' };
+export const SWIMLANE_WIDTH = 160;
+export const SWIMLANE_HEIGHT = 520;
+
+/**
+ * Which swimlane a node belongs in. Open or in-progress beads with open blockers
+ * go in 'blocked', like the status:blocked search. Agents and unknown statuses
+ * have no lane.
+ *
+ * @param {Object} node
+ * @returns {string|null}
+ */
+export function swimlaneFor(node) {
+  if (!node || node.issue_type === 'agent') return null;
+  const status = SWIMLANE_ALIASES[node.status] || node.status;
+  if (!SWIMLANES.includes(status)) return null;
+  if (node._blocked && (status === 'open' || status === 'in_progress')) return 'blocked';
+  return status;
+}
+
+/**
+ * X position of a swimlane's center; lanes are centered on the origin.
+ *
+ * @param {string} lane
+ * @returns {number}
+ */
+export function swimlaneX(lane) {
+  return (SWIMLANES.indexOf(lane) - (SWIMLANES.length - 1) / 2) * SWIMLANE_WIDTH;
+}
+
+/**
+ * Cluster keys for a node: its assignee, or every one of its labels — a bead
+ * with several labels is pulled toward each and settles between them.
+ *
+ * @param {Object} node
+ * @param {'assignee'|'label'} by
+ * @returns {string[]}
+ */
+export function clusterKeys(node, by) {
+  if (by === 'label') {
+    const labels = (node.labels || []).filter(Boolean);
+    return labels.length > 0 ? labels : ['(no label)'];
+  }
+  return [node.assignee || '(unassigned)'];
+}
+
+const linkEnd = (end) => (typeof end === 'object' ? end.id : end);
+
+// --- Force implementations: (spec, alpha, nodes, links) => void, applied once per tick ---
+
+const FORCES = {
+  // Pull every node toward 0 on one axis
+  flatten({ axis = 'y', strength = 0.5 }, alpha, nodes) {
+    const v = 'v' + axis;
+    for (const node of nodes) {
+      if (node._hidden) continue;
+      node[v] += (0 - (node[axis] || 0)) * alpha * strength;
+    }
+  },
+
+  // Distance from center = priority (P0 center, P4 outer), in the XZ plane
+  radialPriority({ radiusScale = 80 }, alpha, nodes) {
+    for (const node of nodes) {
+      if (node._hidden) continue;
+      const targetR = (node.priority + 0.5) * radiusScale;
+      const x = node.x || 0;
+      const z = node.z || 0;
+      const currentR = Math.sqrt(x * x + z * z) || 1;
+      const factor = (targetR / currentR - 1) * alpha * 0.5;
+      node.vx += x * factor;
+      node.vz += z * factor;
+    }
+  },
+
+  // Pull each node toward the anchor of each of its cluster keys
+  cluster({ by, anchors }, alpha, nodes) {
+    for (const node of nodes) {
+      if (node._hidden) continue;
+      if (by === 'label' && node.issue_type === 'agent') continue;
+      const keys = clusterKeys(node, by);
+      const pull = (alpha * 0.4) / keys.length;
+      for (const k of keys) {
+        const anchor = anchors[k];
+        if (!anchor) continue;
+        node.vx += (anchor.x - (node.x || 0)) * pull;
+        node.vz += (anchor.z - (node.z || 0)) * pull;
+      }
+    }
+  },
+
+  // Status column on X, higher priority nearer the top. Status is read every
+  // tick, so a bead glides to its new column on reheat.
+  swimlane(_spec, alpha, nodes) {
+    for (const node of nodes) {
+      if (node._hidden) continue;
+      const lane = swimlaneFor(node);
+      if (!lane) continue;
+      node.vx += (swimlaneX(lane) - (node.x || 0)) * alpha * 0.5;
+      const targetY = (2 - (node.priority ?? 2)) * (SWIMLANE_HEIGHT / 6);
+      node.vy += (targetY - (node.y || 0)) * alpha * 0.05;
+    }
+  },
+
+  // Pull nodes to precomputed [x, y] slots (Gantt start date and lane)
+  targets({ targets, strength = 0.6 }, alpha, nodes) {
+    for (const node of nodes) {
+      if (node._hidden) continue;
+      const t = targets[node.id];
+      if (!t) continue;
+      node.vx += (t[0] - (node.x || 0)) * alpha * strength;
+      node.vy += (t[1] - (node.y || 0)) * alpha * strength;
+    }
+  },
+
+  // Agent DAG tether (beads-1gx1): strong elastic coupling between agent nodes
+  // and their claimed bead subtrees. When an agent moves (drag or force), its
+  // beads follow like a kite tail: agent -> assigned bead -> bead's deps (with decay).
+  agentTether({ strength }, alpha, nodes, links) {
+    // Skip entirely when tether disabled (bd-uzj5j)
+    if (!(strength > 0)) return;
+    const nodeById = new Map();
+    for (const n of nodes) {
+      if (!n._hidden) nodeById.set(n.id, n);
+    }
+
+    // Collect agent->bead assignments
+    const agentBeads = new Map(); // agentId -> [beadNode, ...]
+    for (const l of links) {
+      if (l.dep_type !== 'assigned_to') continue;
+      const srcId = linkEnd(l.source);
+      const agent = nodeById.get(srcId);
+      const bead = nodeById.get(linkEnd(l.target));
+      if (!agent || !bead || agent.issue_type !== 'agent') continue;
+      if (!agentBeads.has(srcId)) agentBeads.set(srcId, []);
+      agentBeads.get(srcId).push(bead);
+    }
+
+    // Build dep adjacency for subtree traversal (bead -> its deps)
+    const deps = new Map(); // nodeId -> [depNode, ...]
+    for (const l of links) {
+      if (l.dep_type === 'assigned_to') continue;
+      const srcId = linkEnd(l.source);
+      // parent->child and blocks edges: target is the dependent
+      const parent = nodeById.get(srcId);
+      const child = nodeById.get(linkEnd(l.target));
+      if (!parent || !child) continue;
+      if (!deps.has(srcId)) deps.set(srcId, []);
+      deps.get(srcId).push(child);
+    }
+
+    // Apply spring force: agent pulls beads, beads pull deps (with decay)
+    const BASE_STRENGTH = 0.3; // max tether pull (scaled by slider)
+    const TETHER_STRENGTH = BASE_STRENGTH * strength;
+    const DECAY = 0.5; // force halves per hop
+    const REST_DIST = 20; // desired agent->bead distance
+
+    for (const [agentId, beads] of agentBeads) {
+      const agent = nodeById.get(agentId);
+      if (!agent || agent.x === undefined) continue;
+
+      // BFS from agent through beads and their deps
+      const queue = beads.map((b) => ({ node: b, depth: 1 }));
+      const visited = new Set([agentId]);
+
+      while (queue.length > 0) {
+        const { node, depth } = queue.shift();
+        if (visited.has(node.id)) continue;
+        visited.add(node.id);
+        if (node.x === undefined) continue;
+
+        const pullStrength = TETHER_STRENGTH * Math.pow(DECAY, depth - 1);
+        const dx = agent.x - node.x;
+        const dy = agent.y - node.y;
+        const dz = (agent.z || 0) - (node.z || 0);
+        const dist = Math.sqrt(dx * dx + dy * dy + dz * dz) || 1;
+
+        // Only apply pull when beyond rest distance
+        if (dist > REST_DIST * depth) {
+          const pull = pullStrength * alpha;
+          node.vx += dx * pull;
+          node.vy += dy * pull;
+          node.vz += dz * pull;
+          // Counter-force on agent (Newton's 3rd, dampened)
+          const counterPull = pull * 0.15;
+          agent.vx -= dx * counterPull;
+          agent.vy -= dy * counterPull;
+          agent.vz -= dz * counterPull;
+        }
+
+        // Enqueue this node's deps (up to 3 hops)
+        if (depth < 3) {
+          for (const child of deps.get(node.id) || []) {
+            if (!visited.has(child.id)) queue.push({ node: child, depth: depth + 1 });
+          }
+        }
+      }
+    }
+  },
+
+  // Epic clustering (kd-XGgiokgQBH): pulls child-of and parent-child children
+  // toward their epic parent node, creating visual clusters around epics.
+  epicCluster(_spec, alpha, nodes, links) {
+    const nodeById = new Map();
+    for (const n of nodes) {
+      if (!n._hidden) nodeById.set(n.id, n);
+    }
+
+    // Build epic → children mapping from parent-child and child-of edges
+    // (parent-child: source is parent; child-of: target is child of source)
+    const epicChildren = new Map(); // epicId → [childNode, ...]
+    for (const l of links) {
+      if (l.dep_type !== 'parent-child' && l.dep_type !== 'child-of') continue;
+      const srcId = linkEnd(l.source);
+      const parent = nodeById.get(srcId);
+      const child = nodeById.get(linkEnd(l.target));
+      if (!parent || !child || parent.issue_type !== 'epic') continue;
+      if (!epicChildren.has(srcId)) epicChildren.set(srcId, []);
+      epicChildren.get(srcId).push(child);
+    }
+
+    // Pull children toward their epic parent
+    const CLUSTER_STRENGTH = 0.15;
+    const REST_DIST = 30; // desired child distance from epic
+    for (const [epicId, children] of epicChildren) {
+      const epic = nodeById.get(epicId);
+      if (!epic || epic.x === undefined || epic._epicCollapsed) continue;
+      for (const child of children) {
+        if (child.x === undefined || child._hidden) continue;
+        const dx = epic.x - child.x;
+        const dy = epic.y - child.y;
+        const dz = epic.z - child.z;
+        const dist = Math.sqrt(dx * dx + dy * dy + dz * dz) || 1;
+        if (dist < REST_DIST) continue; // already close enough
+        const pull = CLUSTER_STRENGTH * alpha * Math.min((dist - REST_DIST) / dist, 1);
+        child.vx += dx * pull;
+        child.vy += dy * pull;
+        child.vz += dz * pull;
+        // Gentle counter-force on epic
+        epic.vx -= dx * pull * 0.05;
+        epic.vy -= dy * pull * 0.05;
+        epic.vz -= dz * pull * 0.05;
+      }
+    }
+  },
+
+  // Temporarily spread a highlighted subgraph apart for readability (beads-k38a):
+  // pairwise repulsion between its nodes plus a gentle expansion from the centroid.
+  spread({ ids, minPairDist, minRadialDist }, alpha, nodes) {
+    const members = new Set(ids);
+    const list = nodes.filter((n) => members.has(n.id));
+    const count = list.length;
+    if (count < 2) return;
+
+    // Phase 1: Pairwise repulsion — push overlapping node pairs apart
+    const strength = alpha * 0.15;
+    for (let i = 0; i < count; i++) {
+      const a = list[i];
+      for (let j = i + 1; j < count; j++) {
+        const b = list[j];
+        const dx = (a.x || 0) - (b.x || 0);
+        const dy = (a.y || 0) - (b.y || 0);
+        const dz = (a.z || 0) - (b.z || 0);
+        const dist = Math.sqrt(dx * dx + dy * dy + dz * dz) || 0.1;
+        if (dist < minPairDist) {
+          // Inverse-distance force: stronger when closer
+          const push = (strength * (minPairDist - dist)) / dist;
+          // Add small random jitter to break symmetry for overlapping nodes
+          const jx = (Math.random() - 0.5) * 0.1;
+          const jy = (Math.random() - 0.5) * 0.1;
+          a.vx += (dx + jx) * push;
+          a.vy += (dy + jy) * push;
+          a.vz += dz * push;
+          b.vx -= (dx + jx) * push;
+          b.vy -= (dy + jy) * push;
+          b.vz -= dz * push;
+        }
+      }
+    }
+
+    // Phase 2: Radial expansion from live centroid — prevents collapse
+    let cx = 0,
+      cy = 0,
+      cz = 0;
+    for (const n of list) {
+      cx += n.x || 0;
+      cy += n.y || 0;
+      cz += n.z || 0;
+    }
+    cx /= count;
+    cy /= count;
+    cz /= count;
+
+    const radialStrength = alpha * 0.08;
+    for (const n of list) {
+      const dx = (n.x || 0) - cx;
+      const dy = (n.y || 0) - cy;
+      const dz = (n.z || 0) - cz;
+      const dist = Math.sqrt(dx * dx + dy * dy + dz * dz) || 0.1;
+      if (dist < minRadialDist) {
+        const push = (radialStrength * (minRadialDist - dist)) / dist;
+        n.vx += dx * push;
+        n.vy += dy * push;
+        n.vz += dz * push;
+      }
+    }
+  },
+
+  // Pairwise collision between visible nodes closer than 2 × radius
+  collide({ radius }, alpha, nodes) {
+    for (let i = 0; i < nodes.length; i++) {
+      for (let j = i + 1; j < nodes.length; j++) {
+        const a = nodes[i],
+          b = nodes[j];
+        if (a._hidden || b._hidden) continue;
+        const dx = (b.x || 0) - (a.x || 0),
+          dy = (b.y || 0) - (a.y || 0),
+          dz = (b.z || 0) - (a.z || 0);
+        const dist = Math.sqrt(dx * dx + dy * dy + dz * dz) || 1;
+        if (dist < radius * 2) {
+          const f = ((radius * 2 - dist) / dist) * alpha * 0.5;
+          a.vx -= dx * f;
+          a.vy -= dy * f;
+          a.vz -= dz * f;
+          b.vx += dx * f;
+          b.vy += dy * f;
+          b.vz += dz * f;
+        }
+      }
+    }
+  },
+};
+
+/** Force types createForce() understands. */
+export const FORCE_TYPES = Object.keys(FORCES);
+
+/**
+ * Build a d3-force compatible force from a spec.
+ *
+ * @param {{type: string}} spec
+ * @param {Function} getLinks - () => current links (endpoints may be ids or node objects)
+ * @returns {Function} force(alpha), with initialize(nodes)
+ */
+export function createForce(spec, getLinks) {
+  const apply = FORCES[spec?.type];
+  if (!apply) throw new Error(`unknown force type: ${spec?.type}`);
+  let nodes = [];
+  const force = (alpha) => apply(spec, alpha, nodes, getLinks() || []);
+  force.initialize = (n) => {
+    nodes = n;
+  };
+  return force;
+}
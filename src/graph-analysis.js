@@ -0,0 +1,217 @@
+// Graph analysis — pure algorithms over { nodes, links } graph data.
+// No DOM or THREE.js dependencies; link endpoints may be ids or resolved node objects.
+
+/** @type {Set<string>} Dependency types that gate completion (source must finish before target) */
+export const GATING_DEP_TYPES = new Set(['blocks', 'waits-for']);
+
+/**
+ * Resolve a link endpoint to its node id.
+ * @param {string|Object} end - Node id or node object
+ * @returns {string}
+ */
+export function endId(end) {
+  return typeof end === 'object' && end !== null ? end.id : end;
+}
+
+/**
+ * Stable key for a link, matching linkKey() in main.js.
+ * @param {Object} l - Link with source/target
+ * @returns {string} "source->target"
+ */
+export function linkKeyOf(l) {
+  return `${endId(l.source)}->${endId(l.target)}`;
+}
+
+/**
+ * Collect all descendants of an epic via parent-child links.
+ * Direction is inconsistent across data sources (raw edges are parent→child,
+ * promoted blocks edges are child→epic), so both directions are followed —
+ * same as highlightEpic().
+ * @param {{nodes: Object[], links: Object[]}} graphData
+ * @param {string} epicId
+ * @returns {Set<string>} Descendant node ids (excluding the epic itself)
+ */
+export function epicDescendants(graphData, epicId) {
+  const childIds = new Set();
+  const queue = [epicId];
+  while (queue.length > 0) {
+    const parentId = queue.shift();
+    for (const l of graphData.links) {
+      if (l.dep_type !== 'parent-child') continue;
+      const srcId = endId(l.source);
+      const tgtId = endId(l.target);
+      let childId = null;
+      if (srcId === parentId && tgtId !== epicId && !childIds.has(tgtId)) childId = tgtId;
+      else if (tgtId === parentId && srcId !== epicId && !childIds.has(srcId)) childId = srcId;
+      if (childId) {
+        childIds.add(childId);
+        queue.push(childId);
+      }
+    }
+  }
+  return childIds;
+}
+
+/**
+ * Compute the critical path of an epic: the longest chain of open beads linked by
+ * blocks/waits-for that still has to complete before the epic can. The chain ends
+ * at one of the epic's open descendants; open blockers outside the epic that gate
+ * a descendant are included, since they gate the epic just as much.
+ * Cycles are tolerated (back edges are ignored) so a bad graph can't hang the UI.
+ * @param {{nodes: Object[], links: Object[]}} graphData
+ * @param {string} epicId
+ * @returns {{nodeIds: string[], linkKeys: string[], length: number}} Path ordered from
+ *   the first bead that must finish to the last; length is the number of beads
+ */
+export function criticalPath(graphData, epicId) {
+  const nodeById = new Map(graphData.nodes.map((n) => [n.id, n]));
+  const isOpen = (id) => {
+    const n = nodeById.get(id);
+    return !!n && n.status !== 'closed' && n.issue_type !== 'agent' && id !== epicId;
+  };
+
+  // Predecessors: for each open bead, the open beads that must finish before it
+  const preds = new Map(); // id → [{ id, key }]
+  for (const l of graphData.links) {
+    if (!GATING_DEP_TYPES.has(l.dep_type)) continue;
+    const srcId = endId(l.source);
+    const tgtId = endId(l.target);
+    if (srcId === tgtId || !isOpen(srcId) || !isOpen(tgtId)) continue;
+    if (!preds.has(tgtId)) preds.set(tgtId, []);
+    preds.get(tgtId).push({ id: srcId, key: linkKeyOf(l) });
+  }
+
+  // Longest chain ending at each bead (memoized DFS over predecessors)
+  const best = new Map(); // id → { len, prev, key }
+  const onStack = new Set();
+  const visit = (id) => {
+    if (best.has(id)) return best.get(id).len;
+    if (onStack.has(id)) return 0; // cycle — ignore back edge
+    onStack.add(id);
+    let entry = { len: 1, prev: null, key: null };
+    for (const p of preds.get(id) || []) {
+      const len = visit(p.id) + 1;
+      if (len > entry.len) entry = { len, prev: p.id, key: p.key };
+    }
+    onStack.delete(id);
+    best.set(id, entry);
+    return entry.len;
+  };
+
+  let endIdBest = null;
+  let endLen = 0;
+  for (const id of epicDescendants(graphData, epicId)) {
+    if (!isOpen(id)) continue;
+    const len = visit(id);
+    if (len > endLen) {
+      endLen = len;
+      endIdBest = id;
+    }
+  }
+  if (!endIdBest) return { nodeIds: [], linkKeys: [], length: 0 };
+
+  const nodeIds = [];
+  const linkKeys = [];
+  const seen = new Set();
+  for (let id = endIdBest; id && !seen.has(id); id = best.get(id).prev) {
+    seen.add(id);
+    nodeIds.push(id);
+    if (best.get(id).key) linkKeys.push(best.get(id).key);
+  }
+  nodeIds.reverse();
+  linkKeys.reverse();
+  return { nodeIds, linkKeys, length: nodeIds.length };
+}
+
+/**
+ * Find dependency cycles: strongly connected components of the blocks/waits-for
+ * graph with more than one bead (or a bead that blocks itself). Any such component
+ * can never complete — every member waits on another member.
+ * Uses an iterative Tarjan so deep dependency chains can't overflow the stack.
+ * @param {{nodes: Object[], links: Object[]}} graphData
+ * @returns {Array<{nodeIds: string[], linkKeys: string[]}>} One entry per cycle,
+ *   largest first; linkKeys are the gating links inside the component
+ */
+export function findDependencyCycles(graphData) {
+  const succ = new Map(); // id → [targetId]
+  const gating = [];
+  for (const l of graphData.links) {
+    if (!GATING_DEP_TYPES.has(l.dep_type)) continue;
+    const srcId = endId(l.source);
+    const tgtId = endId(l.target);
+    gating.push({ srcId, tgtId, key: linkKeyOf(l) });
+    if (!succ.has(srcId)) succ.set(srcId, []);
+    succ.get(srcId).push(tgtId);
+  }
+
+  const index = new Map();
+  const low = new Map();
+  const onStack = new Set();
+  const stack = [];
+  const components = [];
+  let counter = 0;
+
+  for (const root of succ.keys()) {
+    if (index.has(root)) continue;
+    const work = [{ id: root, i: 0 }];
+    index.set(root, counter);
+    low.set(root, counter++);
+    stack.push(root);
+    onStack.add(root);
+    while (work.length > 0) {
+      const frame = work[work.length - 1];
+      const next = succ.get(frame.id) || [];
+      if (frame.i < next.length) {
+        const w = next[frame.i++];
+        if (!index.has(w)) {
+          index.set(w, counter);
+          low.set(w, counter++);
+          stack.push(w);
+          onStack.add(w);
+          work.push({ id: w, i: 0 });
+        } else if (onStack.has(w)) {
+          low.set(frame.id, Math.min(low.get(frame.id), index.get(w)));
+        }
+        continue;
+      }
+      work.pop();
+      if (work.length > 0) {
+        const parent = work[work.length - 1].id;
+        low.set(parent, Math.min(low.get(parent), low.get(frame.id)));
+      }
+      if (low.get(frame.id) === index.get(frame.id)) {
+        const members = [];
+        let w;
+        do {
+          w = stack.pop();
+          onStack.delete(w);
+          members.push(w);
+        } while (w !== frame.id);
+        components.push(members);
+      }
+    }
+  }
+
+  // Gating links with both ends in the same component, bucketed in one pass
+  const compOf = new Map();
+  components.forEach((members, ci) => {
+    for (const id of members) compOf.set(id, ci);
+  });
+  const compLinks = new Map(); // component index → Set<linkKey>
+  for (const g of gating) {
+    const ci = compOf.get(g.srcId);
+    if (ci === undefined || ci !== compOf.get(g.tgtId)) continue;
+    if (!compLinks.has(ci)) compLinks.set(ci, new Set());
+    compLinks.get(ci).add(g.key);
+  }
+
+  const cycles = [];
+  components.forEach((members, ci) => {
+    const linkKeys = compLinks.get(ci);
+    // No internal links = a lone bead that doesn't block itself, not a cycle
+    if (!linkKeys) return;
+    cycles.push({ nodeIds: members.sort(), linkKeys: [...linkKeys] });
+  });
+  cycles.sort((a, b) => b.nodeIds.length - a.nodeIds.length);
+  return cycles;
+}
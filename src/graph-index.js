@@ -0,0 +1,164 @@
+// Adjacency index over the graph: nodes by id plus each node's outgoing and
+// incoming links. Filtering, link visibility and subgraph walks look neighbours
+// up here instead of scanning graphData.links, which is quadratic on large
+// graphs. refresh() rebuilds it; code that pushes nodes or links into graphData
+// adds them here too.
+
+const NONE = Object.freeze([]);
+
+/**
+ * Id of a link endpoint — the force graph replaces ids with node objects.
+ *
+ * @param {string|Object} end
+ * @returns {string}
+ */
+export function linkEndId(end) {
+  return typeof end === 'object' && end !== null ? end.id : end;
+}
+
+export class GraphIndex {
+  constructor() {
+    /** @type {Map<string, Object>} node id → node */
+    this._nodes = new Map();
+    /** @type {Map<string, Object[]>} node id → links with that node as source */
+    this._out = new Map();
+    /** @type {Map<string, Object[]>} node id → links with that node as target */
+    this._in = new Map();
+  }
+
+  /** @returns {number} Number of indexed nodes */
+  get size() {
+    return this._nodes.size;
+  }
+
+  /**
+   * Replace the index contents with a graph.
+   *
+   * @param {{nodes: Object[], links: Object[]}} graphData
+   * @returns {void}
+   */
+  rebuild({ nodes, links }) {
+    this._nodes = new Map(nodes.map((n) => [n.id, n]));
+    this._out = new Map();
+    this._in = new Map();
+    for (const link of links) this.addLink(link);
+  }
+
+  /**
+   * @param {Object} node
+   * @returns {void}
+   */
+  addNode(node) {
+    this._nodes.set(node.id, node);
+  }
+
+  /**
+   * Drop a node and every link touching it.
+   *
+   * @param {string} id
+   * @returns {void}
+   */
+  removeNode(id) {
+    for (const link of [...this.outLinks(id), ...this.inLinks(id)]) this.removeLink(link);
+    this._nodes.delete(id);
+  }
+
+  /**
+   * @param {Object} link
+   * @returns {void}
+   */
+  addLink(link) {
+    push(this._out, linkEndId(link.source), link);
+    push(this._in, linkEndId(link.target), link);
+  }
+
+  /**
+   * @param {Object} link - The same link object that was added
+   * @returns {void}
+   */
+  removeLink(link) {
+    pull(this._out, linkEndId(link.source), link);
+    pull(this._in, linkEndId(link.target), link);
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Object|undefined}
+   */
+  node(id) {
+    return this._nodes.get(id);
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Object[]} Links with `id` as source
+   */
+  outLinks(id) {
+    return this._out.get(id) || NONE;
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Object[]} Links with `id` as target
+   */
+  inLinks(id) {
+    return this._in.get(id) || NONE;
+  }
+
+  /**
+   * Both endpoint nodes of a link, undefined where the node is not in the graph.
+   *
+   * @param {Object} link
+   * @returns {[Object|undefined, Object|undefined]}
+   */
+  ends(link) {
+    return [this._nodes.get(linkEndId(link.source)), this._nodes.get(linkEndId(link.target))];
+  }
+
+  /**
+   * Ids of the nodes linked to `id` in either direction.
+   *
+   * @param {string} id
+   * @returns {Set<string>}
+   */
+  neighbors(id) {
+    const ids = new Set();
+    for (const l of this.outLinks(id)) ids.add(linkEndId(l.target));
+    for (const l of this.inLinks(id)) ids.add(linkEndId(l.source));
+    return ids;
+  }
+
+  /**
+   * Every node reachable from `startId` along links in either direction,
+   * including the start node itself.
+   *
+   * @param {string} startId
+   * @returns {Set<string>}
+   */
+  component(startId) {
+    const visited = new Set([startId]);
+    const queue = [startId];
+    for (let i = 0; i < queue.length; i++) {
+      for (const id of this.neighbors(queue[i])) {
+        if (visited.has(id)) continue;
+        visited.add(id);
+        queue.push(id);
+      }
+    }
+    return visited;
+  }
+}
+
+function push(map, key, link) {
+  const list = map.get(key);
+  if (list) list.push(link);
+  else map.set(key, [link]);
+}
+
+function pull(map, key, link) {
+  const list = map.get(key);
+  if (!list) return;
+  const i = list.indexOf(link);
+  if (i !== -1) list.splice(i, 1);
+  if (list.length === 0) map.delete(key);
+}
@@ -0,0 +1,240 @@
+// Agent activity heatmap. Agent bus events (the ones the agent windows show) are
+// credited to the bead the agent is assigned to: tool calls, edits, and active
+// time — the gaps between an agent's events while it isn't idle, stopped or
+// crashed. With a metric picked in the control panel, bead halos warm from their
+// status color through amber to red and brighten by how much of that metric the
+// bead has drawn; the right sidebar ranks the hottest beads.
+
+import { linkEndId } from './graph-index.js';
+
+/** Heatmap metrics, with their control panel labels. */
+export const HEAT_METRICS = { tools: 'tool calls', edits: 'edits', time: 'agent time' };
+
+const EDIT_TOOLS = new Set(['Edit', 'MultiEdit', 'Write', 'NotebookEdit']);
+const INACTIVE_EVENTS = new Set(['AgentIdle', 'AgentStopped', 'AgentCrashed']);
+const MAX_GAP_MS = 5 * 60 * 1000; // longer silences don't count as time on the bead
+const AMBER = 0xffb020;
+const RED = 0xff3020;
+
+// Dependency injection — set by main.js before use
+let _deps = {};
+
+/** @type {Map<string, {tools: number, edits: number, time: number}>} bead id → activity */
+const _heat = new Map();
+/** @type {Map<string, {beadId: string|null, lastTs: number, active: boolean}>} agent id → session */
+const _sessions = new Map();
+let _metric = ''; // '' = heatmap off
+let _max = null; // highest value of _metric, null when stale
+let _dirty = false; // activity recorded since the last paint
+let _painted = false; // halos carry heat colors
+let _indexed = null; // the nodes array _nodeById was built from
+let _nodeById = new Map();
+
+/**
+ * Inject dependencies from main.js.
+ *
+ * @param {Object} deps
+ * @param {Function} deps.getGraphData - () => { nodes, links }
+ * @param {Function} deps.haloMaterial - (color, opacity) => SpriteMaterial for non-instanced halos
+ * @param {Function} [deps.onChange]   - () => void, after heat is repainted
+ */
+export function setHeatmapDeps(deps) {
+  _deps = deps;
+}
+
+/**
+ * @returns {string} Current metric, '' when the heatmap is off
+ */
+export function getHeatMetric() {
+  return _metric;
+}
+
+/**
+ * Pick the heatmap metric and repaint.
+ *
+ * @param {string} metric - A HEAT_METRICS key, or '' to switch the heatmap off
+ * @returns {void}
+ */
+export function setHeatMetric(metric) {
+  _metric = HEAT_METRICS[metric] ? metric : '';
+  _max = null;
+  paintHeat();
+}
+
+// The bead an agent works on: an in-progress assignment first, else any
+function assignedBead(agentId) {
+  const { nodes = [], links = [] } = _deps.getGraphData?.() || {};
+  // Refreshes replace the nodes array, so the index is rebuilt once per refresh
+  if (_indexed !== nodes) {
+    _indexed = nodes;
+    _nodeById = new Map(nodes.map((n) => [n.id, n]));
+  }
+  let fallback = null;
+  for (const l of links) {
+    if (l.dep_type !== 'assigned_to' || linkEndId(l.source) !== agentId) continue;
+    const beadId = linkEndId(l.target);
+    if (_nodeById.get(beadId)?.status === 'in_progress') return beadId;
+    fallback ??= beadId;
+  }
+  return fallback;
+}
+
+/**
+ * Credit an agent bus event to the agent's assigned bead.
+ *
+ * @param {string} agentId - Agent node id
+ * @param {Object} evt - Bus event with type, payload and ts
+ * @returns {void}
+ */
+export function recordAgentEvent(agentId, evt) {
+  const ts = evt.ts ? new Date(evt.ts).getTime() : Date.now();
+  const beadId = assignedBead(agentId);
+  const session = _sessions.get(agentId);
+
+  // Time since the agent's previous event goes to the bead it was on then
+  if (session?.active && session.beadId && ts > session.lastTs && ts - session.lastTs <= MAX_GAP_MS) {
+    beadStats(session.beadId).time += ts - session.lastTs;
+    _dirty = true;
+  }
+  _sessions.set(agentId, { beadId, lastTs: ts, active: !INACTIVE_EVENTS.has(evt.type) });
+
+  if (evt.type === 'PreToolUse' && beadId) {
+    const stats = beadStats(beadId);
+    stats.tools++;
+    if (EDIT_TOOLS.has(evt.payload?.tool_name)) stats.edits++;
+    _dirty = true;
+  }
+  if (_dirty) _max = null;
+}
+
+function beadStats(beadId) {
+  let stats = _heat.get(beadId);
+  if (!stats) {
+    stats = { tools: 0, edits: 0, time: 0 };
+    _heat.set(beadId, stats);
+  }
+  return stats;
+}
+
+/**
+ * @param {string} beadId
+ * @returns {{tools: number, edits: number, time: number}|null} Activity recorded on the bead
+ */
+export function beadHeat(beadId) {
+  return _heat.get(beadId) || null;
+}
+
+/**
+ * Beads ranked by a metric, hottest first.
+ *
+ * @param {string} metric - A HEAT_METRICS key
+ * @param {number} [limit=10]
+ * @returns {{id: string, value: number}[]}
+ */
+export function hottestBeads(metric, limit = 10) {
+  return [..._heat]
+    .map(([id, stats]) => ({ id, value: stats[metric] || 0 }))
+    .filter((b) => b.value > 0)
+    .sort((a, b) => b.value - a.value)
+    .slice(0, limit);
+}
+
+/**
+ * @param {number} value
+ * @param {string} metric
+ * @returns {string}
+ */
+export function formatHeat(value, metric) {
+  if (metric !== 'time') return String(value);
+  const mins = Math.round(value / 60000);
+  return mins < 60 ? `${mins}m` : `${Math.floor(mins / 60)}h${String(mins % 60).padStart(2, '0')}`;
+}
+
+/**
+ * How hot a bead is under the current metric, relative to the hottest one.
+ * Square-rooted so moderately busy beads still show.
+ *
+ * @param {string} beadId
+ * @returns {number} 0..1, 0 when the heatmap is off
+ */
+export function heatLevel(beadId) {
+  if (!_metric) return 0;
+  const value = _heat.get(beadId)?.[_metric] || 0;
+  if (value === 0) return 0;
+  if (_max === null) _max = Math.max(0, ...[..._heat.values()].map((s) => s[_metric]));
+  return _max > 0 ? Math.sqrt(value / _max) : 0;
+}
+
+/**
+ * Blend two hex colors.
+ *
+ * @param {number} a
+ * @param {number} b
+ * @param {number} t - 0 gives a, 1 gives b
+ * @returns {number}
+ */
+export function mixHex(a, b, t) {
+  const ch = (shift) => {
+    const from = (a >> shift) & 0xff;
+    const to = (b >> shift) & 0xff;
+    return Math.round(from + (to - from) * t) << shift;
+  };
+  return ch(16) | ch(8) | ch(0);
+}
+
+/**
+ * Halo color and opacity for a bead: its own when cold, warming to amber and
+ * then red, and brighter, as it heats up.
+ *
+ * @param {Object} node
+ * @param {number} color - The halo's own hex color
+ * @param {number} opacity - The halo's own opacity
+ * @returns {{color: number, opacity: number}}
+ */
+export function heatHalo(node, color, opacity) {
+  const raw = heatLevel(node.id);
+  if (raw === 0) return { color, opacity };
+  // Ten steps, so non-instanced halos share a bounded set of cached materials
+  const level = Math.max(0.1, Math.round(raw * 10) / 10);
+  const heated = level < 0.5 ? mixHex(color, AMBER, level * 2) : mixHex(AMBER, RED, level * 2 - 1);
+  return { color: heated, opacity: Math.min(opacity + level * 0.5, 0.8) };
+}
+
+/**
+ * Recolor the halos of every built node object for the current heat. With the
+ * heatmap off only the listeners hear about it, so the sidebar ranking still
+ * updates while halos keep their own colors.
+ * @returns {void}
+ */
+export function paintHeat() {
+  _dirty = false;
+  if (!_metric && !_painted) {
+    _deps.onChange?.();
+    return;
+  }
+  _painted = !!_metric; // switching off takes one more pass, back to the halos' own colors
+  for (const node of _deps.getGraphData?.()?.nodes || []) {
+    const group = node.__threeObj;
+    const base = group?.userData.heatBase;
+    if (!base) continue;
+    const { color, opacity } = heatHalo(node, base.color, base.opacity);
+    const spec = group.userData.instanced?.halo;
+    if (spec) {
+      spec.color = color;
+      spec.opacity = opacity;
+    } else {
+      const halo = group.children.find((c) => c.userData.materiaHalo);
+      if (halo) halo.material = _deps.haloMaterial(color, opacity);
+    }
+  }
+  _deps.onChange?.();
+}
+
+/**
+ * Repaint if activity came in since the last paint. Runs every second or so
+ * from the animation loop.
+ * @returns {void}
+ */
+export function updateHeat() {
+  if (_dirty) paintHeat();
+}
@@ -0,0 +1,131 @@
+// Include-history mode ("archaeology"). fetchViaGraph loads only unfinished work
+// (bd-a0vbd); with a history window set it also fetches the beads closed inside
+// the window. They are flagged _history and drawn as translucent ghosts, and the
+// filter dashboard can narrow them down by who closed them and why.
+//
+// A window is either relative — { days: 30 }, the last 30 days, which stays
+// current in a saved profile — or a fixed range { from, to } of YYYY-MM-DD dates
+// ('' leaves that end open).
+
+const HISTORY_LIMIT = 2000; // closed beads per fetch, newest first
+const DAY_MS = 86400000;
+
+/**
+ * Timestamps bounding a history window; `before` is exclusive.
+ *
+ * @param {{days?: number, from?: string, to?: string}|null} win
+ * @param {number} [now=Date.now()]
+ * @returns {{after: number, before: number}|null} null when history is off
+ */
+export function historyRange(win, now = Date.now()) {
+  if (!win) return null;
+  if (win.days > 0) return { after: now - win.days * DAY_MS, before: Infinity };
+  const after = win.from ? Date.parse(win.from) : -Infinity;
+  // `to` is inclusive: the range runs to the end of that day
+  const before = win.to ? Date.parse(win.to) + DAY_MS : Infinity;
+  if (Number.isNaN(after) || Number.isNaN(before) || (!win.from && !win.to)) return null;
+  return { after, before };
+}
+
+/**
+ * Parse a ?history= URL value: a number of days ("30") or a date range
+ * ("2026-01-01..2026-03-31", either end may be left out).
+ *
+ * @param {string} value
+ * @returns {{days: number}|{from: string, to: string}|null}
+ */
+export function parseHistoryParam(value) {
+  if (!value) return null;
+  if (/^\d+$/.test(value)) return Number(value) > 0 ? { days: Number(value) } : null;
+  const [from = '', to = ''] = value.split('..');
+  const win = { from: from.trim(), to: to.trim() };
+  return historyRange(win) ? win : null;
+}
+
+/**
+ * Inverse of parseHistoryParam().
+ *
+ * @param {{days?: number, from?: string, to?: string}|null} win
+ * @returns {string} '' when history is off
+ */
+export function formatHistoryParam(win) {
+  if (!win) return '';
+  if (win.days > 0) return String(win.days);
+  return `${win.from || ''}..${win.to || ''}`;
+}
+
+/**
+ * When a bead was closed — closed_at, falling back to the last update.
+ *
+ * @param {Object} bead
+ * @returns {number} ms timestamp, NaN if unknown
+ */
+export function closedAt(bead) {
+  return Date.parse(bead.closed_at || bead.updated_at || '');
+}
+
+/**
+ * Who closed a bead. Backends without a closed_by field get the assignee.
+ *
+ * @param {Object} bead
+ * @returns {string}
+ */
+export function closerOf(bead) {
+  return bead.closed_by || bead.assignee || '';
+}
+
+/**
+ * @param {Object} bead
+ * @returns {string}
+ */
+export function closeReasonOf(bead) {
+  return bead.close_reason || '';
+}
+
+/**
+ * Fetch the beads closed inside a history window. The window is also applied
+ * here, for backends that ignore closed_after/closed_before.
+ *
+ * @param {Object} api - BeadsAPI instance
+ * @param {Object} graphArgs - The live fetch's Graph API arguments
+ * @param {{days?: number, from?: string, to?: string}} win
+ * @returns {Promise<{nodes: Object[], edges: Object[]}>}
+ */
+export async function fetchClosedBeads(api, graphArgs, win) {
+  const range = historyRange(win);
+  if (!range) return { nodes: [], edges: [] };
+  const result = await api.graph({
+    ...graphArgs,
+    status: ['closed'],
+    limit: HISTORY_LIMIT,
+    order_by: 'updated_at',
+    ...(Number.isFinite(range.after) && { closed_after: new Date(range.after).toISOString() }),
+    ...(Number.isFinite(range.before) && { closed_before: new Date(range.before).toISOString() }),
+  });
+  const nodes = (result.nodes || [])
+    .filter((n) => n.status === 'closed')
+    .filter((n) => {
+      const t = closedAt(n);
+      return t >= range.after && t < range.before;
+    })
+    .map((n) => ({ ...n, _history: true }));
+  return { nodes, edges: result.edges || [] };
+}
+
+/**
+ * Add fetched closed beads to a live Graph API result.
+ *
+ * @param {{nodes: Object[], edges: Object[]}} result
+ * @param {{nodes: Object[], edges: Object[]}} closed - From fetchClosedBeads()
+ * @returns {{nodes: Object[], edges: Object[]}} A copy of `result`
+ */
+export function mergeClosedBeads(result, closed) {
+  const ids = new Set((result.nodes || []).map((n) => n.id));
+  const edgeKey = (e) => `${e.source}→${e.target}:${e.type}`;
+  const keys = new Set((result.edges || []).map(edgeKey));
+  return {
+    ...result,
+    nodes: [...(result.nodes || []), ...closed.nodes.filter((n) => !ids.has(n.id))],
+    edges: [...(result.edges || []), ...closed.edges.filter((e) => !keys.has(edgeKey(e)))],
+  };
+}
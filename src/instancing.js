@@ -0,0 +1,182 @@
+// Instanced rendering for bead nodes. Every bead shares the same materia orb and
+// halo, so rather than one Mesh and one Sprite per bead (two draw calls each),
+// the node builder in initGraph records what it would have drawn on the node
+// object (userData.instanced) and this module draws all of them with one
+// InstancedMesh per class, with per-instance color, size and opacity.
+//
+// The node object keeps an invisible copy of the orb, so picking and hover still
+// raycast against it. Selection dimming and highlighting are applied per
+// instance each frame; other code that fades nodes (epic highlight) sets a
+// per-node factor with setInstanceDim(). Nodes the LOD pass (lod.js) has moved
+// off the full tier are skipped.
+
+import * as THREE from 'three';
+import { createInstancedMateriaMaterial, createInstancedHaloMaterial } from './shaders.js';
+
+const DIM_FACTOR = 0.35; // matches selection dimming in the animation loop
+
+/**
+ * @typedef {Object} InstanceSpec
+ * @property {number} color - Hex color
+ * @property {number} size - Uniform scale
+ * @property {number} opacity - Base opacity
+ * @property {number} [coreIntensity] - Materia only
+ * @property {number} [breathSpeed] - Materia only
+ */
+
+// Dependency injection — set by main.js before use
+let _deps = {};
+
+/** Invisible stand-in material for the pick proxies left in node objects. */
+export const PICK_MATERIAL = new THREE.MeshBasicMaterial({ visible: false });
+
+const _batches = {}; // class → { mesh, attrs, capacity }
+const _matrix = new THREE.Matrix4();
+const _quat = new THREE.Quaternion();
+const _scale = new THREE.Vector3();
+const _color = new THREE.Color();
+
+const CLASSES = {
+  materia: {
+    geometry: () => new THREE.SphereGeometry(1, 12, 12), // same as GEO.sphereHi
+    material: () => createInstancedMateriaMaterial(),
+    attrs: { aColor: 3, aOpacity: 1, aCore: 1, aBreath: 1, aSelected: 1 },
+    scale: 1,
+  },
+  halo: {
+    geometry: () => new THREE.PlaneGeometry(1, 1),
+    material: () => createInstancedHaloMaterial(_deps.getHaloTexture()),
+    attrs: { aColor: 3, aOpacity: 1 },
+    scale: 3, // halo sprites are three times the orb size
+  },
+};
+
+/**
+ * Inject dependencies from main.js.
+ *
+ * @param {Object} deps
+ * @param {Function} deps.getGraph       - () => ForceGraph3D instance
+ * @param {Function} deps.getGraphData   - () => { nodes, links }
+ * @param {Function} deps.getHaloTexture - () => THREE.Texture for halos
+ * @param {Function} deps.isDimmed       - (node) => boolean, true when a selection dims the node
+ * @param {Function} deps.isSelected     - (node) => boolean
+ */
+export function setInstancingDeps(deps) {
+  _deps = deps;
+}
+
+/**
+ * Hand a node object's materia core and halo over to the instanced renderer:
+ * the halo is dropped and the core stays as an invisible pick proxy. Parts the
+ * builder already removed (agents, decisions, jacks) are left alone.
+ *
+ * @param {THREE.Group} group - Node object from the builder
+ * @param {THREE.Mesh} core - Its materia core mesh
+ * @param {THREE.Sprite} halo - Its halo sprite
+ * @param {{materia: InstanceSpec, halo: InstanceSpec}} specs
+ * @returns {void}
+ */
+export function instanceNodeParts(group, core, halo, specs) {
+  const instanced = { materia: null, halo: null };
+  if (core.parent === group) {
+    core.material = PICK_MATERIAL;
+    core.userData.instanced = true;
+    instanced.materia = specs.materia;
+  }
+  if (halo.parent === group) {
+    group.remove(halo);
+    instanced.halo = specs.halo;
+  }
+  group.userData.instanced = instanced;
+  group.userData.instanceDim = 1;
+}
+
+/**
+ * Fade a node's instanced parts, on top of selection dimming.
+ *
+ * @param {Object} node
+ * @param {number} factor - Opacity multiplier, 1 = normal
+ * @returns {void}
+ */
+export function setInstanceDim(node, factor) {
+  if (node.__threeObj?.userData.instanced) node.__threeObj.userData.instanceDim = factor;
+}
+
+/**
+ * Write every instanced node's position, size, color and opacity. Runs every
+ * frame from the animation loop.
+ * @returns {void}
+ */
+export function updateInstances() {
+  const scene = _deps.getGraph?.()?.scene();
+  if (!scene) return;
+  const counts = { materia: 0, halo: 0 };
+  const nodes = _deps.getGraphData().nodes;
+  for (const cls of Object.keys(CLASSES)) ensureCapacity(scene, cls, nodes.length);
+
+  for (const node of nodes) {
+    const group = node.__threeObj;
+    const instanced = group?.userData.instanced;
+    // Hidden nodes' objects are taken out of the scene; LOD sprites and points cover the rest
+    if (!instanced || !group.parent || node._hidden) continue;
+    if (group.userData.lodTier && group.userData.lodTier !== 'full') continue;
+    const dim = (group.userData.instanceDim ?? 1) * (_deps.isDimmed?.(node) ? DIM_FACTOR : 1);
+    const selected = _deps.isSelected?.(node) ? 1 : 0;
+    for (const cls of Object.keys(CLASSES)) {
+      const spec = instanced[cls];
+      if (!spec) continue;
+      writeInstance(cls, counts[cls]++, group, spec, dim, selected);
+    }
+  }
+
+  for (const [cls, batch] of Object.entries(_batches)) {
+    batch.mesh.count = counts[cls];
+    batch.mesh.instanceMatrix.needsUpdate = true;
+    for (const attr of Object.values(batch.attrs)) attr.needsUpdate = true;
+  }
+}
+
+function writeInstance(cls, i, group, spec, dim, selected) {
+  const { mesh, attrs } = _batches[cls];
+  // group.scale carries node animations such as the collapse effect
+  _scale.setScalar(spec.size * CLASSES[cls].scale * group.scale.x);
+  _matrix.compose(group.position, _quat, _scale);
+  mesh.setMatrixAt(i, _matrix);
+  _color.setHex(spec.color);
+  attrs.aColor.setXYZ(i, _color.r, _color.g, _color.b);
+  attrs.aOpacity.setX(i, spec.opacity * dim);
+  if (attrs.aCore) {
+    attrs.aCore.setX(i, spec.coreIntensity);
+    attrs.aBreath.setX(i, spec.breathSpeed);
+    attrs.aSelected.setX(i, selected);
+  }
+}
+
+// Create or grow a class's InstancedMesh so it fits `needed` instances
+function ensureCapacity(scene, cls, needed) {
+  const batch = _batches[cls];
+  if (batch && batch.capacity >= needed) {
+    if (batch.mesh.parent !== scene) scene.add(batch.mesh);
+    return;
+  }
+  const capacity = Math.max(64, 2 ** Math.ceil(Math.log2(Math.max(needed, 1))));
+  const def = CLASSES[cls];
+  const geometry = batch ? batch.mesh.geometry : def.geometry();
+  const material = batch ? batch.mesh.material : def.material();
+  if (batch) {
+    scene.remove(batch.mesh);
+    batch.mesh.dispose();
+  }
+  const mesh = new THREE.InstancedMesh(geometry, material, capacity);
+  mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+  mesh.frustumCulled = false; // instances move every frame; the mesh has no useful bounds
+  mesh.count = 0;
+  const attrs = {};
+  for (const [name, size] of Object.entries(def.attrs)) {
+    attrs[name] = new THREE.InstancedBufferAttribute(new Float32Array(capacity * size), size);
+    attrs[name].setUsage(THREE.DynamicDrawUsage);
+    geometry.setAttribute(name, attrs[name]);
+  }
+  scene.add(mesh);
+  _batches[cls] = { mesh, attrs, capacity };
+}
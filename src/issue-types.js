@@ -0,0 +1,118 @@
+// Issue types the graph loads, and how the optional ones are drawn. By default
+// the plumbing types — mail, config, wisps, formulas… — stay out of the graph
+// (bd-04wet, bd-t25i1, bd-uqkpq). Teams that work with them opt them in from the
+// filter dashboard, a saved filter profile, or the URL:
+//
+//   ?include_types=formula,convoy   load these default-excluded types too
+//   ?exclude_types=chore            leave these out as well
+//
+// Both fetch paths and neighbourhood loading read the setting from here.
+
+/** Types left out of the graph unless opted in, in dashboard order. */
+export const DEFAULT_EXCLUDED_TYPES = [
+  'message',
+  'config',
+  'gate',
+  'wisp',
+  'convoy',
+  'molecule',
+  'formula',
+  'advice',
+  'role',
+];
+
+/**
+ * How each optional type is drawn: a wire shell around the status-colored core
+ * and a short tag above it. `shape` names a shared geometry in main.js (GEO).
+ * Gates are drawn as decisions instead.
+ * @type {Record<string, {color: number, shape: string, tag: string}>}
+ */
+export const TYPE_STYLES = {
+  message: { color: 0x6fa8dc, shape: 'box', tag: 'MSG' },
+  config: { color: 0x9e9eb0, shape: 'octa', tag: 'CFG' },
+  wisp: { color: 0xb0e0ff, shape: 'sphereLo', tag: 'WISP' },
+  convoy: { color: 0x40c0a0, shape: 'torus', tag: 'CONVOY' },
+  molecule: { color: 0xc070e0, shape: 'octa', tag: 'MOL' },
+  formula: { color: 0xe0a030, shape: 'box', tag: 'FX' },
+  advice: { color: 0xa0d050, shape: 'sphereLo', tag: 'ADV' },
+  role: { color: 0xe06090, shape: 'torus', tag: 'ROLE' },
+};
+
+let _defaults = new Set(DEFAULT_EXCLUDED_TYPES);
+let _excluded = new Set(DEFAULT_EXCLUDED_TYPES);
+
+/**
+ * Split a comma-separated list of types.
+ *
+ * @param {string} value
+ * @returns {string[]}
+ */
+export function parseTypeList(value) {
+  return (value || '')
+    .split(',')
+    .map((t) => t.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Set up the excluded types at startup.
+ *
+ * @param {Object} [opts={}]
+ * @param {string[]} [opts.include=[]] - Default-excluded types to load anyway
+ * @param {string[]} [opts.exclude=[]] - Further types to leave out
+ * @param {boolean} [opts.molecule=false] - A molecule is focused (bd-lwut6), so molecules load by default
+ * @returns {void}
+ */
+export function initExcludedTypes({ include = [], exclude = [], molecule = false } = {}) {
+  _defaults = new Set(DEFAULT_EXCLUDED_TYPES);
+  if (molecule) _defaults.delete('molecule');
+  _excluded = new Set([..._defaults, ...exclude]);
+  for (const type of include) _excluded.delete(type);
+}
+
+/**
+ * @returns {string[]} Types currently left out of the graph
+ */
+export function getExcludedTypes() {
+  return [..._excluded];
+}
+
+/**
+ * @param {string} type
+ * @returns {boolean}
+ */
+export function isTypeExcluded(type) {
+  return _excluded.has(type);
+}
+
+/**
+ * @param {string} type
+ * @param {boolean} excluded
+ * @returns {void}
+ */
+export function setTypeExcluded(type, excluded) {
+  if (excluded) _excluded.add(type);
+  else _excluded.delete(type);
+}
+
+/**
+ * Replace the excluded types, e.g. from a saved filter profile.
+ *
+ * @param {string[]} [types] - Omit to go back to the defaults
+ * @returns {void}
+ */
+export function setExcludedTypes(types) {
+  _excluded = new Set(types || _defaults);
+}
+
+/**
+ * How the current setting differs from the defaults, for shareable URLs.
+ *
+ * @returns {{include: string[], exclude: string[]}}
+ */
+export function excludedTypesDiff() {
+  return {
+    include: [..._defaults].filter((t) => !_excluded.has(t)),
+    exclude: [..._excluded].filter((t) => !_defaults.has(t)),
+  };
+}
@@ -0,0 +1,325 @@
+// Keymap registry — every global keyboard shortcut, rebindable from the control
+// panel and saved to the config store so bindings follow the user across machines.
+// camera.js owns what each action does; this module only maps keys to action ids.
+
+/** Config key for the saved keymap (only bindings that differ from the defaults). */
+export const KEYMAP_CONFIG_KEY = 'beads3d.keymap';
+
+/**
+ * @typedef {Object} KeyAction
+ * @property {string}  id         - Action id, used by the handler table in camera.js
+ * @property {string}  label      - Human-readable name (control panel, command palette)
+ * @property {string}  group      - 'action' | 'layout' | 'vfx'
+ * @property {string}  key        - Default combo ('' = unbound)
+ * @property {boolean} [repeat]   - Fire on key auto-repeat (held key)
+ * @property {boolean} [inInputs] - Fire even while a text input has focus
+ */
+
+/** @type {KeyAction[]} */
+export const KEYMAP_ACTIONS = [
+  { id: 'palette', label: 'Command palette', group: 'action', key: 'Ctrl+k', inInputs: true },
+  { id: 'search', label: 'Focus search', group: 'action', key: '/' },
+  { id: 'refresh', label: 'Refresh graph', group: 'action', key: 'r' },
+  { id: 'bloom', label: 'Toggle bloom', group: 'action', key: 'b' },
+  { id: 'minimap', label: 'Toggle minimap', group: 'action', key: 'm' },
+  { id: 'labels', label: 'Toggle labels', group: 'action', key: 'l' },
+  { id: 'sidebar', label: 'Toggle left sidebar', group: 'action', key: 'f' },
+  { id: 'controls', label: 'Toggle control panel', group: 'action', key: 'g' },
+  { id: 'filters', label: 'Toggle filter dashboard', group: 'action', key: '' },
+  { id: 'agents', label: 'Toggle agents view', group: 'action', key: 'Shift+a' },
+  { id: 'decisions', label: 'Toggle decision center', group: 'action', key: 'd' },
+  { id: 'replay', label: 'Toggle history replay', group: 'action', key: 'Shift+h' },
+  { id: 'epic-next', label: 'Next epic', group: 'action', key: 'Shift+d' },
+  { id: 'epic-prev', label: 'Previous epic', group: 'action', key: 'Shift+s' },
+  { id: 'center', label: 'Center camera on selection', group: 'action', key: '' },
+  { id: 'screenshot', label: 'Capture screenshot', group: 'action', key: 'p' },
+  { id: 'export', label: 'Export graph JSON', group: 'action', key: 'x' },
+  { id: 'pin-mode', label: 'Toggle pin mode (pin dragged nodes)', group: 'action', key: 'Shift+p' },
+  { id: 'unpin-all', label: 'Unpin all nodes', group: 'action', key: '' },
+  { id: 'perf', label: 'Toggle performance overlay', group: 'action', key: '`' },
+  { id: 'perf-graph', label: 'Toggle frame-time graph', group: 'action', key: '~' },
+  { id: 'vfx-down', label: 'Decrease VFX intensity', group: 'action', key: '[', repeat: true },
+  { id: 'vfx-up', label: 'Increase VFX intensity', group: 'action', key: ']', repeat: true },
+  { id: 'layout-free', label: 'Layout: Free', group: 'layout', key: '1' },
+  { id: 'layout-dag', label: 'Layout: DAG', group: 'layout', key: '2' },
+  { id: 'layout-radial', label: 'Layout: Radial', group: 'layout', key: '3' },
+  { id: 'layout-cluster', label: 'Layout: Cluster', group: 'layout', key: '4' },
+  { id: 'layout-labels', label: 'Layout: Cluster by label', group: 'layout', key: '5' },
+  { id: 'layout-swimlane', label: 'Layout: Status swimlanes', group: 'layout', key: '6' },
+  { id: 'layout-gantt', label: 'Layout: Gantt timeline', group: 'layout', key: '7' },
+  { id: 'vfx-subtle', label: 'VFX preset: subtle', group: 'vfx', key: 'Shift+1' },
+  { id: 'vfx-normal', label: 'VFX preset: normal', group: 'vfx', key: 'Shift+2' },
+  { id: 'vfx-dramatic', label: 'VFX preset: dramatic', group: 'vfx', key: 'Shift+3' },
+  { id: 'vfx-maximum', label: 'VFX preset: maximum', group: 'vfx', key: 'Shift+4' },
+];
+
+const ACTIONS_BY_ID = new Map(KEYMAP_ACTIONS.map((a) => [a.id, a]));
+const MODIFIER_ORDER = ['Ctrl', 'Alt', 'Shift'];
+const MODIFIER_KEYS = new Set(['Control', 'Alt', 'Shift', 'Meta', 'AltGraph', 'CapsLock']);
+
+/**
+ * Canonical form of a combo string: modifiers in Ctrl/Alt/Shift order, letters
+ * lower-case. Cmd/Meta is folded into Ctrl. Returns '' for an empty combo.
+ *
+ * @param {string} combo - e.g. 'shift+D', 'cmd+K', '/'
+ * @returns {string}
+ */
+export function normalizeCombo(combo) {
+  if (!combo) return '';
+  const parts = combo.split('+');
+  // A trailing empty part means the key itself is '+' ('Shift++')
+  let key = parts.pop();
+  if (key === '' && parts.length && parts[parts.length - 1] === '') {
+    parts.pop();
+    key = '+';
+  }
+  const mods = new Set(
+    parts.map((p) => {
+      const m = p.trim().toLowerCase();
+      if (m === 'ctrl' || m === 'control' || m === 'cmd' || m === 'meta' || m === 'mod') return 'Ctrl';
+      return m.charAt(0).toUpperCase() + m.slice(1);
+    }),
+  );
+  if (key.length === 1) key = key.toLowerCase();
+  return [...MODIFIER_ORDER.filter((m) => mods.has(m)), key].join('+');
+}
+
+/**
+ * Display form of a combo: 'Shift+d' → 'Shift+D', '' → ''.
+ *
+ * @param {string} combo
+ * @returns {string}
+ */
+export function formatCombo(combo) {
+  if (!combo) return '';
+  const parts = normalizeCombo(combo).split('+');
+  const key = parts.pop() || '+';
+  return [...parts, key.length === 1 ? key.toUpperCase() : key].join('+');
+}
+
+/**
+ * The combos a keydown event can match, most specific first.
+ *
+ * Printable characters match by the character typed, so '/' and '~' work on any
+ * layout. The digit row also matches by physical key ('Shift+1'), because the
+ * shifted character differs between layouts (Shift+2 is '@' on US keyboards, '"' on
+ * German ones). Letters match by character, so bindings follow AZERTY/Dvorak labels.
+ *
+ * @param {{key: string, code?: string, ctrlKey?: boolean, metaKey?: boolean, altKey?: boolean, shiftKey?: boolean}} e
+ * @returns {string[]}
+ */
+export function eventCombos(e) {
+  if (!e.key || MODIFIER_KEYS.has(e.key)) return [];
+  const mods = [];
+  if (e.ctrlKey || e.metaKey) mods.push('Ctrl');
+  if (e.altKey) mods.push('Alt');
+  const combos = [];
+  const push = (key, shift) => {
+    const combo = [...mods, ...(shift ? ['Shift'] : []), key].join('+');
+    if (!combos.includes(combo)) combos.push(combo);
+  };
+
+  const digit = /^Digit(\d)$/.exec(e.code || '');
+  // Alt/Ctrl can turn letters into symbols (macOS Option); fall back to the physical key
+  const letterCode = /^Key([A-Z])$/.exec(e.code || '');
+  if (e.key.length === 1 && /[a-z]/i.test(e.key)) {
+    push(e.key.toLowerCase(), e.shiftKey);
+  } else if (e.key.length === 1 && /\d/.test(e.key)) {
+    push(e.key, e.shiftKey);
+  } else if (e.key.length === 1) {
+    push(e.key === ' ' ? 'Space' : e.key, false); // shift is implied by the character
+  } else {
+    push(e.key, e.shiftKey); // named key: Escape, F2, ArrowUp…
+  }
+  if (digit) push(digit[1], e.shiftKey);
+  if (letterCode && (e.altKey || e.ctrlKey || e.metaKey)) push(letterCode[1].toLowerCase(), e.shiftKey);
+  return combos;
+}
+
+/**
+ * The combo to store when the user presses a key to rebind an action: the
+ * physical digit for the digit row, otherwise the character typed.
+ *
+ * @param {Object} e - keydown event
+ * @returns {string} '' for a bare modifier press
+ */
+export function recordCombo(e) {
+  const combos = eventCombos(e);
+  if (combos.length === 0) return '';
+  if (/^Digit\d$/.test(e.code || '')) return combos.find((c) => /(^|\+)\d$/.test(c)) || combos[0];
+  return combos[0];
+}
+
+/**
+ * Merge saved overrides over the defaults. Unknown action ids are ignored.
+ *
+ * @param {Object<string, string>} [overrides]
+ * @returns {Object<string, string>} actionId → combo
+ */
+export function resolveKeymap(overrides = {}) {
+  const keymap = {};
+  for (const a of KEYMAP_ACTIONS) {
+    keymap[a.id] = normalizeCombo(Object.hasOwn(overrides, a.id) ? overrides[a.id] : a.key);
+  }
+  return keymap;
+}
+
+/**
+ * Bind `combo` to `actionId`, unbinding any other action that used it.
+ *
+ * @param {Object<string, string>} keymap
+ * @param {string} actionId
+ * @param {string} combo - '' to unbind
+ * @returns {{keymap: Object<string, string>, displaced: string|null}} New keymap and
+ *   the action that lost the combo, if any
+ */
+export function rebind(keymap, actionId, combo) {
+  const next = { ...keymap };
+  const norm = normalizeCombo(combo);
+  let displaced = null;
+  if (norm) {
+    for (const [id, c] of Object.entries(next)) {
+      if (c === norm && id !== actionId) {
+        next[id] = '';
+        displaced = id;
+      }
+    }
+  }
+  next[actionId] = norm;
+  return { keymap: next, displaced };
+}
+
+/**
+ * Bindings that differ from the defaults — what gets saved.
+ *
+ * @param {Object<string, string>} keymap
+ * @returns {Object<string, string>}
+ */
+export function keymapOverrides(keymap) {
+  const out = {};
+  for (const a of KEYMAP_ACTIONS) {
+    if (keymap[a.id] !== normalizeCombo(a.key)) out[a.id] = keymap[a.id];
+  }
+  return out;
+}
+
+// --- Live keymap ---
+
+let _api = null;
+let _keymap = resolveKeymap();
+let _byCombo = indexKeymap(_keymap);
+const _listeners = new Set();
+
+function indexKeymap(keymap) {
+  const byCombo = new Map();
+  for (const [id, combo] of Object.entries(keymap)) if (combo) byCombo.set(combo, id);
+  return byCombo;
+}
+
+function setKeymap(keymap) {
+  _keymap = keymap;
+  _byCombo = indexKeymap(keymap);
+  for (const fn of _listeners) fn(_keymap);
+}
+
+/**
+ * Inject dependencies.
+ *
+ * @param {Object} deps
+ * @param {Object} deps.api - BeadsAPI instance (configGet, configSet)
+ * @returns {void}
+ */
+export function setKeymapDeps({ api }) {
+  _api = api;
+}
+
+/**
+ * Load the saved keymap. Falls back to the defaults if the config store is
+ * unavailable or the saved value is unreadable.
+ *
+ * @returns {Promise<void>}
+ */
+export async function loadKeymap() {
+  try {
+    const resp = await _api.configGet(KEYMAP_CONFIG_KEY);
+    if (!resp?.value) return;
+    const overrides = JSON.parse(resp.value);
+    if (overrides && typeof overrides === 'object') setKeymap(resolveKeymap(overrides));
+  } catch {
+    // No saved keymap (or no config store) — keep the defaults
+  }
+}
+
+async function saveKeymap() {
+  try {
+    await _api.configSet(KEYMAP_CONFIG_KEY, JSON.stringify(keymapOverrides(_keymap)));
+  } catch (err) {
+    console.warn('[beads3d] failed to save keymap:', err.message);
+  }
+}
+
+/**
+ * @returns {Object<string, string>} actionId → combo
+ */
+export function getKeymap() {
+  return _keymap;
+}
+
+/**
+ * Display form of an action's current binding ('' when unbound).
+ *
+ * @param {string} actionId
+ * @returns {string}
+ */
+export function shortcutFor(actionId) {
+  return formatCombo(_keymap[actionId]);
+}
+
+/**
+ * The action a keydown event triggers, if any.
+ *
+ * @param {Object} e - keydown event
+ * @returns {KeyAction|null}
+ */
+export function actionForEvent(e) {
+  for (const combo of eventCombos(e)) {
+    const id = _byCombo.get(combo);
+    if (id) return ACTIONS_BY_ID.get(id);
+  }
+  return null;
+}
+
+/**
+ * Rebind an action and save the keymap.
+ *
+ * @param {string} actionId
+ * @param {string} combo - '' to unbind
+ * @returns {Promise<string|null>} Id of the action that lost this combo, if any
+ */
+export async function setBinding(actionId, combo) {
+  const { keymap, displaced } = rebind(_keymap, actionId, combo);
+  setKeymap(keymap);
+  await saveKeymap();
+  return displaced;
+}
+
+/**
+ * Restore every default binding and save.
+ *
+ * @returns {Promise<void>}
+ */
+export async function resetKeymap() {
+  setKeymap(resolveKeymap());
+  await saveKeymap();
+}
+
+/**
+ * Call `fn(keymap)` whenever bindings change (load, rebind, reset).
+ *
+ * @param {Function} fn
+ * @returns {Function} Unsubscribe
+ */
+export function onKeymapChange(fn) {
+  _listeners.add(fn);
+  return () => _listeners.delete(fn);
+}
@@ -3,6 +3,11 @@
 // and agent DAG tether (beads-1gx1).
 
 import * as THREE from 'three';
+import { STATUS_COLORS } from './colors.js';
+import { SWIMLANES, SWIMLANE_WIDTH, SWIMLANE_HEIGHT, swimlaneFor, swimlaneX, clusterKeys } from './forces.js';
+import { simForce, simForceParams, simReheat, onSimulationTick } from './simulation.js';
+
+export { SWIMLANES, swimlaneFor, swimlaneX, clusterKeys };
 
 // Dependency injection — set by main.js before use
 let _deps = {};
@@ -18,6 +23,7 @@ let _deps = {};
  */
 export function setLayoutDeps(deps) {
   _deps = deps;
+  onSimulationTick(updateGanttBars);
 }
 
 // --- Layout state ---
@@ -36,6 +42,7 @@ export function getAgentTetherStrength() {
 
 export function setAgentTetherStrength(v) {
   _agentTetherStrength = v;
+  if (_deps.getGraph?.()) setupAgentTether();
 }
 
 // --- Layout helpers ---
@@ -139,20 +146,14 @@ function addRadialGuides() {
   }
 }
 
-function addClusterGuides(nodes) {
+function addClusterGuides(anchorMap, color) {
   const graph = _deps.getGraph();
   const layoutGuides = _deps.getLayoutGuides();
   const scene = graph.scene();
-  const assignees = [...new Set(nodes.map((n) => n.assignee || '(unassigned)'))];
-  const clusterRadius = Math.max(assignees.length * 40, 150);
-
-  assignees.forEach((a, i) => {
-    const angle = (i / assignees.length) * Math.PI * 2;
-    const x = Math.cos(angle) * clusterRadius;
-    const z = Math.sin(angle) * clusterRadius;
 
-    // Assignee label
-    const label = makeTextSprite(a, { fontSize: 22, color: '#ff6b35', opacity: 0.5 });
+  for (const [name, { x, z }] of Object.entries(anchorMap)) {
+    // Cluster name (assignee or label)
+    const label = makeTextSprite(name, { fontSize: 22, color, opacity: 0.5 });
     label.position.set(x, 15, z);
     scene.add(label);
     layoutGuides.push(label);
@@ -160,7 +161,7 @@ function addClusterGuides(nodes) {
     // Small anchor ring at cluster center
     const ringGeo = new THREE.RingGeometry(8, 10, 24);
     const ringMat = new THREE.MeshBasicMaterial({
-      color: 0xff6b35,
+      color,
       transparent: true,
       opacity: 0.08,
       side: THREE.DoubleSide,
@@ -170,7 +171,291 @@ function addClusterGuides(nodes) {
     ring.rotation.x = -Math.PI / 2;
     scene.add(ring);
     layoutGuides.push(ring);
+  }
+}
+
+// --- Swimlanes: kanban-style status columns ---
+
+function addSwimlaneGuides() {
+  const graph = _deps.getGraph();
+  const layoutGuides = _deps.getLayoutGuides();
+  const scene = graph.scene();
+  for (const lane of SWIMLANES) {
+    const x = swimlaneX(lane);
+    const color = STATUS_COLORS[lane];
+
+    // Column backdrop behind the beads
+    const planeGeo = new THREE.PlaneGeometry(SWIMLANE_WIDTH * 0.92, SWIMLANE_HEIGHT);
+    const planeMat = new THREE.MeshBasicMaterial({
+      color,
+      transparent: true,
+      opacity: 0.05,
+      side: THREE.DoubleSide,
+      depthWrite: false,
+    });
+    const plane = new THREE.Mesh(planeGeo, planeMat);
+    plane.position.set(x, 0, -30);
+    scene.add(plane);
+    layoutGuides.push(plane);
+
+    // Column heading
+    const label = makeTextSprite(lane.replace('_', ' '), { fontSize: 22, color, opacity: 0.6 });
+    label.position.set(x, SWIMLANE_HEIGHT / 2 + 15, 0);
+    scene.add(label);
+    layoutGuides.push(label);
+  }
+}
+
+// --- Gantt: time on X, one lane per epic or assignee on Y ---
+
+const GANTT_WIDTH = 1200;
+const GANTT_LANE_GAP = 50;
+const DAY_MS = 86400000;
+
+let ganttLanes = 'epic'; // 'epic' | 'assignee'
+let _ganttPlan = null;
+let _ganttBars = null; // THREE.LineSegments — one duration bar per bead, updated each tick
+
+/**
+ * Group Gantt lanes by epic or by assignee; re-lays out if Gantt is active.
+ *
+ * @param {'epic'|'assignee'} by
+ * @returns {void}
+ */
+export function setGanttLanes(by) {
+  ganttLanes = by === 'assignee' ? 'assignee' : 'epic';
+  const sel = document.getElementById('cp-gantt-lanes');
+  if (sel && sel.value !== ganttLanes) sel.value = ganttLanes;
+  if (currentLayout === 'gantt') setLayout('gantt');
+}
+
+/**
+ * A bead's time span: created → closed (or last update once closed), else now.
+ *
+ * @param {Object} node
+ * @param {number} now
+ * @returns {{start: number, end: number}|null} Null without a usable created_at
+ */
+export function ganttSpan(node, now) {
+  const start = Date.parse(node.created_at || '');
+  if (Number.isNaN(start)) return null;
+  let end = now;
+  if (node.status === 'closed') {
+    const closed = Date.parse(node.closed_at || node.updated_at || '');
+    if (!Number.isNaN(closed)) end = closed;
+  }
+  return { start, end: Math.max(start, end) };
+}
+
+// Child id → epic id, following parent-child / child-of edges up through sub-tasks
+function epicOfMap(nodes, links) {
+  const byId = new Map(nodes.map((n) => [n.id, n]));
+  const parentOf = new Map();
+  for (const l of links) {
+    if (l.dep_type !== 'parent-child' && l.dep_type !== 'child-of') continue;
+    const srcId = typeof l.source === 'object' ? l.source.id : l.source;
+    const tgtId = typeof l.target === 'object' ? l.target.id : l.target;
+    if (!parentOf.has(tgtId)) parentOf.set(tgtId, srcId);
+  }
+  const epicOf = new Map();
+  for (const n of nodes) {
+    let id = parentOf.get(n.id);
+    for (let depth = 0; id && depth < 8; depth++) {
+      if (byId.get(id)?.issue_type === 'epic') {
+        epicOf.set(n.id, id);
+        break;
+      }
+      id = parentOf.get(id);
+    }
+  }
+  return epicOf;
+}
+
+/**
+ * Where every bead goes in the Gantt layout. Lanes are ordered by their earliest
+ * bead, top to bottom; the time domain runs from the oldest bead to `now`.
+ *
+ * @param {Object[]} nodes
+ * @param {Object[]} links
+ * @param {'epic'|'assignee'} by
+ * @param {number} now
+ * @returns {{domain: [number, number], lanes: string[], laneOf: Map<string, string>, spans: Map<string, {start: number, end: number}>}}
+ */
+export function ganttPlan(nodes, links, by, now) {
+  const epicOf = by === 'epic' ? epicOfMap(nodes, links) : null;
+  const spans = new Map();
+  const laneOf = new Map();
+  const laneStart = new Map();
+  for (const n of nodes) {
+    if (n.issue_type === 'agent') continue;
+    const span = ganttSpan(n, now);
+    if (!span) continue;
+    let lane;
+    if (by === 'assignee') lane = n.assignee || '(unassigned)';
+    else lane = n.issue_type === 'epic' ? n.id : epicOf.get(n.id) || '(no epic)';
+    spans.set(n.id, span);
+    laneOf.set(n.id, lane);
+    laneStart.set(lane, Math.min(laneStart.get(lane) ?? Infinity, span.start));
+  }
+  const lanes = [...laneStart.keys()].sort((a, b) => laneStart.get(a) - laneStart.get(b) || a.localeCompare(b));
+  let t0 = Math.min(...[...spans.values()].map((s) => s.start));
+  if (!Number.isFinite(t0)) t0 = now - 30 * DAY_MS;
+  const t1 = Math.max(now, t0 + DAY_MS);
+  return { domain: [t0, t1], lanes, laneOf, spans };
+}
+
+function ganttX(t) {
+  const [t0, t1] = _ganttPlan.domain;
+  return ((t - t0) / (t1 - t0) - 0.5) * GANTT_WIDTH;
+}
+
+function ganttLaneY(lane) {
+  const i = _ganttPlan.lanes.indexOf(lane);
+  return ((_ganttPlan.lanes.length - 1) / 2 - i) * GANTT_LANE_GAP; // first lane on top
+}
+
+function addGanttGuides() {
+  const graph = _deps.getGraph();
+  const graphData = _deps.getGraphData();
+  const layoutGuides = _deps.getLayoutGuides();
+  const scene = graph.scene();
+  const plan = _ganttPlan;
+  const height = Math.max(plan.lanes.length, 1) * GANTT_LANE_GAP;
+  const left = -GANTT_WIDTH / 2;
+
+  // Lane names down the left edge; epic lanes show the epic's title
+  const byId = new Map(graphData.nodes.map((n) => [n.id, n]));
+  for (const lane of plan.lanes) {
+    const name = byId.get(lane)?.title || lane;
+    const label = makeTextSprite(name.length > 28 ? name.slice(0, 27) + '…' : name, {
+      fontSize: 18,
+      color: '#8b45a6',
+      opacity: 0.5,
+    });
+    label.position.set(left - 90, ganttLaneY(lane), 0);
+    scene.add(label);
+    layoutGuides.push(label);
+  }
+
+  // Date ticks along the bottom, at the coarsest step that still gives a few marks
+  const [t0, t1] = plan.domain;
+  const step = [1, 7, 30, 91, 365].map((d) => d * DAY_MS).find((s) => (t1 - t0) / s <= 10) || 365 * DAY_MS;
+  for (let t = Math.ceil(t0 / step) * step; t <= t1; t += step) {
+    const d = new Date(t);
+    const label = makeTextSprite(d.toLocaleDateString(undefined, { month: 'short', day: 'numeric' }), {
+      fontSize: 16,
+      color: '#2a3a4a',
+      opacity: 0.5,
+    });
+    label.position.set(ganttX(t), -height / 2 - 25, 0);
+    scene.add(label);
+    layoutGuides.push(label);
+  }
+
+  // "Today" plane — a thin vertical sheet at now
+  const todayX = ganttX(Date.now());
+  const planeGeo = new THREE.PlaneGeometry(60, height + 40);
+  const planeMat = new THREE.MeshBasicMaterial({
+    color: 0x4a9eff,
+    transparent: true,
+    opacity: 0.08,
+    side: THREE.DoubleSide,
+    depthWrite: false,
   });
+  const plane = new THREE.Mesh(planeGeo, planeMat);
+  plane.rotation.y = Math.PI / 2; // face along X so it reads as a plane through the lanes
+  plane.position.set(todayX, 0, 0);
+  scene.add(plane);
+  layoutGuides.push(plane);
+  const todayLabel = makeTextSprite('today', { fontSize: 18, color: '#4a9eff', opacity: 0.6 });
+  todayLabel.position.set(todayX, height / 2 + 30, 0);
+  scene.add(todayLabel);
+  layoutGuides.push(todayLabel);
+
+  // Duration bars, positioned by updateGanttBars() as the simulation runs
+  const barGeo = new THREE.BufferGeometry();
+  const count = plan.spans.size;
+  barGeo.setAttribute('position', new THREE.BufferAttribute(new Float32Array(count * 6), 3));
+  barGeo.setAttribute('color', new THREE.BufferAttribute(new Float32Array(count * 6), 3));
+  const barMat = new THREE.LineBasicMaterial({ vertexColors: true, transparent: true, opacity: 0.45 });
+  _ganttBars = new THREE.LineSegments(barGeo, barMat);
+  _ganttBars.frustumCulled = false;
+  scene.add(_ganttBars);
+  layoutGuides.push(_ganttBars);
+  updateGanttBars();
+}
+
+function updateGanttBars() {
+  if (!_ganttBars || !_ganttPlan) return;
+  const graphData = _deps.getGraphData();
+  const pos = _ganttBars.geometry.attributes.position;
+  const col = _ganttBars.geometry.attributes.color;
+  const color = new THREE.Color();
+  let i = 0;
+  for (const node of graphData.nodes) {
+    const span = _ganttPlan.spans.get(node.id);
+    if (!span || node._hidden || node.x === undefined || i >= pos.count / 2) continue;
+    const len = ganttX(span.end) - ganttX(span.start);
+    pos.setXYZ(i * 2, node.x, node.y, node.z);
+    pos.setXYZ(i * 2 + 1, node.x + len, node.y, node.z);
+    color.set(STATUS_COLORS[node.status] || '#4a9eff');
+    col.setXYZ(i * 2, color.r, color.g, color.b);
+    col.setXYZ(i * 2 + 1, color.r, color.g, color.b);
+    i++;
+  }
+  _ganttBars.geometry.setDrawRange(0, i * 2);
+  pos.needsUpdate = true;
+  col.needsUpdate = true;
+}
+
+/**
+ * Anchor points on a circle in the XZ plane, one per distinct cluster key,
+ * in first-seen order.
+ *
+ * @param {Object[]} nodes
+ * @param {'assignee'|'label'} by
+ * @returns {Object<string, {x: number, z: number}>}
+ */
+export function clusterAnchors(nodes, by) {
+  const keys = [...new Set(nodes.flatMap((n) => clusterKeys(n, by)))];
+  const anchorMap = {};
+  const clusterRadius = Math.max(keys.length * 60, 200);
+  keys.forEach((k, i) => {
+    const angle = (i / keys.length) * Math.PI * 2;
+    anchorMap[k] = {
+      x: Math.cos(angle) * clusterRadius,
+      z: Math.sin(angle) * clusterRadius,
+    };
+  });
+  return anchorMap;
+}
+
+// Cluster layout shared by 'cluster' (assignee) and 'labels': anchor force
+// toward each node's cluster, flattened into a disc viewed from above.
+function applyClusterLayout(graph, graphData, by) {
+  // Weaker charge within clusters; stronger anchor damping for distinct grouping.
+  simForceParams('charge', { strength: -10, distanceMax: 100 });
+  simForceParams('link', { distance: 15 });
+
+  // Agents follow their beads via the tether force rather than a label cluster
+  const members = by === 'label' ? graphData.nodes.filter((n) => n.issue_type !== 'agent') : graphData.nodes;
+  const anchorMap = clusterAnchors(members, by);
+
+  simForce('clusterAssignee', { type: 'cluster', by, anchors: anchorMap });
+  // Flatten Y for a disc layout
+  simForce('flattenY', { type: 'flatten', axis: 'y', strength: 0.5 });
+  addClusterGuides(anchorMap, by === 'label' ? '#4a9eff' : '#ff6b35');
+  // Top-down camera for cluster disc view
+  graph.cameraPosition({ x: 0, y: 500, z: 50 }, { x: 0, y: 0, z: 0 }, 1200);
+}
+
+// Gantt slot for every planned bead: x at its start date, y on its lane
+function ganttTargets() {
+  const targets = {};
+  for (const [id, span] of _ganttPlan.spans) {
+    targets[id] = [ganttX(span.start), ganttLaneY(_ganttPlan.laneOf.get(id))];
+  }
+  return targets;
 }
 
 export function setLayout(mode) {
@@ -197,37 +482,33 @@ export function setLayout(mode) {
   // Clear all custom forces and visual guides
   clearLayoutGuides();
   graph.dagMode(null);
-  graph.d3Force('radialPriority', null);
-  graph.d3Force('clusterAssignee', null);
-  graph.d3Force('flattenY', null);
-  graph.d3Force('flattenZ', null);
+  simForce('radialPriority', null);
+  simForce('clusterAssignee', null);
+  simForce('swimlane', null);
+  simForce('gantt', null);
+  _ganttPlan = null;
+  _ganttBars = null;
+  simForce('flattenY', null);
+  simForce('flattenZ', null);
 
   // Restore default forces
   const nodeCount = graphData.nodes.length || 100;
 
   switch (mode) {
     case 'free':
-      graph
-        .d3Force('charge')
-        .strength(nodeCount > 200 ? -60 : -120)
-        .distanceMax(400);
-      graph.d3Force('link').distance(nodeCount > 200 ? 40 : 60);
+      simForceParams('charge', { strength: nodeCount > 200 ? -60 : -120, distanceMax: 400 });
+      simForceParams('link', { distance: nodeCount > 200 ? 40 : 60 });
       break;
 
     case 'dag': {
       // Hierarchical top-down: dagMode positions Y by depth.
       // Add stronger charge repulsion in X/Z to spread nodes within layers. (bd-22dga)
       graph.dagMode('td');
-      graph.d3Force('charge').strength(-80).distanceMax(500);
-      graph.d3Force('link').distance(50);
+      simForceParams('charge', { strength: -80, distanceMax: 500 });
+      simForceParams('link', { distance: 50 });
       graph.dagLevelDistance(60);
       // Flatten Z so layers are clearly visible in the X-Y plane.
-      graph.d3Force('flattenZ', (alpha) => {
-        for (const node of graphData.nodes) {
-          if (node._hidden) continue;
-          node.vz += (0 - (node.z || 0)) * alpha * 0.3;
-        }
-      });
+      simForce('flattenZ', { type: 'flatten', axis: 'z', strength: 0.3 });
       graph.cameraPosition({ x: 0, y: 0, z: 500 }, { x: 0, y: 0, z: 0 }, 1200);
       break;
     }
@@ -235,78 +516,58 @@ export function setLayout(mode) {
     case 'radial': {
       // Radial: distance from center = priority (P0 center, P4 outer). (bd-22dga)
       // Weaker charge so radial force dominates; stronger damping for distinct rings.
-      graph.d3Force('charge').strength(-8).distanceMax(120);
-      graph.d3Force('link').distance(15);
-
-      const radiusScale = 80; // pixels per priority level (wider rings)
-      graph.d3Force('radialPriority', (alpha) => {
-        for (const node of graphData.nodes) {
-          if (node._hidden) continue;
-          const targetR = (node.priority + 0.5) * radiusScale;
-          const x = node.x || 0;
-          const z = node.z || 0;
-          const currentR = Math.sqrt(x * x + z * z) || 1;
-          const factor = (targetR / currentR - 1) * alpha * 0.5;
-          node.vx += x * factor;
-          node.vz += z * factor;
-        }
-      });
+      simForceParams('charge', { strength: -8, distanceMax: 120 });
+      simForceParams('link', { distance: 15 });
+      simForce('radialPriority', { type: 'radialPriority', radiusScale: 80 }); // 80 px per priority level
       // Flatten Y for a disc layout
-      graph.d3Force('flattenY', (alpha) => {
-        for (const node of graphData.nodes) {
-          if (node._hidden) continue;
-          node.vy += (0 - (node.y || 0)) * alpha * 0.5;
-        }
-      });
+      simForce('flattenY', { type: 'flatten', axis: 'y', strength: 0.5 });
       addRadialGuides();
       // Top-down camera for disc view
       graph.cameraPosition({ x: 0, y: 500, z: 50 }, { x: 0, y: 0, z: 0 }, 1200);
       break;
     }
 
-    case 'cluster': {
+    case 'cluster':
       // Cluster by assignee: each assignee gets an anchor point on a circle. (bd-22dga)
-      // Weaker charge within clusters; stronger anchor damping for distinct grouping.
-      graph.d3Force('charge').strength(-10).distanceMax(100);
-      graph.d3Force('link').distance(15);
-
-      // Build assignee -> anchor position map (wider circle for clear separation)
-      const assignees = [...new Set(graphData.nodes.map((n) => n.assignee || '(unassigned)'))];
-      const anchorMap = {};
-      const clusterRadius = Math.max(assignees.length * 60, 200);
-      assignees.forEach((a, i) => {
-        const angle = (i / assignees.length) * Math.PI * 2;
-        anchorMap[a] = {
-          x: Math.cos(angle) * clusterRadius,
-          z: Math.sin(angle) * clusterRadius,
-        };
-      });
-
-      graph.d3Force('clusterAssignee', (alpha) => {
-        for (const node of graphData.nodes) {
-          if (node._hidden) continue;
-          const anchor = anchorMap[node.assignee || '(unassigned)'];
-          if (!anchor) continue;
-          node.vx += (anchor.x - (node.x || 0)) * alpha * 0.4;
-          node.vz += (anchor.z - (node.z || 0)) * alpha * 0.4;
-        }
-      });
-      // Flatten Y for a disc layout
-      graph.d3Force('flattenY', (alpha) => {
-        for (const node of graphData.nodes) {
-          if (node._hidden) continue;
-          node.vy += (0 - (node.y || 0)) * alpha * 0.5;
-        }
-      });
-      addClusterGuides(graphData.nodes);
-      // Top-down camera for cluster disc view
-      graph.cameraPosition({ x: 0, y: 500, z: 50 }, { x: 0, y: 0, z: 0 }, 1200);
+      applyClusterLayout(graph, graphData, 'assignee');
+      break;
+
+    case 'labels':
+      // Cluster by label: each label gets an anchor; multi-label beads sit between theirs
+      applyClusterLayout(graph, graphData, 'label');
+      break;
+
+    case 'swimlane': {
+      // Kanban board: one column per status, higher priority nearer the top.
+      // Status is read every tick, so a bead glides to its new column on reheat.
+      simForceParams('charge', { strength: -15, distanceMax: 80 });
+      simForceParams('link', { distance: 20 });
+      simForce('swimlane', { type: 'swimlane' });
+      // Flatten Z so the board reads as a wall of columns
+      simForce('flattenZ', { type: 'flatten', axis: 'z', strength: 0.5 });
+      addSwimlaneGuides();
+      // Front-on camera wide enough for all columns
+      graph.cameraPosition({ x: 0, y: 0, z: 800 }, { x: 0, y: 0, z: 0 }, 1200);
+      break;
+    }
+
+    case 'gantt': {
+      // Gantt: X = created date, Y = epic/assignee lane, bar to closed date or today.
+      // Strong anchors so link and charge forces only jostle beads within their slot.
+      simForceParams('charge', { strength: -6, distanceMax: 40 });
+      simForceParams('link', { distance: 20 });
+      _ganttPlan = ganttPlan(graphData.nodes, graphData.links, ganttLanes, Date.now());
+      simForce('gantt', { type: 'targets', targets: ganttTargets(), strength: 0.6 });
+      simForce('flattenZ', { type: 'flatten', axis: 'z', strength: 0.5 });
+      addGanttGuides();
+      const height = _ganttPlan.lanes.length * GANTT_LANE_GAP;
+      graph.cameraPosition({ x: 0, y: 0, z: Math.max(900, height * 1.2) }, { x: 0, y: 0, z: 0 }, 1200);
       break;
     }
   }
 
   // Reheat simulation to animate the transition
-  graph.d3ReheatSimulation();
+  simReheat();
 
   // Re-apply agent tether force (survives layout changes)
   setupAgentTether();
@@ -314,6 +575,28 @@ export function setLayout(mode) {
   setupEpicCluster();
 }
 
+/**
+ * Call after beads changed in place (status, blockers, assignee) or were added.
+ * Swimlane and Gantt placement depends on those, so this reheats the simulation
+ * and the affected beads animate to their new slot; settled beads are already
+ * at rest and barely move. Gantt also re-plans its lanes and guides.
+ *
+ * @returns {void}
+ */
+export function nudgeLayout() {
+  if (currentLayout !== 'swimlane' && currentLayout !== 'gantt') return;
+  const graph = _deps.getGraph?.();
+  if (!graph) return;
+  if (currentLayout === 'gantt') {
+    const graphData = _deps.getGraphData();
+    clearLayoutGuides();
+    _ganttPlan = ganttPlan(graphData.nodes, graphData.links, ganttLanes, Date.now());
+    simForce('gantt', { type: 'targets', targets: ganttTargets(), strength: 0.6 });
+    addGanttGuides();
+  }
+  simReheat();
+}
+
 // --- DAG Dragging Subtree (beads-6253) ---
 // Returns array of {node, depth} for all nodes reachable from startId.
 // Agents: follow assigned_to edges downstream only.
@@ -368,152 +651,14 @@ export function getDragSubtree(startId) {
 // --- Agent DAG Tether (beads-1gx1) ---
 // Strong elastic coupling between agent nodes and their claimed bead subtrees.
 // When an agent moves (drag or force), its beads follow like a kite tail.
-// Force propagates: agent -> assigned bead -> bead's dependencies (with decay).
+// The force itself lives in forces.js so it can run in the simulation worker.
 export function setupAgentTether() {
-  const graph = _deps.getGraph();
-  const graphData = _deps.getGraphData();
-  graph.d3Force('agentTether', (alpha) => {
-    // Build agent -> bead adjacency from current links
-    const nodeById = new Map();
-    for (const n of graphData.nodes) {
-      if (!n._hidden) nodeById.set(n.id, n);
-    }
-
-    // Collect agent->bead assignments
-    const agentBeads = new Map(); // agentId -> [beadNode, ...]
-    for (const l of graphData.links) {
-      if (l.dep_type !== 'assigned_to') continue;
-      const srcId = typeof l.source === 'object' ? l.source.id : l.source;
-      const tgtId = typeof l.target === 'object' ? l.target.id : l.target;
-      const agent = nodeById.get(srcId);
-      const bead = nodeById.get(tgtId);
-      if (!agent || !bead || agent.issue_type !== 'agent') continue;
-      if (!agentBeads.has(srcId)) agentBeads.set(srcId, []);
-      agentBeads.get(srcId).push(bead);
-    }
-
-    // Build dep adjacency for subtree traversal (bead -> its deps)
-    const deps = new Map(); // nodeId -> [depNode, ...]
-    for (const l of graphData.links) {
-      if (l.dep_type === 'assigned_to') continue;
-      const srcId = typeof l.source === 'object' ? l.source.id : l.source;
-      const tgtId = typeof l.target === 'object' ? l.target.id : l.target;
-      // parent->child and blocks edges: target is the dependent
-      const parent = nodeById.get(srcId);
-      const child = nodeById.get(tgtId);
-      if (!parent || !child) continue;
-      if (!deps.has(srcId)) deps.set(srcId, []);
-      deps.get(srcId).push(child);
-    }
-
-    // Skip entirely when tether disabled (bd-uzj5j)
-    if (_agentTetherStrength <= 0) return;
-
-    // Apply spring force: agent pulls beads, beads pull deps (with decay)
-    const BASE_STRENGTH = 0.3; // max tether pull (scaled by slider)
-    const TETHER_STRENGTH = BASE_STRENGTH * _agentTetherStrength;
-    const DECAY = 0.5; // force halves per hop
-    const REST_DIST = 20; // desired agent->bead distance
-
-    for (const [agentId, beads] of agentBeads) {
-      const agent = nodeById.get(agentId);
-      if (!agent || agent.x === undefined) continue;
-
-      // BFS from agent through beads and their deps
-      const queue = beads.map((b) => ({ node: b, depth: 1 }));
-      const visited = new Set([agentId]);
-
-      while (queue.length > 0) {
-        const { node, depth } = queue.shift();
-        if (visited.has(node.id)) continue;
-        visited.add(node.id);
-        if (node.x === undefined) continue;
-
-        const strength = TETHER_STRENGTH * Math.pow(DECAY, depth - 1);
-        const dx = agent.x - node.x;
-        const dy = agent.y - node.y;
-        const dz = (agent.z || 0) - (node.z || 0);
-        const dist = Math.sqrt(dx * dx + dy * dy + dz * dz) || 1;
-
-        // Only apply pull when beyond rest distance
-        if (dist > REST_DIST * depth) {
-          const pull = strength * alpha;
-          node.vx += dx * pull;
-          node.vy += dy * pull;
-          node.vz += dz * pull;
-          // Counter-force on agent (Newton's 3rd, dampened)
-          const counterPull = pull * 0.15;
-          agent.vx -= dx * counterPull;
-          agent.vy -= dy * counterPull;
-          agent.vz -= dz * counterPull;
-        }
-
-        // Enqueue this node's deps (up to 3 hops)
-        if (depth < 3) {
-          const children = deps.get(node.id) || [];
-          for (const child of children) {
-            if (!visited.has(child.id)) {
-              queue.push({ node: child, depth: depth + 1 });
-            }
-          }
-        }
-      }
-    }
-  });
+  simForce('agentTether', { type: 'agentTether', strength: _agentTetherStrength });
 }
 
 // --- Epic Clustering Force (kd-XGgiokgQBH) ---
 // Pulls child-of and parent-child children toward their epic parent node,
 // creating visual clusters around epics.
 export function setupEpicCluster() {
-  const graph = _deps.getGraph();
-  const graphData = _deps.getGraphData();
-  graph.d3Force('epicCluster', (alpha) => {
-    const nodeById = new Map();
-    for (const n of graphData.nodes) {
-      if (!n._hidden) nodeById.set(n.id, n);
-    }
-
-    // Build epic → children mapping from parent-child and child-of edges
-    const epicChildren = new Map(); // epicId → [childNode, ...]
-    for (const l of graphData.links) {
-      if (l.dep_type !== 'parent-child' && l.dep_type !== 'child-of') continue;
-      const srcId = typeof l.source === 'object' ? l.source.id : l.source;
-      const tgtId = typeof l.target === 'object' ? l.target.id : l.target;
-      const src = nodeById.get(srcId);
-      const tgt = nodeById.get(tgtId);
-      if (!src || !tgt) continue;
-      // parent-child: source is parent, target is child
-      // child-of: target depends on (is child of) source
-      const parent = src;
-      const child = tgt;
-      if (parent.issue_type !== 'epic') continue;
-      if (!epicChildren.has(srcId)) epicChildren.set(srcId, []);
-      epicChildren.get(srcId).push(child);
-    }
-
-    // Pull children toward their epic parent
-    const CLUSTER_STRENGTH = 0.15;
-    const REST_DIST = 30; // desired child distance from epic
-    for (const [epicId, children] of epicChildren) {
-      const epic = nodeById.get(epicId);
-      if (!epic || epic.x === undefined || epic._epicCollapsed) continue;
-      for (const child of children) {
-        if (child.x === undefined || child._hidden) continue;
-        const dx = epic.x - child.x;
-        const dy = epic.y - child.y;
-        const dz = epic.z - child.z;
-        const dist = Math.sqrt(dx * dx + dy * dy + dz * dz) || 1;
-        if (dist < REST_DIST) continue; // already close enough
-        const pull = CLUSTER_STRENGTH * alpha * Math.min((dist - REST_DIST) / dist, 1);
-        child.vx += dx * pull;
-        child.vy += dy * pull;
-        child.vz += dz * pull;
-        // Gentle counter-force on epic
-        epic.vx -= dx * pull * 0.05;
-        epic.vy -= dy * pull * 0.05;
-        epic.vz -= dz * pull * 0.05;
-      }
-    }
-  });
+  simForce('epicCluster', { type: 'epicCluster' });
 }
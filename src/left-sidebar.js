@@ -2,6 +2,7 @@
 // Extracted from main.js to reduce monolith size.
 
 import { resolveAgentIdLoose } from './event-format.js';
+import { renderMarkdown } from './markdown.js';
 
 // Callbacks set by main.js to avoid circular imports
 let _api = null;
@@ -337,8 +338,10 @@ export async function updateLeftSidebarFocus(node) {
 
     // Description
     if (full.description) {
-      const desc = full.description.length > 300 ? full.description.slice(0, 300) + '...' : full.description;
-      html += `<div class="ls-issue-field"><div class="ls-issue-field-label">Description</div><div class="ls-issue-field-value">${escapeHtml(desc)}</div></div>`;
+      // Rendered whole — cutting the markdown source breaks fences and links; CSS caps the height
+      const beadIds = new Set(graphData ? graphData.nodes.map((n) => n.id) : []);
+      const descHtml = renderMarkdown(full.description, { isBeadId: (id) => beadIds.has(id) });
+      html += `<div class="ls-issue-field"><div class="ls-issue-field-label">Description</div><div class="ls-issue-field-value md">${descHtml}</div></div>`;
     }
 
     // Dependencies (blocks / blocked_by)
@@ -365,10 +368,10 @@ export async function updateLeftSidebarFocus(node) {
 
     content.innerHTML = html;
 
-    // Bind dep link click handlers
-    content.querySelectorAll('.ls-dep-link').forEach((link) => {
+    // Bind dep link (and bead mentions in the description) click handlers
+    content.querySelectorAll('.ls-dep-link, .md-bead-link').forEach((link) => {
       link.onclick = () => {
-        const depId = link.dataset.depId;
+        const depId = link.dataset.depId || link.dataset.beadId;
         if (!depId || !graphData) return;
         const depNode = graphData.nodes.find((n) => n.id === depId);
         if (depNode) {
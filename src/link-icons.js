@@ -236,6 +236,33 @@ function drawWarning(ctx, s, color) {
   ctx.fill();
 }
 
+// Circular-arrows glyph — for edges inside a dependency cycle (deadlock)
+function drawCycle(ctx, s, color) {
+  const cx = s / 2,
+    cy = s / 2,
+    r = 15;
+  ctx.strokeStyle = color;
+  ctx.fillStyle = color;
+  ctx.lineWidth = 3;
+  // Two arcs chasing each other, each ending in an arrowhead
+  for (const start of [0, Math.PI]) {
+    const end = start + Math.PI * 0.75;
+    ctx.beginPath();
+    ctx.arc(cx, cy, r, start, end);
+    ctx.stroke();
+    const ax = cx + Math.cos(end) * r,
+      ay = cy + Math.sin(end) * r;
+    const tx = -Math.sin(end),
+      ty = Math.cos(end); // tangent (direction of travel)
+    ctx.beginPath();
+    ctx.moveTo(ax + tx * 7, ay + ty * 7);
+    ctx.lineTo(ax - ty * 6, ay + tx * 6);
+    ctx.lineTo(ax + ty * 6, ay - tx * 6);
+    ctx.closePath();
+    ctx.fill();
+  }
+}
+
 /** @type {Record<string, THREE.SpriteMaterial>} */
 export const LINK_ICON_MATERIALS = {
   blocks: makeLinkIconTexture(drawShield, '#d04040'),
@@ -250,6 +277,8 @@ export const LINK_ICON_MATERIALS = {
   assigned_to: makeLinkIconTexture(drawPerson, '#ff6b35'),
   rig_conflict: makeLinkIconTexture(drawWarning, '#ff3030'),
 };
+/** @type {THREE.SpriteMaterial} Overrides the dep-type glyph on edges that are part of a dependency cycle */
+export const LINK_ICON_CYCLE = makeLinkIconTexture(drawCycle, '#ff00aa');
 /** @type {THREE.SpriteMaterial} */
 export const LINK_ICON_DEFAULT = makeLinkIconTexture(drawDot, '#2a2a3a');
 /** @type {number} */
@@ -0,0 +1,231 @@
+// Level of detail for node objects. Nodes near the camera keep the full materia
+// look built in initGraph's nodeThreeObject; mid-range nodes collapse to the one
+// sprite the builder adds for this (userData.lodSprite); far nodes hide their
+// object and are drawn as a single shared THREE.Points cloud. Labels of far
+// nodes and distant link icons are culled as well; link icons follow the tiers
+// of their endpoints, so this module is the only place that shows or hides them.
+//
+// Tier distances shrink with adaptive quality (vfx.js lodScale), so when the
+// frame rate drops large graphs shed detail before they shed particles.
+
+import * as THREE from 'three';
+import { getAdaptiveState } from './vfx.js';
+
+/** Camera distance within which nodes keep full detail. */
+export const LOD_NEAR = 350;
+/** Camera distance beyond which nodes are drawn as points. */
+export const LOD_FAR = 1100;
+/** Camera distance beyond which link icons are hidden. */
+export const LINK_ICON_DIST = 500;
+
+const LOD_HYSTERESIS = 1.1; // a node keeps its tier until 10% past the boundary
+const POINT_SIZE = 8; // world units, roughly a mid-sized node
+const DIM_FACTOR = 0.35; // matches selection dimming in the animation loop
+
+// Dependency injection — set by main.js before use
+let _deps = {};
+
+let _dotTex = null;
+let _points = null; // THREE.Points for the far tier, created on first use
+let _pointNodes = []; // nodes currently drawn as points
+const _color = new THREE.Color();
+const _pos = new THREE.Vector3();
+
+/**
+ * Inject dependencies from main.js.
+ *
+ * @param {Object} deps
+ * @param {Function} deps.getGraph     - () => ForceGraph3D instance
+ * @param {Function} deps.getGraphData - () => { nodes, links }
+ * @param {Function} deps.isFocused    - (node) => boolean, true keeps the node at full detail
+ * @param {Function} deps.isDimmed     - (node) => boolean, true when a selection dims the node
+ */
+export function setLodDeps(deps) {
+  _deps = deps;
+}
+
+/**
+ * Detail tier for a node at `dist` from the camera. A node that has no position
+ * yet gets full detail.
+ *
+ * @param {number} dist
+ * @param {'full'|'sprite'|'point'} [prev] - The node's current tier, for hysteresis
+ * @param {number} [scale=1] - Distance multiplier (adaptive quality)
+ * @returns {'full'|'sprite'|'point'}
+ */
+export function lodTier(dist, prev, scale = 1) {
+  if (!Number.isFinite(dist)) return 'full';
+  const near = LOD_NEAR * scale * (prev === 'full' ? LOD_HYSTERESIS : 1);
+  if (dist < near) return 'full';
+  const far = LOD_FAR * scale * (prev === 'point' ? 1 : LOD_HYSTERESIS);
+  return dist < far ? 'sprite' : 'point';
+}
+
+/**
+ * Soft-edged white disc, shared by the mid-range sprites and the point cloud.
+ * @returns {THREE.Texture}
+ */
+export function lodDotTexture() {
+  if (_dotTex) return _dotTex;
+  const size = 32;
+  const canvas = document.createElement('canvas');
+  canvas.width = size;
+  canvas.height = size;
+  const ctx = canvas.getContext('2d');
+  const r = size / 2;
+  const gradient = ctx.createRadialGradient(r, r, 0, r, r, r);
+  gradient.addColorStop(0, 'rgba(255,255,255,1)');
+  gradient.addColorStop(0.6, 'rgba(255,255,255,0.85)');
+  gradient.addColorStop(1, 'rgba(255,255,255,0)');
+  ctx.fillStyle = gradient;
+  ctx.fillRect(0, 0, size, size);
+  _dotTex = new THREE.CanvasTexture(canvas);
+  return _dotTex;
+}
+
+/**
+ * Put a node object in the tier for its current camera distance. Called by the
+ * node builder so fresh objects start in the right tier, and by updateLod().
+ *
+ * @param {Object} node
+ * @param {THREE.Object3D} group - The node's three.js object
+ * @param {Object} [adaptive] - getAdaptiveState() result, read once per updateLod() pass
+ * @returns {void}
+ */
+export function applyLod(node, group, adaptive = getAdaptiveState()) {
+  const tier = _deps.isFocused?.(node)
+    ? 'full'
+    : lodTier(cameraDistance(node), group.userData.lodTier, adaptive.lodScale);
+  if (tier !== group.userData.lodTier) setTier(group, tier);
+}
+
+/**
+ * Re-tier every node, cull link icons and rebuild the point cloud. Runs every
+ * few frames from the animation loop.
+ * @returns {void}
+ */
+export function updateLod() {
+  const graph = _deps.getGraph?.();
+  if (!graph) return;
+  const { nodes, links } = _deps.getGraphData();
+  const adaptive = getAdaptiveState(); // copies the state, so once per pass
+  _pointNodes = [];
+  for (const node of nodes) {
+    const group = node.__threeObj;
+    if (!group || node._hidden) continue;
+    applyLod(node, group, adaptive);
+    if (group.userData.lodTier === 'point') _pointNodes.push(node);
+  }
+  cullLinkIcons(graph.camera(), links, adaptive.lodScale);
+  updateLodPoints();
+}
+
+/**
+ * Move the point cloud to the current node positions. Runs every frame so far
+ * nodes follow the simulation smoothly between updateLod() passes.
+ * @returns {void}
+ */
+export function updateLodPoints() {
+  if (_pointNodes.length === 0 && !_points) return;
+  const points = ensurePoints();
+  if (!points) return;
+  let pos = points.geometry.getAttribute('position');
+  if (pos.count < _pointNodes.length) {
+    // Grow to the next power of two so a growing graph doesn't reallocate every pass
+    const capacity = 2 ** Math.ceil(Math.log2(_pointNodes.length));
+    points.geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(capacity * 3), 3));
+    points.geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(capacity * 3), 3));
+    pos = points.geometry.getAttribute('position');
+  }
+  const col = points.geometry.getAttribute('color');
+  let count = 0;
+  for (const node of _pointNodes) {
+    if (node._hidden) continue;
+    pos.setXYZ(count, node.x || 0, node.y || 0, node.z || 0);
+    _color.setHex(node.__threeObj?.userData.lodColor ?? 0x4a9eff);
+    if (_deps.isDimmed?.(node)) _color.multiplyScalar(DIM_FACTOR);
+    col.setXYZ(count, _color.r, _color.g, _color.b);
+    count++;
+  }
+  pos.needsUpdate = true;
+  col.needsUpdate = true;
+  points.geometry.setDrawRange(0, count);
+  points.visible = count > 0;
+}
+
+function cameraDistance(node) {
+  const camera = _deps.getGraph?.()?.camera();
+  if (!camera || node.x === undefined) return NaN;
+  return camera.position.distanceTo(_pos.set(node.x, node.y || 0, node.z || 0));
+}
+
+function setTier(group, tier) {
+  group.userData.lodTier = tier;
+  for (const child of group.children) {
+    if (child.userData.lodSprite) {
+      child.visible = tier === 'sprite';
+    } else if (child.userData.nodeLabel) {
+      // The label LOD pass decides visibility, but skips point-tier nodes
+      if (tier === 'point') child.visible = false;
+    } else if (tier === 'full') {
+      if (child.userData.lodHidden) {
+        child.visible = true;
+        child.userData.lodHidden = false;
+      }
+    } else if (child.visible) {
+      child.visible = false;
+      child.userData.lodHidden = true;
+    }
+  }
+}
+
+/**
+ * Whether a link's icon is drawn, given the tiers its endpoints were just put in.
+ * An icon next to a point-tier node goes with it, one next to a full-detail node
+ * stays (a focused node is full detail at any distance), and the rest are shown
+ * only within LINK_ICON_DIST of the camera.
+ *
+ * @param {string} [tierA] - lodTier of the source node's object
+ * @param {string} [tierB] - lodTier of the target node's object
+ * @param {number} dist - Camera distance to the link midpoint
+ * @param {number} [scale=1] - Distance multiplier (adaptive quality)
+ * @returns {boolean}
+ */
+export function linkIconVisible(tierA, tierB, dist, scale = 1) {
+  if (tierA === 'point' || tierB === 'point') return false;
+  if (tierA === 'full' || tierB === 'full') return true;
+  return dist < LINK_ICON_DIST * scale;
+}
+
+function cullLinkIcons(camera, links, scale) {
+  for (const link of links) {
+    // With linkThreeObjectExtend the link object is a group: [default line, icon]
+    const icon = link.__lineObj?.children?.[1];
+    const { source: a, target: b } = link;
+    if (!icon || typeof a !== 'object' || typeof b !== 'object') continue;
+    _pos.set(((a.x || 0) + (b.x || 0)) / 2, ((a.y || 0) + (b.y || 0)) / 2, ((a.z || 0) + (b.z || 0)) / 2);
+    const dist = camera.position.distanceTo(_pos);
+    const visible = linkIconVisible(a.__threeObj?.userData.lodTier, b.__threeObj?.userData.lodTier, dist, scale);
+    if (icon.visible !== visible) icon.visible = visible;
+  }
+}
+
+function ensurePoints() {
+  if (_points) return _points;
+  const scene = _deps.getGraph?.()?.scene();
+  if (!scene) return null;
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(3), 3));
+  geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(3), 3));
+  const material = new THREE.PointsMaterial({
+    size: POINT_SIZE,
+    map: lodDotTexture(),
+    vertexColors: true,
+    transparent: true,
+    depthWrite: false,
+  });
+  _points = new THREE.Points(geometry, material);
+  _points.frustumCulled = false; // positions change every frame; skip bounding-sphere upkeep
+  scene.add(_points);
+  return _points;
+}
@@ -13,11 +13,24 @@ import {
   createParticlePool,
   createFairyLights,
 } from './shaders.js';
-import { LINK_ICON_MATERIALS, LINK_ICON_DEFAULT, LINK_ICON_SCALE } from './link-icons.js';
-import { updateRightSidebar, updateEpicProgress, updateDepHealth } from './right-sidebar.js';
+import { LINK_ICON_MATERIALS, LINK_ICON_DEFAULT, LINK_ICON_SCALE, LINK_ICON_CYCLE } from './link-icons.js';
+import {
+  updateRightSidebar,
+  updateEpicProgress,
+  updateDepHealth,
+  updateCriticalPath,
+  updateHottestBeads,
+} from './right-sidebar.js';
 import { updateDecisionList, showDecisionLightbox } from './decision-lightbox.js';
 import { dootLabel, dootColor, resolveAgentIdLoose } from './event-format.js';
-import { updateAssigneeButtons, updateFilterCount } from './filter-dashboard.js';
+import {
+  updateAssigneeButtons,
+  updateLabelPills,
+  updateCloserButtons,
+  updateFilterCount,
+  applySnapshotFilters,
+} from './filter-dashboard.js';
+import { MemoryDataSource } from './data-sources.js';
 import { showDetail, hideDetail } from './detail-panel.js';
 import {
   setLeftSidebarDeps,
@@ -111,6 +124,9 @@ import {
   getCurrentLayout,
   getAgentTetherStrength,
   setAgentTetherStrength,
+  swimlaneFor,
+  nudgeLayout,
+  setGanttLanes,
 } from './layout.js';
 import {
   setMinimapDeps,
@@ -119,19 +135,77 @@ import {
   getMinimapVisible,
   setMinimapVisible,
 } from './minimap.js';
+import {
+  setReplayDeps,
+  recordSnapshot,
+  isReplayActive,
+  initReplayBar,
+  exitReplay,
+  loadReplayHistory,
+} from './replay.js';
+import { fetchSnapshot, initSnapshotPicker } from './snapshot.js';
+import {
+  setBeadCreateDeps,
+  isLinkModeActive,
+  completeLinkMode,
+  trackNodeDrag,
+  finishNodeDrag,
+} from './bead-create.js';
+import { criticalPath, epicDescendants, findDependencyCycles, GATING_DEP_TYPES } from './graph-analysis.js';
+import { parseQuery, matchQuery } from './query.js';
+import { SearchIndex } from './search-index.js';
+import { GraphIndex, linkEndId } from './graph-index.js';
+import { setLodDeps, applyLod, updateLod, updateLodPoints, lodDotTexture } from './lod.js';
+import { setInstancingDeps, instanceNodeParts, setInstanceDim, updateInstances } from './instancing.js';
+import { setSearchDrawerDeps, updateSearchDrawer } from './search-drawer.js';
+import { fetchClosedBeads, mergeClosedBeads, closerOf, closeReasonOf } from './history.js';
+import { setHeatmapDeps, recordAgentEvent, heatHalo, updateHeat } from './heatmap.js';
+import { initExcludedTypes, parseTypeList, getExcludedTypes, isTypeExcluded, TYPE_STYLES } from './issue-types.js';
+import {
+  setNeighborhoodDeps,
+  withLoadedBeads,
+  addNeighborStubs,
+  loadNeighborhood,
+  expandNearCamera,
+} from './neighborhoods.js';
+import { setPinDeps, pinNode, applyPins, getPinMode } from './pins.js';
+import {
+  setSimulationDeps,
+  initSimulation,
+  useWorkerFor,
+  simForce,
+  simReheat,
+  simAlphaDecay,
+  syncSimulation,
+} from './simulation.js';
 
 // --- Config ---
 const params = new URLSearchParams(window.location.search);
 const API_BASE = params.get('api') || '/api';
-const API_MODE = params.get('mode') || ''; // 'rest' (kbeads) or 'rpc' (bd-daemon Connect)
+const API_MODE = params.get('mode') || ''; // 'rest' (kbeads), 'rpc' (bd-daemon Connect), or 'static' (?api=<json file>)
 const DEEP_LINK_BEAD = params.get('bead') || ''; // bd-he95o: URL deep-linking
 const DEEP_LINK_MOLECULE = params.get('molecule') || ''; // bd-lwut6: molecule focus view
 const URL_PROFILE = params.get('profile') || ''; // bd-8o2gd phase 4: load named profile from URL
 const URL_ASSIGNEE = params.get('assignee') || ''; // bd-8o2gd phase 4: filter by assignee via URL
 const URL_STATUS = params.get('status') || ''; // bd-8o2gd phase 4: comma-separated statuses
 const URL_TYPES = params.get('types') || ''; // bd-8o2gd phase 4: comma-separated types
+const URL_QUERY = params.get('q') || ''; // search box query, e.g. ?q=status:blocked priority:<=1
+const URL_LABELS = params.get('labels') || ''; // labels to include, '-' prefix excludes: ?labels=infra,-wontfix
+const URL_HISTORY = params.get('history') || ''; // closed beads to include: ?history=30 (days) or ?history=2026-01-01..2026-03-31
+// Issue types to load beyond the defaults, or to leave out too: ?include_types=formula,convoy&exclude_types=chore
+initExcludedTypes({
+  include: parseTypeList(params.get('include_types')),
+  exclude: parseTypeList(params.get('exclude_types')),
+  molecule: !!DEEP_LINK_MOLECULE, // bd-lwut6: include molecules when focusing one
+});
+const SNAPSHOT_URL = params.get('snapshot') || ''; // offline mode: load an exported JSON file, no backend
+const URL_SIM = params.get('sim') || 'auto'; // force simulation: 'worker', 'main', or auto (worker for large graphs)
+const URL_INSTANCING = params.get('instancing') !== 'off'; // ?instancing=off draws one mesh per bead again
 const POLL_INTERVAL = 30000; // bd-c1x6p: reduced from 10s to 30s — SSE handles live updates
-const MAX_NODES = 1000; // bd-04wet: raised from 500 to show more relevant beads
+const MAX_NODES = 5000; // bd-04wet: raised from 500; large graphs simulate in a worker (simulation.js)
+// ?core=N beads load up front, most recently updated first; ?core=all loads up to MAX_NODES
+const URL_CORE = params.get('core') || '';
+const CORE_NODES = URL_CORE === 'all' ? MAX_NODES : Math.min(parseInt(URL_CORE, 10) || 1000, MAX_NODES);
 
 const api = new BeadsAPI(API_BASE, API_MODE ? { mode: API_MODE } : {});
 
@@ -195,6 +269,8 @@ function getCachedSpriteMaterial(hexColor, opts = {}) {
   return mat;
 }
 
+const STUB_COLOR = 0x6a6a8a; // "+N" stubs for unloaded neighbours
+
 // Shared materia halo texture (bd-c7d5z) — lazy-initialized on first use
 let _materiaHaloTex = null;
 
@@ -203,16 +279,24 @@ let _materiaHaloTex = null;
 // --- State ---
 let graphData = { nodes: [], links: [] };
 let graph;
-const searchFilter = '';
+let searchFilter = '';
 const statusFilter = new Set(); // empty = show all
 const typeFilter = new Set();
 const priorityFilter = new Set(); // empty = show all priorities (bd-8o2gd phase 2)
 const assigneeFilter = ''; // empty = show all assignees (bd-8o2gd phase 2)
+const labelFilterInclude = new Set(); // non-empty = bead must carry at least one of these labels
+const labelFilterExclude = new Set(); // beads carrying any of these labels are hidden
 const filterDashboardOpen = false; // slide-out filter panel state (bd-8o2gd phase 2)
 const startTime = performance.now();
 let selectedNode = null;
 const highlightNodes = new Set();
 const highlightLinks = new Set();
+// Critical path overlay for the selected epic — persists until deselect or another epic
+let criticalPathEpic = null;
+const criticalPathLinks = new Set();
+const CRITICAL_PATH_COLOR = '#ffcc33';
+// Blocks/waits-for cycles, found by markDependencyCycles() and shown in the right sidebar
+let depCycles = [];
 let bloomPass = null;
 const bloomEnabled = false;
 let layoutGuides = []; // THREE objects added as layout visual aids (cleaned up on layout switch)
@@ -220,6 +304,9 @@ let layoutGuides = []; // THREE objects added as layout visual aids (cleaned up
 // Search navigation state
 let searchResults = []; // ordered list of matching node ids
 let searchResultIdx = -1; // current position in results (-1 = none)
+let searchTextTerms = []; // free-text terms of the current query, for snippets
+const searchIndex = new SearchIndex(); // full-text index over bead bodies, updated on refresh
+const graphIndex = new GraphIndex(); // nodes by id and their links, kept in step with graphData
 // minimapVisible moved to minimap.js (bd-7t6nt)
 
 // Multi-selection state (rubber-band / shift+drag)
@@ -232,6 +319,11 @@ let labelsVisible = true; // true when persistent info labels are shown on all n
 // openPanels moved to detail-panel.js (bd-7t6nt)
 const activeAgeDays = 7; // age filter: show beads updated within N days (0 = all) (bd-uc0mw)
 
+// Include-history mode (history.js): closed beads in a date window, as ghosts
+let historyWindow = null; // { days } or { from, to }; null = only unfinished work
+const closerFilter = new Set(); // show only history beads closed by these people
+let closeReasonFilter = ''; // show only history beads whose close reason contains this (lowercase)
+
 // Agent filter state (bd-8o2gd: configurable filter dashboard, phase 1)
 const agentFilterShow = true; // master toggle — show/hide all agent nodes
 const agentFilterOrphaned = false; // show agents with no visible connected beads
@@ -271,6 +363,12 @@ let _bloomResizeHandler = null;
 let _pollIntervalId = null;
 const _searchDebounceTimer = null;
 
+// Offline snapshot mode: set once an exported file is loaded. Live updates stop,
+// the API reads from the snapshot and goes read-only, and refresh() re-merges the
+// snapshot so filter changes still apply.
+let snapshotMode = null; // { exportedAt, nodeCount }
+let _snapshot = null;
+
 // Live event doots — HTML overlay elements via CSS2DRenderer (bd-bwkdk)
 // doots, css2dRenderer, dootPopups moved to mutations.js (bd-7t6nt)
 
@@ -388,7 +486,12 @@ function updatePerfOverlay(t) {
             ' MB',
         );
       if (_particlePool) lines.push('particles: ' + _particlePool.activeCount + ' / 2000');
-      if (graphData) lines.push('nodes: ' + graphData.nodes.length + '  links: ' + graphData.links.length);
+      if (graphData) {
+        const stubs = graphData.nodes.filter((n) => n._stub).length;
+        lines.push(
+          'nodes: ' + (graphData.nodes.length - stubs) + ' (+' + stubs + ' stubs)  links: ' + graphData.links.length,
+        );
+      }
       lines.push('sprites: ' + eventSprites.length);
       if (_auraEmitters) lines.push('auras: ' + _auraEmitters.size);
       const aq = getAdaptiveState();
@@ -543,7 +646,7 @@ function resolveOverlappingLabels() {
   const allLabels = [];
   for (const node of graphData.nodes) {
     const threeObj = node.__threeObj;
-    if (!threeObj) continue;
+    if (!threeObj || threeObj.userData.lodTier === 'point') continue; // culled with the node (lod.js)
     threeObj.traverse((child) => {
       if (!child.userData.nodeLabel) return;
       // Reset to base position before computing new offsets
@@ -756,9 +859,11 @@ function initGraph() {
     // Custom node rendering — organic vacuole look (shared geometries for perf)
     .nodeThreeObject((n) => {
       if (n._hidden) return new THREE.Group();
+      if (n._stub) return createStubObject(n);
 
-      // Revealed-but-filtered nodes render as ghosts — reduced opacity (hq-vorf47)
-      const isGhost = !!n._revealed;
+      // Revealed-but-filtered nodes render as ghosts — reduced opacity (hq-vorf47);
+      // so do closed beads shown by include-history mode
+      const isGhost = !!n._revealed || !!n._history;
       const ghostFade = isGhost ? 0.4 : 1.0;
 
       const size = nodeSize(n);
@@ -781,15 +886,19 @@ function initGraph() {
       group.add(core);
 
       // Materia halo sprite — soft radial gradient billboard (bd-c7d5z, bd-lzojw: cached material)
+      // The agent heatmap (heatmap.js) warms and brightens it on busy beads
       if (!_materiaHaloTex) _materiaHaloTex = createMateriaHaloTexture(64);
+      group.userData.heatBase = { color: hexColor, opacity: 0.2 * ghostFade };
+      const haloStyle = heatHalo(n, hexColor, 0.2 * ghostFade);
       const halo = new THREE.Sprite(
-        getCachedSpriteMaterial(hexColor, {
+        getCachedSpriteMaterial(haloStyle.color, {
           map: _materiaHaloTex,
-          opacity: 0.2 * ghostFade,
+          opacity: haloStyle.opacity,
           blending: 'additive',
         }),
       );
       halo.scale.setScalar(size * 3.0);
+      halo.userData.materiaHalo = true;
       group.add(halo);
 
       // Agent: retro lunar lander — cute spaceship with landing legs (beads-yp2y)
@@ -985,6 +1094,29 @@ function initGraph() {
         }
       }
 
+      // Opted-in plumbing types (issue-types.js): a wire shell in the type's color
+      // around the status core, and a type tag above it
+      const typeStyle = TYPE_STYLES[n.issue_type];
+      if (typeStyle) {
+        const shell = new THREE.Mesh(
+          GEO[typeStyle.shape],
+          getCachedBasicMaterial(typeStyle.color, { opacity: 0.45 * ghostFade, wireframe: true }),
+        );
+        shell.scale.setScalar(size * 1.6);
+        group.add(shell);
+        const tagSprite = makeTextSprite(typeStyle.tag, {
+          fontSize: 14,
+          color: `#${typeStyle.color.toString(16).padStart(6, '0')}`,
+          opacity: 0.9 * ghostFade,
+          background: 'rgba(8, 8, 16, 0.85)',
+          sizeAttenuation: false,
+          screenHeight: 0.02,
+        });
+        tagSprite.position.y = size * 2.0;
+        tagSprite.renderOrder = 998;
+        group.add(tagSprite);
+      }
+
       // Blocked: spiky octahedron (bd-lzojw: cached material)
       if (n._blocked) {
         const spike = new THREE.Mesh(
@@ -1062,19 +1194,40 @@ function initGraph() {
       // Updated in animation loop to boost glow when selected
       core.userData.materiaCore = true;
 
+      // Bead orbs and halos are drawn instanced (instancing.js); the core stays as a pick proxy
+      if (URL_INSTANCING) {
+        instanceNodeParts(group, core, halo, {
+          materia: { color: hexColor, size, opacity: coreOpacity * ghostFade, coreIntensity, breathSpeed },
+          halo: { color: haloStyle.color, size, opacity: haloStyle.opacity },
+        });
+      }
+
       // Persistent info label sprite (bd-1o2f7) — hidden until 'l' toggles labels on
       const labelSprite = createNodeLabelSprite(n);
       group.add(labelSprite);
 
+      // Level of detail (lod.js): mid-range nodes show only this sprite, far ones
+      // are drawn by the shared point cloud in lodColor
+      const lodSprite = new THREE.Sprite(
+        getCachedSpriteMaterial(hexColor, { map: lodDotTexture(), opacity: 0.9 * ghostFade }),
+      );
+      lodSprite.scale.setScalar(size * 2.2);
+      lodSprite.visible = false;
+      lodSprite.userData.lodSprite = true;
+      group.add(lodSprite);
+      group.userData.lodColor = hexColor;
+      applyLod(n, group);
+
       return group;
     })
     .nodeLabel(() => '')
     .nodeVisibility((n) => !n._hidden)
 
     // Link rendering — width responds to selection state
-    .linkColor((l) => linkColor(l))
+    .linkColor((l) => (criticalPathLinks.has(linkKey(l)) ? CRITICAL_PATH_COLOR : linkColor(l)))
     .linkOpacity(0.55)
     .linkWidth((l) => {
+      if (criticalPathLinks.has(linkKey(l))) return 3.0;
       if (selectedNode) {
         const lk = linkKey(l);
         return highlightLinks.has(lk) ? (l.dep_type === 'blocks' ? 2.0 : 1.2) : 0.15;
@@ -1085,17 +1238,14 @@ function initGraph() {
     })
     .linkDirectionalArrowLength(5)
     .linkDirectionalArrowRelPos(1)
-    .linkDirectionalArrowColor((l) => linkColor(l))
-    .linkVisibility((l) => {
-      const src = typeof l.source === 'object' ? l.source : graphData.nodes.find((n) => n.id === l.source);
-      const tgt = typeof l.target === 'object' ? l.target : graphData.nodes.find((n) => n.id === l.target);
-      return src && tgt && !src._hidden && !tgt._hidden && !depTypeHidden.has(l.dep_type);
-    })
+    .linkDirectionalArrowColor((l) => (criticalPathLinks.has(linkKey(l)) ? CRITICAL_PATH_COLOR : linkColor(l)))
+    .linkVisibility(isLinkVisible)
 
     // Link icons — sprite at midpoint showing dep type (shield=blocks, clock=waits, chain=parent)
     .linkThreeObjectExtend(true)
     .linkThreeObject((l) => {
-      const baseMat = LINK_ICON_MATERIALS[l.dep_type] || LINK_ICON_DEFAULT;
+      // Edges inside a dependency cycle get the circular-arrows glyph regardless of type
+      const baseMat = l._inCycle ? LINK_ICON_CYCLE : LINK_ICON_MATERIALS[l.dep_type] || LINK_ICON_DEFAULT;
       const sprite = new THREE.Sprite(baseMat.clone());
       sprite.scale.setScalar(LINK_ICON_SCALE);
 
@@ -1153,10 +1303,12 @@ function initGraph() {
     })
 
     // Directional particles — blocking links + agent tethers (beads-1gx1)
-    .linkDirectionalParticles((l) => (l.dep_type === 'blocks' ? 2 : l.dep_type === 'assigned_to' ? 3 : 0))
+    .linkDirectionalParticles((l) =>
+      criticalPathLinks.has(linkKey(l)) ? 4 : l.dep_type === 'blocks' ? 2 : l.dep_type === 'assigned_to' ? 3 : 0,
+    )
     .linkDirectionalParticleWidth((l) => (l.dep_type === 'assigned_to' ? 1.8 : 1.0))
     .linkDirectionalParticleSpeed((l) => (l.dep_type === 'assigned_to' ? 0.008 : 0.003))
-    .linkDirectionalParticleColor((l) => linkColor(l))
+    .linkDirectionalParticleColor((l) => (criticalPathLinks.has(linkKey(l)) ? CRITICAL_PATH_COLOR : linkColor(l)))
 
     // Interaction
     .onNodeHover(handleNodeHover)
@@ -1169,8 +1321,10 @@ function initGraph() {
       hideContextMenu();
     })
     // DAG dragging: dragged node pulls its subtree with spring physics (beads-6253)
-    .onNodeDrag((node) => {
+    .onNodeDrag((node, translate) => {
       if (!node || node._hidden) return;
+      // Alt+drag links nodes instead of moving the subtree
+      if (trackNodeDrag(node, translate)) return;
       if (!node._dragSubtree) {
         node._dragSubtree = getDragSubtree(node.id);
       }
@@ -1199,7 +1353,11 @@ function initGraph() {
       }
     })
     .onNodeDragEnd((node) => {
-      if (node) delete node._dragSubtree;
+      if (!node) return;
+      delete node._dragSubtree;
+      finishNodeDrag(node);
+      // Pin mode pins the dropped node; an already-pinned node stays pinned where it was dropped
+      if (getPinMode() || node._pinned) pinNode(node);
     });
 
   // Force tuning — applied by setLayout()
@@ -1208,6 +1366,43 @@ function initGraph() {
   // Warm up faster then cool (reduces CPU after initial layout)
   graph.cooldownTime(4000).warmupTicks(nodeCount > 200 ? 50 : 0);
 
+  // Large graphs simulate in a worker; layout code goes through simulation.js either way
+  setSimulationDeps({ getGraph: () => graph, getGraphData: () => graphData });
+  initSimulation({ mode: URL_SIM });
+  // Distant nodes drop to a sprite, then to a shared point cloud (lod.js)
+  const isDimmed = (n) => !!selectedNode && !highlightNodes.has(n.id) && !multiSelected.has(n.id);
+  setLodDeps({
+    getGraph: () => graph,
+    getGraphData: () => graphData,
+    isFocused: (n) => n.id === selectedNode?.id || multiSelected.has(n.id) || focusedMoleculeNodes.has(n.id),
+    isDimmed,
+  });
+  setInstancingDeps({
+    getGraph: () => graph,
+    getGraphData: () => graphData,
+    getHaloTexture: () => {
+      if (!_materiaHaloTex) _materiaHaloTex = createMateriaHaloTexture(64);
+      return _materiaHaloTex;
+    },
+    isDimmed,
+    isSelected: (n) => n.id === selectedNode?.id || multiSelected.has(n.id),
+  });
+  // Beads outside the loaded core come in on demand through "+N" stubs (neighborhoods.js)
+  setNeighborhoodDeps({
+    api,
+    getGraph: () => graph,
+    getGraphData: () => graphData,
+    accepts: (bead) => !isTypeExcluded(bead.issue_type),
+    onLoaded: refresh,
+  });
+  // Agent activity heatmap on bead halos (heatmap.js), ranked in the right sidebar
+  setHeatmapDeps({
+    getGraphData: () => graphData,
+    haloMaterial: (color, opacity) =>
+      getCachedSpriteMaterial(color, { map: _materiaHaloTex, opacity, blending: 'additive' }),
+    onChange: () => updateHottestBeads(graphData),
+  });
+
   // Apply default layout forces
   setLayout('free');
 
@@ -1326,8 +1521,7 @@ function updateSelectionVFX(t) {
       _energyStreamTimer = 0;
       for (const l of graphData.links) {
         if (!highlightLinks.has(linkKey(l))) continue;
-        const src = typeof l.source === 'object' ? l.source : graphData.nodes.find((n) => n.id === l.source);
-        const tgt = typeof l.target === 'object' ? l.target : graphData.nodes.find((n) => n.id === l.target);
+        const [src, tgt] = graphIndex.ends(l);
         if (!src || !tgt) continue;
         // Spawn particle at random point along the link
         const progress = Math.random();
@@ -1359,7 +1553,7 @@ function updateSelectionVFX(t) {
     if (pulseBeat && !updateSelectionVFX._lastPulse) {
       for (const nodeId of highlightNodes) {
         if (nodeId === selectedNode.id) continue;
-        const node = graphData.nodes.find((n) => n.id === nodeId);
+        const node = graphIndex.node(nodeId);
         if (!node) continue;
         const pos = { x: node.x || 0, y: node.y || 0, z: node.z || 0 };
         const color = nodeColor(node);
@@ -1476,6 +1670,10 @@ function selectNode(node, componentIds) {
     }
   }
 
+  // Epics get a critical-path overlay; other beads keep the current one so the
+  // sidebar path list stays clickable
+  if (node.issue_type === 'epic') showCriticalPath(node);
+
   // Force link width recalculation
   graph.linkWidth(graph.linkWidth());
 
@@ -1493,9 +1691,7 @@ function selectNode(node, componentIds) {
 let _spreadTimeout = null;
 function spreadSubgraph(componentIds) {
   // Remove any previous spread force
-  if (graph.d3Force('subgraphSpread')) {
-    graph.d3Force('subgraphSpread', null);
-  }
+  simForce('subgraphSpread', null);
   if (_spreadTimeout) {
     clearTimeout(_spreadTimeout);
     _spreadTimeout = null;
@@ -1503,9 +1699,8 @@ function spreadSubgraph(componentIds) {
 
   if (!componentIds || componentIds.size < 2) return;
 
-  // Collect component nodes for O(n²) pairwise check (n is small — typically < 20)
-  const componentNodeList = graphData.nodes.filter((n) => componentIds.has(n.id));
-  const count = componentNodeList.length;
+  // Only nodes in the graph count toward the spacing (n is small — typically < 20)
+  const count = graphData.nodes.filter((n) => componentIds.has(n.id)).length;
   if (count < 2) return;
 
   // Minimum pairwise distance — labels are ~80-120px wide at typical zoom.
@@ -1515,67 +1710,19 @@ function spreadSubgraph(componentIds) {
   // Radial expansion: push nodes to at least this distance from centroid
   const MIN_RADIAL_DIST = Math.max(30, count * 6);
 
-  graph.d3Force('subgraphSpread', (alpha) => {
-    // Phase 1: Pairwise repulsion — push overlapping node pairs apart
-    const strength = alpha * 0.15;
-    for (let i = 0; i < componentNodeList.length; i++) {
-      const a = componentNodeList[i];
-      for (let j = i + 1; j < componentNodeList.length; j++) {
-        const b = componentNodeList[j];
-        const dx = (a.x || 0) - (b.x || 0);
-        const dy = (a.y || 0) - (b.y || 0);
-        const dz = (a.z || 0) - (b.z || 0);
-        const dist = Math.sqrt(dx * dx + dy * dy + dz * dz) || 0.1;
-        if (dist < MIN_PAIR_DIST) {
-          // Inverse-distance force: stronger when closer
-          const push = (strength * (MIN_PAIR_DIST - dist)) / dist;
-          // Add small random jitter to break symmetry for overlapping nodes
-          const jx = (Math.random() - 0.5) * 0.1;
-          const jy = (Math.random() - 0.5) * 0.1;
-          a.vx += (dx + jx) * push;
-          a.vy += (dy + jy) * push;
-          a.vz += dz * push;
-          b.vx -= (dx + jx) * push;
-          b.vy -= (dy + jy) * push;
-          b.vz -= dz * push;
-        }
-      }
-    }
-
-    // Phase 2: Radial expansion from live centroid — prevents collapse
-    let cx = 0,
-      cy = 0,
-      cz = 0;
-    for (const n of componentNodeList) {
-      cx += n.x || 0;
-      cy += n.y || 0;
-      cz += n.z || 0;
-    }
-    cx /= count;
-    cy /= count;
-    cz /= count;
-
-    const radialStrength = alpha * 0.08;
-    for (const n of componentNodeList) {
-      const dx = (n.x || 0) - cx;
-      const dy = (n.y || 0) - cy;
-      const dz = (n.z || 0) - cz;
-      const dist = Math.sqrt(dx * dx + dy * dy + dz * dz) || 0.1;
-      if (dist < MIN_RADIAL_DIST) {
-        const push = (radialStrength * (MIN_RADIAL_DIST - dist)) / dist;
-        n.vx += dx * push;
-        n.vy += dy * push;
-        n.vz += dz * push;
-      }
-    }
+  simForce('subgraphSpread', {
+    type: 'spread',
+    ids: [...componentIds],
+    minPairDist: MIN_PAIR_DIST,
+    minRadialDist: MIN_RADIAL_DIST,
   });
 
   // Reheat simulation to apply the force
-  graph.d3ReheatSimulation();
+  simReheat();
 
   // Remove the spread force after layout settles (3s — slightly longer for pairwise)
   _spreadTimeout = setTimeout(() => {
-    graph.d3Force('subgraphSpread', null);
+    simForce('subgraphSpread', null);
     _spreadTimeout = null;
   }, 3000);
 }
@@ -1586,22 +1733,21 @@ function clearSelection() {
   highlightLinks.clear();
   multiSelected.clear();
   // Remove subgraph spread force (beads-k38a)
-  if (graph.d3Force('subgraphSpread')) {
-    graph.d3Force('subgraphSpread', null);
-  }
+  simForce('subgraphSpread', null);
   // Clear revealed subgraph and re-apply filters (hq-vorf47)
   if (revealedNodes.size > 0) {
     revealedNodes.clear();
     graphData.nodes.forEach((n) => {
       n._revealed = false;
     });
-    applyFilters();
+    applyFilters('reveal');
   }
   // Clear molecule focus state (bd-lwut6)
   focusedMoleculeNodes.clear();
   hideBulkMenu();
   unfreezeCamera(); // bd-casin: restore orbit controls
   restoreAllNodeOpacity();
+  clearCriticalPath();
   updateBeadURL(null); // bd-he95o: clear URL deep-link on deselect
   // Force link width recalculation
   graph.linkWidth(graph.linkWidth());
@@ -1609,6 +1755,38 @@ function clearSelection() {
   if (typeof updateLeftSidebarFocus === 'function') updateLeftSidebarFocus(null);
 }
 
+// --- Critical path overlay for epics ---
+// Longest blocks/waits-for chain of open beads gating the epic (graph-analysis.js).
+// Path links are drawn thick gold with extra particles; the beads are listed in the
+// right sidebar under Epic Progress.
+function showCriticalPath(epicNode) {
+  criticalPathEpic = epicNode;
+  criticalPathLinks.clear();
+  const path = criticalPath(graphData, epicNode.id);
+  for (const key of path.linkKeys) criticalPathLinks.add(key);
+  for (const id of path.nodeIds) highlightNodes.add(id);
+  for (const key of path.linkKeys) highlightLinks.add(key);
+  updateCriticalPath(graphData, epicNode, path);
+  refreshLinkStyles();
+}
+
+function clearCriticalPath() {
+  if (!criticalPathEpic) return;
+  criticalPathEpic = null;
+  criticalPathLinks.clear();
+  updateCriticalPath(graphData, null, null);
+  refreshLinkStyles();
+}
+
+// Re-evaluate link color/particle accessors (width is refreshed by callers)
+function refreshLinkStyles() {
+  if (!graph) return;
+  graph.linkColor(graph.linkColor());
+  graph.linkDirectionalArrowColor(graph.linkDirectionalArrowColor());
+  graph.linkDirectionalParticles(graph.linkDirectionalParticles());
+  graph.linkDirectionalParticleColor(graph.linkDirectionalParticleColor());
+}
+
 // --- URL deep-linking (bd-he95o) ---
 // Focus on a bead specified via ?bead=<id> URL parameter.
 // Selects the node, highlights its connected subgraph, flies camera to it,
@@ -1627,7 +1805,7 @@ function focusDeepLinkBead(beadId) {
   // Reveal the subgraph, spread for readability, and zoom to it
   revealedNodes.clear();
   for (const id of component) revealedNodes.add(id);
-  applyFilters();
+  applyFilters('reveal');
 
   spreadSubgraph(component); // beads-k38a: push nodes apart for readability
   zoomToNodes(component);
@@ -1667,7 +1845,7 @@ function focusMolecule(moleculeId) {
   // Reveal all nodes in the component (override filters)
   revealedNodes.clear();
   for (const id of component) revealedNodes.add(id);
-  applyFilters();
+  applyFilters('reveal');
 
   // Enable labels if not already visible
   if (!labelsVisible) {
@@ -1737,6 +1915,7 @@ function restoreAllNodeOpacity() {
         child.visible = false; // LOD pass (resolveOverlappingLabels) re-shows the right ones
       }
     });
+    setInstanceDim(node, 1);
 
     if (!node._wasDimmed) continue;
     threeObj.traverse((child) => {
@@ -1775,6 +1954,9 @@ function startAnimation() {
       const isSelected = (hasSelection && node.id === selectedNode.id) || isMultiSelected;
       const dimFactor = isHighlighted ? 1.0 : 0.35;
 
+      // Far nodes are drawn by the LOD point cloud — nothing to animate
+      if (threeObj.userData.lodTier === 'point' && !isSelected) continue;
+
       // Skip traversal when nothing to update (agents always animate — beads-v0wa)
       if (
         !hasSelection &&
@@ -1927,6 +2109,18 @@ function startAnimation() {
     if (!animate._labelFrame) animate._labelFrame = 0;
     if (++animate._labelFrame % 4 === 0) resolveOverlappingLabels();
 
+    // Node level of detail: re-tier every 4th frame, between label passes; the
+    // far-node point cloud follows node positions every frame
+    if (animate._labelFrame % 4 === 2) updateLod();
+    else updateLodPoints();
+
+    // Instanced bead orbs and halos follow their nodes (instancing.js)
+    if (URL_INSTANCING) updateInstances();
+
+    // Flying up to a "+N" stub loads that bead's neighbours: check about once a second
+    if (animate._labelFrame % 60 === 30) expandNearCamera();
+    if (animate._labelFrame % 60 === 45) updateHeat();
+
     // Minimap: render every 3rd frame for perf
     if (!animate._frame) animate._frame = 0;
     if (++animate._frame % 3 === 0) renderMinimap();
@@ -1937,6 +2131,11 @@ function startAnimation() {
 // --- Data fetching ---
 async function fetchGraphData() {
   const statusEl = document.getElementById('status');
+  if (snapshotMode) {
+    if (!_snapshot) return null;
+    // Fresh objects each time, as a fetch would return them
+    return { nodes: _snapshot.nodes.map((n) => ({ ...n })), links: _snapshot.links.map((l) => ({ ...l })) };
+  }
   try {
     // Try Graph API first (single optimized endpoint)
     const hasGraph = await api.hasGraph();
@@ -1956,17 +2155,21 @@ async function fetchGraphData() {
 async function fetchViaGraph(statusEl) {
   // bd-a0vbd: default to active statuses only — no closed beads.
   // Closed beads add noise and bridge separate clusters into one hairball.
+  // Only the most recently updated CORE_NODES load up front; the rest of the graph
+  // comes in on demand through the "+N" stubs (neighborhoods.js).
   const graphArgs = {
-    limit: MAX_NODES,
+    limit: CORE_NODES,
+    order_by: 'updated_at',
     status: ['open', 'in_progress', 'blocked', 'hooked', 'deferred'], // bd-a0vbd: no closed by default
     include_deps: true,
     include_body: true,
     include_agents: true,
-    exclude_types: DEEP_LINK_MOLECULE
-      ? ['message', 'config', 'gate', 'wisp', 'convoy', 'formula', 'advice', 'role'] // bd-lwut6: include molecules when focusing one
-      : ['message', 'config', 'gate', 'wisp', 'convoy', 'molecule', 'formula', 'advice', 'role'], // bd-04wet, bd-t25i1, bd-uqkpq: filter noise types
+    exclude_types: getExcludedTypes(), // bd-04wet, bd-t25i1, bd-uqkpq: noise types, configurable in issue-types.js
   };
-  const result = await api.graph(graphArgs);
+  let result = await api.graph(graphArgs);
+  // Include-history mode: beads closed inside the window come along as ghosts (history.js)
+  if (historyWindow) result = mergeClosedBeads(result, await fetchClosedBeads(api, graphArgs, historyWindow));
+  result = await withLoadedBeads(result);
 
   const now = Date.now();
   let nodes = (result.nodes || []).map((n) => ({
@@ -2092,19 +2295,18 @@ async function fetchViaGraph(statusEl) {
     }
   }
 
-  statusEl.textContent = `graph api · ${nodes.length} beads · ${links.length} links`;
-  statusEl.className = 'connected';
   updateStats(result.stats, nodes);
-  console.log(`[beads3d] Graph API: ${nodes.length} nodes, ${links.length} links`);
+  const stubs = addNeighborStubs(nodes, links, result.edges);
+  const beadCount = nodes.length - stubs;
+  statusEl.textContent = `graph api · ${beadCount} beads · ${links.length - stubs} links${stubs ? ` · ${stubs} expandable` : ''}`;
+  statusEl.className = 'connected';
+  console.log(`[beads3d] Graph API: ${beadCount} nodes, ${links.length - stubs} links, ${stubs} stubs`);
   return { nodes, links };
 }
 
 async function fetchViaList(statusEl) {
-  const SKIP_TYPES = new Set(
-    DEEP_LINK_MOLECULE
-      ? ['message', 'config', 'wisp', 'convoy', 'formula', 'advice', 'role'] // bd-lwut6: include molecules; bd-zbyn7: include gate/decision
-      : ['message', 'config', 'wisp', 'convoy', 'molecule', 'formula', 'advice', 'role'],
-  );
+  const SKIP_TYPES = new Set(getExcludedTypes());
+  SKIP_TYPES.delete('gate'); // bd-zbyn7: include gate/decision
 
   // Parallel fetch: open/active beads + blocked + stats (bd-7haep: include all active statuses)
   const [openIssues, inProgress, hookedIssues, deferredIssues, blocked, stats] = await Promise.all([
@@ -2277,7 +2479,7 @@ function _liveUpdateProjectPulse() {
   if (!graphData) return;
   const pulseEl = document.getElementById('hud-project-pulse');
   if (!pulseEl) return;
-  const nodes = graphData.nodes.filter((n) => !n._hidden);
+  const nodes = graphData.nodes.filter((n) => !n._hidden && !n._stub);
   let open = 0,
     active = 0,
     blocked = 0,
@@ -2357,16 +2559,24 @@ function handleNodeHover(node) {
 
   const pLabel = ['P0 CRIT', 'P1', 'P2', 'P3', 'P4'][node.priority] || '';
   const assignee = node.assignee ? `<br>assignee: ${escapeHtml(node.assignee)}` : '';
+  // History beads (include-history mode): when, by whom and why they were closed
+  let closed = '';
+  if (node._history) {
+    const when = node.closed_at ? new Date(node.closed_at).toLocaleDateString() : '';
+    const by = closerOf(node);
+    const reason = closeReasonOf(node);
+    closed = `<br>closed ${when}${by ? ` by ${escapeHtml(by)}` : ''}${reason ? `: ${escapeHtml(reason)}` : ''}`;
+  }
 
   tooltip.innerHTML = `
     <div class="id">${escapeHtml(node.id)} &middot; ${node.issue_type || 'task'} &middot; ${pLabel}</div>
     <div class="title">${escapeHtml(node.title || node.id)}</div>
     <div class="meta">
       ${node.status}${node._blocked ? ' &middot; BLOCKED' : ''}${node._jackExpired ? ' &middot; EXPIRED' : ''}${node._placeholder ? ' &middot; (ref)' : ''}
-      ${assignee}
+      ${assignee}${closed}
       ${node.blocked_by ? '<br>blocked by: ' + node.blocked_by.map(escapeHtml).join(', ') : ''}
     </div>
-    <div class="hint">click for details</div>
+    <div class="hint">click for details${node._pinned ? ' &middot; pinned' : ''}</div>
   `;
   // Respect HUD visibility toggle (bd-4hggh)
   if (window.__beads3d_hudHidden && window.__beads3d_hudHidden['tooltip']) return;
@@ -2394,8 +2604,19 @@ function hideTooltip() {
 // --- Detail panel (click to open) ---
 function handleNodeClick(node) {
   if (!node) return;
+  // "link to…" from the context menu: this click picks the other end
+  if (isLinkModeActive()) {
+    completeLinkMode(node);
+    return;
+  }
   // Allow clicking revealed nodes even when they'd normally be hidden (hq-vorf47)
   if (node._hidden && !revealedNodes.has(node.id)) return;
+  // A "+N" stub loads the unloaded neighbours of its bead
+  if (node._stub) {
+    const bead = graphIndex.node(node._stubOf);
+    if (bead) expandDepTree(bead);
+    return;
+  }
 
   // Epic collapse/expand: toggle children visibility on epic click (kd-XGgiokgQBH)
   if (node.issue_type === 'epic') {
@@ -2406,7 +2627,7 @@ function handleNodeClick(node) {
       collapsedEpics.add(node.id);
       node._epicCollapsed = true;
     }
-    applyFilters();
+    applyFilters('epic');
     // Regenerate node objects to update epic visual state (collapsed indicator)
     if (graph) graph.nodeThreeObject(graph.nodeThreeObject());
   }
@@ -2420,7 +2641,7 @@ function handleNodeClick(node) {
   for (const id of component) {
     revealedNodes.add(id);
   }
-  applyFilters(); // re-run filters to un-hide revealed nodes
+  applyFilters('reveal'); // re-run filters to un-hide revealed nodes
 
   spreadSubgraph(component); // beads-k38a: push nodes apart for readability
   zoomToNodes(component);
@@ -2451,20 +2672,7 @@ function updateBeadURL(beadId) {
 
 // BFS to find the full connected component (both directions) for a node (bd-tr0en)
 function getConnectedComponent(startId) {
-  const visited = new Set();
-  const queue = [startId];
-  while (queue.length > 0) {
-    const current = queue.shift();
-    if (visited.has(current)) continue;
-    visited.add(current);
-    for (const l of graphData.links) {
-      const srcId = typeof l.source === 'object' ? l.source.id : l.source;
-      const tgtId = typeof l.target === 'object' ? l.target.id : l.target;
-      if (srcId === current && !visited.has(tgtId)) queue.push(tgtId);
-      if (tgtId === current && !visited.has(srcId)) queue.push(srcId);
-    }
-  }
-  return visited;
+  return graphIndex.component(startId);
 }
 
 // Fly camera to fit a set of node IDs with padding (bd-tr0en)
@@ -2611,122 +2819,22 @@ function highlightSubgraph(node, direction) {
   graph.linkWidth(graph.linkWidth());
 }
 
-// --- Dep tree expansion: load full deps for a node via Show API ---
-const expandedNodes = new Set(); // track which nodes have been expanded
-
+// --- Neighbourhood expansion: load the next page of a node's unloaded neighbours ---
+// The loaded beads stay in the graph across refreshes (neighborhoods.js); expanding
+// again fetches the next page.
 async function expandDepTree(node) {
-  if (expandedNodes.has(node.id)) {
-    console.log(`[beads3d] ${node.id} already expanded`);
-    return;
-  }
-  expandedNodes.add(node.id);
-
   const statusEl = document.getElementById('status');
   statusEl.textContent = `expanding ${node.id}...`;
 
   try {
-    const full = await api.show(node.id);
-    const existingIds = new Set(graphData.nodes.map((n) => n.id));
-    const existingLinks = new Set(graphData.links.map((l) => linkKey(l)));
-    let addedNodes = 0;
-    let addedLinks = 0;
-
-    // Process dependencies from Show response
-    const deps = full.dependencies || [];
-    for (const dep of deps) {
-      const depId = dep.depends_on_id || dep.id;
-      if (!depId) continue;
-
-      const depType = dep.type || dep.dependency_type || 'blocks';
-
-      // Add node if not already in graph
-      if (!existingIds.has(depId)) {
-        graphData.nodes.push({
-          id: depId,
-          title: dep.title || depId,
-          status: dep.status || 'open',
-          priority: dep.priority ?? 3,
-          issue_type: dep.issue_type || 'task',
-          assignee: dep.assignee || '',
-          _blocked: false,
-          _expanded: true,
-        });
-        existingIds.add(depId);
-        addedNodes++;
-      }
-
-      // Add link if not already present
-      const lk = `${node.id}->${depId}`;
-      if (!existingLinks.has(lk)) {
-        graphData.links.push({ source: node.id, target: depId, dep_type: depType });
-        existingLinks.add(lk);
-        addedLinks++;
-      }
-    }
-
-    // Process blocked_by
-    const blockedBy = full.blocked_by || [];
-    for (const blockerId of blockedBy) {
-      if (!blockerId) continue;
-
-      if (!existingIds.has(blockerId)) {
-        graphData.nodes.push({
-          id: blockerId,
-          title: blockerId,
-          status: 'open',
-          priority: 3,
-          issue_type: 'task',
-          _blocked: false,
-          _expanded: true,
-        });
-        existingIds.add(blockerId);
-        addedNodes++;
-      }
-
-      const lk = `${blockerId}->${node.id}`;
-      if (!existingLinks.has(lk)) {
-        graphData.links.push({ source: blockerId, target: node.id, dep_type: 'blocks' });
-        existingLinks.add(lk);
-        addedLinks++;
-      }
-    }
-
-    // Fetch titles for newly added placeholder nodes (max 10, parallel)
-    const untitledNodes = graphData.nodes.filter((n) => n._expanded && n.title === n.id);
-    await Promise.all(
-      untitledNodes.slice(0, 10).map(async (n) => {
-        try {
-          const detail = await api.show(n.id);
-          n.title = detail.title || n.id;
-          n.status = detail.status || n.status;
-          n.issue_type = detail.issue_type || n.issue_type;
-          n.priority = detail.priority ?? n.priority;
-          n.assignee = detail.assignee || n.assignee;
-          n._blocked = !!(detail.blocked_by && detail.blocked_by.length > 0);
-        } catch {
-          /* placeholder stays as-is */
-        }
-      }),
-    );
-
-    // Update the graph — save/restore camera to prevent library auto-reposition (bd-7ccyd)
-    const cam = graph.camera();
-    const savedPos = cam.position.clone();
-    const ctl = graph.controls();
-    const savedTgt = ctl?.target?.clone();
-    graph.graphData(graphData);
-    cam.position.copy(savedPos);
-    if (ctl && savedTgt) {
-      ctl.target.copy(savedTgt);
-      ctl.update();
-    }
+    const added = await loadNeighborhood(node.id);
 
     // Highlight the expanded subtree
     selectNode(node);
 
-    statusEl.textContent = `expanded ${node.id}: +${addedNodes} nodes, +${addedLinks} links`;
+    statusEl.textContent = `expanded ${node.id}: +${added} beads`;
     statusEl.className = 'connected';
-    console.log(`[beads3d] Expanded ${node.id}: +${addedNodes} nodes, +${addedLinks} links`);
+    console.log(`[beads3d] Expanded ${node.id}: +${added} beads`);
   } catch (err) {
     statusEl.textContent = `expand failed: ${err.message}`;
     statusEl.className = 'error';
@@ -2734,107 +2842,176 @@ async function expandDepTree(node) {
   }
 }
 
+// Node object for a "+N" stub: a faint wire orb with the count above it
+function createStubObject(n) {
+  const group = new THREE.Group();
+  const orb = new THREE.Mesh(GEO.sphereLo, getCachedBasicMaterial(STUB_COLOR, { opacity: 0.35, wireframe: true }));
+  orb.scale.setScalar(3);
+  group.add(orb);
+  const badge = makeTextSprite(n.title, {
+    fontSize: 20,
+    color: '#9a9ab8',
+    background: 'rgba(8, 8, 16, 0.85)',
+    sizeAttenuation: false,
+    screenHeight: 0.022,
+  });
+  badge.position.set(0, 6, 0);
+  badge.renderOrder = 998;
+  group.add(badge);
+  // Mid-range level of detail (lod.js), like the bead builder's
+  const lodSprite = new THREE.Sprite(getCachedSpriteMaterial(STUB_COLOR, { map: lodDotTexture(), opacity: 0.5 }));
+  lodSprite.scale.setScalar(4);
+  lodSprite.visible = false;
+  lodSprite.userData.lodSprite = true;
+  group.add(lodSprite);
+  group.userData.lodColor = STUB_COLOR;
+  applyLod(n, group);
+  return group;
+}
+
 // copyToClipboard, showCtxToast, context menu event listeners moved to context-menu.js (bd-7t6nt)
 
 // --- Filtering ---
-function applyFilters() {
-  const q = searchFilter.toLowerCase();
-  graphData.nodes.forEach((n) => {
-    n._revealed = false; // reset before re-evaluating (hq-vorf47)
-    let hidden = false;
-
-    // Text search
-    if (
-      q &&
-      !(n.id || '').toLowerCase().includes(q) &&
-      !(n.title || '').toLowerCase().includes(q) &&
-      !(n.assignee || '').toLowerCase().includes(q)
-    ) {
-      hidden = true;
-    }
+// Each node caches which filters hide it as a bitmask (n._filterMask), so when
+// one filter changes only that filter is re-evaluated. The filters that depend
+// on a node's neighbours — epic collapse, orphaned agents, age rescue, reveal —
+// run afterwards over the adjacency index.
+const FILTER_BITS = {
+  search: 1 << 0,
+  agent: 1 << 1,
+  status: 1 << 2,
+  type: 1 << 3,
+  priority: 1 << 4,
+  assignee: 1 << 5,
+  label: 1 << 6,
+  age: 1 << 7,
+  decision: 1 << 8,
+  closer: 1 << 9,
+  closeReason: 1 << 10,
+};
+const ALL_FILTERS = Object.keys(FILTER_BITS);
+// Changes that only affect the neighbourhood passes or link visibility
+const NEIGHBOURHOOD_FILTERS = new Set(['orphaned', 'epic', 'reveal', 'depType']);
+
+// Whether filter `name` hides node `n`. `ctx` carries the parsed search query.
+function filterHides(name, n, ctx) {
+  const isAgent = n.issue_type === 'agent';
+  switch (name) {
+    // Search query: free text plus field:value terms (query.js)
+    case 'search':
+      return ctx.hasQuery && !matchQuery(n, ctx.query, ctx.now, { matchText: ctx.matchText });
 
     // Agent visibility controls (bd-n0971, bd-8o2gd)
-    if (n.issue_type === 'agent') {
+    case 'agent': {
+      if (!isAgent) return false;
       const agentStatus = (n.status || '').toLowerCase();
       // Always hide closed/tombstone agents
-      if (agentStatus === 'closed' || agentStatus === 'tombstone') {
-        hidden = true;
-      }
+      if (agentStatus === 'closed' || agentStatus === 'tombstone') return true;
       // Master toggle: hide all agents (bd-8o2gd)
-      if (!agentFilterShow) {
-        hidden = true;
-      }
+      if (!agentFilterShow) return true;
       // Rig exclusion: hide agents on excluded rigs (bd-8o2gd)
-      if (agentFilterRigExclude.size > 0 && n.rig && agentFilterRigExclude.has(n.rig)) {
-        hidden = true;
-      }
+      if (agentFilterRigExclude.size > 0 && n.rig && agentFilterRigExclude.has(n.rig)) return true;
       // Name exclusion: hide agents matching glob patterns (bd-8o2gd phase 4)
       if (agentFilterNameExclude.length > 0) {
-        const name = (n.id || '').toLowerCase();
-        if (agentFilterNameExclude.some((p) => globMatch(p, name))) hidden = true;
+        const agentName = (n.id || '').toLowerCase();
+        if (agentFilterNameExclude.some((p) => globMatch(p, agentName))) return true;
       }
+      return false;
     }
 
     // Status filter — agent nodes are exempt from user status filters (bd-keeha)
-    if (statusFilter.size > 0 && n.issue_type !== 'agent' && !statusFilter.has(n.status)) {
-      hidden = true;
-    }
+    case 'status':
+      return statusFilter.size > 0 && !isAgent && !statusFilter.has(n.status);
 
     // Type filter — agent nodes are always visible (bd-keeha)
-    if (typeFilter.size > 0 && n.issue_type !== 'agent' && !typeFilter.has(n.issue_type)) {
-      hidden = true;
-    }
+    case 'type':
+      return typeFilter.size > 0 && !isAgent && !typeFilter.has(n.issue_type);
 
     // Priority filter (bd-8o2gd phase 2) — agents exempt
-    if (priorityFilter.size > 0 && n.issue_type !== 'agent') {
+    case 'priority': {
+      if (priorityFilter.size === 0 || isAgent) return false;
       const p = n.priority != null ? String(n.priority) : null;
-      if (p === null || !priorityFilter.has(p)) hidden = true;
+      return p === null || !priorityFilter.has(p);
     }
 
     // Assignee filter (bd-8o2gd phase 2) — agents exempt
-    if (assigneeFilter && n.issue_type !== 'agent') {
-      if ((n.assignee || '').toLowerCase() !== assigneeFilter.toLowerCase()) hidden = true;
+    case 'assignee':
+      return !!assigneeFilter && !isAgent && (n.assignee || '').toLowerCase() !== assigneeFilter.toLowerCase();
+
+    // Label filter — keep beads with any included label, drop beads with any excluded one; agents exempt
+    case 'label': {
+      if ((labelFilterInclude.size === 0 && labelFilterExclude.size === 0) || isAgent) return false;
+      const labels = n.labels || [];
+      if (labelFilterInclude.size > 0 && !labels.some((l) => labelFilterInclude.has(l))) return true;
+      return labels.some((l) => labelFilterExclude.has(l));
     }
 
     // Age filter (bd-uc0mw): hide old closed beads, always show active/open/blocked/agent
-    if (!hidden && activeAgeDays > 0 && n.status === 'closed') {
-      const updatedAt = n.updated_at ? new Date(n.updated_at) : null;
-      if (updatedAt) {
-        const cutoff = Date.now() - activeAgeDays * 86400000;
-        if (updatedAt.getTime() < cutoff) {
-          hidden = true;
-          n._ageFiltered = true; // mark so we can rescue connected nodes below
-        }
-      }
+    // History beads are exempt: their date window already bounds them
+    case 'age': {
+      if (activeAgeDays <= 0 || n.status !== 'closed' || !n.updated_at || n._history) return false;
+      return new Date(n.updated_at).getTime() < ctx.now - activeAgeDays * 86400000;
     }
 
     // Hide resolved/expired/closed decisions — only show pending (bd-zr374)
-    if (!hidden && (n.issue_type === 'gate' || n.issue_type === 'decision')) {
+    case 'decision': {
+      if (n.issue_type !== 'gate' && n.issue_type !== 'decision') return false;
       const ds = n._decisionState || (n.status === 'closed' ? 'resolved' : 'pending');
-      if (ds !== 'pending') hidden = true;
+      return ds !== 'pending';
     }
 
-    n._hidden = hidden;
-    n._searchMatch = !hidden && !!q;
-  });
+    // Include-history mode: who closed a bead, and why
+    case 'closer':
+      return closerFilter.size > 0 && !!n._history && !closerFilter.has(closerOf(n));
+    case 'closeReason':
+      return !!closeReasonFilter && !!n._history && !closeReasonOf(n).toLowerCase().includes(closeReasonFilter);
+  }
+  return false;
+}
+
+/**
+ * Re-apply the filters and update node and link visibility.
+ *
+ * @param {string} [changed] - The one filter that changed (a FILTER_BITS key,
+ *   or 'orphaned', 'epic', 'reveal', 'depType'). Omit it when the nodes
+ *   themselves changed, to re-evaluate every filter.
+ * @returns {void}
+ */
+function applyFilters(changed) {
+  const query = parseQuery(searchFilter);
+  const hasQuery = !query.empty;
+  // Free-text part of the query, used to rank results below
+  searchTextTerms = query.text.filter((t) => !t.negate).map((t) => t.term);
+  const q = searchTextTerms.join(' ');
+  // Body matches come from the full-text index: term → (node id → relevance)
+  const textHits = new Map(query.text.map((t) => [t.term, searchIndex.lookup(t.term)]));
+  const matchText = (node, term) => textHits.get(term).has(String(node.id));
+  const ctx = { query, hasQuery, matchText, now: Date.now() };
+
+  // Only the filter that changed is re-evaluated; nodes seen for the first time get all of them
+  const names = changed in FILTER_BITS ? [changed] : NEIGHBOURHOOD_FILTERS.has(changed) ? [] : ALL_FILTERS;
+  for (const n of graphData.nodes) {
+    let mask = n._filterMask || 0;
+    for (const name of n._filterMask === undefined ? ALL_FILTERS : names) {
+      if (filterHides(name, n, ctx)) mask |= FILTER_BITS[name];
+      else mask &= ~FILTER_BITS[name];
+    }
+    n._filterMask = mask;
+    n._hidden = mask !== 0;
+    n._ageFiltered = mask === FILTER_BITS.age; // hidden by age alone — may be rescued below
+    n._revealed = false; // reset before re-evaluating (hq-vorf47)
+    n._searchMatch = hasQuery && mask === 0;
+  }
 
   // Epic collapse: hide children of collapsed epics (kd-XGgiokgQBH)
-  if (collapsedEpics.size > 0) {
-    // Build set of child node IDs for collapsed epics
-    const collapsedChildren = new Set();
-    for (const l of graphData.links) {
+  for (const epicId of collapsedEpics) {
+    for (const l of graphIndex.outLinks(epicId)) {
       if (l.dep_type !== 'parent-child' && l.dep_type !== 'child-of') continue;
-      const srcId = typeof l.source === 'object' ? l.source.id : l.source;
-      const tgtId = typeof l.target === 'object' ? l.target.id : l.target;
-      if (collapsedEpics.has(srcId)) {
-        collapsedChildren.add(tgtId);
-      }
-    }
-    for (const n of graphData.nodes) {
-      if (collapsedChildren.has(n.id)) {
-        n._hidden = true;
-        n._epicCollapsed = true; // mark for potential rescue
-      }
+      const child = graphIndex.node(linkEndId(l.target));
+      if (!child) continue;
+      child._hidden = true;
+      child._ageFiltered = false;
+      child._epicCollapsed = true; // mark for potential rescue
     }
   }
 
@@ -2842,65 +3019,70 @@ function applyFilters() {
   // beads are hidden, hide the agent too — unless agentFilterOrphaned is true.
   // Exception (bd-ixx3d): never hide agents with active/idle status — these are
   // live agents from the roster and must always be visible even without edges.
-  for (const n of graphData.nodes) {
-    if (n.issue_type !== 'agent' || n._hidden) continue;
-    if (agentFilterOrphaned) continue; // bd-8o2gd: user wants to see orphaned agents
-    const agentStatus = (n.status || '').toLowerCase();
-    if (agentStatus === 'active' || agentStatus === 'idle') continue;
-    const hasVisibleBead = graphData.links.some((l) => {
-      const srcId = typeof l.source === 'object' ? l.source.id : l.source;
-      const tgtId = typeof l.target === 'object' ? l.target.id : l.target;
-      if (srcId !== n.id) return false;
-      const bead = graphData.nodes.find((nd) => nd.id === tgtId);
-      return bead && !bead._hidden;
-    });
-    if (!hasVisibleBead) n._hidden = true;
+  if (!agentFilterOrphaned) {
+    for (const n of graphData.nodes) {
+      if (n.issue_type !== 'agent' || n._hidden) continue;
+      const agentStatus = (n.status || '').toLowerCase();
+      if (agentStatus === 'active' || agentStatus === 'idle') continue;
+      const hasVisibleBead = graphIndex.outLinks(n.id).some((l) => {
+        const bead = graphIndex.node(linkEndId(l.target));
+        return bead && !bead._hidden;
+      });
+      if (!hasVisibleBead) n._hidden = true;
+    }
   }
 
   // Rescue age-filtered nodes that are directly connected to visible nodes (bd-uc0mw).
   // This ensures dependency chains remain visible even when old closed beads are culled.
+  // Collected first so a rescued node doesn't in turn rescue its own neighbours.
   if (activeAgeDays > 0) {
-    const visibleIds = new Set(graphData.nodes.filter((n) => !n._hidden).map((n) => n.id));
-    for (const n of graphData.nodes) {
-      if (!n._ageFiltered) continue;
-      // Check if this age-filtered node has an edge to/from any visible node
-      const connected = graphData.links.some((l) => {
-        const srcId = typeof l.source === 'object' ? l.source.id : l.source;
-        const tgtId = typeof l.target === 'object' ? l.target.id : l.target;
-        return (srcId === n.id && visibleIds.has(tgtId)) || (tgtId === n.id && visibleIds.has(srcId));
-      });
-      if (connected) {
-        n._hidden = false;
-        n._ageFiltered = false;
-      }
+    const rescued = graphData.nodes.filter(
+      (n) =>
+        n._ageFiltered &&
+        [...graphIndex.neighbors(n.id)].some((id) => {
+          const neighbor = graphIndex.node(id);
+          return neighbor && !neighbor._hidden;
+        }),
+    );
+    for (const n of rescued) {
+      n._hidden = false;
+      n._ageFiltered = false;
     }
   }
 
   // Click-to-reveal: force-show nodes in the revealed subgraph (hq-vorf47).
   // This overrides all filters for the connected component of the clicked node.
-  if (revealedNodes.size > 0) {
-    for (const nodeId of revealedNodes) {
-      const rn = graphData.nodes.find((nd) => nd.id === nodeId);
-      if (rn) {
-        rn._hidden = false;
-        rn._revealed = true;
-      }
+  for (const nodeId of revealedNodes) {
+    const rn = graphIndex.node(nodeId);
+    if (rn) {
+      rn._hidden = false;
+      rn._revealed = true;
     }
   }
 
-  // Build ordered search results for navigation
-  if (q) {
+  // Stubs (neighborhoods.js) show and hide with the bead they hang off
+  for (const n of graphData.nodes) {
+    if (!n._stub) continue;
+    const bead = graphIndex.node(n._stubOf);
+    n._hidden = !bead || bead._hidden;
+    n._searchMatch = false;
+  }
+
+  // Build search results for navigation, most relevant first: full-text score,
+  // boosted when the whole query appears in the id or title, then priority
+  if (hasQuery) {
+    const relevance = (n) => {
+      let score = 0;
+      for (const term of searchTextTerms) score += textHits.get(term).get(String(n.id)) || 0;
+      if (q && (n.id || '').toLowerCase().includes(q)) score += 10;
+      if (q && (n.title || '').toLowerCase().includes(q)) score += 5;
+      return score;
+    };
     searchResults = graphData.nodes
       .filter((n) => n._searchMatch)
-      .sort((a, b) => {
-        const aId = (a.id || '').toLowerCase().includes(q) ? 0 : 1;
-        const bId = (b.id || '').toLowerCase().includes(q) ? 0 : 1;
-        if (aId !== bId) return aId - bId;
-        const aTitle = (a.title || '').toLowerCase().includes(q) ? 0 : 1;
-        const bTitle = (b.title || '').toLowerCase().includes(q) ? 0 : 1;
-        if (aTitle !== bTitle) return aTitle - bTitle;
-        return (a.priority ?? 9) - (b.priority ?? 9);
-      });
+      .map((n) => ({ n, score: relevance(n) }))
+      .sort((a, b) => b.score - a.score || (a.n.priority ?? 9) - (b.n.priority ?? 9))
+      .map(({ n }) => n);
     if (searchResults.length > 0) {
       searchResultIdx = Math.min(Math.max(searchResultIdx, 0), searchResults.length - 1);
     } else {
@@ -2913,11 +3095,7 @@ function applyFilters() {
 
   // Trigger re-render
   graph.nodeVisibility((n) => !n._hidden);
-  graph.linkVisibility((l) => {
-    const src = typeof l.source === 'object' ? l.source : graphData.nodes.find((n) => n.id === l.source);
-    const tgt = typeof l.target === 'object' ? l.target : graphData.nodes.find((n) => n.id === l.target);
-    return src && tgt && !src._hidden && !tgt._hidden && !depTypeHidden.has(l.dep_type);
-  });
+  graph.linkVisibility(isLinkVisible);
 
   // Rebuild node objects when reveal state changes (ghost opacity) (hq-vorf47)
   if (revealedNodes.size > 0 || graphData.nodes.some((n) => n._revealed)) {
@@ -2925,6 +3103,15 @@ function applyFilters() {
   }
 
   updateFilterCount();
+  updateSearchDrawer();
+  syncSimulation(); // hidden nodes drop out of the custom forces
+}
+
+// A link shows when both its ends are visible and its dep type isn't toggled off
+function isLinkVisible(l) {
+  if (depTypeHidden.has(l.dep_type)) return false;
+  const [src, tgt] = graphIndex.ends(l);
+  return !!src && !!tgt && !src._hidden && !tgt._hidden;
 }
 
 // Navigate search results: fly camera to the current match
@@ -2949,6 +3136,7 @@ function nextSearchResult() {
   if (searchResults.length === 0) return;
   searchResultIdx = (searchResultIdx + 1) % searchResults.length;
   updateFilterCount();
+  updateSearchDrawer();
   flyToSearchResult();
 }
 
@@ -2956,6 +3144,7 @@ function prevSearchResult() {
   if (searchResults.length === 0) return;
   searchResultIdx = (searchResultIdx - 1 + searchResults.length) % searchResults.length;
   updateFilterCount();
+  updateSearchDrawer();
   flyToSearchResult();
 }
 
@@ -2993,27 +3182,8 @@ function highlightEpic(epicNode) {
   const distRatio = 1 + distance / (Math.hypot(dx, dy, dz) || 1);
   graph.cameraPosition({ x: dx * distRatio, y: dy * distRatio, z: dz * distRatio }, epicNode, 800);
 
-  // Find all child/descendant node IDs via parent-child edges.
-  // Direction is inconsistent: raw edges have source=parent, target=child;
-  // promoted blocks edges have source=child, target=parent (epic).
-  // So we check both directions.
-  const childIds = new Set();
-  const queue = [epicNode.id];
-  while (queue.length > 0) {
-    const parentId = queue.shift();
-    for (const l of graphData.links) {
-      if (l.dep_type !== 'parent-child') continue;
-      const srcId = typeof l.source === 'object' ? l.source.id : l.source;
-      const tgtId = typeof l.target === 'object' ? l.target.id : l.target;
-      let childId = null;
-      if (srcId === parentId && !childIds.has(tgtId)) childId = tgtId;
-      else if (tgtId === parentId && !childIds.has(srcId)) childId = srcId;
-      if (childId) {
-        childIds.add(childId);
-        queue.push(childId);
-      }
-    }
-  }
+  // Find all child/descendant node IDs via parent-child edges (both directions)
+  const childIds = epicDescendants(graphData, epicNode.id);
 
   // Dim non-descendant nodes, emphasize descendants
   for (const n of graphData.nodes) {
@@ -3023,10 +3193,12 @@ function highlightEpic(epicNode) {
       obj.traverse((c) => {
         if (c.material) c.material.opacity = 1.0;
       });
+      setInstanceDim(n, 1.0);
     } else {
       obj.traverse((c) => {
         if (c.material) c.material.opacity = 0.15;
       });
+      setInstanceDim(n, 0.15);
     }
   }
 
@@ -3111,7 +3283,7 @@ function _buildRigPillsIn(container, nodes) {
       }
       // Sync all rig pill containers
       _syncAllRigPills();
-      applyFilters();
+      applyFilters('agent');
     });
     container.appendChild(pill);
   }
@@ -3144,6 +3316,11 @@ function updateRigPills(nodes) {
 async function refresh() {
   const data = await fetchGraphData();
   if (!data) return;
+  // While replaying history the graph shows a past frame — keep recording, don't merge
+  if (isReplayActive()) {
+    recordSnapshot(data);
+    return;
+  }
 
   const currentNodes = graphData.nodes;
   const currentLinks = graphData.links;
@@ -3155,11 +3332,15 @@ async function refresh() {
 
   let nodesAdded = 0;
   let nodesRemoved = 0;
+  let placementChanged = false; // a bead changed swimlane column or assignee lane
+  let ghostChanged = false; // a bead entered or left the include-history ghosts
 
   // Update existing nodes in-place, detect additions
   const mergedNodes = data.nodes.map((incoming) => {
     const existing = existingById.get(incoming.id);
     if (existing) {
+      const prevLane = swimlaneFor(existing);
+      const prevAssignee = existing.assignee;
       // Update properties in-place (preserving position/velocity/three.js object)
       for (const key of Object.keys(incoming)) {
         if (!POSITION_KEYS.includes(key)) {
@@ -3167,7 +3348,10 @@ async function refresh() {
         }
       }
       existing._blocked = !!(incoming.blocked_by && incoming.blocked_by.length > 0);
+      if (!!existing._history !== !!incoming._history) ghostChanged = true;
+      existing._history = !!incoming._history; // a reopened bead stops being a ghost
       existing._jackExpired = incoming.issue_type === 'jack' && incoming.jack_expires_at && new Date(incoming.jack_expires_at).getTime() < Date.now();
+      if (swimlaneFor(existing) !== prevLane || existing.assignee !== prevAssignee) placementChanged = true;
       return existing;
     }
     // New node — place near a connected neighbor if possible, else near origin
@@ -3178,7 +3362,7 @@ async function refresh() {
       _jackExpired: incoming.issue_type === 'jack' && incoming.jack_expires_at && new Date(incoming.jack_expires_at).getTime() < Date.now(),
     };
     // Seed new nodes near a connected existing node to reduce layout shock
-    const neighborId = (incoming.blocked_by || [])[0] || incoming.assignee_id;
+    const neighborId = incoming._stubOf || (incoming.blocked_by || [])[0] || incoming.assignee_id;
     const neighbor = neighborId && existingById.get(neighborId);
     if (neighbor && neighbor.x !== undefined) {
       newNode.x = neighbor.x + (Math.random() - 0.5) * 30;
@@ -3247,16 +3431,29 @@ async function refresh() {
   const structureChanged = nodesAdded > 0 || nodesRemoved > 0 || linksChanged;
 
   graphData = { nodes: mergedNodes, links: data.links };
+  graphIndex.rebuild(graphData);
+  applyPins(mergedNodes);
+  useWorkerFor(mergedNodes.length);
+  syncSimulation(); // forces read status, priority, assignee…
+  markDependencyCycles();
+  searchIndex.update(mergedNodes); // re-tokenizes only beads whose text changed
 
   // Populate rig filter pills from agent nodes (bd-8o2gd)
   updateRigPills(mergedNodes);
   // Update assignee buttons in filter dashboard (bd-8o2gd phase 2)
   updateAssigneeButtons();
+  updateLabelPills();
+  updateCloserButtons();
 
   applyFilters();
   rebuildEpicIndex();
-  updateRightSidebar(graphData); // bd-inqge
+  updateRightSidebar(graphData, depCycles); // bd-inqge
   updateDecisionList(graphData); // beads-zuc3: refresh decision lightbox
+  if (criticalPathEpic) {
+    const epic = graphData.nodes.find((n) => n.id === criticalPathEpic.id);
+    if (epic) showCriticalPath(epic);
+    else clearCriticalPath();
+  }
 
   // Compute pending decision badge counts per parent node (bd-o6tgy)
   const nodeById = new Map(mergedNodes.map((n) => [n.id, n]));
@@ -3283,76 +3480,169 @@ async function refresh() {
     }
   }
   // Remove stale conflict edges from previous update
+  for (const l of graphData.links) if (l.dep_type === 'rig_conflict') graphIndex.removeLink(l);
   graphData.links = graphData.links.filter((l) => l.dep_type !== 'rig_conflict');
   for (const [, agents] of rigGroups) {
     if (agents.length < 2) continue;
     for (let i = 0; i < agents.length; i++) {
       for (let j = i + 1; j < agents.length; j++) {
-        graphData.links.push({
+        const conflict = {
           source: agents[i],
           target: agents[j],
           dep_type: 'rig_conflict',
-        });
+        };
+        graphData.links.push(conflict);
+        graphIndex.addLink(conflict);
       }
     }
   }
 
-  if (structureChanged) {
-    // graph.graphData() reheats d3-force to alpha=1, which scatters positioned nodes.
-    // Fix (bd-7ccyd): pin ALL existing nodes at their current positions during the
-    // graphData() call. Only new nodes (without positions) float freely. After a brief
-    // settling period, unpin so the layout can gently adjust.
-    const pinnedNodes = [];
-    for (const n of mergedNodes) {
-      if (n.x !== undefined && n.fx === undefined) {
-        n.fx = n.x;
-        n.fy = n.y;
-        n.fz = n.z || 0;
-        pinnedNodes.push(n);
-      }
-    }
+  if (structureChanged) reloadGraphPreservingLayout();
+  // The ghost fade is baked into the node objects, so rebuild them (like decision state changes)
+  if (ghostChanged) graph.nodeThreeObject(graph.nodeThreeObject());
+  if (structureChanged || placementChanged) nudgeLayout();
+  // If only properties changed (status, title, etc.), the existing three.js
+  // objects pick up the changes via the animation tick — no layout reset needed.
+
+  // bd-tgg70: Update beads lists in all open agent windows after graph refresh
+  refreshAgentWindowBeads();
 
-    // Save camera state — graphData() triggers the library's onUpdate which
-    // auto-repositions the camera when it detects a (0,0,Z) default position.
-    // We restore immediately after to prevent any camera jump (bd-7ccyd).
-    const cam = graph.camera();
-    const savedCamPos = cam.position.clone();
-    const controls = graph.controls();
-    const savedTarget = controls?.target?.clone();
+  recordSnapshot(graphData);
+}
+
+// Flag links inside blocks/waits-for cycles (SCCs) so linkThreeObject draws the
+// cycle glyph, and keep the cycles for the right sidebar. Cycles only change when
+// links do, so this runs before graph reloads.
+function markDependencyCycles() {
+  depCycles = findDependencyCycles(graphData);
+  const cycleKeys = new Set();
+  for (const cycle of depCycles) {
+    for (const key of cycle.linkKeys) cycleKeys.add(key);
+  }
+  for (const l of graphData.links) {
+    l._inCycle = GATING_DEP_TYPES.has(l.dep_type) && cycleKeys.has(linkKey(l));
+  }
+}
 
-    graph.graphData(graphData);
+// Replace the live graph with an offline snapshot (see snapshot.js). Stops SSE and
+// polling, points the API at an in-memory copy of the snapshot (read-only), and
+// rebuilds from scratch so the saved x/y/z positions win over wherever the live
+// nodes happened to be. The filters saved with the snapshot are applied.
+async function loadSnapshot(snapshot) {
+  snapshotMode = { exportedAt: snapshot.exportedAt, nodeCount: snapshot.nodes.length };
+  _snapshot = null; // refresh() is a no-op until the graph is cleared
+  api.destroy();
+  // show, depTree and the detail panel read the snapshot, not the live backend
+  api.source = new MemoryDataSource({ data: snapshot });
+  api.mode = api.source.mode;
+  api.readOnly = true;
+  if (_pollIntervalId) clearInterval(_pollIntervalId);
+  _pollIntervalId = null;
+  exitReplay(); // resumes via refresh()
+  document.body.classList.add('snapshot-mode');
+
+  clearSelection();
+  graphData = { nodes: [], links: [] };
+  _snapshot = snapshot;
+  await applySnapshotFilters(snapshot.filters); // refreshes
 
-    // Counter the force reheat: graphData() sets alpha=1 which causes violent
-    // node scattering. Temporarily set high alphaDecay so the simulation cools
-    // down much faster (settles in ~50 ticks instead of ~300). Restore normal
-    // decay after settling period (bd-c1x6p).
-    const normalDecay = 0.0228; // d3 default
-    graph.d3AlphaDecay(0.1); // 4x faster cooldown
-    setTimeout(() => graph.d3AlphaDecay(normalDecay), 2000);
+  const statusEl = document.getElementById('status');
+  const when = snapshot.exportedAt ? new Date(snapshot.exportedAt).toLocaleString() : 'unknown time';
+  statusEl.textContent = `snapshot · ${snapshot.nodes.length} beads · ${when} · read-only`;
+  statusEl.className = 'connected';
+}
 
-    // Restore camera position immediately (prevents library auto-reposition)
-    cam.position.copy(savedCamPos);
-    if (controls && savedTarget) {
-      controls.target.copy(savedTarget);
-      controls.update();
+// Push graphData into the force graph without scattering the existing layout or
+// moving the camera. Used by refresh() and by replay frames on structural changes.
+function reloadGraphPreservingLayout() {
+  // graph.graphData() reheats d3-force to alpha=1, which scatters positioned nodes.
+  // Fix (bd-7ccyd): pin ALL existing nodes at their current positions during the
+  // graphData() call. Only new nodes (without positions) float freely. After a brief
+  // settling period, unpin so the layout can gently adjust.
+  const pinnedNodes = [];
+  for (const n of graphData.nodes) {
+    if (n.x !== undefined && n.fx === undefined) {
+      n.fx = n.x;
+      n.fy = n.y;
+      n.fz = n.z || 0;
+      pinnedNodes.push(n);
     }
+  }
 
-    // Release pins after simulation has mostly cooled down. With the faster
-    // alphaDecay, alpha drops below 0.1 within ~1s. Unpin after 2s to be
-    // safe — remaining alpha is negligible so nodes barely drift (bd-c1x6p).
-    setTimeout(() => {
-      for (const n of pinnedNodes) {
-        delete n.fx;
-        delete n.fy;
-        delete n.fz;
-      }
-    }, 2000);
+  // Save camera state — graphData() triggers the library's onUpdate which
+  // auto-repositions the camera when it detects a (0,0,Z) default position.
+  // We restore immediately after to prevent any camera jump (bd-7ccyd).
+  const cam = graph.camera();
+  const savedCamPos = cam.position.clone();
+  const controls = graph.controls();
+  const savedTarget = controls?.target?.clone();
+
+  graph.graphData(graphData);
+
+  // Counter the force reheat: graphData() sets alpha=1 which causes violent
+  // node scattering. Temporarily set high alphaDecay so the simulation cools
+  // down much faster (settles in ~50 ticks instead of ~300). Restore normal
+  // decay after settling period (bd-c1x6p).
+  const normalDecay = 0.0228; // d3 default
+  simAlphaDecay(0.1); // 4x faster cooldown
+  setTimeout(() => simAlphaDecay(normalDecay), 2000);
+
+  // Restore camera position immediately (prevents library auto-reposition)
+  cam.position.copy(savedCamPos);
+  if (controls && savedTarget) {
+    controls.target.copy(savedTarget);
+    controls.update();
   }
-  // If only properties changed (status, title, etc.), the existing three.js
-  // objects pick up the changes via the animation tick — no layout reset needed.
 
-  // bd-tgg70: Update beads lists in all open agent windows after graph refresh
-  refreshAgentWindowBeads();
+  // Release pins after simulation has mostly cooled down. With the faster
+  // alphaDecay, alpha drops below 0.1 within ~1s. Unpin after 2s to be
+  // safe — remaining alpha is negligible so nodes barely drift (bd-c1x6p).
+  setTimeout(() => {
+    for (const n of pinnedNodes) {
+      if (n._pinned) continue; // pinned by the user meanwhile (pins.js)
+      delete n.fx;
+      delete n.fy;
+      delete n.fz;
+    }
+  }, 2000);
+}
+
+// Show a historical frame from the replay recorder. Existing node objects are reused
+// by id so positions and three.js objects carry across frames; the force graph is
+// only reloaded when nodes or links were added/removed.
+function applyReplayFrame(frame) {
+  const existingById = new Map(graphData.nodes.map((n) => [n.id, n]));
+  let structureChanged = frame.nodes.length !== graphData.nodes.length;
+  const nodes = frame.nodes.map((snap) => {
+    const existing = existingById.get(snap.id);
+    if (!existing) {
+      structureChanged = true;
+      return { ...snap };
+    }
+    Object.assign(existing, snap);
+    return existing;
+  });
+  const frameLinkKey = (l) =>
+    `${typeof l.source === 'object' ? l.source.id : l.source}→${typeof l.target === 'object' ? l.target.id : l.target}:${l.dep_type}`;
+  const currentKeys = new Set(graphData.links.map(frameLinkKey));
+  if (frame.links.length !== graphData.links.length || frame.links.some((l) => !currentKeys.has(frameLinkKey(l)))) {
+    structureChanged = true;
+  }
+  graphData = { nodes, links: structureChanged ? frame.links : graphData.links };
+  if (structureChanged) {
+    graphIndex.rebuild(graphData);
+    markDependencyCycles();
+  }
+  searchIndex.update(nodes);
+
+  applyFilters();
+  rebuildEpicIndex();
+  updateRightSidebar(graphData, depCycles);
+  if (structureChanged) reloadGraphPreservingLayout();
+  else {
+    graph.nodeThreeObject(graph.nodeThreeObject()); // status/assignee colors
+    nudgeLayout();
+  }
 }
 
 // SSE, mutations, doots, doot popups moved to mutations.js (bd-7t6nt)
@@ -3462,7 +3752,7 @@ function connectBusStream() {
             else if (evt.type === 'DecisionResponded') decNode._decisionState = 'resolved';
             else if (evt.type === 'DecisionExpired') decNode._decisionState = 'expired';
             // Re-apply filters: resolved/expired decisions disappear from graph (bd-zr374)
-            applyFilters();
+            applyFilters('decision');
             // Rebuild node Three.js object to reflect new color/shape
             graph.nodeThreeObject(graph.nodeThreeObject());
 
@@ -3484,6 +3774,7 @@ function connectBusStream() {
         // Feed agent activity windows (bd-kau4k, bd-jgvas Phase 2: auto-open)
         const agentId = resolveAgentIdLoose(evt);
         if (agentId) {
+          recordAgentEvent(agentId, evt); // agent heatmap (heatmap.js)
           // Auto-create window if it doesn't exist yet (bd-jgvas)
           if (!agentWindows.has(agentId) && graphData) {
             const agentNode = graphData.nodes.find((n) => n.id === agentId);
@@ -3518,7 +3809,7 @@ function connectBusStream() {
         }
         if (evt.type === 'MutationStatus' || evt.type === 'MutationClose' || evt.type === 'MutationUpdate') {
           updateEpicProgress(graphData);
-          updateDepHealth(graphData);
+          updateDepHealth(graphData, depCycles);
           // Live-update project pulse stats
           _liveUpdateProjectPulse(evt);
         }
@@ -3552,6 +3843,15 @@ async function main() {
       hideTooltip,
       expandDepTree,
       highlightSubgraph,
+      applyFilters,
+    });
+
+    // Create beads / dependencies from the graph — wire dependencies
+    setBeadCreateDeps({
+      api,
+      getGraphData: () => graphData,
+      refresh,
+      showStatusToast,
     });
 
     // Layout modes (bd-7t6nt) — wire dependencies
@@ -3563,6 +3863,25 @@ async function main() {
     });
 
     // Minimap (bd-7t6nt) — wire dependencies
+    setSearchDrawerDeps({
+      getResults: () => searchResults,
+      getResultIdx: () => searchResultIdx,
+      getQuery: () => searchFilter,
+      getTextTerms: () => searchTextTerms,
+      getSnippet: (id, terms) => searchIndex.snippet(id, terms),
+      pickResult: (idx) => {
+        searchResultIdx = idx;
+        updateFilterCount();
+        updateSearchDrawer();
+        flyToSearchResult();
+      },
+    });
+
+    setPinDeps({
+      api,
+      getGraphData: () => graphData,
+    });
+
     setMinimapDeps({
       getGraph: () => graph,
       getGraphData: () => graphData,
@@ -3581,6 +3900,7 @@ async function main() {
       refresh,
       applyFilters,
       setLayout,
+      setGanttLanes,
       toggleLabels,
       getLabelsVisible: () => labelsVisible,
       toggleMinimap,
@@ -3611,6 +3931,13 @@ async function main() {
         get priorityFilter() { return priorityFilter; },
         get assigneeFilter() { return assigneeFilter; },
         set assigneeFilter(v) { assigneeFilter = v; },
+        get labelFilterInclude() { return labelFilterInclude; },
+        get labelFilterExclude() { return labelFilterExclude; },
+        get historyWindow() { return historyWindow; },
+        set historyWindow(v) { historyWindow = v; },
+        get closerFilter() { return closerFilter; },
+        get closeReasonFilter() { return closeReasonFilter; },
+        set closeReasonFilter(v) { closeReasonFilter = v; },
         get filterDashboardOpen() { return filterDashboardOpen; },
         set filterDashboardOpen(v) { filterDashboardOpen = v; },
         get activeAgeDays() { return activeAgeDays; },
@@ -3634,15 +3961,47 @@ async function main() {
         set searchResultIdx(v) { searchResultIdx = v; },
         get _searchDebounceTimer() { return _searchDebounceTimer; },
         set _searchDebounceTimer(v) { _searchDebounceTimer = v; },
-        URL_PROFILE, URL_STATUS, URL_TYPES, URL_ASSIGNEE,
+        URL_PROFILE, URL_STATUS, URL_TYPES, URL_ASSIGNEE, URL_QUERY, URL_LABELS, URL_HISTORY,
       },
     });
 
+    // Time-travel replay — wire dependencies
+    setReplayDeps({
+      applyFrame: applyReplayFrame,
+      applyMutation: applyMutationOptimistic,
+      resumeLive: refresh,
+      // History is saved per backend; a loaded snapshot isn't recorded over it
+      historyKey: () => (snapshotMode ? null : `${API_MODE || 'rest'} ${API_BASE}`),
+    });
+    initReplayBar();
+    loadReplayHistory();
+    initSnapshotPicker(loadSnapshot);
+
     setupControls();
     setupBoxSelect();
-    await refresh();
-    connectLiveUpdates();
-    connectBusStream(); // bd-c7723: live NATS event doots on agent nodes
+    let snapshot = null;
+    let snapshotError = null;
+    if (SNAPSHOT_URL) {
+      try {
+        snapshot = await fetchSnapshot(SNAPSHOT_URL);
+      } catch (err) {
+        // A bad ?snapshot= URL falls back to live data rather than stopping startup
+        console.error('[beads3d] snapshot load failed:', err);
+        snapshotError = err;
+      }
+    }
+    if (snapshot) {
+      await loadSnapshot(snapshot);
+    } else {
+      await refresh();
+      connectLiveUpdates();
+      connectBusStream(); // bd-c7723: live NATS event doots on agent nodes
+      if (snapshotError) {
+        const statusEl = document.getElementById('status');
+        statusEl.textContent = `snapshot error: ${snapshotError.message} · showing live data`;
+        statusEl.className = 'error';
+      }
+    }
     // VFX system (bd-7t6nt) — wire dependencies
     setVfxDeps({
       getGraph: () => graph,
@@ -3662,7 +4021,7 @@ async function main() {
     startLeftSidebarIdleTimer();
     startAgentWindowIdleTimer();
     if (_pollIntervalId) clearInterval(_pollIntervalId);
-    _pollIntervalId = setInterval(refresh, POLL_INTERVAL);
+    if (!snapshotMode) _pollIntervalId = setInterval(refresh, POLL_INTERVAL);
     graph.cameraPosition({ x: 0, y: 0, z: 400 });
 
     // URL deep-linking (bd-he95o): ?bead=<id> highlights and focuses a specific bead.
@@ -3690,6 +4049,9 @@ async function main() {
       clearSelection,
       focusMolecule,
       focusedMoleculeNodes: () => focusedMoleculeNodes,
+      criticalPathLinks: () => criticalPathLinks,
+      loadSnapshot,
+      snapshotMode: () => snapshotMode,
       get selectedNode() {
         return selectedNode;
       },
@@ -0,0 +1,203 @@
+// Markdown renderer for bead bodies (description, design, notes, acceptance criteria).
+// Safe by construction: every piece of source text is HTML-escaped before any markup
+// is added, and only tags emitted here reach the output — raw HTML in the source is
+// shown as text, and links are limited to http(s)/mailto.
+// No DOM dependency, so it renders the same in tests.
+
+const ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/**
+ * Escape text for use in HTML content or a quoted attribute.
+ * @param {string} str
+ * @returns {string}
+ */
+export function escapeMarkdownText(str) {
+  return String(str ?? '').replace(/[&<>"']/g, (c) => ESCAPES[c]);
+}
+
+const SAFE_URL = /^(https?:\/\/|mailto:)/i;
+// Candidate bead ids: prefix-suffix with optional .N child segments (bd-a0vbd, kd-XGgiokgQBH, bd-9cpbc.1)
+const BEAD_ID = /\b[A-Za-z][A-Za-z0-9]*-[A-Za-z0-9]+(?:\.[0-9]+)*\b/g;
+
+/**
+ * Render inline markdown (code, links, emphasis, bead ids) for one block of text.
+ * @param {string} text - Raw source text
+ * @param {(id: string) => boolean} isBeadId
+ * @returns {string} HTML
+ */
+function renderInline(text, isBeadId) {
+  // Stash finished fragments behind private-use markers so later passes can't
+  // rewrite them (e.g. ids inside code); markers in the source itself are dropped
+  const stash = [];
+  const keep = (html) => `\uE000${stash.push(html) - 1}\uE001`;
+
+  let s = escapeMarkdownText(text.replace(/[\uE000\uE001]/g, ''));
+  s = s.replace(/`([^`]+)`/g, (_, code) => keep(`<code>${code}</code>`));
+  s = s.replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (m, label, url) =>
+    SAFE_URL.test(url) ? keep(`<a href="${url}" target="_blank" rel="noopener noreferrer">${label}</a>`) : m,
+  );
+  s = s.replace(/(^|[\s(])(https?:\/\/[^\s<]+[^\s<.,;:!?)])/g, (_, pre, url) =>
+    keep(`${pre}<a href="${url}" target="_blank" rel="noopener noreferrer">${url}</a>`),
+  );
+  s = s.replace(BEAD_ID, (id) => (isBeadId(id) ? keep(`<a class="md-bead-link" data-bead-id="${id}">${id}</a>`) : id));
+  s = s.replace(/(\*\*|__)(?=\S)(.+?)(?<=\S)\1/g, '<strong>$2</strong>');
+  s = s.replace(/(^|[^\w*])\*(?=\S)(.+?)(?<=\S)\*(?!\w)/g, '$1<em>$2</em>');
+  s = s.replace(/(^|[^\w])_(?=\S)(.+?)(?<=\S)_(?!\w)/g, '$1<em>$2</em>');
+  s = s.replace(/~~(?=\S)(.+?)(?<=\S)~~/g, '<del>$1</del>');
+  // Restore repeatedly: a stashed link label may itself contain a stashed fragment
+  while (s.includes('\uE000')) s = s.replace(/\uE000(\d+)\uE001/g, (_, i) => stash[i]);
+  return s;
+}
+
+function splitTableRow(line) {
+  let row = line.trim();
+  if (row.startsWith('|')) row = row.slice(1);
+  if (row.endsWith('|') && !row.endsWith('\\|')) row = row.slice(0, -1);
+  return row.split(/(?<!\\)\|/).map((c) => c.trim().replace(/\\\|/g, '|'));
+}
+
+const TABLE_SEP = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+const LIST_ITEM = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+const FENCE = /^\s*(```|~~~)\s*([\w+-]*)\s*$/;
+
+/**
+ * Render markdown to HTML: headings, paragraphs, block quotes, rules, fenced code,
+ * nested bullet/numbered lists, task checkboxes, pipe tables, and inline
+ * code/links/emphasis. Bead ids accepted by `isBeadId` become
+ * `<a class="md-bead-link" data-bead-id="…">` for the caller to wire up.
+ *
+ * @param {string} src - Markdown source
+ * @param {Object} [opts]
+ * @param {(id: string) => boolean} [opts.isBeadId] - Which id-shaped words are real beads
+ * @returns {string} HTML
+ */
+export function renderMarkdown(src, { isBeadId = () => false } = {}) {
+  if (!src) return '';
+  const lines = String(src).replace(/\r\n?/g, '\n').split('\n');
+  const out = [];
+  const inline = (t) => renderInline(t, isBeadId);
+  let para = [];
+
+  const flushPara = () => {
+    if (para.length) out.push(`<p>${para.map(inline).join('<br>')}</p>`);
+    para = [];
+  };
+
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+
+    // Fenced code block — contents verbatim (escaped), no inline processing
+    const fence = line.match(FENCE);
+    if (fence) {
+      flushPara();
+      const body = [];
+      i++;
+      while (i < lines.length && !lines[i].trim().startsWith(fence[1])) body.push(lines[i++]);
+      i++; // closing fence (or EOF)
+      const lang = fence[2] ? ` class="lang-${escapeMarkdownText(fence[2])}"` : '';
+      out.push(`<pre><code${lang}>${escapeMarkdownText(body.join('\n'))}</code></pre>`);
+      continue;
+    }
+
+    if (!line.trim()) {
+      flushPara();
+      i++;
+      continue;
+    }
+
+    const heading = line.match(/^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/);
+    if (heading) {
+      flushPara();
+      const level = heading[1].length;
+      out.push(`<h${level}>${inline(heading[2])}</h${level}>`);
+      i++;
+      continue;
+    }
+
+    if (/^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      flushPara();
+      out.push('<hr>');
+      i++;
+      continue;
+    }
+
+    if (/^\s*>/.test(line)) {
+      flushPara();
+      const quoted = [];
+      while (i < lines.length && /^\s*>/.test(lines[i])) quoted.push(lines[i++].replace(/^\s*>\s?/, ''));
+      out.push(`<blockquote>${renderMarkdown(quoted.join('\n'), { isBeadId })}</blockquote>`);
+      continue;
+    }
+
+    // Pipe table: header row followed by a --- separator row
+    if (line.includes('|') && i + 1 < lines.length && TABLE_SEP.test(lines[i + 1])) {
+      flushPara();
+      const head = splitTableRow(line);
+      const aligns = splitTableRow(lines[i + 1]).map((c) =>
+        c.startsWith(':') && c.endsWith(':') ? 'center' : c.endsWith(':') ? 'right' : c.startsWith(':') ? 'left' : '',
+      );
+      const cell = (tag, text, col) =>
+        `<${tag}${aligns[col] ? ` style="text-align:${aligns[col]}"` : ''}>${inline(text)}</${tag}>`;
+      const rows = [];
+      i += 2;
+      while (i < lines.length && lines[i].includes('|') && lines[i].trim()) {
+        const cells = splitTableRow(lines[i++]);
+        rows.push(`<tr>${head.map((_, c) => cell('td', cells[c] || '', c)).join('')}</tr>`);
+      }
+      out.push(
+        `<table><thead><tr>${head.map((h, c) => cell('th', h, c)).join('')}</tr></thead>` +
+          `<tbody>${rows.join('')}</tbody></table>`,
+      );
+      continue;
+    }
+
+    if (LIST_ITEM.test(line)) {
+      flushPara();
+      const items = [];
+      while (i < lines.length) {
+        const m = lines[i].match(LIST_ITEM);
+        if (m) {
+          items.push({ indent: m[1].replace(/\t/g, '  ').length, ordered: /\d/.test(m[2]), text: m[3] });
+        } else if (lines[i].trim() && /^\s+/.test(lines[i]) && items.length) {
+          items[items.length - 1].text += ' ' + lines[i].trim(); // lazy continuation line
+        } else {
+          break;
+        }
+        i++;
+      }
+      out.push(renderList(items, inline));
+      continue;
+    }
+
+    para.push(line.trim());
+    i++;
+  }
+  flushPara();
+  return out.join('');
+}
+
+// Nested lists from indentation: deeper items open a child list inside the previous <li>
+function renderList(items, inline) {
+  let html = '';
+  const stack = []; // { indent, tag }
+  for (const item of items) {
+    while (stack.length && item.indent < stack[stack.length - 1].indent) {
+      html += `</li></${stack.pop().tag}>`;
+    }
+    const top = stack[stack.length - 1];
+    if (!top || item.indent > top.indent) {
+      const tag = item.ordered ? 'ol' : 'ul';
+      stack.push({ indent: item.indent, tag });
+      html += `<${tag}>`;
+    } else {
+      html += '</li>';
+    }
+    const task = item.text.match(/^\[([ xX])\]\s+(.*)$/);
+    html += task
+      ? `<li class="md-task"><input type="checkbox" disabled${task[1] === ' ' ? '' : ' checked'}> ${inline(task[2])}`
+      : `<li>${inline(item.text)}`;
+  }
+  while (stack.length) html += `</li></${stack.pop().tag}>`;
+  return html;
+}
@@ -10,12 +10,16 @@ import {
   intensifyAura,
   _pendingFireworks,
 } from './vfx.js';
+import { recordEvent, isReplayActive } from './replay.js';
+import { markLoadedStale } from './neighborhoods.js';
+import { nudgeLayout } from './layout.js';
 
 // Callbacks set by main.js to avoid circular imports
 let _api = null;
 let _getGraphData = null;
 let _getGraph = null;
 let _refresh = null;
+let _applyFilters = null;
 let _handleNodeClick = null;
 
 /**
@@ -25,14 +29,16 @@ let _handleNodeClick = null;
  * @param {Function} deps.getGraphData - Returns current graph data ({nodes, links})
  * @param {Function} deps.getGraph - Returns ForceGraph3D instance
  * @param {Function} deps.refresh - Trigger a full data refresh
+ * @param {Function} [deps.applyFilters] - Re-apply filters after a node's fields change
  * @param {Function} deps.handleNodeClick - Callback when a node is clicked
  * @returns {void}
  */
-export function setMutationDeps({ api, getGraphData, getGraph, refresh, handleNodeClick }) {
+export function setMutationDeps({ api, getGraphData, getGraph, refresh, applyFilters, handleNodeClick }) {
   _api = api;
   _getGraphData = getGraphData;
   _getGraph = getGraph;
   _refresh = refresh;
+  _applyFilters = applyFilters;
   _handleNodeClick = handleNodeClick;
 }
 
@@ -99,6 +105,12 @@ export function connectLiveUpdates() {
   try {
     _api.connectEvents(
       (evt) => {
+        // Every event goes into replay history; while replaying, the live graph is frozen
+        recordEvent(evt);
+        // Beads loaded on demand that changed get fetched again on the next refresh
+        markLoadedStale(evt.issue_id);
+        if (evt.depends_on_id) markLoadedStale(evt.depends_on_id);
+        if (isReplayActive()) return;
         // Batch mutations over MUTATION_BATCH_MS to coalesce rapid updates (bd-otufd)
         _mutationBatch.push(evt);
         if (!_mutationBatchTimer) {
@@ -160,6 +172,11 @@ export function applyMutationOptimistic(evt) {
 
   // Find the node in the current graph
   const node = graphData.nodes.find((n) => n.id === id);
+  // Status, assignee and title feed the filters; the cached mask is stale once they change
+  const refilter = () => {
+    delete node._filterMask;
+    _applyFilters?.();
+  };
 
   switch (evt.type) {
     case 'status': {
@@ -174,6 +191,9 @@ export function applyMutationOptimistic(evt) {
         spawnShockwave(node, oldStatus, node.status);
         // Implosion/collapse effect on close (bd-1n122)
         if (node.status === 'closed') spawnCollapseEffect(node);
+        // Swimlane/Gantt layouts: glide the bead into its new column or re-end its bar
+        nudgeLayout();
+        refilter();
       }
       return true;
     }
@@ -188,10 +208,12 @@ export function applyMutationOptimistic(evt) {
         if (evt.assignee && evt.assignee !== oldAssignee) {
           triggerClaimComet(node, evt.assignee);
         }
+        if (evt.assignee !== oldAssignee) nudgeLayout(); // Gantt assignee lanes
       }
       if (evt.title) {
         node.title = evt.title;
       }
+      if (evt.assignee !== undefined || evt.title) refilter();
       // Intensify aura on any update to in-progress bead (bd-ttet4)
       if (node.status === 'in_progress') intensifyAura(node.id);
       return true;
@@ -0,0 +1,396 @@
+// Progressive loading. fetchViaGraph asks for a bounded core — the most recently
+// updated beads — rather than everything up to MAX_NODES. Edges leaving the core
+// end at one stub node per bead, labelled "+N" for its unloaded neighbours.
+// Expanding a bead (context menu, clicking its stub, or flying the camera up to
+// the stub — a limited number of times per session) fetches the next page of its
+// neighbourhood with api.depTree and api.show. The ids of loaded beads are kept
+// here and every later fetch carries them over from the live graph. Beads a
+// change event touched since are loaded again — through a paged
+// api.graph({ids}) call, or a few api.show calls per fetch when the server
+// doesn't filter by id.
+
+import { linkEndId } from './graph-index.js';
+
+const NEIGHBOR_PAGE = 25; // beads fetched per expansion; the stub keeps counting the rest
+const AUTO_EXPAND_DIST = 120; // camera distance at which a stub loads its neighbours
+const AUTO_EXPAND_BUDGET = 20; // auto-expansions per session; after that stubs expand on click
+const REFETCH_PAGE = 200; // loaded beads re-fetched per graph call
+const REFETCH_SHOW_MAX = 10; // show calls per fetch when the graph API ignores `ids`; the rest wait
+// Layout and render state on live nodes; everything else is bead data
+const LIVE_ONLY_KEYS = new Set(['x', 'y', 'z', 'vx', 'vy', 'vz', 'fx', 'fy', 'fz', 'index']);
+
+// Dependency injection — set by main.js before use
+let _deps = {};
+
+/** @type {Map<string, string>} bead id → issue type, for beads loaded on demand */
+const _loaded = new Map();
+/** @type {Map<string, Object>} bead id → bead the last expansion brought in, used once by the next fetch */
+const _fresh = new Map();
+const _stale = new Set(); // loaded beads changed since they were last fetched
+let _idsFilter = null; // whether the graph API honours `ids`; null until a response tells
+/** @type {Map<string, Object>} edge key → { source, target, type } learned on demand */
+const _loadedEdges = new Map();
+const _skipped = new Set(); // neighbours the server couldn't return
+/** @type {Map<string, string>} bead id → issue type, for loaded beads of types the graph currently leaves out */
+const _rejected = new Map();
+const _expanded = new Set(); // beads whose dependency tree was fetched already
+/** @type {Map<string, Promise<number>>} bead id → expansion in flight */
+const _inflight = new Map();
+/** @type {Map<string, Set<string>>} loaded bead id → its unloaded neighbours, as of the last fetch */
+let _unloaded = new Map();
+/** @type {Map<string, boolean>} stub id → whether the camera was within reach of it last time round */
+let _inReach = new Map();
+let _autoExpansions = 0;
+
+/**
+ * Inject dependencies from main.js.
+ *
+ * @param {Object} deps
+ * @param {Object}   deps.api          - BeadsAPI instance (graph/depTree/show)
+ * @param {Function} deps.getGraph     - () => ForceGraph3D instance
+ * @param {Function} deps.getGraphData - () => { nodes, links }
+ * @param {Function} deps.accepts      - (bead) => boolean, false for types the graph leaves out
+ * @param {Function} deps.onLoaded     - () => Promise, re-fetches the graph after beads load
+ */
+export function setNeighborhoodDeps(deps) {
+  _deps = deps;
+}
+
+/**
+ * Id of the stub node standing for a bead's unloaded neighbours.
+ *
+ * @param {string} id
+ * @returns {string}
+ */
+export function stubId(id) {
+  return `stub:${id}`;
+}
+
+function edgeKey(e) {
+  return `${linkEndId(e.source)}→${linkEndId(e.target)}:${e.type}`;
+}
+
+/**
+ * Neighbours each loaded bead has outside the loaded set.
+ *
+ * @param {Set<string>} loadedIds
+ * @param {{source: string|Object, target: string|Object}[]} edges
+ * @returns {Map<string, Set<string>>}
+ */
+export function unloadedNeighbors(loadedIds, edges) {
+  const out = new Map();
+  const add = (id, other) => {
+    const set = out.get(id);
+    if (set) set.add(other);
+    else out.set(id, new Set([other]));
+  };
+  for (const e of edges) {
+    const src = linkEndId(e.source);
+    const tgt = linkEndId(e.target);
+    const hasSrc = loadedIds.has(src);
+    const hasTgt = loadedIds.has(tgt);
+    if (hasSrc && !hasTgt) add(src, tgt);
+    else if (hasTgt && !hasSrc) add(tgt, src);
+  }
+  return out;
+}
+
+/**
+ * Beads and edges in a depTree or show response. Dependencies are either full
+ * beads, possibly with dependencies of their own, or bare records naming the
+ * bead with depends_on_id.
+ *
+ * @param {Object} resp
+ * @returns {{beads: Object[], edges: {source: string, target: string, type: string}[]}}
+ */
+export function parseNeighborhood(resp) {
+  const beads = [];
+  const edges = [];
+  const walk = (bead) => {
+    const fields = { ...bead };
+    delete fields.dependencies;
+    beads.push(fields);
+    for (const dep of bead.dependencies || []) {
+      const depId = dep.depends_on_id || dep.id;
+      if (!depId) continue;
+      edges.push({ source: bead.id, target: depId, type: dep.type || dep.dependency_type || 'blocks' });
+      if (!dep.depends_on_id) walk(dep);
+    }
+    for (const blockerId of bead.blocked_by || []) {
+      if (blockerId) edges.push({ source: blockerId, target: bead.id, type: 'blocks' });
+    }
+  };
+  if (resp?.id) walk(resp);
+  return { beads, edges };
+}
+
+/**
+ * Note that a bead changed (a mutation event named it), so the next fetch loads
+ * it again if it was loaded on demand.
+ *
+ * @param {string} id
+ * @returns {void}
+ */
+export function markLoadedStale(id) {
+  if (!_loaded.has(id)) return;
+  _stale.add(id);
+  _fresh.delete(id);
+}
+
+// The bead data on a live graph node, without layout or render state
+function liveFields(node) {
+  const bead = {};
+  for (const key of Object.keys(node)) {
+    if (!LIVE_ONLY_KEYS.has(key) && !key.startsWith('_')) bead[key] = node[key];
+  }
+  return bead;
+}
+
+/**
+ * Add the beads and edges loaded on demand to a graph API result. Beads the
+ * live graph shows are carried over as they are there — kept current by the
+ * same change events as the rest of the graph. Stale ones, and ones the graph
+ * lost, are fetched again; until that succeeds the live copy stands in.
+ *
+ * @param {{nodes: Object[], edges: Object[]}} result
+ * @returns {Promise<{nodes: Object[], edges: Object[]}>} A copy of `result` with the loaded beads
+ */
+export async function withLoadedBeads(result) {
+  sortByType();
+  const nodes = [...(result.nodes || [])];
+  const edges = [...(result.edges || [])];
+  const ids = new Set(nodes.map((n) => n.id));
+  const live = new Map((_deps.getGraphData?.()?.nodes || []).filter((n) => !n._stub).map((n) => [n.id, n]));
+  const wanted = [];
+  for (const id of _loaded.keys()) {
+    if (ids.has(id)) {
+      _stale.delete(id); // the core brought it fresh
+      continue;
+    }
+    // Beads the last expansion brought in are current — no need to ask again
+    if (_fresh.has(id)) nodes.push(_fresh.get(id));
+    else if (live.has(id) && !_stale.has(id)) nodes.push(liveFields(live.get(id)));
+    else wanted.push(id);
+  }
+  _fresh.clear();
+
+  const fetched = new Set();
+  for (const bead of await refetch(wanted)) {
+    fetched.add(bead.id);
+    _stale.delete(bead.id);
+    if (_deps.accepts && !_deps.accepts(bead)) {
+      _loaded.delete(bead.id);
+      _rejected.set(bead.id, bead.issue_type);
+      continue;
+    }
+    // To the back of the queue, so a capped refetch gets round to every bead
+    _loaded.delete(bead.id);
+    _loaded.set(bead.id, bead.issue_type);
+    nodes.push(bead);
+  }
+  for (const id of wanted) {
+    if (!fetched.has(id) && live.has(id)) nodes.push(liveFields(live.get(id)));
+  }
+
+  const keys = new Set(edges.map(edgeKey));
+  for (const e of _loadedEdges.values()) {
+    const key = edgeKey(e);
+    if (keys.has(key)) continue;
+    keys.add(key);
+    edges.push(e);
+  }
+  return { ...result, nodes, edges };
+}
+
+// Fetch beads by id, keeping their edges. A page at a time through the graph API
+// while it honours `ids`; once a response shows it doesn't, a few show calls per
+// fetch instead. Returns the beads that came back.
+async function refetch(ids) {
+  const beads = [];
+  let rest = ids;
+  if (_idsFilter !== false) {
+    rest = [];
+    for (let i = 0; i < ids.length; i += REFETCH_PAGE) {
+      const page = ids.slice(i, i + REFETCH_PAGE);
+      if (_idsFilter === false) {
+        rest.push(...page);
+        continue;
+      }
+      const missing = new Set(page);
+      try {
+        const resp = await _deps.api.graph({
+          ids: page,
+          limit: page.length,
+          include_deps: true,
+          include_body: true,
+          include_agents: false,
+        });
+        for (const bead of resp?.nodes || []) {
+          if (missing.delete(bead.id)) beads.push(bead);
+          else _idsFilter = false; // a bead nobody asked for: the server ignored the filter
+        }
+        if (_idsFilter === false) {
+          rest.push(...missing);
+          continue;
+        }
+        _idsFilter = true;
+        for (const e of resp?.edges || []) _loadedEdges.set(edgeKey(e), e);
+      } catch (err) {
+        console.warn('[beads3d] re-fetching loaded beads failed:', err);
+      }
+    }
+  }
+  const shown = await Promise.all(rest.slice(0, REFETCH_SHOW_MAX).map((id) => _deps.api.show(id).catch(() => null)));
+  for (const resp of shown) {
+    const parsed = parseNeighborhood(resp);
+    if (parsed.beads.length === 0) continue;
+    beads.push(parsed.beads[0]);
+    for (const e of parsed.edges) _loadedEdges.set(edgeKey(e), e);
+  }
+  return beads;
+}
+
+/**
+ * Add a "+N" stub node, linked to its bead, for every bead with unloaded
+ * neighbours, and remember those neighbours for loadNeighborhood().
+ *
+ * @param {Object[]} nodes - Graph nodes, extended in place
+ * @param {Object[]} links - Graph links, extended in place
+ * @param {Object[]} edges - Every edge the fetch returned, including ones leaving the graph
+ * @returns {number} Number of stubs added
+ */
+export function addNeighborStubs(nodes, links, edges) {
+  _unloaded = unloadedNeighbors(new Set(nodes.map((n) => n.id)), edges);
+  let stubs = 0;
+  for (const [id, others] of _unloaded) {
+    for (const other of others) if (_skipped.has(other) || _rejected.has(other)) others.delete(other);
+    if (others.size === 0) continue;
+    const stub = {
+      id: stubId(id),
+      title: `+${others.size}`,
+      status: 'open',
+      priority: 4,
+      issue_type: 'stub',
+      _stub: true,
+      _stubOf: id,
+      _stubCount: others.size,
+      _blocked: false,
+    };
+    nodes.push(stub);
+    links.push({ source: id, target: stub.id, dep_type: 'unloaded' });
+    stubs++;
+  }
+  return stubs;
+}
+
+/**
+ * Load the next page of a bead's unloaded neighbours, then re-fetch the graph.
+ * Concurrent calls for the same bead share one request.
+ *
+ * @param {string} id
+ * @returns {Promise<number>} Number of beads added
+ */
+export function loadNeighborhood(id) {
+  if (_inflight.has(id)) return _inflight.get(id);
+  const pending = fetchNeighborhood(id).finally(() => _inflight.delete(id));
+  _inflight.set(id, pending);
+  return pending;
+}
+
+async function fetchNeighborhood(id) {
+  const graphIds = new Set(_deps.getGraphData().nodes.map((n) => n.id));
+  const known = (beadId) => graphIds.has(beadId) || _loaded.has(beadId) || _rejected.has(beadId);
+  const skippedBefore = _skipped.size + _rejected.size;
+  let added = 0;
+
+  // The bead's own dependencies arrive with their details in one call
+  if (!_expanded.has(id)) {
+    _expanded.add(id);
+    try {
+      added += keep(parseNeighborhood(await _deps.api.depTree(id, 1)), known);
+    } catch (err) {
+      console.warn(`[beads3d] depTree failed for ${id}:`, err);
+    }
+  }
+
+  // Everything else linked to it — dependents, children — one bead at a time
+  const page = [...(_unloaded.get(id) || [])].filter((n) => !known(n) && !_skipped.has(n)).slice(0, NEIGHBOR_PAGE);
+  const shown = await Promise.all(
+    page.map((beadId) =>
+      _deps.api.show(beadId).catch(() => {
+        _skipped.add(beadId);
+        return null;
+      }),
+    ),
+  );
+  for (const bead of shown) {
+    if (bead) added += keep(parseNeighborhood(bead), known);
+  }
+
+  if (added > 0 || _skipped.size + _rejected.size > skippedBefore) await _deps.onLoaded?.();
+  return added;
+}
+
+// Store what a response brought in; returns the number of new beads
+function keep({ beads, edges }, known) {
+  let added = 0;
+  for (const bead of beads) {
+    if (known(bead.id)) continue;
+    if (_deps.accepts && !_deps.accepts(bead)) {
+      _rejected.set(bead.id, bead.issue_type);
+      continue;
+    }
+    _loaded.set(bead.id, bead.issue_type);
+    _fresh.set(bead.id, bead);
+    added++;
+  }
+  for (const e of edges) _loadedEdges.set(edgeKey(e), e);
+  return added;
+}
+
+// Move kept beads between loaded and rejected after the loaded types change
+function sortByType() {
+  if (!_deps.accepts) return;
+  for (const [id, type] of _loaded) {
+    if (_deps.accepts({ id, issue_type: type })) continue;
+    _loaded.delete(id);
+    _fresh.delete(id);
+    _rejected.set(id, type);
+  }
+  for (const [id, type] of _rejected) {
+    if (!_deps.accepts({ id, issue_type: type })) continue;
+    _rejected.delete(id);
+    _loaded.set(id, type);
+  }
+}
+
+/**
+ * Expand the stub nearest the camera when the camera flies up to it. Only an
+ * approach counts — a stub that was out of reach and now isn't — so stubs that
+ * appear next to the camera after an expansion don't set off another one, and
+ * each stub auto-expands once per approach. Runs every second or so from the
+ * animation loop; one expansion at a time, AUTO_EXPAND_BUDGET per session.
+ * @returns {void}
+ */
+export function expandNearCamera() {
+  if (_inflight.size > 0 || _autoExpansions >= AUTO_EXPAND_BUDGET) return;
+  const camera = _deps.getGraph?.()?.camera();
+  if (!camera) return;
+  const { x, y, z } = camera.position;
+  const inReach = new Map();
+  let nearest = null;
+  let best = AUTO_EXPAND_DIST;
+  for (const n of _deps.getGraphData().nodes) {
+    if (!n._stub || n._hidden || n.x === undefined) continue;
+    const dist = Math.hypot(n.x - x, (n.y || 0) - y, (n.z || 0) - z);
+    inReach.set(n.id, dist < AUTO_EXPAND_DIST);
+    if (_inReach.get(n.id) === false && dist < best) {
+      best = dist;
+      nearest = n;
+    }
+  }
+  _inReach = inReach;
+  if (!nearest) return;
+  _autoExpansions++;
+  loadNeighborhood(nearest._stubOf).catch((err) => console.warn('[beads3d] auto-expand failed:', err));
+}
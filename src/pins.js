@@ -0,0 +1,256 @@
+// Pinned layouts — nodes the user pins stay where they were dropped, across
+// refreshes and reloads. Pinned positions are saved per filter profile in the
+// same config store saveFilterProfile uses, under beads3d.pins[.<profile>].
+
+import { simReheat } from './simulation.js';
+
+const PINS_KEY = 'beads3d.pins';
+const SAVE_DELAY_MS = 1000; // drags come in bursts; write once they settle
+
+// Dependency injection — set by main.js before use
+let _deps = {};
+
+/** @type {Map<string, [number, number, number]>} node id → pinned position */
+let _pins = new Map();
+let _profile = ''; // filter profile the pins belong to ('' = default)
+let _pinMode = false; // when on, every dragged node gets pinned
+let _saveTimer = null;
+
+/**
+ * Inject dependencies from main.js.
+ *
+ * @param {Object} deps
+ * @param {Object}   deps.api          - BeadsAPI instance (configGet/configSet/configUnset)
+ * @param {Function} deps.getGraphData - () => { nodes, links }
+ */
+export function setPinDeps(deps) {
+  _deps = deps;
+}
+
+/**
+ * Config key holding the pinned positions of a filter profile.
+ *
+ * @param {string} profile - Profile name, '' for the default profile
+ * @returns {string}
+ */
+export function pinsKey(profile) {
+  return profile ? `${PINS_KEY}.${profile}` : PINS_KEY;
+}
+
+/**
+ * Serialize pinned positions for the config store. Coordinates are rounded to
+ * 0.1 — plenty for a layout, and it keeps the stored value small.
+ *
+ * @param {Map<string, number[]>} pins
+ * @returns {string}
+ */
+export function serializePins(pins) {
+  const positions = {};
+  for (const [id, pos] of pins) positions[id] = pos.map((v) => Math.round(v * 10) / 10);
+  return JSON.stringify({ version: 1, positions });
+}
+
+/**
+ * Parse a stored value back into pinned positions. Malformed values and
+ * entries are dropped rather than failing the whole layout.
+ *
+ * @param {string} value
+ * @returns {Map<string, [number, number, number]>}
+ */
+export function parsePins(value) {
+  const pins = new Map();
+  let data;
+  try {
+    data = JSON.parse(value);
+  } catch {
+    return pins;
+  }
+  const positions = data && typeof data.positions === 'object' ? data.positions : null;
+  if (!positions) return pins;
+  for (const [id, pos] of Object.entries(positions)) {
+    if (!Array.isArray(pos) || pos.length < 2 || !pos.every(Number.isFinite)) continue;
+    pins.set(id, [pos[0], pos[1], pos[2] ?? 0]);
+  }
+  return pins;
+}
+
+/**
+ * @param {Object} node
+ * @returns {boolean}
+ */
+export function isPinned(node) {
+  return !!node && _pins.has(node.id);
+}
+
+/**
+ * @returns {number} Number of pinned nodes
+ */
+export function pinCount() {
+  return _pins.size;
+}
+
+/**
+ * @returns {boolean}
+ */
+export function getPinMode() {
+  return _pinMode;
+}
+
+/**
+ * Toggle pin mode: while on, dropping a dragged node pins it.
+ * @returns {void}
+ */
+export function togglePinMode() {
+  _pinMode = !_pinMode;
+  const btn = document.getElementById('btn-pin');
+  if (btn) {
+    btn.classList.toggle('active', _pinMode);
+    btn.setAttribute('aria-pressed', String(_pinMode));
+  }
+}
+
+function fix(node, [x, y, z]) {
+  node.x = node.fx = x;
+  node.y = node.fy = y;
+  node.z = node.fz = z;
+  node._pinned = true;
+}
+
+function release(node) {
+  delete node.fx;
+  delete node.fy;
+  delete node.fz;
+  node._pinned = false;
+}
+
+/**
+ * Pin a node at its current position.
+ *
+ * @param {Object} node
+ * @returns {void}
+ */
+export function pinNode(node) {
+  if (!node || node.x === undefined) return;
+  const pos = [node.x, node.y, node.z || 0];
+  fix(node, pos);
+  _pins.set(node.id, pos);
+  scheduleSave();
+}
+
+/**
+ * Release a pinned node back to the force layout.
+ *
+ * @param {Object} node
+ * @returns {void}
+ */
+export function unpinNode(node) {
+  if (!node || !_pins.has(node.id)) return;
+  release(node);
+  _pins.delete(node.id);
+  scheduleSave();
+  simReheat();
+}
+
+/**
+ * Release every pinned node.
+ * @returns {void}
+ */
+export function unpinAll() {
+  if (_pins.size === 0) return;
+  for (const node of _deps.getGraphData?.().nodes || []) {
+    if (node._pinned) release(node);
+  }
+  _pins.clear();
+  scheduleSave();
+  simReheat();
+}
+
+/**
+ * Fix pinned nodes at their saved positions and release nodes that are no
+ * longer pinned. Called after each refresh and when a profile's pins load.
+ *
+ * @param {Object[]} nodes
+ * @returns {boolean} true if any node was released
+ */
+export function applyPins(nodes) {
+  let released = false;
+  for (const node of nodes) {
+    const pos = _pins.get(node.id);
+    if (pos) {
+      fix(node, pos);
+    } else if (node._pinned) {
+      release(node);
+      released = true;
+    }
+  }
+  return released;
+}
+
+/**
+ * Load the pinned layout saved for a filter profile and apply it to the graph.
+ * A profile without saved pins has none.
+ *
+ * @param {string} profile - Profile name, '' for the default profile
+ * @returns {Promise<void>}
+ */
+export async function loadPins(profile) {
+  flushPins();
+  _profile = profile || '';
+  let pins = new Map();
+  try {
+    const resp = await _deps.api.configGet(pinsKey(_profile));
+    if (resp?.value) pins = parsePins(resp.value);
+  } catch {
+    // No layout saved for this profile yet
+  }
+  if (_profile !== (profile || '')) return; // another profile was picked meanwhile
+  _pins = pins;
+  const graphData = _deps.getGraphData?.();
+  if (graphData && applyPins(graphData.nodes)) simReheat();
+  if (pins.size > 0) console.log(`[beads3d] restored ${pins.size} pinned nodes for profile: ${_profile || 'default'}`);
+}
+
+/**
+ * Save the current pins under a filter profile, which becomes the profile
+ * later pin changes are saved to.
+ *
+ * @param {string} profile - Profile name, '' for the default profile
+ * @returns {Promise<void>}
+ */
+export async function savePins(profile) {
+  clearTimeout(_saveTimer);
+  _saveTimer = null;
+  _profile = profile || '';
+  try {
+    if (_pins.size === 0) await _deps.api.configUnset(pinsKey(_profile));
+    else await _deps.api.configSet(pinsKey(_profile), serializePins(_pins));
+  } catch (e) {
+    console.warn('[beads3d] failed to save pinned layout:', e);
+  }
+}
+
+/**
+ * Remove the pinned layout saved for a filter profile.
+ *
+ * @param {string} profile
+ * @returns {Promise<void>}
+ */
+export async function deletePins(profile) {
+  if (!profile) return;
+  try {
+    await _deps.api.configUnset(pinsKey(profile));
+  } catch {
+    // Nothing saved
+  }
+}
+
+function scheduleSave() {
+  clearTimeout(_saveTimer);
+  _saveTimer = setTimeout(() => savePins(_profile), SAVE_DELAY_MS);
+}
+
+// Write a pending save now, before the profile it belongs to is switched away
+function flushPins() {
+  if (_saveTimer === null) return;
+  savePins(_profile);
+}
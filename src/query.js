@@ -0,0 +1,369 @@
+// Search query language for the search box:
+//   status:blocked priority:<=1 assignee:cool-* label:infra type:epic updated:<3d has:blockers
+// Free words match id/title/assignee as before, plus bead bodies when the caller
+// passes a full-text matcher. Comma-separated values are OR'd (status:open,blocked),
+// a leading '-' negates a term (-type:epic), and values with spaces can be quoted
+// (label:"needs review"). Unknown fields are plain text, so ids like
+// agent:cool-trout still search normally.
+
+/** Query fields and their aliases. */
+const FIELD_ALIASES = {
+  status: 'status',
+  s: 'status',
+  priority: 'priority',
+  p: 'priority',
+  assignee: 'assignee',
+  a: 'assignee',
+  label: 'label',
+  l: 'label',
+  type: 'type',
+  t: 'type',
+  updated: 'updated',
+  created: 'created',
+  has: 'has',
+  is: 'is',
+  id: 'id',
+  title: 'title',
+};
+
+/** Fields offered by autocomplete, in display order. */
+export const QUERY_FIELDS = [
+  'status',
+  'priority',
+  'assignee',
+  'label',
+  'type',
+  'updated',
+  'created',
+  'has',
+  'is',
+  'id',
+  'title',
+];
+
+const HAS_VALUES = ['blockers', 'assignee', 'labels', 'description'];
+const IS_VALUES = ['blocked', 'open', 'closed', 'agent'];
+const DURATION_UNITS = { m: 60e3, h: 3600e3, d: 86400e3, w: 7 * 86400e3 };
+
+/**
+ * @typedef {Object} QueryClause
+ * @property {string}  field  - Canonical field name
+ * @property {string}  op     - ':' | '<' | '<=' | '>' | '>=' | '='
+ * @property {string[]} values - OR'd values (lower-cased)
+ * @property {boolean} negate
+ */
+
+/**
+ * @typedef {Object} ParsedQuery
+ * @property {Array<{term: string, negate: boolean}>} text - Free-text terms (lower-cased)
+ * @property {QueryClause[]} clauses
+ * @property {boolean} empty - True when there is nothing to filter on
+ */
+
+// Split on whitespace outside double quotes, keeping each token's position
+function tokenize(str) {
+  const tokens = [];
+  const re = /(?:[^\s"]+|"[^"]*"?)+/g;
+  let m;
+  while ((m = re.exec(str))) tokens.push({ raw: m[0], start: m.index, end: m.index + m[0].length });
+  return tokens;
+}
+
+function unquote(s) {
+  return s.replace(/"/g, '');
+}
+
+/**
+ * Parse a search box string.
+ *
+ * @param {string} str
+ * @returns {ParsedQuery}
+ */
+export function parseQuery(str) {
+  const text = [];
+  const clauses = [];
+  for (const { raw } of tokenize(str || '')) {
+    let tok = raw;
+    let negate = false;
+    if (tok.length > 1 && tok[0] === '-') {
+      negate = true;
+      tok = tok.slice(1);
+    }
+    const m = /^([a-z]+):(.*)$/i.exec(tok);
+    const field = m && FIELD_ALIASES[m[1].toLowerCase()];
+    if (!field || !m[2]) {
+      text.push({ term: unquote(tok).toLowerCase(), negate });
+      continue;
+    }
+    const opMatch = /^(<=|>=|<|>|=)?(.*)$/.exec(m[2]);
+    const values = unquote(opMatch[2])
+      .toLowerCase()
+      .split(',')
+      .map((v) => v.trim())
+      .filter(Boolean);
+    if (values.length === 0) continue;
+    clauses.push({ field, op: opMatch[1] || ':', values, negate });
+  }
+  return { text, clauses, empty: text.length === 0 && clauses.length === 0 };
+}
+
+function globToRegExp(pattern) {
+  const body = pattern
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.');
+  return new RegExp(`^${body}$`, 'i');
+}
+
+function compare(a, op, b) {
+  if (op === '<') return a < b;
+  if (op === '<=') return a <= b;
+  if (op === '>') return a > b;
+  if (op === '>=') return a >= b;
+  return a === b;
+}
+
+/**
+ * Parse a duration like '3d', '12h', '2w', '30m'.
+ *
+ * @param {string} s
+ * @returns {number|null} Milliseconds
+ */
+export function parseDuration(s) {
+  const m = /^(\d+(?:\.\d+)?)([mhdw])$/.exec(s);
+  return m ? parseFloat(m[1]) * DURATION_UNITS[m[2]] : null;
+}
+
+// updated:<3d = changed within 3 days; updated:>2026-01-01 = changed after that date
+function matchDate(iso, op, value, now) {
+  if (!iso) return false;
+  const ts = new Date(iso).getTime();
+  if (Number.isNaN(ts)) return false;
+  const dur = parseDuration(value);
+  if (dur !== null) return compare(now - ts, op === ':' ? '<=' : op, dur);
+  const at = new Date(value).getTime();
+  if (Number.isNaN(at)) return false;
+  if (op === ':' || op === '=') return new Date(ts).toDateString() === new Date(at).toDateString();
+  return compare(ts, op, at);
+}
+
+function matchValue(node, field, op, value, now) {
+  switch (field) {
+    case 'status':
+      return (node.status || '').toLowerCase() === value || (value === 'blocked' && !!node._blocked);
+    case 'type':
+      return (node.issue_type || '').toLowerCase() === value;
+    case 'priority': {
+      if (node.priority == null) return false;
+      const p = Number(value.replace(/^p/, ''));
+      return !Number.isNaN(p) && compare(node.priority, op === ':' ? '=' : op, p);
+    }
+    case 'assignee':
+      return globToRegExp(value).test(node.assignee || '');
+    case 'label':
+      return (node.labels || []).some((l) => globToRegExp(value).test(l));
+    case 'id':
+      return globToRegExp(value.includes('*') ? value : `*${value}*`).test(node.id || '');
+    case 'title':
+      return (node.title || '').toLowerCase().includes(value);
+    case 'updated':
+      return matchDate(node.updated_at, op, value, now);
+    case 'created':
+      return matchDate(node.created_at, op, value, now);
+    case 'has':
+      if (value === 'blockers') return !!(node._blocked || node.blocked_by?.length);
+      if (value === 'assignee') return !!node.assignee;
+      if (value === 'labels') return !!node.labels?.length;
+      if (value === 'description') return !!node.description;
+      return false;
+    case 'is':
+      if (value === 'blocked') return !!(node._blocked || node.status === 'blocked');
+      if (value === 'open') return node.status !== 'closed';
+      if (value === 'agent') return node.issue_type === 'agent';
+      return (node.status || '').toLowerCase() === value;
+    default:
+      return false;
+  }
+}
+
+/**
+ * Does a node satisfy every term of a parsed query?
+ *
+ * @param {Object} node
+ * @param {ParsedQuery} query
+ * @param {number} [now] - Reference time for relative dates
+ * @param {Object} [opts]
+ * @param {Function} [opts.matchText] - (node, term) => boolean, extra free-text matcher
+ *   (e.g. the body full-text index) tried when id/title/assignee don't contain the term
+ * @returns {boolean}
+ */
+export function matchQuery(node, query, now = Date.now(), { matchText } = {}) {
+  for (const { term, negate } of query.text) {
+    const hit =
+      (node.id || '').toLowerCase().includes(term) ||
+      (node.title || '').toLowerCase().includes(term) ||
+      (node.assignee || '').toLowerCase().includes(term) ||
+      (!!matchText && !!matchText(node, term));
+    if (hit === negate) return false;
+  }
+  for (const c of query.clauses) {
+    const hit = c.values.some((v) => matchValue(node, c.field, c.op, v, now));
+    if (hit === c.negate) return false;
+  }
+  return true;
+}
+
+// --- Autocomplete ---
+
+/**
+ * @typedef {Object} QueryContext
+ * @property {string[]} [statuses]
+ * @property {string[]} [types]
+ * @property {string[]} [assignees]
+ * @property {string[]} [labels]
+ */
+
+/**
+ * Collect autocomplete values from the loaded graph.
+ *
+ * @param {Object[]} nodes
+ * @returns {QueryContext}
+ */
+export function queryContextFromNodes(nodes) {
+  const statuses = new Set(['open', 'in_progress', 'blocked', 'closed']);
+  const types = new Set();
+  const assignees = new Set();
+  const labels = new Set();
+  for (const n of nodes) {
+    if (n.issue_type === 'agent') continue;
+    if (n.status) statuses.add(n.status);
+    if (n.issue_type) types.add(n.issue_type);
+    if (n.assignee) assignees.add(n.assignee);
+    for (const l of n.labels || []) labels.add(l);
+  }
+  const sorted = (s) => [...s].sort();
+  return { statuses: sorted(statuses), types: sorted(types), assignees: sorted(assignees), labels: sorted(labels) };
+}
+
+/**
+ * Completions for the token under the cursor: field names for a bare word,
+ * values for `field:partial`.
+ *
+ * @param {string} input
+ * @param {number} cursor - Caret position
+ * @param {QueryContext} [ctx]
+ * @returns {{from: number, to: number, items: string[]}} Replace input[from, to) with an item
+ */
+export function completeQuery(input, cursor, ctx = {}) {
+  const tok = tokenize(input).find((t) => cursor >= t.start && cursor <= t.end);
+  const start = tok ? tok.start : cursor;
+  const end = tok ? tok.end : cursor;
+  const word = input.slice(start, cursor);
+  const neg = word.startsWith('-') ? 1 : 0;
+  const body = word.slice(neg);
+  const colon = body.indexOf(':');
+
+  if (colon === -1) {
+    if (!body) return { from: cursor, to: cursor, items: [] };
+    const items = QUERY_FIELDS.filter((f) => f.startsWith(body.toLowerCase()) && f !== body.toLowerCase());
+    return { from: start + neg, to: end, items: items.map((f) => `${f}:`) };
+  }
+
+  const field = FIELD_ALIASES[body.slice(0, colon).toLowerCase()];
+  if (!field) return { from: cursor, to: cursor, items: [] };
+  const rest = body.slice(colon + 1);
+  const op = /^(<=|>=|<|>|=)?/.exec(rest)[0];
+  // Complete only the last comma-separated value
+  const valuesStart = colon + 1 + op.length;
+  const lastComma = rest.lastIndexOf(',');
+  const partialStart = lastComma >= op.length ? colon + 1 + lastComma + 1 : valuesStart;
+  const partial = unquote(body.slice(partialStart)).toLowerCase();
+  const candidates = {
+    status: ctx.statuses || [],
+    type: ctx.types || [],
+    assignee: ctx.assignees || [],
+    label: ctx.labels || [],
+    priority: op ? ['0', '1', '2', '3', '4'] : ['0', '1', '2', '3', '4', '<=1', '>=3'],
+    updated: op ? ['1d', '3d', '1w', '4w'] : ['<1d', '<3d', '<1w', '>4w'],
+    created: op ? ['1d', '3d', '1w', '4w'] : ['<1d', '<1w', '>4w'],
+    has: HAS_VALUES,
+    is: IS_VALUES,
+  }[field];
+  if (!candidates) return { from: cursor, to: cursor, items: [] };
+  const items = candidates
+    .filter((v) => v.toLowerCase().startsWith(partial) && v.toLowerCase() !== partial)
+    .slice(0, 12)
+    .map((v) => (/\s/.test(v) ? `"${v}"` : v));
+  return { from: start + neg + partialStart, to: end, items };
+}
+
+/**
+ * Attach an autocomplete dropdown to the search input. Arrow keys pick a
+ * suggestion and Tab/Enter accept it; while the list is closed, keys fall
+ * through to the input's other handlers. Call before adding those handlers.
+ *
+ * @param {HTMLInputElement} input
+ * @param {HTMLElement} list            - Dropdown container
+ * @param {() => QueryContext} getContext
+ * @returns {void}
+ */
+export function attachQueryAutocomplete(input, list, getContext) {
+  let state = null; // { from, to, items, idx }
+
+  const close = () => {
+    state = null;
+    list.style.display = 'none';
+    list.innerHTML = '';
+  };
+
+  const render = () => {
+    list.innerHTML = state.items
+      .map((item, i) => `<div class="qs-item${i === state.idx ? ' active' : ''}" data-idx="${i}"></div>`)
+      .join('');
+    list.querySelectorAll('.qs-item').forEach((el) => {
+      el.textContent = state.items[Number(el.dataset.idx)];
+      el.onmousedown = (e) => {
+        e.preventDefault(); // keep focus in the input
+        accept(Number(el.dataset.idx));
+      };
+    });
+    list.style.display = 'block';
+  };
+
+  const update = () => {
+    const res = completeQuery(input.value, input.selectionStart ?? input.value.length, getContext());
+    if (res.items.length === 0) return close();
+    state = { ...res, idx: 0 };
+    render();
+  };
+
+  const accept = (idx) => {
+    const item = state.items[idx];
+    const before = input.value.slice(0, state.from);
+    const after = input.value.slice(state.to);
+    const sep = item.endsWith(':') || after.startsWith(' ') ? '' : ' ';
+    input.value = before + item + sep + after;
+    const caret = (before + item + sep).length;
+    input.setSelectionRange(caret, caret);
+    close();
+    input.dispatchEvent(new Event('input')); // re-filter, and offer values after 'field:'
+  };
+
+  input.addEventListener('input', update);
+  input.addEventListener('blur', close);
+  input.addEventListener('keydown', (e) => {
+    if (!state) return;
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      state.idx = (state.idx + (e.key === 'ArrowDown' ? 1 : -1) + state.items.length) % state.items.length;
+      render();
+    } else if (e.key === 'Tab' || e.key === 'Enter') {
+      accept(state.idx);
+    } else if (e.key === 'Escape') {
+      close();
+    } else {
+      return;
+    }
+    e.preventDefault();
+    e.stopImmediatePropagation();
+  });
+}
@@ -0,0 +1,551 @@
+// --- Time-travel replay ---
+// Records every refresh() snapshot and every live mutation event so the graph can
+// be rewound to any past moment and played forward at adjustable speed.
+// Identical consecutive snapshots are collapsed, snapshots leave out bead bodies,
+// and nodes that didn't change share one object with the snapshot before, so a
+// quiet graph costs almost nothing to record. History is saved to IndexedDB —
+// each snapshot as a diff against the one before — and loaded back on reload.
+
+// Dependency injection — set by main.js before the first refresh()
+let _deps = {};
+
+/**
+ * Inject dependencies from main.js.
+ *
+ * @param {Object} deps
+ * @param {Function} deps.applyFrame     - (frame: {nodes, links}) => void — swap a reconstructed frame into the graph
+ * @param {Function} deps.applyMutation  - (evt) => boolean — applyMutationOptimistic, used for VFX during playback
+ * @param {Function} deps.resumeLive     - () => void — leave replay and reload live data
+ * @param {Function} [deps.historyKey]  - () => string|null — where history is saved; null doesn't save
+ * @returns {void}
+ */
+export function setReplayDeps(deps) {
+  _deps = deps;
+}
+
+const REPLAY_MAX_SNAPSHOTS = 500; // oldest snapshots are dropped past this
+const REPLAY_MAX_EVENTS = 20000; // oldest events are dropped past this
+const REPLAY_TICK_MS = 100; // playback timer interval
+const HISTORY_DB = 'beads3d-replay';
+const HISTORY_STORE = 'history';
+const HISTORY_VERSION = 1;
+const HISTORY_SAVE_MS = 30000; // history is saved at most this often
+/** @type {number[]} Selectable playback speeds (multiples of real time) */
+export const REPLAY_SPEEDS = [1, 10, 60, 600, 3600];
+
+// Node keys that describe layout/render state rather than bead data
+const SNAPSHOT_SKIP_KEYS = new Set(['x', 'y', 'z', 'vx', 'vy', 'vz', 'fx', 'fy', 'fz', '_wasDimmed']);
+// Long text the graph never draws; the detail panel fetches it fresh anyway
+const SNAPSHOT_BODY_KEYS = new Set(['description', 'design', 'acceptance_criteria', 'notes', 'body', 'comments']);
+
+const _snapshots = []; // { ts, sig, nodes, links } — oldest first
+const _events = []; // { ts, evt } — oldest first
+const _replay = { active: false, playing: false, cursor: 0, speed: 60, timer: null, lastTick: 0 };
+let _saveTimer = null;
+let _db = null; // Promise<IDBDatabase>
+
+function idOf(end) {
+  return typeof end === 'object' && end !== null ? end.id : end;
+}
+
+/**
+ * Copy the bead data out of a graph ({nodes, links}) into a plain, position-free
+ * snapshot without bead bodies. Accepts both live graph data (link ends are node
+ * objects) and raw fetched data (ids).
+ * @param {{nodes: Object[], links: Object[]}} data
+ * @returns {{nodes: Object[], links: Array<{source: string, target: string, dep_type: string}>}}
+ */
+export function snapshotGraph(data) {
+  const nodes = (data.nodes || []).map((n) => {
+    const copy = {};
+    for (const key of Object.keys(n)) {
+      if (SNAPSHOT_SKIP_KEYS.has(key) || SNAPSHOT_BODY_KEYS.has(key) || key.startsWith('__')) continue;
+      copy[key] = n[key];
+    }
+    return copy;
+  });
+  const links = (data.links || []).map((l) => ({
+    source: idOf(l.source),
+    target: idOf(l.target),
+    dep_type: l.dep_type,
+  }));
+  return { nodes, links };
+}
+
+function sameNode(a, b) {
+  const keys = Object.keys(a);
+  if (keys.length !== Object.keys(b).length) return false;
+  return keys.every(
+    (k) => a[k] === b[k] || (typeof a[k] === 'object' && JSON.stringify(a[k]) === JSON.stringify(b[k])),
+  );
+}
+
+function sameLinks(a, b) {
+  return (
+    a.length === b.length &&
+    a.every((l, i) => l.source === b[i].source && l.target === b[i].target && l.dep_type === b[i].dep_type)
+  );
+}
+
+/**
+ * Reuse the previous snapshot's node objects for nodes that haven't changed, and
+ * its links if they haven't either. Recorded nodes are never mutated (frameAt
+ * copies them), so sharing is safe, and an unchanged node is stored only once.
+ * @param {{nodes: Object[], links: Object[]}|undefined} prev
+ * @param {{nodes: Object[], links: Object[]}} snap - Updated in place
+ * @returns {void}
+ */
+export function shareUnchanged(prev, snap) {
+  if (!prev) return;
+  const prevById = new Map(prev.nodes.map((n) => [n.id, n]));
+  snap.nodes = snap.nodes.map((n) => {
+    const old = prevById.get(n.id);
+    return old && sameNode(old, n) ? old : n;
+  });
+  if (sameLinks(prev.links, snap.links)) snap.links = prev.links;
+}
+
+// Cheap change signature — only fields that matter visually
+function snapshotSignature(snap) {
+  const nodePart = snap.nodes
+    .map((n) => `${n.id}|${n.status}|${n.assignee || ''}|${n.priority}|${n.title || ''}|${n._blocked ? 1 : 0}`)
+    .join('\n');
+  const linkPart = snap.links.map((l) => `${l.source}>${l.target}:${l.dep_type}`).join('\n');
+  return nodePart + '\n#\n' + linkPart;
+}
+
+/**
+ * Apply a recorded mutation event to a plain snapshot node.
+ * Mirrors the property changes made by applyMutationOptimistic, without VFX.
+ * @param {Object|undefined} node - Snapshot node matching evt.issue_id
+ * @param {Object} evt - Mutation event ({type, issue_id, new_status, assignee, title})
+ * @returns {boolean} Whether the node was changed
+ */
+export function replayEvent(node, evt) {
+  if (!node || !evt) return false;
+  if (evt.type === 'status') {
+    node.status = evt.new_status || node.status;
+    return true;
+  }
+  if (evt.type === 'update') {
+    if (evt.assignee !== undefined) node.assignee = evt.assignee;
+    if (evt.title) node.title = evt.title;
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Reconstruct the graph as it looked at time `ts`: the latest snapshot at or before
+ * `ts`, with every event recorded after that snapshot (up to `ts`) replayed on top.
+ * Times before the first snapshot resolve to the earliest known state.
+ * @param {Array<{ts: number, nodes: Object[], links: Object[]}>} snapshots - Oldest first
+ * @param {Array<{ts: number, evt: Object}>} events - Oldest first
+ * @param {number} ts - Epoch milliseconds
+ * @returns {{ts: number, nodes: Object[], links: Object[]}|null} Frame, or null with no history
+ */
+export function frameAt(snapshots, events, ts) {
+  if (snapshots.length === 0) return null;
+  let base = snapshots[0];
+  for (let i = snapshots.length - 1; i >= 0; i--) {
+    if (snapshots[i].ts <= ts) {
+      base = snapshots[i];
+      break;
+    }
+  }
+  const nodes = base.nodes.map((n) => ({ ...n }));
+  const byId = new Map(nodes.map((n) => [n.id, n]));
+  for (let i = lowerBound(events, base.ts); i < events.length; i++) {
+    const rec = events[i];
+    if (rec.ts > ts) break;
+    replayEvent(byId.get(rec.evt.issue_id), rec.evt);
+  }
+  return { ts, nodes, links: base.links.map((l) => ({ ...l })) };
+}
+
+// Index of the first record with ts strictly greater than `ts`
+function lowerBound(records, ts) {
+  let lo = 0;
+  let hi = records.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (records[mid].ts <= ts) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+// --- Recording ---
+
+/**
+ * Record a graph snapshot. Called at the end of every refresh() — and with the raw
+ * fetched data while replaying, so history keeps accumulating in the background.
+ * @param {{nodes: Object[], links: Object[]}} data
+ * @param {number} [ts=Date.now()]
+ * @returns {void}
+ */
+export function recordSnapshot(data, ts = Date.now()) {
+  if (!data || !data.nodes) return;
+  const snap = snapshotGraph(data);
+  const sig = snapshotSignature(snap);
+  const last = _snapshots[_snapshots.length - 1];
+  if (last && last.sig === sig) return; // unchanged since last refresh
+  shareUnchanged(last, snap);
+  _snapshots.push({ ts, sig, nodes: snap.nodes, links: snap.links });
+  trimHistory();
+  scheduleSave();
+  if (_replay.active) _syncReplayBar();
+}
+
+// Drop history past the caps, and events older than the oldest snapshot — they
+// can never be replayed
+function trimHistory() {
+  if (_snapshots.length > REPLAY_MAX_SNAPSHOTS) _snapshots.splice(0, _snapshots.length - REPLAY_MAX_SNAPSHOTS);
+  if (_events.length > REPLAY_MAX_EVENTS) _events.splice(0, _events.length - REPLAY_MAX_EVENTS);
+  const cutoff = _snapshots.length > 0 ? lowerBound(_events, _snapshots[0].ts) : 0;
+  if (cutoff > 0) _events.splice(0, cutoff);
+}
+
+/**
+ * When an event happened: its own ts (ISO string or epoch ms) when it has a
+ * valid one, else now.
+ * @param {Object} evt
+ * @returns {number} Epoch milliseconds
+ */
+export function eventTime(evt) {
+  const ts = typeof evt.ts === 'number' ? evt.ts : Date.parse(evt.ts);
+  return Number.isFinite(ts) ? ts : Date.now();
+}
+
+/**
+ * Record a mutation event as it arrives from the live stream (connectLiveUpdates).
+ * Events are kept in time order even when they arrive out of order.
+ * @param {Object} evt
+ * @param {number} [ts] - Defaults to the event's own time (eventTime)
+ * @returns {void}
+ */
+export function recordEvent(evt, ts = evt && eventTime(evt)) {
+  if (!evt || !evt.issue_id) return;
+  const last = _events[_events.length - 1];
+  if (!last || last.ts <= ts) _events.push({ ts, evt });
+  else _events.splice(lowerBound(_events, ts), 0, { ts, evt });
+  if (_events.length > REPLAY_MAX_EVENTS) _events.shift();
+  scheduleSave();
+  if (_replay.active) _syncReplayBar();
+}
+
+// --- Persistence ---
+
+/**
+ * Encode history for storage. The first snapshot is stored whole; each later one
+ * as the nodes that changed since the one before (`set`), the ids that left
+ * (`del`), and its links only when they changed.
+ * @param {Array<{ts: number, sig: string, nodes: Object[], links: Object[]}>} snapshots - Oldest first
+ * @param {Array<{ts: number, evt: Object}>} events - Oldest first
+ * @returns {Object} Plain data for IndexedDB
+ */
+export function encodeHistory(snapshots, events) {
+  let prev = null;
+  const encoded = snapshots.map((snap) => {
+    const rec = { ts: snap.ts, sig: snap.sig, set: snap.nodes, del: [], links: snap.links };
+    if (prev) {
+      const prevById = new Map(prev.nodes.map((n) => [n.id, n]));
+      const ids = new Set(snap.nodes.map((n) => n.id));
+      rec.set = snap.nodes.filter((n) => prevById.get(n.id) !== n);
+      rec.del = prev.nodes.filter((n) => !ids.has(n.id)).map((n) => n.id);
+      if (snap.links === prev.links) rec.links = null;
+    }
+    prev = snap;
+    return rec;
+  });
+  return { version: HISTORY_VERSION, snapshots: encoded, events };
+}
+
+/**
+ * Rebuild history from encodeHistory() output. Unchanged nodes come back shared
+ * between snapshots, as they were recorded.
+ * @param {Object|undefined} stored
+ * @returns {{snapshots: Object[], events: Object[]}} Empty for missing or outdated data
+ */
+export function decodeHistory(stored) {
+  if (!stored || stored.version !== HISTORY_VERSION) return { snapshots: [], events: [] };
+  let prev = null;
+  const snapshots = stored.snapshots.map((rec) => {
+    let nodes = rec.set;
+    if (prev) {
+      const changed = new Map(rec.set.map((n) => [n.id, n]));
+      const del = new Set(rec.del);
+      nodes = prev.nodes.filter((n) => !del.has(n.id)).map((n) => changed.get(n.id) || n);
+      const kept = new Set(nodes.map((n) => n.id));
+      for (const n of rec.set) if (!kept.has(n.id)) nodes.push(n);
+    }
+    prev = { ts: rec.ts, sig: rec.sig, nodes, links: rec.links || prev.links };
+    return prev;
+  });
+  return { snapshots, events: stored.events || [] };
+}
+
+function historyKey() {
+  return typeof indexedDB === 'undefined' ? null : _deps.historyKey?.() || null;
+}
+
+// Run one request against the history store
+async function historyRequest(mode, makeRequest) {
+  if (!_db) {
+    _db = new Promise((resolve, reject) => {
+      const open = indexedDB.open(HISTORY_DB, 1);
+      open.onupgradeneeded = () => open.result.createObjectStore(HISTORY_STORE);
+      open.onsuccess = () => resolve(open.result);
+      open.onerror = () => reject(open.error);
+    });
+  }
+  const db = await _db;
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(HISTORY_STORE, mode);
+    const req = makeRequest(tx.objectStore(HISTORY_STORE));
+    tx.oncomplete = () => resolve(req.result);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+function scheduleSave() {
+  if (_saveTimer || !historyKey()) return;
+  _saveTimer = setTimeout(() => {
+    _saveTimer = null;
+    saveReplayHistory();
+  }, HISTORY_SAVE_MS);
+}
+
+/**
+ * Save recorded history now. Also runs every HISTORY_SAVE_MS while recording, and
+ * when the page is hidden.
+ * @returns {Promise<void>}
+ */
+export async function saveReplayHistory() {
+  const key = historyKey();
+  if (!key || _snapshots.length === 0) return;
+  try {
+    const encoded = encodeHistory(_snapshots, _events);
+    await historyRequest('readwrite', (store) => store.put(encoded, key));
+  } catch (err) {
+    console.warn('[beads3d] saving replay history failed:', err);
+  }
+}
+
+/**
+ * Load history saved by an earlier visit in front of whatever this page has
+ * recorded since. Called once at startup.
+ * @returns {Promise<void>}
+ */
+export async function loadReplayHistory() {
+  const key = historyKey();
+  if (!key) return;
+  let stored;
+  try {
+    stored = decodeHistory(await historyRequest('readonly', (store) => store.get(key)));
+  } catch (err) {
+    console.warn('[beads3d] loading replay history failed:', err);
+    return;
+  }
+  const firstSnap = _snapshots.length > 0 ? _snapshots[0].ts : Infinity;
+  const older = stored.snapshots.filter((s) => s.ts < firstSnap);
+  if (older.length > 0 && _snapshots.length > 0) shareUnchanged(older[older.length - 1], _snapshots[0]);
+  _snapshots.splice(0, 0, ...older);
+  const firstEvent = _events.length > 0 ? _events[0].ts : Infinity;
+  _events.splice(0, 0, ...stored.events.filter((e) => e.ts < firstEvent));
+  trimHistory();
+  if (_replay.active) _syncReplayBar();
+}
+
+/**
+ * Time span covered by recorded history.
+ * @returns {{start: number, end: number, snapshots: number, events: number}|null}
+ */
+export function getReplayRange() {
+  if (_snapshots.length === 0) return null;
+  const lastEvent = _events.length > 0 ? _events[_events.length - 1].ts : 0;
+  return {
+    start: _snapshots[0].ts,
+    end: Math.max(_snapshots[_snapshots.length - 1].ts, lastEvent),
+    snapshots: _snapshots.length,
+    events: _events.length,
+  };
+}
+
+// --- Playback ---
+
+/**
+ * @returns {boolean} Whether the graph is currently showing recorded history
+ */
+export function isReplayActive() {
+  return _replay.active;
+}
+
+/**
+ * Enter replay mode at the most recent recorded moment.
+ * @returns {void}
+ */
+export function enterReplay() {
+  const range = getReplayRange();
+  if (!range || _replay.active) return;
+  _replay.active = true;
+  _replay.cursor = range.end;
+  document.getElementById('replay-bar')?.classList.add('open');
+  document.body.classList.add('replay-active');
+  document.getElementById('btn-replay')?.classList.add('active');
+  seekReplay(range.end);
+}
+
+/**
+ * Leave replay mode and return to the live graph.
+ * @returns {void}
+ */
+export function exitReplay() {
+  if (!_replay.active) return;
+  pauseReplay();
+  _replay.active = false;
+  document.getElementById('replay-bar')?.classList.remove('open');
+  document.body.classList.remove('replay-active');
+  document.getElementById('btn-replay')?.classList.remove('active');
+  if (_deps.resumeLive) _deps.resumeLive();
+}
+
+/**
+ * Toggle replay mode on/off.
+ * @returns {void}
+ */
+export function toggleReplay() {
+  if (_replay.active) exitReplay();
+  else enterReplay();
+}
+
+/**
+ * Jump to a moment in recorded history and rebuild the graph from it.
+ * @param {number} ts - Epoch milliseconds (clamped to the recorded range)
+ * @returns {void}
+ */
+export function seekReplay(ts) {
+  const range = getReplayRange();
+  if (!range || !_replay.active) return;
+  _replay.cursor = Math.max(range.start, Math.min(range.end, ts));
+  const frame = frameAt(_snapshots, _events, _replay.cursor);
+  if (frame && _deps.applyFrame) _deps.applyFrame(frame);
+  _syncReplayBar();
+}
+
+/**
+ * Start playing recorded history forward from the cursor at the current speed.
+ * Events crossed during playback are re-applied through applyMutationOptimistic so
+ * status changes and claims fire the same VFX they did live.
+ * @returns {void}
+ */
+export function playReplay() {
+  const range = getReplayRange();
+  if (!range || !_replay.active || _replay.playing) return;
+  if (_replay.cursor >= range.end) seekReplay(range.start); // restart from the beginning
+  _replay.playing = true;
+  _replay.lastTick = performance.now();
+  _replay.timer = setInterval(_tickReplay, REPLAY_TICK_MS);
+  _syncReplayBar();
+}
+
+/**
+ * Pause playback, leaving the graph at the current cursor.
+ * @returns {void}
+ */
+export function pauseReplay() {
+  _replay.playing = false;
+  clearInterval(_replay.timer);
+  _replay.timer = null;
+  _syncReplayBar();
+}
+
+/**
+ * Set playback speed as a multiple of real time.
+ * @param {number} speed
+ * @returns {void}
+ */
+export function setReplaySpeed(speed) {
+  if (!(speed > 0)) return;
+  _replay.speed = speed;
+  _syncReplayBar();
+}
+
+function _tickReplay() {
+  const range = getReplayRange();
+  if (!range) return pauseReplay();
+  const now = performance.now();
+  const from = _replay.cursor;
+  const to = Math.min(range.end, from + (now - _replay.lastTick) * _replay.speed);
+  _replay.lastTick = now;
+
+  // Crossing a snapshot means structure may have changed — rebuild the whole frame.
+  // Otherwise replay just the events in (from, to] against the shown graph.
+  const crossesSnapshot = _snapshots.some((s) => s.ts > from && s.ts <= to);
+  _replay.cursor = to;
+  if (crossesSnapshot) {
+    const frame = frameAt(_snapshots, _events, to);
+    if (frame && _deps.applyFrame) _deps.applyFrame(frame);
+  } else if (_deps.applyMutation) {
+    for (let i = lowerBound(_events, from); i < _events.length && _events[i].ts <= to; i++) {
+      _deps.applyMutation(_events[i].evt);
+    }
+  }
+  if (to >= range.end) pauseReplay();
+  else _syncReplayBar();
+}
+
+function formatReplayTime(ts, range) {
+  const d = new Date(ts);
+  const sameDay = range && new Date(range.start).toDateString() === new Date(range.end).toDateString();
+  return sameDay ? d.toLocaleTimeString() : d.toLocaleString();
+}
+
+function _syncReplayBar() {
+  const range = getReplayRange();
+  const scrubber = document.getElementById('replay-scrubber');
+  const timeEl = document.getElementById('replay-time');
+  const countEl = document.getElementById('replay-count');
+  const playBtn = document.getElementById('replay-play');
+  const speedSel = document.getElementById('replay-speed');
+  if (!range) return;
+  if (scrubber) {
+    scrubber.min = String(range.start);
+    scrubber.max = String(range.end);
+    scrubber.value = String(_replay.cursor);
+  }
+  if (timeEl) timeEl.textContent = formatReplayTime(_replay.cursor, range);
+  if (countEl) countEl.textContent = `${range.snapshots} snap · ${range.events} evt`;
+  if (playBtn) {
+    playBtn.innerHTML = _replay.playing ? '&#10073;&#10073;' : '&#9654;';
+    playBtn.setAttribute('aria-pressed', String(_replay.playing));
+  }
+  if (speedSel && speedSel.value !== String(_replay.speed)) speedSel.value = String(_replay.speed);
+}
+
+/**
+ * Wire up the replay bar: play/pause, scrubber, speed selector, and live button.
+ * @returns {void}
+ */
+export function initReplayBar() {
+  const playBtn = document.getElementById('replay-play');
+  const scrubber = document.getElementById('replay-scrubber');
+  const speedSel = document.getElementById('replay-speed');
+  const liveBtn = document.getElementById('replay-live');
+  if (speedSel) {
+    speedSel.innerHTML = REPLAY_SPEEDS.map((s) => `<option value="${s}">${s}x</option>`).join('');
+    speedSel.value = String(_replay.speed);
+    speedSel.onchange = () => setReplaySpeed(Number(speedSel.value));
+  }
+  if (playBtn) playBtn.onclick = () => (_replay.playing ? pauseReplay() : playReplay());
+  if (scrubber) {
+    scrubber.oninput = () => {
+      pauseReplay();
+      seekReplay(Number(scrubber.value));
+    };
+  }
+  if (liveBtn) liveBtn.onclick = () => exitReplay();
+  document.addEventListener('visibilitychange', () => {
+    if (document.hidden) saveReplayHistory();
+  });
+}
@@ -1,7 +1,10 @@
-// Right sidebar: epic progress, dependency health (bd-7t6nt, bd-9cpbc)
+// Right sidebar: epic progress, dependency health, hottest beads (bd-7t6nt, bd-9cpbc)
 // Extracted from main.js to reduce monolith size.
 // Decision queue moved to decision-lightbox.js (beads-zuc3).
 
+import { findDependencyCycles } from './graph-analysis.js';
+import { HEAT_METRICS, getHeatMetric, hottestBeads, formatHeat } from './heatmap.js';
+
 // Callback for node click — set by main.js to avoid circular import
 let _onNodeClick = null;
 /**
@@ -70,12 +73,14 @@ export function initRightSidebar() {
 
 /**
  * @param {Object} graphData
+ * @param {Object[]} [cycles] - findDependencyCycles(graphData), when the caller has it already
  * @returns {void}
  */
-export function updateRightSidebar(graphData) {
+export function updateRightSidebar(graphData, cycles) {
   if (!graphData || rightSidebarCollapsed) return;
   updateEpicProgress(graphData);
-  updateDepHealth(graphData);
+  updateDepHealth(graphData, cycles);
+  updateHottestBeads(graphData);
 }
 
 /**
@@ -143,16 +148,71 @@ export function updateEpicProgress(graphData) {
   });
 }
 
+/**
+ * Render the critical path of the selected epic (see criticalPath() in graph-analysis.js).
+ * Pass a null epic to reset the section.
+ * @param {Object} graphData
+ * @param {Object|null} epic - Selected epic node
+ * @param {{nodeIds: string[], length: number}|null} path
+ * @returns {void}
+ */
+export function updateCriticalPath(graphData, epic, path) {
+  const body = document.getElementById('rs-critical-body');
+  if (!body) return;
+  if (!epic || !path) {
+    body.innerHTML = '<div class="rs-empty">select an epic</div>';
+    return;
+  }
+  if (path.length === 0) {
+    body.innerHTML = `<div class="rs-empty">${escapeHtml(epic.title || epic.id)}: nothing gating</div>`;
+    return;
+  }
+
+  const nodeById = new Map(graphData.nodes.map((n) => [n.id, n]));
+  const items = path.nodeIds
+    .map((id, i) => {
+      const n = nodeById.get(id);
+      const name = (n && n.title) || id.replace(/^[a-z]+-/, '');
+      const status = n ? (n._blocked ? 'blocked' : n.status) : 'open';
+      return `<div class="rs-critical-item ${escapeHtml(status)}" data-node-id="${escapeHtml(id)}" title="${escapeHtml(id)} · ${escapeHtml(status)}"><span class="rs-critical-step">${i + 1}</span>${escapeHtml(name)}</div>`;
+    })
+    .join('');
+
+  body.innerHTML = `<div class="rs-critical-summary" title="${escapeHtml(epic.id)}">${escapeHtml(epic.title || epic.id)} · ${path.length} bead${path.length === 1 ? '' : 's'} deep</div>${items}`;
+
+  body.querySelectorAll('.rs-critical-item').forEach((el) => {
+    el.onclick = () => {
+      const node = nodeById.get(el.dataset.nodeId);
+      if (node && _onNodeClick) _onNodeClick(node);
+    };
+  });
+}
+
 /**
  * @param {Object} graphData
+ * @param {Object[]} [cycles] - findDependencyCycles(graphData), when the caller has it already
  * @returns {void}
  */
-export function updateDepHealth(graphData) {
+export function updateDepHealth(graphData, cycles) {
   const body = document.getElementById('rs-health-body');
   if (!body || !graphData) return;
 
+  // Dependency cycles first — a cycle deadlocks every bead in it
+  const nodeById = new Map(graphData.nodes.map((n) => [n.id, n]));
+  const shownCycles = (cycles || findDependencyCycles(graphData)).filter((c) =>
+    c.nodeIds.some((id) => nodeById.has(id) && !nodeById.get(id)._hidden),
+  );
+  const cycleHtml = shownCycles
+    .slice(0, 10)
+    .map((c) => {
+      const target = c.nodeIds.find((id) => nodeById.has(id) && !nodeById.get(id)._hidden);
+      const names = c.nodeIds.map((id) => id.replace(/^[a-z]+-/, '')).join(' ⇄ ');
+      return `<div class="rs-cycle-item" data-node-id="${escapeHtml(target)}" title="${escapeHtml(c.nodeIds.join(' → '))}">&#x27F3; ${escapeHtml(names)}</div>`;
+    })
+    .join('');
+
   const blocked = graphData.nodes.filter((n) => n._blocked && !n._hidden && n.status !== 'closed');
-  if (blocked.length === 0) {
+  if (blocked.length === 0 && shownCycles.length === 0) {
     body.innerHTML = '<div class="rs-empty">no blocked items</div>';
     return;
   }
@@ -165,11 +225,53 @@ export function updateDepHealth(graphData) {
     })
     .join('');
 
-  body.innerHTML = `<div style="font-size:9px;color:#d04040;margin-bottom:4px">${blocked.length} blocked</div>${html}`;
+  const cycleHeader = shownCycles.length
+    ? `<div style="font-size:9px;color:#ff00aa;margin-bottom:4px">${shownCycles.length} cycle${shownCycles.length === 1 ? '' : 's'}</div>${cycleHtml}`
+    : '';
+  const blockedHeader = blocked.length
+    ? `<div style="font-size:9px;color:#d04040;margin:4px 0">${blocked.length} blocked</div>${html}`
+    : '';
+  body.innerHTML = cycleHeader + blockedHeader;
+
+  body.querySelectorAll('.rs-blocked-item, .rs-cycle-item').forEach((el) => {
+    el.onclick = () => {
+      const node = nodeById.get(el.dataset.nodeId);
+      if (node && _onNodeClick) _onNodeClick(node);
+    };
+  });
+}
+
+/**
+ * Rank the beads agents have spent the most effort on, by the heatmap metric
+ * (tool calls while the heatmap is off).
+ * @param {Object} graphData
+ * @returns {void}
+ */
+export function updateHottestBeads(graphData) {
+  const body = document.getElementById('rs-heat-body');
+  if (!body || !graphData || rightSidebarCollapsed) return;
+  const metric = getHeatMetric() || 'tools';
+  const hottest = hottestBeads(metric, 10);
+  if (hottest.length === 0) {
+    body.innerHTML = '<div class="rs-empty">no agent activity yet</div>';
+    return;
+  }
+
+  const nodeById = new Map(graphData.nodes.map((n) => [n.id, n]));
+  const top = hottest[0].value;
+  const items = hottest
+    .map(({ id, value }) => {
+      const n = nodeById.get(id);
+      const name = (n && n.title) || id.replace(/^[a-z]+-/, '');
+      const pct = Math.round((value / top) * 100);
+      return `<div class="rs-heat-item" data-node-id="${escapeHtml(id)}" title="${escapeHtml(id)}"><span class="rs-heat-value">${escapeHtml(formatHeat(value, metric))}</span>${escapeHtml(name)}<div class="rs-heat-bar"><span style="width:${pct}%"></span></div></div>`;
+    })
+    .join('');
+  body.innerHTML = `<div class="rs-heat-metric">by ${escapeHtml(HEAT_METRICS[metric])}</div>${items}`;
 
-  body.querySelectorAll('.rs-blocked-item').forEach((el) => {
+  body.querySelectorAll('.rs-heat-item').forEach((el) => {
     el.onclick = () => {
-      const node = graphData.nodes.find((n) => n.id === el.dataset.nodeId);
+      const node = nodeById.get(el.dataset.nodeId);
       if (node && _onNodeClick) _onNodeClick(node);
     };
   });
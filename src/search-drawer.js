@@ -0,0 +1,87 @@
+// Search results drawer — ranked matches for the search box, each with a
+// highlighted snippet from the bead body. Sits beside the search input; clicking
+// a result flies to it like Enter / ↑↓ do.
+
+import { snippetHtml } from './search-index.js';
+
+// Dependency injection — set by main.js before use
+let _deps = {};
+
+// Query the drawer was closed for; it stays hidden until the query changes
+let _dismissedQuery = null;
+
+const MAX_ROWS = 100;
+
+/**
+ * Inject dependencies from main.js.
+ *
+ * @param {Object} deps
+ * @param {Function} deps.getResults     - () => node[] in rank order
+ * @param {Function} deps.getResultIdx   - () => index of the current result
+ * @param {Function} deps.getQuery       - () => raw search box string
+ * @param {Function} deps.getTextTerms   - () => string[] free-text terms to highlight
+ * @param {Function} deps.getSnippet     - (id, terms) => Snippet|null
+ * @param {Function} deps.pickResult     - (idx) => void, make idx current and fly to it
+ */
+export function setSearchDrawerDeps(deps) {
+  _deps = deps;
+}
+
+function escapeHtml(str) {
+  if (!str) return '';
+  const div = document.createElement('div');
+  div.textContent = str;
+  return div.innerHTML;
+}
+
+/**
+ * Re-render the drawer from the current results. Hidden when there is no query,
+ * no results, or the user closed it for this query.
+ *
+ * @returns {void}
+ */
+export function updateSearchDrawer() {
+  const el = document.getElementById('search-results');
+  if (!el) return;
+  const query = (_deps.getQuery?.() || '').trim();
+  const results = _deps.getResults?.() || [];
+  if (query !== _dismissedQuery) _dismissedQuery = null;
+  if (!query || results.length === 0 || _dismissedQuery !== null) {
+    el.style.display = 'none';
+    el.innerHTML = '';
+    return;
+  }
+
+  const terms = _deps.getTextTerms?.() || [];
+  const activeIdx = _deps.getResultIdx?.() ?? 0;
+  const rows = results.slice(0, MAX_ROWS).map((node, i) => {
+    const snippet = terms.length > 0 ? _deps.getSnippet?.(node.id, terms) : null;
+    return (
+      `<div class="sr-item${i === activeIdx ? ' active' : ''}" role="option" data-idx="${i}">` +
+      `<div class="sr-head"><span class="sr-id">${escapeHtml(node.id)}</span>` +
+      `<span class="sr-title">${escapeHtml(node.title || '')}</span></div>` +
+      (snippet
+        ? `<div class="sr-snippet"><span class="sr-field">${escapeHtml(snippet.field.replace(/_/g, ' '))}</span> ${snippetHtml(snippet)}</div>`
+        : '') +
+      '</div>'
+    );
+  });
+  const more = results.length > MAX_ROWS ? `<div class="sr-more">+${results.length - MAX_ROWS} more</div>` : '';
+
+  el.innerHTML =
+    `<div class="sr-header"><span>${results.length} result${results.length === 1 ? '' : 's'}</span>` +
+    '<button class="sr-close" title="Close results" aria-label="Close search results">&times;</button></div>' +
+    `<div class="sr-list">${rows.join('')}${more}</div>`;
+  el.style.display = 'block';
+
+  el.querySelector('.sr-close').onclick = () => {
+    _dismissedQuery = query;
+    updateSearchDrawer();
+  };
+  el.querySelectorAll('.sr-item').forEach((item) => {
+    item.onmousedown = (e) => e.preventDefault(); // keep focus in the search box
+    item.onclick = () => _deps.pickResult?.(Number(item.dataset.idx));
+  });
+  const active = el.querySelector('.sr-item.active');
+  if (active) active.scrollIntoView({ block: 'nearest' });
+}
@@ -0,0 +1,244 @@
+// Client-side full-text index over bead bodies. fetchViaGraph asks for
+// include_body, so description, notes, design and acceptance criteria are on the
+// nodes — this makes them searchable and ranks matches by relevance. The index is
+// updated incrementally: only nodes whose indexed text changed are re-tokenized.
+
+/** Indexed fields and their weight in the relevance score. */
+export const SEARCH_FIELDS = {
+  id: 4,
+  title: 3,
+  assignee: 2,
+  description: 1,
+  notes: 1,
+  design: 1,
+  acceptance_criteria: 1,
+};
+
+/** Fields snippets are taken from, in preference order. */
+export const BODY_FIELDS = ['description', 'notes', 'design', 'acceptance_criteria'];
+
+const FIELD_NAMES = Object.keys(SEARCH_FIELDS);
+const WORD = /[\p{L}\p{N}_]+/gu;
+const PREFIX_DISCOUNT = 0.6; // 'auth' hitting 'authentication' counts less than 'auth'
+
+/**
+ * Split text into lower-cased words.
+ *
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenizeText(text) {
+  const words = String(text || '')
+    .toLowerCase()
+    .match(WORD);
+  return words || [];
+}
+
+/**
+ * @typedef {Object} Snippet
+ * @property {string} field  - Body field the excerpt came from
+ * @property {string} text   - Excerpt, with '…' where it was cut
+ * @property {Array<[number, number]>} ranges - [start, end) offsets of matched words in `text`
+ */
+
+export class SearchIndex {
+  constructor() {
+    /** @type {Map<string, {sig: string, fields: Object<string, string>, terms: Map<string, number>}>} */
+    this._docs = new Map();
+    /** @type {Map<string, Map<string, number>>} term → (doc id → weighted term frequency) */
+    this._postings = new Map();
+    /** @type {string[]|null} sorted vocabulary for prefix lookups, rebuilt lazily */
+    this._vocab = null;
+  }
+
+  /** @returns {number} Number of indexed nodes */
+  get size() {
+    return this._docs.size;
+  }
+
+  /**
+   * Bring the index in line with `nodes`: index new nodes, re-index ones whose
+   * text changed and drop ones that are gone.
+   *
+   * @param {Object[]} nodes
+   * @returns {{added: number, changed: number, removed: number}}
+   */
+  update(nodes) {
+    const stats = { added: 0, changed: 0, removed: 0 };
+    const seen = new Set();
+    for (const node of nodes) {
+      if (!node || node.id == null) continue;
+      const id = String(node.id);
+      seen.add(id);
+      const fields = {};
+      for (const f of FIELD_NAMES) {
+        if (typeof node[f] === 'string' && node[f]) fields[f] = node[f];
+      }
+      const sig = FIELD_NAMES.map((f) => fields[f] || '').join('\u0001');
+      const doc = this._docs.get(id);
+      if (doc && doc.sig === sig) continue;
+      if (doc) {
+        this._remove(id);
+        stats.changed++;
+      } else {
+        stats.added++;
+      }
+      this._add(id, fields, sig);
+    }
+    for (const id of [...this._docs.keys()]) {
+      if (seen.has(id)) continue;
+      this._remove(id);
+      stats.removed++;
+    }
+    return stats;
+  }
+
+  _add(id, fields, sig) {
+    const terms = new Map();
+    for (const [field, text] of Object.entries(fields)) {
+      for (const word of tokenizeText(text)) {
+        terms.set(word, (terms.get(word) || 0) + SEARCH_FIELDS[field]);
+      }
+    }
+    for (const [term, weight] of terms) {
+      let posting = this._postings.get(term);
+      if (!posting) {
+        posting = new Map();
+        this._postings.set(term, posting);
+        this._vocab = null;
+      }
+      posting.set(id, weight);
+    }
+    this._docs.set(id, { sig, fields, terms });
+  }
+
+  _remove(id) {
+    const doc = this._docs.get(id);
+    if (!doc) return;
+    for (const term of doc.terms.keys()) {
+      const posting = this._postings.get(term);
+      if (!posting) continue;
+      posting.delete(id);
+      if (posting.size === 0) {
+        this._postings.delete(term);
+        this._vocab = null;
+      }
+    }
+    this._docs.delete(id);
+  }
+
+  // Indexed terms starting with `prefix`, via binary search over the sorted vocabulary
+  _termsWithPrefix(prefix) {
+    if (!this._vocab) this._vocab = [...this._postings.keys()].sort();
+    const vocab = this._vocab;
+    let lo = 0;
+    let hi = vocab.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (vocab[mid] < prefix) lo = mid + 1;
+      else hi = mid;
+    }
+    const out = [];
+    for (let i = lo; i < vocab.length && vocab[i].startsWith(prefix); i++) out.push(vocab[i]);
+    return out;
+  }
+
+  /**
+   * Find nodes matching a search term. Every word of the term must match the
+   * start of some indexed word; the score is a field-weighted tf-idf.
+   *
+   * @param {string} term
+   * @returns {Map<string, number>} Node id → relevance score
+   */
+  lookup(term) {
+    const words = tokenizeText(term);
+    if (words.length === 0) return new Map();
+    const n = this._docs.size;
+    let result = null;
+    for (const word of words) {
+      const scores = new Map();
+      for (const t of this._termsWithPrefix(word)) {
+        const posting = this._postings.get(t);
+        const idf = Math.log(1 + n / posting.size);
+        const exact = t === word ? 1 : PREFIX_DISCOUNT;
+        for (const [id, tf] of posting) {
+          const s = idf * exact * (tf / (tf + 1.2));
+          if (s > (scores.get(id) || 0)) scores.set(id, s);
+        }
+      }
+      if (result === null) {
+        result = scores;
+      } else {
+        for (const [id, s] of result) {
+          if (scores.has(id)) result.set(id, s + scores.get(id));
+          else result.delete(id);
+        }
+      }
+      if (result.size === 0) break;
+    }
+    return result;
+  }
+
+  /**
+   * Excerpt of the first body field that mentions any of `terms`, centred on the
+   * first mention.
+   *
+   * @param {string} id
+   * @param {string[]} terms - Search terms (may contain several words each)
+   * @param {number} [radius] - Characters of context on each side
+   * @returns {Snippet|null}
+   */
+  snippet(id, terms, radius = 60) {
+    const doc = this._docs.get(String(id));
+    if (!doc) return null;
+    const words = [...new Set(terms.flatMap(tokenizeText))];
+    if (words.length === 0) return null;
+    const escaped = words.map((w) => w.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    const re = new RegExp(`(?<![\\p{L}\\p{N}_])(?:${escaped.join('|')})[\\p{L}\\p{N}_]*`, 'giu');
+    for (const field of BODY_FIELDS) {
+      const text = doc.fields[field];
+      if (!text) continue;
+      re.lastIndex = 0;
+      const first = re.exec(text);
+      if (!first) continue;
+      let start = Math.max(0, first.index - radius);
+      let end = Math.min(text.length, first.index + first[0].length + radius);
+      // Snap to word boundaries so the excerpt doesn't start or end mid-word
+      if (start > 0) {
+        const sp = text.indexOf(' ', start);
+        if (sp !== -1 && sp < first.index) start = sp + 1;
+      }
+      if (end < text.length) {
+        const sp = text.lastIndexOf(' ', end);
+        if (sp > first.index + first[0].length) end = sp;
+      }
+      const prefix = start > 0 ? '…' : '';
+      const excerpt = prefix + text.slice(start, end).replace(/\s+/g, ' ') + (end < text.length ? '…' : '');
+      const ranges = [];
+      const inner = excerpt.slice(prefix.length);
+      re.lastIndex = 0;
+      let m;
+      while ((m = re.exec(inner))) ranges.push([m.index + prefix.length, m.index + prefix.length + m[0].length]);
+      return { field, text: excerpt, ranges };
+    }
+    return null;
+  }
+}
+
+/**
+ * Render a snippet as HTML with matches wrapped in <mark>.
+ *
+ * @param {Snippet} snippet
+ * @returns {string}
+ */
+export function snippetHtml(snippet) {
+  const esc = (s) => s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  let html = '';
+  let pos = 0;
+  for (const [s, e] of snippet.ranges) {
+    if (s < pos) continue;
+    html += esc(snippet.text.slice(pos, s)) + '<mark>' + esc(snippet.text.slice(s, e)) + '</mark>';
+    pos = e;
+  }
+  return html + esc(snippet.text.slice(pos));
+}
@@ -392,6 +392,118 @@ export function createMateriaMaterial(color, { opacity = 0.85, coreIntensity = 1
   });
 }
 
+// --- Instanced materia (instancing.js) ---
+// Same look as createMateriaMaterial, for an InstancedMesh drawing many orbs in
+// one call. Color, opacity, core intensity, breathing and selection come from
+// per-instance attributes; size is in the instance matrix. Only `time` is shared.
+/**
+ * Create the instanced materia orb material.
+ * Per-instance attributes: aColor (vec3), aOpacity, aCore, aBreath, aSelected.
+ * @returns {THREE.ShaderMaterial}
+ */
+export function createInstancedMateriaMaterial() {
+  return new THREE.ShaderMaterial({
+    uniforms: {
+      time: { value: 0 },
+    },
+    vertexShader: `
+      attribute vec3 aColor;
+      attribute float aOpacity;
+      attribute float aCore;
+      attribute float aBreath;
+      attribute float aSelected;
+      varying vec3 vNormal;
+      varying vec3 vViewDir;
+      varying vec3 vColor;
+      varying float vOpacity;
+      varying float vCore;
+      varying float vBreath;
+      varying float vSelected;
+      void main() {
+        vNormal = normalize(normalMatrix * mat3(instanceMatrix) * normal);
+        vec4 mvPos = modelViewMatrix * instanceMatrix * vec4(position, 1.0);
+        vViewDir = normalize(-mvPos.xyz);
+        vColor = aColor;
+        vOpacity = aOpacity;
+        vCore = aCore;
+        vBreath = aBreath;
+        vSelected = aSelected;
+        gl_Position = projectionMatrix * mvPos;
+      }
+    `,
+    fragmentShader: `
+      uniform float time;
+      varying vec3 vNormal;
+      varying vec3 vViewDir;
+      varying vec3 vColor;
+      varying float vOpacity;
+      varying float vCore;
+      varying float vBreath;
+      varying float vSelected;
+      void main() {
+        float facing = abs(dot(normalize(vNormal), vViewDir));
+        float core = pow(facing, 0.8) * vCore;
+        float sss = 0.3 + 0.7 * facing;
+        float breath = 1.0;
+        if (vBreath > 0.0) {
+          breath = 0.85 + 0.15 * sin(time * vBreath * 6.2832);
+        }
+        float sel = 1.0 + vSelected * 0.8;
+        float edgeAbsorb = smoothstep(0.0, 0.15, facing);
+        vec3 innerColor = mix(vColor, vec3(1.0), 0.2 * core);
+        gl_FragColor = vec4(innerColor * sss * core * breath * sel, vOpacity * edgeAbsorb * breath);
+      }
+    `,
+    transparent: true,
+    depthWrite: false,
+    side: THREE.FrontSide,
+  });
+}
+
+/**
+ * Create the instanced halo material: camera-facing quads textured like the
+ * per-node halo sprites, additively blended.
+ * Per-instance attributes: aColor (vec3), aOpacity.
+ * @param {THREE.Texture} map - Halo texture (createMateriaHaloTexture)
+ * @returns {THREE.ShaderMaterial}
+ */
+export function createInstancedHaloMaterial(map) {
+  return new THREE.ShaderMaterial({
+    uniforms: {
+      map: { value: map },
+    },
+    vertexShader: `
+      attribute vec3 aColor;
+      attribute float aOpacity;
+      varying vec2 vUv;
+      varying vec3 vColor;
+      varying float vOpacity;
+      void main() {
+        vUv = uv;
+        vColor = aColor;
+        vOpacity = aOpacity;
+        // Billboard: offset the quad corners in view space, scaled like the instance
+        vec4 center = modelViewMatrix * instanceMatrix * vec4(0.0, 0.0, 0.0, 1.0);
+        center.xy += position.xy * length(instanceMatrix[0].xyz);
+        gl_Position = projectionMatrix * center;
+      }
+    `,
+    fragmentShader: `
+      uniform sampler2D map;
+      varying vec2 vUv;
+      varying vec3 vColor;
+      varying float vOpacity;
+      void main() {
+        vec4 tex = texture2D(map, vUv);
+        gl_FragColor = vec4(vColor * tex.rgb, tex.a * vOpacity);
+      }
+    `,
+    transparent: true,
+    depthWrite: false,
+    blending: THREE.AdditiveBlending,
+  });
+}
+
 // --- Materia Halo Sprite (bd-1038x) ---
 // Soft radial gradient billboard behind each node (replaces Fresnel shell).
 // Works with bloom pass for natural light bleed.
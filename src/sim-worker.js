@@ -0,0 +1,141 @@
+// Force simulation worker — runs d3-force off the main thread for large graphs
+// and streams node positions back after every tick. Driven by simulation.js;
+// custom forces come from forces.js so they behave exactly as on the main thread.
+//
+// Messages in:  graph, force, params, reheat, alphaDecay, fix, kick
+// Messages out: tick { version, alpha, positions: Float32Array [x, y, z, …] }
+
+import { forceSimulation, forceLink, forceManyBody, forceCenter } from 'd3-force-3d';
+import { createForce } from './forces.js';
+
+const TICK_MS = 16;
+const COOLDOWN_MS = 4000; // matches graph.cooldownTime() in main.js
+const DRAG_ALPHA = 0.3; // what 3d-force-graph reheats to while a node is dragged
+
+let nodes = [];
+let links = [];
+let version = 0;
+let byId = new Map();
+
+const linkForce = forceLink().id((d) => d.id);
+const sim = forceSimulation([], 3)
+  .stop()
+  .force('link', linkForce)
+  .force('charge', forceManyBody())
+  .force('center', forceCenter())
+  .alphaDecay(0.0228)
+  .velocityDecay(0.4);
+
+let timer = null;
+let heatedAt = 0;
+
+function run() {
+  heatedAt = Date.now();
+  if (timer === null) timer = setTimeout(step, 0);
+}
+
+function step() {
+  sim.tick();
+  const positions = new Float32Array(nodes.length * 3);
+  for (let i = 0; i < nodes.length; i++) {
+    positions[i * 3] = nodes[i].x;
+    positions[i * 3 + 1] = nodes[i].y;
+    positions[i * 3 + 2] = nodes[i].z;
+  }
+  self.postMessage({ type: 'tick', version, alpha: sim.alpha(), positions }, [positions.buffer]);
+  timer = Date.now() - heatedAt > COOLDOWN_MS ? null : setTimeout(step, TICK_MS);
+}
+
+const unset = (v) => (v == null || Number.isNaN(v) ? undefined : v);
+
+function setGraph(msg) {
+  const prevIds = byId;
+  const prevLinkCount = links.length;
+  version = msg.version;
+  byId = new Map();
+  let added = 0;
+  nodes = msg.nodes.map((d) => {
+    let node = prevIds.get(d.id);
+    if (!node) {
+      // New node: start where the main thread seeded it (d3 places it if unset)
+      node = { id: d.id, x: d.x, y: d.y, z: d.z };
+      added++;
+    }
+    Object.assign(node, d, { x: node.x, y: node.y, z: node.z });
+    node.fx = unset(d.fx);
+    node.fy = unset(d.fy);
+    node.fz = unset(d.fz);
+    byId.set(node.id, node);
+    return node;
+  });
+  links = msg.links.filter((l) => byId.has(l.source) && byId.has(l.target));
+  sim.nodes(nodes);
+  linkForce.links(links);
+  // Like graph.graphData() on the main thread: a changed structure reheats
+  if (added > 0 || nodes.length !== prevIds.size || links.length !== prevLinkCount) {
+    sim.alpha(1);
+    run();
+  }
+}
+
+// Apply [a, b, c] triples from a fix/kick message to the indexed nodes
+function eachIndexed(msg, fn) {
+  if (msg.version !== version) return false;
+  msg.idx.forEach((i, j) => {
+    const node = nodes[i];
+    if (node) fn(node, msg.values[j * 3], msg.values[j * 3 + 1], msg.values[j * 3 + 2]);
+  });
+  return true;
+}
+
+self.onmessage = (e) => {
+  const msg = e.data;
+  switch (msg.type) {
+    case 'graph':
+      setGraph(msg);
+      break;
+    case 'force':
+      if (['link', 'charge', 'center'].includes(msg.name)) break;
+      sim.force(msg.name, msg.spec ? createForce(msg.spec, () => links) : null);
+      break;
+    case 'params': {
+      const force = sim.force(msg.name);
+      if (!force) break;
+      for (const [key, value] of Object.entries(msg.params)) force[key]?.(value);
+      break;
+    }
+    case 'reheat':
+      sim.alpha(1);
+      run();
+      break;
+    case 'alphaDecay':
+      sim.alphaDecay(msg.value);
+      break;
+    case 'fix': {
+      // Drag, pins, DAG levels, camera freeze — fixed axes snap, the rest stay simulated
+      const ok = eachIndexed(msg, (node, fx, fy, fz) => {
+        node.fx = unset(fx);
+        node.fy = unset(fy);
+        node.fz = unset(fz);
+        if (node.fx !== undefined) node.x = node.fx;
+        if (node.fy !== undefined) node.y = node.fy;
+        if (node.fz !== undefined) node.z = node.fz;
+      });
+      if (ok) {
+        if (sim.alpha() < DRAG_ALPHA) sim.alpha(DRAG_ALPHA);
+        run();
+      }
+      break;
+    }
+    case 'kick': {
+      // Velocity impulses, e.g. a dragged node tugging its subtree
+      const ok = eachIndexed(msg, (node, vx, vy, vz) => {
+        node.vx = (node.vx || 0) + vx;
+        node.vy = (node.vy || 0) + vy;
+        node.vz = (node.vz || 0) + vz;
+      });
+      if (ok) run();
+      break;
+    }
+  }
+};
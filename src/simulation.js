@@ -0,0 +1,323 @@
+// Force simulation front end. Layout code sets forces through here rather than
+// on the graph directly, so the simulation can run either on the main thread
+// (3d-force-graph's built-in d3-force engine) or, for large graphs, in a Web
+// Worker (sim-worker.js) that streams node positions back.
+//
+// In worker mode the built-in engine is hollowed out — no charge or center
+// force, a zero-strength link force that only resolves link endpoints — and
+// keeps running just to move the three.js objects. Each engine tick copies the
+// latest worker positions onto the nodes and forwards anything the main thread
+// changed: fixed positions (drag, pins, DAG levels, camera freeze) and
+// velocity impulses (subtree drag).
+
+import { forceManyBody, forceCenter } from 'd3-force-3d';
+import { createForce } from './forces.js';
+
+/** Node count at which the simulation moves to a worker (unless ?sim= says otherwise). */
+export const SIM_WORKER_THRESHOLD = 500;
+
+const KEEPALIVE_MS = 1000; // how often worker ticks re-arm the engine's cooldown
+const DEFAULT_ALPHA_DECAY = 0.0228; // d3 default
+const AXES = ['x', 'y', 'z'];
+
+// Dependency injection — set by main.js before use
+let _deps = {};
+
+let _mode = 'auto'; // 'auto' | 'worker' | 'main'
+let _worker = null;
+const _forces = new Map(); // custom force name → spec
+const _params = { charge: {}, link: {}, center: {} }; // built-in force settings, replayed into the worker
+let _alphaDecay = DEFAULT_ALPHA_DECAY;
+const _tickListeners = [];
+
+// Worker-mode bookkeeping
+let _version = 0; // bumped on every graph sync; stale position buffers are dropped
+let _simNodes = []; // node objects in the order last sent to the worker
+let _syncedNodes = null;
+let _syncedLinks = null;
+let _syncedCounts = '';
+let _dirty = false;
+let _latest = null; // { version, positions, applied }
+let _fixed = new Float64Array(0); // fx/fy/fz last sent per node, NaN = free
+let _lastKeepAlive = 0;
+let _linkStrength = null; // built-in link strength accessor, restored by stopWorker()
+
+/**
+ * Inject dependencies from main.js.
+ *
+ * @param {Object} deps
+ * @param {Function} deps.getGraph     - () => ForceGraph3D instance
+ * @param {Function} deps.getGraphData - () => { nodes, links }
+ */
+export function setSimulationDeps(deps) {
+  _deps = deps;
+}
+
+/**
+ * Hook the simulation into a freshly created graph.
+ *
+ * @param {Object} [opts]
+ * @param {'auto'|'worker'|'main'} [opts.mode] - 'auto' moves to a worker at SIM_WORKER_THRESHOLD nodes
+ * @returns {void}
+ */
+export function initSimulation({ mode = 'auto' } = {}) {
+  _mode = ['worker', 'main'].includes(mode) ? mode : 'auto';
+  _deps.getGraph().onEngineTick(onEngineTick);
+  if (_mode === 'worker') startWorker();
+}
+
+/**
+ * In 'auto' mode, move the simulation to a worker once the graph is large
+ * enough for main-thread ticks to cost frames. One-way: it stays there.
+ *
+ * @param {number} nodeCount
+ * @returns {void}
+ */
+export function useWorkerFor(nodeCount) {
+  if (_mode === 'auto' && !_worker && nodeCount >= SIM_WORKER_THRESHOLD) startWorker();
+}
+
+/**
+ * @returns {boolean} Whether the simulation runs in a worker
+ */
+export function isWorkerSimulation() {
+  return _worker !== null;
+}
+
+/**
+ * Add, replace or (with a null spec) remove a custom force.
+ *
+ * @param {string} name
+ * @param {{type: string}|null} spec - See forces.js
+ * @returns {void}
+ */
+export function simForce(name, spec) {
+  if (spec) _forces.set(name, spec);
+  else _forces.delete(name);
+  if (_worker) {
+    _worker.postMessage({ type: 'force', name, spec: spec || null });
+    return;
+  }
+  const graph = _deps.getGraph?.();
+  if (!graph) return;
+  if (!spec && !graph.d3Force(name)) return;
+  graph.d3Force(name, spec ? createForce(spec, () => _deps.getGraphData().links) : null);
+}
+
+/**
+ * Tune a built-in force: 'charge' (strength, distanceMax), 'link' (distance)
+ * or 'center' (strength).
+ *
+ * @param {'charge'|'link'|'center'} name
+ * @param {Object<string, number>} params - Setter name → value
+ * @returns {void}
+ */
+export function simForceParams(name, params) {
+  Object.assign(_params[name], params);
+  if (_worker) {
+    _worker.postMessage({ type: 'params', name, params });
+    return;
+  }
+  const force = _deps.getGraph?.()?.d3Force(name);
+  if (!force) return;
+  for (const [key, value] of Object.entries(params)) force[key]?.(value);
+}
+
+/**
+ * Reheat the simulation so forces take effect (alpha back to 1).
+ * @returns {void}
+ */
+export function simReheat() {
+  const graph = _deps.getGraph?.();
+  if (_worker) {
+    flush();
+    _worker.postMessage({ type: 'reheat' });
+  }
+  graph?.d3ReheatSimulation(); // in worker mode this just keeps the renderer moving nodes
+}
+
+/**
+ * @param {number} value - Alpha decay per tick
+ * @returns {void}
+ */
+export function simAlphaDecay(value) {
+  _alphaDecay = value;
+  if (_worker) _worker.postMessage({ type: 'alphaDecay', value });
+  else _deps.getGraph?.()?.d3AlphaDecay(value);
+}
+
+/**
+ * Tell the worker that node properties the forces read (status, priority,
+ * visibility, …) changed. Structural changes are picked up automatically.
+ * @returns {void}
+ */
+export function syncSimulation() {
+  _dirty = true;
+}
+
+/**
+ * Run `fn` after every simulation tick, once the nodes have their new positions.
+ *
+ * @param {Function} fn
+ * @returns {void}
+ */
+export function onSimulationTick(fn) {
+  _tickListeners.push(fn);
+}
+
+function onEngineTick() {
+  if (_worker) {
+    const { nodes, links } = _deps.getGraphData();
+    const counts = `${nodes.length}/${links.length}`;
+    if (nodes !== _syncedNodes || links !== _syncedLinks || counts !== _syncedCounts) _dirty = true;
+    if (_dirty) flush();
+    applyPositions();
+    forwardMainThreadChanges();
+  }
+  for (const fn of _tickListeners) fn();
+}
+
+function startWorker() {
+  const graph = _deps.getGraph?.();
+  if (!graph || typeof Worker === 'undefined') return;
+  try {
+    _worker = new Worker(new URL('./sim-worker.js', import.meta.url), { type: 'module' });
+  } catch (e) {
+    console.warn('[beads3d] simulation worker unavailable, staying on the main thread:', e);
+    return;
+  }
+  _worker.onmessage = onWorkerMessage;
+  _worker.onerror = (e) => {
+    console.warn('[beads3d] simulation worker failed, moving back to the main thread:', e.message);
+    stopWorker();
+  };
+
+  for (const name of _forces.keys()) graph.d3Force(name, null);
+  graph.d3Force('charge', null);
+  graph.d3Force('center', null);
+  _linkStrength = graph.d3Force('link').strength();
+  graph.d3Force('link').strength(0);
+
+  for (const [name, params] of Object.entries(_params)) _worker.postMessage({ type: 'params', name, params });
+  for (const [name, spec] of _forces) _worker.postMessage({ type: 'force', name, spec });
+  _worker.postMessage({ type: 'alphaDecay', value: _alphaDecay });
+  simReheat();
+  console.log(`[beads3d] force simulation moved to a worker (${_deps.getGraphData().nodes.length} nodes)`);
+}
+
+// Fall back to the built-in engine, restoring its forces and their settings
+function stopWorker() {
+  _worker?.terminate();
+  _worker = null;
+  _mode = 'main';
+  _latest = null;
+  const graph = _deps.getGraph?.();
+  if (!graph) return;
+  graph.d3Force('charge', forceManyBody());
+  graph.d3Force('center', forceCenter());
+  if (_linkStrength) graph.d3Force('link').strength(_linkStrength);
+  for (const [name, params] of Object.entries(_params)) simForceParams(name, params);
+  for (const [name, spec] of _forces) simForce(name, spec);
+  simReheat();
+}
+
+// Only what the forces read goes to the worker
+function simNodeData(n) {
+  return {
+    id: n.id,
+    x: n.x,
+    y: n.y,
+    z: n.z,
+    fx: n.fx,
+    fy: n.fy,
+    fz: n.fz,
+    issue_type: n.issue_type,
+    status: n.status,
+    priority: n.priority,
+    assignee: n.assignee,
+    labels: n.labels,
+    _blocked: n._blocked,
+    _hidden: n._hidden,
+    _epicCollapsed: n._epicCollapsed,
+  };
+}
+
+const linkEnd = (end) => (typeof end === 'object' ? end.id : end);
+
+function flush() {
+  if (!_worker) return;
+  const { nodes, links } = _deps.getGraphData();
+  _syncedNodes = nodes;
+  _syncedLinks = links;
+  _syncedCounts = `${nodes.length}/${links.length}`;
+  _simNodes = nodes.slice();
+  _fixed = new Float64Array(_simNodes.length * 3);
+  _simNodes.forEach((n, i) => AXES.forEach((a, k) => (_fixed[i * 3 + k] = n['f' + a] ?? NaN)));
+  _latest = null;
+  _dirty = false;
+  _worker.postMessage({
+    type: 'graph',
+    version: ++_version,
+    nodes: _simNodes.map(simNodeData),
+    links: links.map((l) => ({ source: linkEnd(l.source), target: linkEnd(l.target), dep_type: l.dep_type })),
+  });
+}
+
+function onWorkerMessage(e) {
+  const msg = e.data;
+  if (msg.type !== 'tick') return;
+  _latest = { version: msg.version, positions: msg.positions, applied: false };
+  // The built-in engine stops moving objects once its cooldown runs out; keep it
+  // going for as long as the worker is still producing positions.
+  const now = performance.now();
+  if (now - _lastKeepAlive > KEEPALIVE_MS) {
+    _lastKeepAlive = now;
+    _deps.getGraph?.()?.d3ReheatSimulation();
+  }
+}
+
+function applyPositions() {
+  if (!_latest || _latest.applied || _latest.version !== _version) return;
+  const p = _latest.positions;
+  for (let i = 0; i < _simNodes.length; i++) {
+    const node = _simNodes[i];
+    if (node.fx == null) node.x = p[i * 3];
+    if (node.fy == null) node.y = p[i * 3 + 1];
+    if (node.fz == null) node.z = p[i * 3 + 2];
+  }
+  _latest.applied = true;
+}
+
+function forwardMainThreadChanges() {
+  const fixIdx = [];
+  const fixValues = [];
+  const kickIdx = [];
+  const kickValues = [];
+  for (let i = 0; i < _simNodes.length; i++) {
+    const node = _simNodes[i];
+    let changed = false;
+    for (let k = 0; k < 3; k++) {
+      const v = node['f' + AXES[k]] ?? NaN;
+      const prev = _fixed[i * 3 + k];
+      if (v !== prev && !(Number.isNaN(v) && Number.isNaN(prev))) {
+        _fixed[i * 3 + k] = v;
+        changed = true;
+      }
+    }
+    if (changed) {
+      fixIdx.push(i);
+      fixValues.push(_fixed[i * 3], _fixed[i * 3 + 1], _fixed[i * 3 + 2]);
+    }
+    if (node.vx || node.vy || node.vz) {
+      kickIdx.push(i);
+      kickValues.push(node.vx || 0, node.vy || 0, node.vz || 0);
+      node.vx = node.vy = node.vz = 0;
+    }
+  }
+  if (fixIdx.length > 0) {
+    _worker.postMessage({ type: 'fix', version: _version, idx: fixIdx, values: Float64Array.from(fixValues) });
+  }
+  if (kickIdx.length > 0) {
+    _worker.postMessage({ type: 'kick', version: _version, idx: kickIdx, values: Float64Array.from(kickValues) });
+  }
+}
@@ -0,0 +1,115 @@
+// Offline snapshots — load a file written by exportGraphJSON() back into the graph.
+// No backend involved: the snapshot replaces live data, the API reads from it and
+// goes read-only.
+
+/**
+ * Round-trip a saved coordinate. exportGraphJSON writes null for missing positions.
+ * @param {*} v
+ * @returns {number|undefined}
+ */
+function coord(v) {
+  return typeof v === 'number' && Number.isFinite(v) ? v : undefined;
+}
+
+/**
+ * Convert an exportGraphJSON() payload into the { nodes, links } shape the fetch
+ * paths return. Nodes start at their saved positions, so the layout opens as
+ * exported; refresh() holds them there while the graph loads and then lets the
+ * layout relax, as for any positioned node. They are not pinned. blocked_by is
+ * rebuilt from the blocks links in the file.
+ * @param {Object} raw - Parsed JSON from an export file
+ * @returns {{nodes: Object[], links: Object[], filters: Object|null, exportedAt: string|null}}
+ * @throws {Error} If the payload is not a beads3d export
+ */
+export function parseSnapshot(raw) {
+  if (!raw || !Array.isArray(raw.nodes) || !Array.isArray(raw.links)) {
+    throw new Error('not a beads3d export (missing nodes/links)');
+  }
+
+  const ids = new Set(raw.nodes.filter((n) => n && n.id).map((n) => n.id));
+  const links = raw.links
+    .filter((l) => l && ids.has(l.source) && ids.has(l.target))
+    .map((l) => ({ source: l.source, target: l.target, dep_type: l.dep_type || 'blocks' }));
+
+  // blocks links run blocker → blocked
+  const blockers = new Map();
+  for (const l of links) {
+    if (l.dep_type !== 'blocks') continue;
+    if (!blockers.has(l.target)) blockers.set(l.target, []);
+    blockers.get(l.target).push(l.source);
+  }
+
+  const nodes = [];
+  for (const n of raw.nodes) {
+    if (!n || !ids.has(n.id)) continue;
+    ids.delete(n.id); // drop duplicate ids
+    let blockedBy = blockers.get(n.id) || [];
+    // Blocker was filtered out of the export — keep the node marked blocked
+    if (n.blocked && blockedBy.length === 0) blockedBy = ['(not in snapshot)'];
+    const node = {
+      id: n.id,
+      title: n.title || '',
+      status: n.status || 'open',
+      priority: n.priority,
+      issue_type: n.issue_type || 'task',
+      assignee: n.assignee || '',
+      blocked_by: blockedBy,
+    };
+    const x = coord(n.x);
+    const y = coord(n.y);
+    const z = coord(n.z);
+    if (x !== undefined && y !== undefined) {
+      node.x = x;
+      node.y = y;
+      node.z = z ?? 0;
+    }
+    nodes.push(node);
+  }
+
+  return { nodes, links, filters: raw.filters || null, exportedAt: raw.exported_at || null };
+}
+
+/**
+ * Read and parse a snapshot from a user-picked file.
+ * @param {File} file
+ * @returns {Promise<ReturnType<typeof parseSnapshot>>}
+ */
+export async function readSnapshotFile(file) {
+  return parseSnapshot(JSON.parse(await file.text()));
+}
+
+/**
+ * Fetch and parse a snapshot from a URL (?snapshot=<url>).
+ * @param {string} url
+ * @returns {Promise<ReturnType<typeof parseSnapshot>>}
+ * @throws {Error} If the request fails
+ */
+export async function fetchSnapshot(url) {
+  const resp = await fetch(url);
+  if (!resp.ok) throw new Error(`snapshot ${url}: ${resp.status}`);
+  return parseSnapshot(await resp.json());
+}
+
+/**
+ * Wire the "open snapshot" button to a hidden file input.
+ * @param {(snapshot: ReturnType<typeof parseSnapshot>) => Promise<void>} onLoad
+ * @returns {void}
+ */
+export function initSnapshotPicker(onLoad) {
+  const btn = document.getElementById('btn-snapshot');
+  const input = document.getElementById('snapshot-file');
+  if (!btn || !input) return;
+  btn.onclick = () => input.click();
+  input.onchange = async () => {
+    const file = input.files && input.files[0];
+    input.value = ''; // allow re-picking the same file
+    if (!file) return;
+    try {
+      await onLoad(await readSnapshotFile(file));
+    } catch (err) {
+      const statusEl = document.getElementById('status');
+      statusEl.textContent = `snapshot error: ${err.message}`;
+      statusEl.className = 'error';
+    }
+  };
+}
@@ -57,7 +57,7 @@ export const URL_TYPES = params.get('types') || ''; // bd-8o2gd phase 4: comma-s
 /** @type {number} Poll interval in ms */
 export const POLL_INTERVAL = 30000; // bd-c1x6p: reduced from 10s to 30s — SSE handles live updates
 /** @type {number} Max nodes to display */
-export const MAX_NODES = 1000; // bd-04wet: raised from 500 to show more relevant beads
+export const MAX_NODES = 5000; // bd-04wet: raised from 500; large graphs simulate in a worker (simulation.js)
 
 /** @type {BeadsAPI} Daemon API client */
 export const api = new BeadsAPI(API_BASE);
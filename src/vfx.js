@@ -94,6 +94,7 @@ export function presetVFX(name) {
 // --- Adaptive quality scaling (bd-dnuky) ---
 // Monitors FPS and auto-adjusts particle budget + aura cap to maintain performance.
 // Three quality tiers: full → reduced → minimal. Hysteresis prevents oscillation.
+// lodScale shrinks the node level-of-detail distances (lod.js) along with the tier.
 const ADAPTIVE_FPS_LOW = 20; // below this: disable particle spawning entirely
 const ADAPTIVE_FPS_REDUCE = 30; // below this for 5+ consecutive: reduce budget
 const ADAPTIVE_FPS_RECOVER = 50; // above this for 30+ consecutive: restore budget
@@ -106,6 +107,7 @@ const _adaptiveState = {
   consecutiveHigh: 0,
   particleBudgetScale: 1.0, // multiplier for particle counts
   auraMaxNodes: 20,
+  lodScale: 1.0, // multiplier for node LOD distances (lod.js)
   manualOverride: false, // true when user sets intensity manually
 };
 
@@ -136,28 +138,32 @@ export function adaptiveQualityTick(fps) {
       _adaptiveState.tier = 'minimal';
       _adaptiveState.particleBudgetScale = 0;
       _adaptiveState.auraMaxNodes = 0;
+      _adaptiveState.lodScale = 0.4;
     }
   } else if (_adaptiveState.consecutiveLow >= ADAPTIVE_CONSECUTIVE_LOW && _adaptiveState.tier === 'full') {
     _adaptiveState.tier = 'reduced';
     _adaptiveState.particleBudgetScale = 0.5;
     _adaptiveState.auraMaxNodes = 10;
+    _adaptiveState.lodScale = 0.65;
   } else if (_adaptiveState.consecutiveHigh >= ADAPTIVE_CONSECUTIVE_HIGH) {
     if (_adaptiveState.tier === 'minimal') {
       _adaptiveState.tier = 'reduced';
       _adaptiveState.particleBudgetScale = 0.5;
       _adaptiveState.auraMaxNodes = 10;
+      _adaptiveState.lodScale = 0.65;
       _adaptiveState.consecutiveHigh = 0; // reset to require sustained recovery
     } else if (_adaptiveState.tier === 'reduced') {
       _adaptiveState.tier = 'full';
       _adaptiveState.particleBudgetScale = 1.0;
       _adaptiveState.auraMaxNodes = 20;
+      _adaptiveState.lodScale = 1.0;
     }
   }
 }
 
 /**
  * Get the current adaptive quality state for diagnostics.
- * @returns {{tier: string, particleBudgetScale: number, auraMaxNodes: number, manualOverride: boolean}}
+ * @returns {{tier: string, particleBudgetScale: number, auraMaxNodes: number, lodScale: number, manualOverride: boolean}}
  */
 export function getAdaptiveState() {
   return { ..._adaptiveState };
@@ -183,6 +189,7 @@ export function applyVfxPreset(name) {
     _adaptiveState.particleBudgetScale = 1.0;
     _adaptiveState.auraMaxNodes = 20;
     _adaptiveState.tier = 'full';
+    _adaptiveState.lodScale = 1.0;
     _adaptiveState.manualOverride = false; // allow adaptive scaling
   } else if (name === 'dramatic') {
     _adaptiveState.particleBudgetScale = 1.5;
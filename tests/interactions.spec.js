@@ -41,6 +41,7 @@ async function mockAPI(page, tracker) {
   await handle('Graph', MOCK_GRAPH);
   await handle('List', []);
   await handle('Show', MOCK_SHOW);
+  await handle('DepTree', MOCK_SHOW);
   await handle('Stats', MOCK_GRAPH.stats);
   await handle('Blocked', []);
   await handle('Ready', []);
@@ -1170,13 +1171,13 @@ test.describe('context menu advanced actions', () => {
     await expect(page.locator('#context-menu')).not.toBeVisible();
   });
 
-  test('expand-deps calls Show API and keeps context menu closed', async ({ page }) => {
+  test('expand-deps calls DepTree API and keeps context menu closed', async ({ page }) => {
     const tracker = createAPITracker();
     await mockAPI(page, tracker);
     await page.goto('/');
     await waitForGraph(page);
 
-    const showCallsBefore = tracker.getCallsTo('Show').length;
+    const depTreeCallsBefore = tracker.getCallsTo('DepTree').length;
 
     const clicked = await rightClickNode(page, 'bd-feat1');
     expect(clicked).toBe(true);
@@ -1186,8 +1187,8 @@ test.describe('context menu advanced actions', () => {
     await page.locator('#context-menu [data-action="expand-deps"]').click();
     await page.waitForTimeout(1000);
 
-    // Show API should be called to load full dep tree
-    expect(tracker.getCallsTo('Show').length).toBeGreaterThan(showCallsBefore);
+    // DepTree API should be called to load the node's neighbourhood
+    expect(tracker.getCallsTo('DepTree').length).toBeGreaterThan(depTreeCallsBefore);
 
     // Context menu should close
     await expect(page.locator('#context-menu')).not.toBeVisible();
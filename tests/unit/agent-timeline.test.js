@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest';
+import {
+  createTimeline,
+  addSpan,
+  addMark,
+  startIdle,
+  endIdle,
+  visibleItems,
+  zoomView,
+} from '../../src/agent-timeline.js';
+
+const MIN = 60000;
+
+describe('addSpan', () => {
+  it('flags runs of five identical tool calls', () => {
+    const tl = createTimeline();
+    const call = (label, start) => ({ kind: 'tool', tool: 'Bash', label, start, end: start + 1000 });
+    addSpan(tl, call('npm test', 0));
+    for (let i = 1; i <= 4; i++) addSpan(tl, call('make', i * 2000));
+    expect(tl.spans.some((s) => s.repeat)).toBe(false);
+    addSpan(tl, call('make', 10000));
+    expect(tl.spans.map((s) => !!s.repeat)).toEqual([false, true, true, true, true, true]);
+  });
+});
+
+describe('idle gaps', () => {
+  it('become spans when the agent picks up again', () => {
+    const tl = createTimeline();
+    startIdle(tl, 1000);
+    startIdle(tl, 2000); // already idle
+    endIdle(tl, 5000);
+    endIdle(tl, 6000); // not idle
+    expect(tl.spans).toEqual([{ kind: 'idle', start: 1000, end: 5000 }]);
+  });
+});
+
+describe('visibleItems', () => {
+  it('places items in the range and runs open ones up to now', () => {
+    const tl = createTimeline();
+    const now = 100 * MIN;
+    addSpan(tl, { kind: 'tool', tool: 'Read', label: 'a.js', start: 80 * MIN, end: 85 * MIN }); // before the range
+    addSpan(tl, { kind: 'tool', tool: 'Bash', label: 'make', start: 89 * MIN, end: 92 * MIN }); // straddles its start
+    addMark(tl, { kind: 'crash', ts: 95 * MIN, text: 'oom' });
+    const pending = { toolName: 'Bash', label: 'sleep', startTs: 98 * MIN };
+    const items = visibleItems(tl, { windowMs: 10 * MIN, offsetMs: 0 }, now, pending);
+    expect(items.map((v) => [v.item.kind, v.left, +v.width.toFixed(3), v.running])).toEqual([
+      ['tool', 0, 0.2, false],
+      ['tool', 0.8, 0.2, true],
+      ['crash', 0.5, 0, false],
+    ]);
+  });
+
+  it('shows earlier history when panned back', () => {
+    const tl = createTimeline();
+    startIdle(tl, 50 * MIN);
+    const items = visibleItems(tl, { windowMs: 10 * MIN, offsetMs: 45 * MIN }, 100 * MIN);
+    expect(items).toHaveLength(1);
+    expect(items[0]).toMatchObject({ left: 0.5, width: 0.5, running: true });
+  });
+});
+
+describe('zoomView', () => {
+  it('keeps the time under the cursor in place and stays within bounds', () => {
+    const view = { windowMs: 10 * MIN, offsetMs: 0 };
+    zoomView(view, 0.5, 0.5); // cursor 5 minutes back
+    expect(view).toEqual({ windowMs: 5 * MIN, offsetMs: 2.5 * MIN });
+    zoomView(view, 0.0001, 0.5);
+    expect(view.windowMs).toBe(10000);
+    zoomView(view, 1e9, 0.5); // can't zoom out past now
+    expect(view).toEqual({ windowMs: 24 * 60 * MIN, offsetMs: 0 });
+  });
+});
@@ -616,6 +616,40 @@ describe('BeadsAPI', () => {
   });
 });
 
+describe('BeadsAPI (RPC mode) create and dependencies', () => {
+  let api;
+
+  beforeEach(() => {
+    mockFetch.mockReset();
+    api = new BeadsAPI('/api', { mode: 'rpc' });
+  });
+
+  afterEach(() => {
+    api.destroy();
+  });
+
+  it('create sends Create with defaults', async () => {
+    mockFetch.mockReturnValueOnce(jsonResponse({ id: 'bd-9' }));
+    await api.create({ title: 'New' });
+    expect(mockFetch.mock.calls[0][0]).toBe('/api/bd.v1.BeadsService/Create');
+    expect(JSON.parse(mockFetch.mock.calls[0][1].body)).toEqual({ issue_type: 'task', priority: 2, title: 'New' });
+  });
+
+  it('addDependency and removeDependency send issue and depends_on ids', async () => {
+    mockFetch.mockReturnValue(jsonResponse({}));
+    await api.addDependency('bd-2', 'bd-1', 'parent-child');
+    await api.removeDependency('bd-2', 'bd-1');
+    expect(mockFetch.mock.calls[0][0]).toBe('/api/bd.v1.BeadsService/AddDependency');
+    expect(JSON.parse(mockFetch.mock.calls[0][1].body)).toEqual({
+      issue_id: 'bd-2',
+      depends_on_id: 'bd-1',
+      type: 'parent-child',
+    });
+    expect(mockFetch.mock.calls[1][0]).toBe('/api/bd.v1.BeadsService/RemoveDependency');
+    expect(JSON.parse(mockFetch.mock.calls[1][1].body).type).toBe('blocks');
+  });
+});
+
 // ────────── REST mode tests ──────────
 
 describe('BeadsAPI (REST mode)', () => {
@@ -783,6 +817,49 @@ describe('BeadsAPI (REST mode)', () => {
       expect(body.assignee).toBe('agent-1');
       expect(body.created_by).toBe('beads3d');
     });
+
+    it('create maps issue_type to type and POSTs /v1/beads', async () => {
+      mockFetch.mockReturnValueOnce(jsonResponse({ id: 'kd-2' }));
+      await api.create({ title: 'New', issue_type: 'bug' });
+      expect(mockFetch).toHaveBeenCalledWith('/api/v1/beads', expect.objectContaining({ method: 'POST' }));
+      const body = JSON.parse(mockFetch.mock.calls[0][1].body);
+      expect(body).toMatchObject({ title: 'New', type: 'bug', priority: 2, created_by: 'beads3d' });
+      expect(body.issue_type).toBeUndefined();
+    });
+
+    it('addDependency POSTs to the dependent bead', async () => {
+      mockFetch.mockReturnValueOnce(jsonResponse({}));
+      await api.addDependency('kd-2', 'kd-1');
+      expect(mockFetch).toHaveBeenCalledWith(
+        '/api/v1/beads/kd-2/dependencies',
+        expect.objectContaining({ method: 'POST' }),
+      );
+      expect(JSON.parse(mockFetch.mock.calls[0][1].body)).toEqual({ depends_on_id: 'kd-1', type: 'blocks' });
+    });
+
+    it('removeDependency DELETEs with the type', async () => {
+      mockFetch.mockReturnValueOnce(jsonResponse({}));
+      await api.removeDependency('kd-2', 'kd-1', 'relates-to');
+      expect(mockFetch).toHaveBeenCalledWith(
+        '/api/v1/beads/kd-2/dependencies/kd-1?type=relates-to',
+        expect.objectContaining({ method: 'DELETE' }),
+      );
+    });
+
+    it('rejects writes without calling fetch when read-only', async () => {
+      api.readOnly = true;
+      await expect(api.update('kd-1', { status: 'closed' })).rejects.toThrow(/read-only/);
+      await expect(api.close('kd-1')).rejects.toThrow(/read-only/);
+      await expect(api.configSet('theme', 'dark')).rejects.toThrow(/read-only/);
+      expect(mockFetch).not.toHaveBeenCalled();
+    });
+
+    it('still allows reads when read-only', async () => {
+      api = new BeadsAPI('/api', { mode: 'rest', readOnly: true });
+      mockFetch.mockReturnValueOnce(jsonResponse({ id: 'kd-1' }));
+      await api.show('kd-1');
+      expect(mockFetch).toHaveBeenCalledTimes(1);
+    });
   });
 
   describe('decision operations', () => {
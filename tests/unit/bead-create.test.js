@@ -0,0 +1,35 @@
+import { describe, it, expect } from 'vitest';
+import { linkDependency, findDropTarget } from '../../src/bead-create.js';
+
+describe('linkDependency', () => {
+  it('maps "a blocks b" to b depending on a', () => {
+    expect(linkDependency('a', 'b', 'blocks')).toEqual({ issueId: 'b', dependsOnId: 'a', type: 'blocks' });
+  });
+
+  it('maps "a blocked by b" to a depending on b', () => {
+    expect(linkDependency('a', 'b', 'blocked-by')).toEqual({ issueId: 'a', dependsOnId: 'b', type: 'blocks' });
+  });
+
+  it('maps relates-to without a blocking direction', () => {
+    expect(linkDependency('a', 'b', 'relates-to')).toEqual({ issueId: 'a', dependsOnId: 'b', type: 'relates-to' });
+  });
+});
+
+describe('findDropTarget', () => {
+  const dragged = { id: 'd', x: 0, y: 0, z: 0 };
+
+  it('picks the nearest bead within the radius', () => {
+    const near = { id: 'near', x: 5, y: 0, z: 0 };
+    const nearer = { id: 'nearer', x: 0, y: 3, z: 0 };
+    expect(findDropTarget(dragged, [dragged, near, nearer], 10)).toBe(nearer);
+  });
+
+  it('ignores hidden, agent and far-away nodes', () => {
+    const nodes = [
+      { id: 'hidden', x: 1, y: 0, z: 0, _hidden: true },
+      { id: 'agent:x', x: 1, y: 0, z: 0, issue_type: 'agent' },
+      { id: 'far', x: 100, y: 0, z: 0 },
+    ];
+    expect(findDropTarget(dragged, nodes, 10)).toBeNull();
+  });
+});
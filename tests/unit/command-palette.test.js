@@ -0,0 +1,80 @@
+import { describe, it, expect } from 'vitest';
+import { fuzzyMatch, rankCommands, pushRecent } from '../../src/command-palette.js';
+
+const cmd = (id, label) => ({ id, label, group: 'action', run: () => {} });
+
+describe('fuzzyMatch', () => {
+  it('matches an empty query with score 0', () => {
+    expect(fuzzyMatch('', 'Toggle bloom')).toEqual({ score: 0, indices: [] });
+  });
+
+  it('matches query characters in order, case-insensitively', () => {
+    expect(fuzzyMatch('TgB', 'Toggle bloom').indices).toEqual([0, 2, 7]);
+  });
+
+  it('returns null when characters are missing or out of order', () => {
+    expect(fuzzyMatch('xyz', 'Toggle bloom')).toBeNull();
+    expect(fuzzyMatch('bt', 'Toggle bloom')).toBeNull();
+  });
+
+  it('ignores whitespace in the query', () => {
+    expect(fuzzyMatch('tog bl', 'Toggle bloom')).not.toBeNull();
+  });
+
+  it('scores substrings and word starts above scattered letters', () => {
+    expect(fuzzyMatch('bloom', 'Toggle bloom').score).toBeGreaterThan(fuzzyMatch('bloom', 'b-l-o-o-m').score);
+    expect(fuzzyMatch('tb', 'Toggle bloom').score).toBeGreaterThan(fuzzyMatch('tb', 'stubborn').score);
+  });
+});
+
+describe('rankCommands', () => {
+  const commands = [
+    cmd('a', 'Refresh graph'),
+    cmd('b', 'Toggle bloom'),
+    cmd('c', 'Toggle labels'),
+    cmd('d', 'Layout: DAG'),
+  ];
+
+  it('keeps the original order for an empty query with no history', () => {
+    expect(rankCommands(commands, '').map((r) => r.command.id)).toEqual(['a', 'b', 'c', 'd']);
+  });
+
+  it('puts recent commands first for an empty query, most recent first', () => {
+    expect(rankCommands(commands, '', ['c', 'd']).map((r) => r.command.id)).toEqual(['c', 'd', 'a', 'b']);
+  });
+
+  it('drops commands that do not match', () => {
+    expect(rankCommands(commands, 'toggle').map((r) => r.command.id)).toEqual(['b', 'c']);
+  });
+
+  it('uses recency to break ties between similar matches', () => {
+    expect(rankCommands(commands, 'toggle', ['c']).map((r) => r.command.id)).toEqual(['c', 'b']);
+  });
+
+  it('does not let recency outrank a much better match', () => {
+    expect(rankCommands(commands, 'bloom', ['d'])[0].command.id).toBe('b');
+  });
+
+  it('returns match indices for highlighting', () => {
+    expect(rankCommands(commands, 'dag')[0].indices).toEqual([8, 9, 10]);
+  });
+
+  it('caps the number of results', () => {
+    const many = Array.from({ length: 100 }, (_, i) => cmd(`bead:${i}`, `bd-${i}`));
+    expect(rankCommands(many, 'bd', [], 10)).toHaveLength(10);
+  });
+});
+
+describe('pushRecent', () => {
+  it('moves an existing id to the front without duplicating it', () => {
+    expect(pushRecent(['a', 'b', 'c'], 'c')).toEqual(['c', 'a', 'b']);
+  });
+
+  it('caps the list length', () => {
+    const long = Array.from({ length: 20 }, (_, i) => `c${i}`);
+    const next = pushRecent(long, 'new');
+    expect(next).toHaveLength(20);
+    expect(next[0]).toBe('new');
+    expect(next).not.toContain('c19');
+  });
+});
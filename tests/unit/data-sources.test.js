@@ -0,0 +1,152 @@
+import { describe, it, expect } from 'vitest';
+import { MemoryDataSource, RpcDataSource, RestDataSource, createDataSource } from '../../src/data-sources.js';
+import { BeadsAPI } from '../../src/api.js';
+
+const seed = () => ({
+  nodes: [
+    { id: 'a', title: 'Alpha', status: 'open', issue_type: 'task' },
+    { id: 'b', title: 'Beta', status: 'in_progress', issue_type: 'bug', assignee: 'alice' },
+    { id: 'c', title: 'Gamma', status: 'closed', issue_type: 'task' },
+    { id: 'e', title: 'Epic', status: 'open', issue_type: 'epic' },
+  ],
+  links: [
+    { source: 'a', target: 'b', dep_type: 'blocks' },
+    { source: 'c', target: 'a', dep_type: 'blocks' },
+    { source: 'b', target: 'e', dep_type: 'parent-child' },
+  ],
+});
+
+describe('createDataSource', () => {
+  it('maps modes to backends', () => {
+    expect(createDataSource('rpc', '/api')).toBeInstanceOf(RpcDataSource);
+    expect(createDataSource('rest', '/api')).toBeInstanceOf(RestDataSource);
+    expect(createDataSource('static', '/graph.json')).toBeInstanceOf(MemoryDataSource);
+  });
+
+  it('builds SSE urls per backend', () => {
+    expect(new RpcDataSource('/api').busEventsUrl('a,b')).toBe('/api/bus/events?stream=a%2Cb');
+    expect(new RestDataSource('/api').eventsUrl()).toBe('/api/v1/events/stream');
+  });
+});
+
+describe('MemoryDataSource', () => {
+  it('returns graph nodes with derived blocked_by and normalized edges', async () => {
+    const src = new MemoryDataSource({ data: seed() });
+    const g = await src.graph({ status: ['open', 'in_progress'] });
+    expect(g.nodes.map((n) => n.id)).toEqual(['a', 'b', 'e']);
+    // c is closed, so it no longer blocks a
+    expect(g.nodes.find((n) => n.id === 'a').blocked_by).toEqual([]);
+    expect(g.nodes.find((n) => n.id === 'b').blocked_by).toEqual(['a']);
+    expect(g.edges).toContainEqual({ source: 'b', target: 'e', type: 'parent-child' });
+    expect(g.stats).toEqual({ total_open: 2, total_in_progress: 1, total_blocked: 1 });
+  });
+
+  it('pages graph nodes by most recent update', async () => {
+    const data = seed();
+    data.nodes[0].updated_at = '2026-01-03T00:00:00Z';
+    data.nodes[1].updated_at = '2026-01-01T00:00:00Z';
+    data.nodes[3].updated_at = '2026-01-02T00:00:00Z';
+    const src = new MemoryDataSource({ data });
+    const opts = { status: ['open', 'in_progress'], order_by: 'updated_at', limit: 2 };
+    expect((await src.graph(opts)).nodes.map((n) => n.id)).toEqual(['a', 'e']);
+    const page2 = await src.graph({ ...opts, offset: 2 });
+    expect(page2.nodes.map((n) => n.id)).toEqual(['b']);
+    // Edges leaving the page are kept so the client can tell what is not loaded
+    expect(page2.edges).toContainEqual({ source: 'a', target: 'b', type: 'blocks' });
+  });
+
+  it('filters graph nodes by close date', async () => {
+    const data = seed();
+    data.nodes[2].closed_at = '2026-01-10T00:00:00Z';
+    const src = new MemoryDataSource({ data });
+    const inWindow = await src.graph({ status: ['closed'], closed_after: '2026-01-01T00:00:00Z' });
+    expect(inWindow.nodes.map((n) => n.id)).toEqual(['c']);
+    const before = await src.graph({ status: ['closed'], closed_before: '2026-01-01T00:00:00Z' });
+    expect(before.nodes).toEqual([]);
+  });
+
+  it('fetches graph nodes by id', async () => {
+    const src = new MemoryDataSource({ data: seed() });
+    const { nodes } = await src.graph({ ids: ['c', 'e', 'zz'] });
+    expect(nodes.map((n) => n.id)).toEqual(['c', 'e']);
+  });
+
+  it('filters list by status, type and search', async () => {
+    const src = new MemoryDataSource({ data: seed() });
+    expect((await src.list({ status: 'open' })).map((b) => b.id)).toEqual(['a', 'e']);
+    expect((await src.list({ type: 'bug' })).map((b) => b.id)).toEqual(['b']);
+    expect((await src.list({ search: 'gam' })).map((b) => b.id)).toEqual(['c']);
+  });
+
+  it('pushes mutation events to subscribers on write', async () => {
+    const src = new MemoryDataSource({ data: seed() });
+    const events = [];
+    const unsubscribe = src.subscribe('mutations', (e) => events.push(e));
+    await src.update('a', { status: 'in_progress' });
+    await src.update('a', { assignee: 'bob' });
+    unsubscribe();
+    await src.close('a');
+    expect(events).toEqual([
+      { type: 'status', issue_id: 'a', old_status: 'open', new_status: 'in_progress' },
+      { type: 'update', issue_id: 'a', assignee: 'bob' },
+    ]);
+    expect((await src.show('a')).status).toBe('closed');
+  });
+
+  it('rejects unknown beads', async () => {
+    const src = new MemoryDataSource({ data: seed() });
+    await expect(src.show('nope')).rejects.toThrow(/not found/);
+  });
+
+  it('stores config and decisions', async () => {
+    const src = new MemoryDataSource({ data: seed() });
+    await src.configSet('k', 'v');
+    expect(await src.configList()).toEqual({ config: { k: 'v' } });
+    await src.decisionResolve('d1', 'yes', '', 'me');
+    expect((await src.decisionGet('d1')).decision.selected_option).toBe('yes');
+  });
+});
+
+describe('MemoryDataSource dependencies', () => {
+  it('creates beads with defaults and a fresh id', async () => {
+    const src = new MemoryDataSource({ data: seed() });
+    const bead = await src.create({ title: 'New' });
+    expect(bead).toMatchObject({ title: 'New', status: 'open', issue_type: 'task' });
+    expect((await src.show(bead.id)).title).toBe('New');
+  });
+
+  it('adds and removes dependencies as dependency → dependent edges', async () => {
+    const src = new MemoryDataSource({ data: seed() });
+    await src.addDependency('e', 'a', 'blocks');
+    expect((await src.show('e')).blocked_by).toEqual(['a']);
+    await src.removeDependency('e', 'a', 'blocks');
+    expect((await src.show('e')).blocked_by).toEqual([]);
+  });
+
+  it('rejects dependencies on unknown beads', async () => {
+    const src = new MemoryDataSource({ data: seed() });
+    await expect(src.addDependency('a', 'nope', 'blocks')).rejects.toThrow(/not found/);
+  });
+});
+
+describe('BeadsAPI with a custom source', () => {
+  it('delegates to the source and reports its mode', async () => {
+    const api = new BeadsAPI('/unused', { source: new MemoryDataSource({ data: seed() }) });
+    expect(api.mode).toBe('memory');
+    expect(await api.hasGraph()).toBe(true);
+    expect((await api.show('b')).title).toBe('Beta');
+    api.destroy();
+  });
+
+  it('wires connectEvents to subscribe and stops on destroy', async () => {
+    const api = new BeadsAPI('/unused', { source: new MemoryDataSource({ data: seed() }) });
+    const events = [];
+    const statuses = [];
+    api.connectEvents((e) => events.push(e), { onStatus: (s) => statuses.push(s) });
+    await api.update('a', { title: 'Renamed' });
+    api.destroy();
+    await api.source.update('a', { title: 'Again' });
+    expect(statuses).toEqual(['connected']);
+    expect(events).toEqual([{ type: 'update', issue_id: 'a', title: 'Renamed' }]);
+  });
+});
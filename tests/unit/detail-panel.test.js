@@ -0,0 +1,53 @@
+import { describe, it, expect } from 'vitest';
+import { sameFieldValue, parseEditValue, editConflict } from '../../src/detail-panel.js';
+
+describe('sameFieldValue', () => {
+  it('treats missing and empty values as equal', () => {
+    expect(sameFieldValue(undefined, '')).toBe(true);
+    expect(sameFieldValue(null, [])).toBe(true);
+    expect(sameFieldValue('', 'x')).toBe(false);
+  });
+
+  it('compares label arrays by content', () => {
+    expect(sameFieldValue(['a', 'b'], ['a', 'b'])).toBe(true);
+    expect(sameFieldValue(['a', 'b'], ['b', 'a'])).toBe(false);
+  });
+});
+
+describe('parseEditValue', () => {
+  it('splits, trims and dedupes labels', () => {
+    expect(parseEditValue('labels', ' ui, backend ,ui,, ')).toEqual(['ui', 'backend']);
+  });
+
+  it('converts priority to a number', () => {
+    expect(parseEditValue('priority', '1')).toBe(1);
+  });
+
+  it('trims single-line fields but keeps leading indentation in long text', () => {
+    expect(parseEditValue('title', '  New title  ')).toBe('New title');
+    expect(parseEditValue('description', '  - item\n\n')).toBe('  - item');
+  });
+});
+
+describe('editConflict', () => {
+  const base = { id: 'a', title: 'Old', notes: 'n', updated_at: '2026-01-01T00:00:00Z' };
+
+  it('is not a conflict when the bead is unchanged', () => {
+    expect(editConflict(base, { ...base }, 'title')).toBe(false);
+  });
+
+  it('ignores concurrent changes to other fields', () => {
+    const current = { ...base, notes: 'edited elsewhere', updated_at: '2026-01-02T00:00:00Z' };
+    expect(editConflict(base, current, 'title')).toBe(false);
+  });
+
+  it('flags a concurrent change to the field being saved', () => {
+    const current = { ...base, title: 'Theirs', updated_at: '2026-01-02T00:00:00Z' };
+    expect(editConflict(base, current, 'title')).toBe(true);
+  });
+
+  it('falls back to value comparison when updated_at is missing', () => {
+    expect(editConflict({ title: 'a' }, { title: 'b' }, 'title')).toBe(true);
+    expect(editConflict({ title: 'a' }, { title: 'a' }, 'title')).toBe(false);
+  });
+});
@@ -0,0 +1,85 @@
+import { describe, it, expect } from 'vitest';
+import { createForce, FORCE_TYPES } from '../../src/forces.js';
+
+const node = (id, x, y, z, extra = {}) => ({ id, x, y, z, vx: 0, vy: 0, vz: 0, ...extra });
+
+function run(spec, nodes, links = [], alpha = 1) {
+  const force = createForce(spec, () => links);
+  force.initialize(nodes);
+  force(alpha);
+  return nodes;
+}
+
+describe('createForce', () => {
+  it('rejects unknown force types', () => {
+    expect(() => createForce({ type: 'gravity' }, () => [])).toThrow('unknown force type: gravity');
+    expect(() => createForce(null, () => [])).toThrow();
+  });
+
+  it('knows every type the layouts use', () => {
+    for (const type of ['flatten', 'radialPriority', 'cluster', 'swimlane', 'targets', 'agentTether', 'epicCluster']) {
+      expect(FORCE_TYPES).toContain(type);
+    }
+  });
+
+  it('only moves velocities, scaled by alpha', () => {
+    const [a] = run({ type: 'flatten', axis: 'y', strength: 0.5 }, [node('a', 3, 10, 0)], [], 0.5);
+    expect(a.vy).toBeCloseTo(-2.5);
+    expect(a.y).toBe(10);
+  });
+
+  it('skips hidden nodes', () => {
+    const [a] = run({ type: 'flatten', axis: 'y' }, [node('a', 0, 10, 0, { _hidden: true })]);
+    expect(a.vy).toBe(0);
+  });
+});
+
+describe('targets', () => {
+  it('pulls nodes toward their slot and leaves the rest alone', () => {
+    const [a, b] = run({ type: 'targets', targets: { a: [100, -20] }, strength: 1 }, [
+      node('a', 0, 0, 0),
+      node('b', 0, 0, 0),
+    ]);
+    expect(a.vx).toBe(100);
+    expect(a.vy).toBe(-20);
+    expect(b.vx).toBe(0);
+  });
+});
+
+describe('agentTether', () => {
+  it('pulls claimed beads toward their agent, with ids or objects as link endpoints', () => {
+    const agent = node('agent:x', 0, 0, 0, { issue_type: 'agent' });
+    const bead = node('bd-1', 100, 0, 0);
+    run(
+      { type: 'agentTether', strength: 1 },
+      [agent, bead],
+      [{ source: agent, target: 'bd-1', dep_type: 'assigned_to' }],
+    );
+    expect(bead.vx).toBeLessThan(0);
+    expect(agent.vx).toBeGreaterThan(0);
+  });
+
+  it('does nothing when disabled', () => {
+    const agent = node('agent:x', 0, 0, 0, { issue_type: 'agent' });
+    const bead = node('bd-1', 100, 0, 0);
+    run(
+      { type: 'agentTether', strength: 0 },
+      [agent, bead],
+      [{ source: 'agent:x', target: 'bd-1', dep_type: 'assigned_to' }],
+    );
+    expect(bead.vx).toBe(0);
+  });
+});
+
+describe('spread', () => {
+  it('pushes apart subgraph nodes that are too close', () => {
+    const [a, b, c] = run({ type: 'spread', ids: ['a', 'b'], minPairDist: 50, minRadialDist: 0 }, [
+      node('a', -1, 0, 0),
+      node('b', 1, 0, 0),
+      node('c', 0, 0, 0),
+    ]);
+    expect(a.vx).toBeLessThan(0);
+    expect(b.vx).toBeGreaterThan(0);
+    expect(c.vx).toBe(0);
+  });
+});
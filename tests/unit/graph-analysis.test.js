@@ -0,0 +1,144 @@
+import { describe, it, expect } from 'vitest';
+import { endId, linkKeyOf, epicDescendants, criticalPath, findDependencyCycles } from '../../src/graph-analysis.js';
+
+const node = (id, status = 'open', extra = {}) => ({ id, status, issue_type: 'task', ...extra });
+
+describe('endId / linkKeyOf', () => {
+  it('accepts ids and resolved node objects', () => {
+    expect(endId('a')).toBe('a');
+    expect(endId({ id: 'b' })).toBe('b');
+    expect(linkKeyOf({ source: { id: 'a' }, target: 'b' })).toBe('a->b');
+  });
+});
+
+describe('epicDescendants', () => {
+  it('follows parent-child links in both directions, transitively', () => {
+    const graphData = {
+      nodes: [],
+      links: [
+        { source: 'epic', target: 'a', dep_type: 'parent-child' }, // raw parent → child
+        { source: 'b', target: 'epic', dep_type: 'parent-child' }, // promoted child → epic
+        { source: 'a', target: 'a1', dep_type: 'parent-child' },
+        { source: 'a', target: 'x', dep_type: 'blocks' }, // not hierarchy
+      ],
+    };
+    expect([...epicDescendants(graphData, 'epic')].sort()).toEqual(['a', 'a1', 'b']);
+  });
+});
+
+describe('criticalPath', () => {
+  const epic = node('epic', 'open', { issue_type: 'epic' });
+
+  it('returns an empty path when nothing is open', () => {
+    const graphData = {
+      nodes: [epic, node('a', 'closed')],
+      links: [{ source: 'epic', target: 'a', dep_type: 'parent-child' }],
+    };
+    expect(criticalPath(graphData, 'epic')).toEqual({ nodeIds: [], linkKeys: [], length: 0 });
+  });
+
+  it('finds the longest blocks/waits-for chain among open children', () => {
+    // a → b → c (long), d → c (short)
+    const graphData = {
+      nodes: [epic, node('a'), node('b'), node('c'), node('d')],
+      links: [
+        { source: 'epic', target: 'a', dep_type: 'parent-child' },
+        { source: 'epic', target: 'b', dep_type: 'parent-child' },
+        { source: 'epic', target: 'c', dep_type: 'parent-child' },
+        { source: 'epic', target: 'd', dep_type: 'parent-child' },
+        { source: 'a', target: 'b', dep_type: 'blocks' },
+        { source: 'b', target: 'c', dep_type: 'waits-for' },
+        { source: 'd', target: 'c', dep_type: 'blocks' },
+      ],
+    };
+    const path = criticalPath(graphData, 'epic');
+    expect(path.nodeIds).toEqual(['a', 'b', 'c']);
+    expect(path.linkKeys).toEqual(['a->b', 'b->c']);
+    expect(path.length).toBe(3);
+  });
+
+  it('skips closed beads and non-gating links', () => {
+    const graphData = {
+      nodes: [epic, node('a', 'closed'), node('b'), node('c')],
+      links: [
+        { source: 'epic', target: 'b', dep_type: 'parent-child' },
+        { source: 'epic', target: 'c', dep_type: 'parent-child' },
+        { source: 'a', target: 'b', dep_type: 'blocks' },
+        { source: 'b', target: 'c', dep_type: 'relates-to' },
+      ],
+    };
+    expect(criticalPath(graphData, 'epic').length).toBe(1);
+  });
+
+  it('includes open external blockers gating a child', () => {
+    const graphData = {
+      nodes: [epic, node('ext'), node('a')],
+      links: [
+        { source: 'epic', target: 'a', dep_type: 'parent-child' },
+        { source: { id: 'ext' }, target: { id: 'a' }, dep_type: 'blocks' },
+      ],
+    };
+    expect(criticalPath(graphData, 'epic').nodeIds).toEqual(['ext', 'a']);
+  });
+
+  it('terminates on dependency cycles', () => {
+    const graphData = {
+      nodes: [epic, node('a'), node('b')],
+      links: [
+        { source: 'epic', target: 'a', dep_type: 'parent-child' },
+        { source: 'a', target: 'b', dep_type: 'blocks' },
+        { source: 'b', target: 'a', dep_type: 'blocks' },
+      ],
+    };
+    const path = criticalPath(graphData, 'epic');
+    expect(path.length).toBe(2);
+    expect(new Set(path.nodeIds)).toEqual(new Set(['a', 'b']));
+  });
+});
+
+describe('findDependencyCycles', () => {
+  const blocks = (source, target) => ({ source, target, dep_type: 'blocks' });
+
+  it('returns nothing for a DAG', () => {
+    const graph = {
+      nodes: ['a', 'b', 'c'].map(node),
+      links: [blocks('a', 'b'), blocks('b', 'c'), blocks('a', 'c')],
+    };
+    expect(findDependencyCycles(graph)).toEqual([]);
+  });
+
+  it('finds a two-bead cycle with its links', () => {
+    const graph = { nodes: ['a', 'b', 'c'].map(node), links: [blocks('a', 'b'), blocks('b', 'a'), blocks('b', 'c')] };
+    const cycles = findDependencyCycles(graph);
+    expect(cycles).toHaveLength(1);
+    expect(cycles[0].nodeIds).toEqual(['a', 'b']);
+    expect(cycles[0].linkKeys.sort()).toEqual(['a->b', 'b->a']);
+  });
+
+  it('treats a bead that blocks itself as a cycle', () => {
+    const cycles = findDependencyCycles({ nodes: [node('a')], links: [blocks('a', 'a')] });
+    expect(cycles).toEqual([{ nodeIds: ['a'], linkKeys: ['a->a'] }]);
+  });
+
+  it('ignores non-gating link types', () => {
+    const graph = {
+      nodes: ['a', 'b'].map(node),
+      links: [blocks('a', 'b'), { source: 'b', target: 'a', dep_type: 'relates-to' }],
+    };
+    expect(findDependencyCycles(graph)).toEqual([]);
+  });
+
+  it('returns separate cycles largest first and resolves object endpoints', () => {
+    const [a, b, c, d, e] = ['a', 'b', 'c', 'd', 'e'].map(node);
+    const graph = {
+      nodes: [a, b, c, d, e],
+      links: [blocks(d, e), blocks(e, d), blocks(a, b), blocks(b, c), blocks(c, a), blocks(c, d)],
+    };
+    const cycles = findDependencyCycles(graph);
+    expect(cycles.map((cy) => cy.nodeIds)).toEqual([
+      ['a', 'b', 'c'],
+      ['d', 'e'],
+    ]);
+    expect(cycles[0].linkKeys).not.toContain('c->d');
+  });
+});
@@ -0,0 +1,61 @@
+import { describe, it, expect } from 'vitest';
+import { GraphIndex, linkEndId } from '../../src/graph-index.js';
+
+function sampleIndex() {
+  const nodes = ['a', 'b', 'c', 'd', 'e'].map((id) => ({ id }));
+  const links = [
+    { source: 'a', target: 'b', dep_type: 'blocks' },
+    { source: 'b', target: 'c', dep_type: 'parent-child' },
+    { source: 'd', target: 'c', dep_type: 'blocks' },
+  ];
+  const index = new GraphIndex();
+  index.rebuild({ nodes, links });
+  return { index, nodes, links };
+}
+
+describe('linkEndId', () => {
+  it('accepts ids and resolved node objects', () => {
+    expect(linkEndId('a')).toBe('a');
+    expect(linkEndId({ id: 'a' })).toBe('a');
+  });
+});
+
+describe('GraphIndex', () => {
+  it('indexes links in both directions', () => {
+    const { index, links } = sampleIndex();
+    expect(index.size).toBe(5);
+    expect(index.outLinks('b')).toEqual([links[1]]);
+    expect(index.inLinks('c')).toEqual([links[1], links[2]]);
+    expect(index.outLinks('e')).toEqual([]);
+    expect([...index.neighbors('b')].sort()).toEqual(['a', 'c']);
+  });
+
+  it('resolves link ends whether they are ids or node objects', () => {
+    const { index, nodes } = sampleIndex();
+    const link = { source: nodes[0], target: 'b' };
+    expect(index.ends(link)).toEqual([nodes[0], nodes[1]]);
+    expect(index.ends({ source: 'a', target: 'gone' })).toEqual([nodes[0], undefined]);
+  });
+
+  it('finds connected components', () => {
+    const { index } = sampleIndex();
+    expect([...index.component('a')].sort()).toEqual(['a', 'b', 'c', 'd']);
+    expect([...index.component('e')]).toEqual(['e']);
+  });
+
+  it('follows added and removed links and nodes', () => {
+    const { index, links } = sampleIndex();
+    const link = { source: 'e', target: 'a', dep_type: 'blocks' };
+    index.addNode({ id: 'f' });
+    index.addLink(link);
+    expect(index.component('e').has('d')).toBe(true);
+    index.removeLink(link);
+    expect(index.component('e').size).toBe(1);
+    index.removeNode('c');
+    expect(index.node('c')).toBeUndefined();
+    expect(index.outLinks('b')).toEqual([]);
+    expect(index.outLinks('d')).toEqual([]);
+    expect(index.outLinks('a')).toEqual([links[0]]);
+    expect(index.node('f')).toEqual({ id: 'f' });
+  });
+});
@@ -0,0 +1,109 @@
+import { describe, it, expect } from 'vitest';
+import {
+  setHeatmapDeps,
+  recordAgentEvent,
+  beadHeat,
+  hottestBeads,
+  formatHeat,
+  setHeatMetric,
+  paintHeat,
+  heatLevel,
+  heatHalo,
+  mixHex,
+} from '../../src/heatmap.js';
+
+const graphData = {
+  nodes: [
+    { id: 'b1', status: 'open' },
+    { id: 'b2', status: 'in_progress' },
+    { id: 'b3', status: 'in_progress' },
+  ],
+  links: [
+    { source: 'agent:ann', target: 'b1', dep_type: 'assigned_to' },
+    { source: { id: 'agent:ann' }, target: { id: 'b2' }, dep_type: 'assigned_to' },
+    { source: 'agent:bob', target: 'b3', dep_type: 'assigned_to' },
+  ],
+};
+setHeatmapDeps({ getGraphData: () => graphData });
+
+const at = (s) => new Date(Date.UTC(2026, 0, 1, 12, 0, s)).toISOString();
+const tool = (name, s) => ({ type: 'PreToolUse', payload: { tool_name: name }, ts: at(s) });
+
+describe('recordAgentEvent', () => {
+  it('credits tool calls, edits and active time to the in-progress assignment', () => {
+    recordAgentEvent('agent:ann', { type: 'SessionStart', ts: at(0) });
+    recordAgentEvent('agent:ann', tool('Read', 10));
+    recordAgentEvent('agent:ann', tool('Edit', 30));
+    recordAgentEvent('agent:ann', { type: 'AgentIdle', ts: at(40) });
+    // Idle time doesn't count
+    recordAgentEvent('agent:ann', tool('Write', 50));
+    expect(beadHeat('b2')).toEqual({ tools: 3, edits: 2, time: 40000 });
+    expect(beadHeat('b1')).toBeNull();
+  });
+
+  it('ignores agents without an assignment', () => {
+    recordAgentEvent('agent:zed', tool('Edit', 0));
+    expect(hottestBeads('tools').map((b) => b.id)).toEqual(['b2']);
+  });
+});
+
+describe('hottestBeads / heatLevel', () => {
+  it('ranks beads and scales heat against the hottest', () => {
+    recordAgentEvent('agent:bob', tool('Bash', 0));
+    expect(hottestBeads('tools')).toEqual([
+      { id: 'b2', value: 3 },
+      { id: 'b3', value: 1 },
+    ]);
+    expect(heatLevel('b2')).toBe(0); // heatmap off
+    setHeatMetric('tools');
+    expect(heatLevel('b2')).toBe(1);
+    expect(heatLevel('b3')).toBeCloseTo(Math.sqrt(1 / 3));
+    expect(heatLevel('b1')).toBe(0);
+  });
+
+  it('warms hot halos towards red and leaves cold ones alone', () => {
+    setHeatMetric('tools');
+    expect(heatHalo({ id: 'b1' }, 0x2d8a4e, 0.2)).toEqual({ color: 0x2d8a4e, opacity: 0.2 });
+    const hot = heatHalo({ id: 'b2' }, 0x2d8a4e, 0.2);
+    expect(hot.color).toBe(0xff3020);
+    expect(hot.opacity).toBeCloseTo(0.7);
+    setHeatMetric('');
+  });
+});
+
+describe('paintHeat', () => {
+  it('leaves halos alone while the heatmap is off but still reports the change', () => {
+    const materials = [];
+    let changes = 0;
+    const halo = { userData: { materiaHalo: true }, material: null };
+    const node = {
+      id: 'b2',
+      __threeObj: { userData: { heatBase: { color: 0x2d8a4e, opacity: 0.2 } }, children: [halo] },
+    };
+    setHeatmapDeps({
+      getGraphData: () => ({ nodes: [node], links: [] }),
+      haloMaterial: (color) => materials.push(color),
+      onChange: () => changes++,
+    });
+    paintHeat();
+    expect([materials.length, changes]).toEqual([0, 1]);
+    setHeatMetric('tools');
+    setHeatMetric(''); // one pass back to the halo's own color, then nothing
+    paintHeat();
+    expect(materials).toEqual([0xff3020, 0x2d8a4e]);
+    expect(changes).toBe(4);
+    setHeatmapDeps({ getGraphData: () => graphData });
+  });
+});
+
+describe('formatHeat / mixHex', () => {
+  it('formats time as minutes and hours', () => {
+    expect(formatHeat(7, 'tools')).toBe('7');
+    expect(formatHeat(90000, 'time')).toBe('2m');
+    expect(formatHeat(3900000, 'time')).toBe('1h05');
+  });
+
+  it('blends channels', () => {
+    expect(mixHex(0x000000, 0xff8040, 0.5)).toBe(0x804020);
+  });
+});
@@ -0,0 +1,105 @@
+import { describe, it, expect } from 'vitest';
+import {
+  historyRange,
+  parseHistoryParam,
+  formatHistoryParam,
+  closerOf,
+  fetchClosedBeads,
+  mergeClosedBeads,
+} from '../../src/history.js';
+
+const DAY = 86400000;
+const NOW = Date.parse('2026-03-15T12:00:00Z');
+
+describe('historyRange', () => {
+  it('is off without a window', () => {
+    expect(historyRange(null)).toBeNull();
+    expect(historyRange({ from: '', to: '' })).toBeNull();
+    expect(historyRange({ from: 'soon' })).toBeNull();
+  });
+
+  it('counts relative windows back from now', () => {
+    expect(historyRange({ days: 30 }, NOW)).toEqual({ after: NOW - 30 * DAY, before: Infinity });
+  });
+
+  it('includes the whole last day of a fixed range', () => {
+    expect(historyRange({ from: '2026-01-01', to: '2026-01-31' })).toEqual({
+      after: Date.parse('2026-01-01'),
+      before: Date.parse('2026-02-01'),
+    });
+    expect(historyRange({ from: '', to: '2026-01-31' }).after).toBe(-Infinity);
+  });
+});
+
+describe('parseHistoryParam / formatHistoryParam', () => {
+  it('round-trips days and ranges', () => {
+    for (const value of ['30', '2026-01-01..2026-03-31', '2026-01-01..', '..2026-03-31']) {
+      expect(formatHistoryParam(parseHistoryParam(value))).toBe(value);
+    }
+    expect(parseHistoryParam('30')).toEqual({ days: 30 });
+  });
+
+  it('rejects empty and malformed values', () => {
+    for (const value of ['', '0', 'yesterday', '..']) expect(parseHistoryParam(value)).toBeNull();
+    expect(formatHistoryParam(null)).toBe('');
+  });
+});
+
+describe('closerOf', () => {
+  it('prefers closed_by over the assignee', () => {
+    expect(closerOf({ closed_by: 'alice', assignee: 'bob' })).toBe('alice');
+    expect(closerOf({ assignee: 'bob' })).toBe('bob');
+    expect(closerOf({})).toBe('');
+  });
+});
+
+describe('fetchClosedBeads', () => {
+  it('asks for closed beads in the window and applies it itself', async () => {
+    let args;
+    const api = {
+      graph: async (opts) => {
+        args = opts;
+        return {
+          nodes: [
+            { id: 'in', status: 'closed', closed_at: '2026-01-10T00:00:00Z' },
+            { id: 'late', status: 'closed', closed_at: '2026-02-01T00:00:00Z' },
+            { id: 'open', status: 'open', updated_at: '2026-01-10T00:00:00Z' },
+            { id: 'updated', status: 'closed', updated_at: '2026-01-31T23:00:00Z' },
+          ],
+          edges: [{ source: 'in', target: 'x', type: 'blocks' }],
+        };
+      },
+    };
+    const win = { from: '2026-01-01', to: '2026-01-31' };
+    const closed = await fetchClosedBeads(api, { status: ['open'], include_deps: true }, win);
+    expect(args).toMatchObject({
+      status: ['closed'],
+      include_deps: true,
+      closed_after: '2026-01-01T00:00:00.000Z',
+      closed_before: '2026-02-01T00:00:00.000Z',
+    });
+    expect(closed.nodes.map((n) => n.id)).toEqual(['in', 'updated']);
+    expect(closed.nodes.every((n) => n._history)).toBe(true);
+    expect(closed.edges).toHaveLength(1);
+  });
+});
+
+describe('mergeClosedBeads', () => {
+  it('appends closed beads and edges the live result lacks', () => {
+    const live = { nodes: [{ id: 'a' }], edges: [{ source: 'a', target: 'b', type: 'blocks' }], stats: { open: 1 } };
+    const closed = {
+      nodes: [
+        { id: 'a', _history: true },
+        { id: 'b', _history: true },
+      ],
+      edges: [
+        { source: 'a', target: 'b', type: 'blocks' },
+        { source: 'b', target: 'c', type: 'blocks' },
+      ],
+    };
+    const merged = mergeClosedBeads(live, closed);
+    expect(merged.stats).toBe(live.stats);
+    expect(merged.nodes).toEqual([{ id: 'a' }, { id: 'b', _history: true }]);
+    expect(merged.edges).toHaveLength(2);
+  });
+});
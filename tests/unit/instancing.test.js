@@ -0,0 +1,87 @@
+import { describe, it, expect } from 'vitest';
+import * as THREE from 'three';
+import {
+  PICK_MATERIAL,
+  instanceNodeParts,
+  setInstanceDim,
+  setInstancingDeps,
+  updateInstances,
+} from '../../src/instancing.js';
+
+const SPECS = {
+  materia: { color: 0xff0000, size: 4, opacity: 0.8, coreIntensity: 1.4, breathSpeed: 0 },
+  halo: { color: 0xff0000, size: 4, opacity: 0.2 },
+};
+
+function beadObject() {
+  const group = new THREE.Group();
+  const core = new THREE.Mesh(new THREE.SphereGeometry(1), new THREE.MeshBasicMaterial());
+  const halo = new THREE.Sprite();
+  group.add(core, halo);
+  return { group, core, halo };
+}
+
+describe('instanceNodeParts', () => {
+  it('keeps the core as an invisible pick proxy and drops the halo', () => {
+    const { group, core, halo } = beadObject();
+    instanceNodeParts(group, core, halo, SPECS);
+    expect(core.parent).toBe(group);
+    expect(core.material).toBe(PICK_MATERIAL);
+    expect(halo.parent).toBeNull();
+    expect(group.userData.instanced).toEqual({ materia: SPECS.materia, halo: SPECS.halo });
+  });
+
+  it('leaves parts the builder already removed', () => {
+    const { group, core, halo } = beadObject();
+    group.remove(core);
+    instanceNodeParts(group, core, halo, SPECS);
+    expect(core.material).not.toBe(PICK_MATERIAL);
+    expect(group.userData.instanced.materia).toBeNull();
+    expect(group.userData.instanced.halo).toBe(SPECS.halo);
+  });
+});
+
+describe('updateInstances', () => {
+  function setup(dimmed = new Set()) {
+    const scene = new THREE.Scene();
+    const nodes = ['a', 'b', 'c', 'd'].map((id, i) => {
+      const { group, core, halo } = beadObject();
+      instanceNodeParts(group, core, halo, SPECS);
+      group.position.set(i * 10, 0, 0);
+      scene.add(group);
+      return { id, __threeObj: group };
+    });
+    setInstancingDeps({
+      getGraph: () => ({ scene: () => scene }),
+      getGraphData: () => ({ nodes, links: [] }),
+      getHaloTexture: () => new THREE.Texture(),
+      isDimmed: (n) => dimmed.has(n.id),
+      isSelected: () => false,
+    });
+    const meshes = () => scene.children.filter((o) => o.isInstancedMesh);
+    return { nodes, meshes };
+  }
+
+  it('draws one instance per visible full-detail bead', () => {
+    const { nodes, meshes } = setup();
+    nodes[1]._hidden = true;
+    nodes[2].__threeObj.userData.lodTier = 'point';
+    updateInstances();
+    expect(meshes()).toHaveLength(2);
+    for (const mesh of meshes()) expect(mesh.count).toBe(2);
+  });
+
+  it('applies selection dimming and setInstanceDim to opacity', () => {
+    const { nodes, meshes } = setup(new Set(['b']));
+    setInstanceDim(nodes[2], 0.5);
+    updateInstances();
+    const materia = meshes().find((m) => m.geometry.getAttribute('aCore'));
+    const opacity = materia.geometry.getAttribute('aOpacity');
+    expect(opacity.getX(0)).toBeCloseTo(0.8);
+    expect(opacity.getX(1)).toBeCloseTo(0.8 * 0.35);
+    expect(opacity.getX(2)).toBeCloseTo(0.4);
+    const m = new THREE.Matrix4();
+    materia.getMatrixAt(3, m);
+    expect(new THREE.Vector3().setFromMatrixPosition(m).x).toBe(30);
+  });
+});
@@ -0,0 +1,54 @@
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_EXCLUDED_TYPES,
+  TYPE_STYLES,
+  parseTypeList,
+  initExcludedTypes,
+  getExcludedTypes,
+  isTypeExcluded,
+  setTypeExcluded,
+  setExcludedTypes,
+  excludedTypesDiff,
+} from '../../src/issue-types.js';
+
+describe('parseTypeList', () => {
+  it('splits, trims and lowercases', () => {
+    expect(parseTypeList(' Formula, convoy,,')).toEqual(['formula', 'convoy']);
+    expect(parseTypeList(null)).toEqual([]);
+  });
+});
+
+describe('excluded types', () => {
+  it('starts from the defaults, adjusted by include and exclude', () => {
+    initExcludedTypes({ include: ['formula', 'convoy'], exclude: ['chore'] });
+    expect(isTypeExcluded('formula')).toBe(false);
+    expect(isTypeExcluded('message')).toBe(true);
+    expect(isTypeExcluded('chore')).toBe(true);
+    expect(excludedTypesDiff()).toEqual({ include: ['convoy', 'formula'], exclude: ['chore'] });
+  });
+
+  it('loads molecules by default when one is focused', () => {
+    initExcludedTypes({ molecule: true });
+    expect(isTypeExcluded('molecule')).toBe(false);
+    expect(excludedTypesDiff()).toEqual({ include: [], exclude: [] });
+  });
+
+  it('toggles single types and resets to the defaults', () => {
+    initExcludedTypes();
+    setTypeExcluded('wisp', false);
+    setTypeExcluded('task', true);
+    expect(getExcludedTypes()).not.toContain('wisp');
+    expect(getExcludedTypes()).toContain('task');
+    setExcludedTypes();
+    expect(getExcludedTypes()).toEqual(DEFAULT_EXCLUDED_TYPES);
+    setExcludedTypes(['bug']);
+    expect(getExcludedTypes()).toEqual(['bug']);
+  });
+});
+
+describe('TYPE_STYLES', () => {
+  it('styles every default-excluded type except gates, which draw as decisions', () => {
+    const styled = DEFAULT_EXCLUDED_TYPES.filter((t) => TYPE_STYLES[t]);
+    expect(styled).toEqual(DEFAULT_EXCLUDED_TYPES.filter((t) => t !== 'gate'));
+  });
+});
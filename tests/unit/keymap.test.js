@@ -0,0 +1,143 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  KEYMAP_ACTIONS,
+  normalizeCombo,
+  formatCombo,
+  eventCombos,
+  recordCombo,
+  resolveKeymap,
+  rebind,
+  keymapOverrides,
+  setKeymapDeps,
+  loadKeymap,
+  actionForEvent,
+  setBinding,
+  resetKeymap,
+  shortcutFor,
+  KEYMAP_CONFIG_KEY,
+} from '../../src/keymap.js';
+
+const key = (k, opts = {}) => ({ key: k, code: '', ...opts });
+
+describe('normalizeCombo / formatCombo', () => {
+  it('orders modifiers and lower-cases letters', () => {
+    expect(normalizeCombo('shift+ctrl+K')).toBe('Ctrl+Shift+k');
+    expect(normalizeCombo('Shift+D')).toBe('Shift+d');
+  });
+
+  it('folds Cmd/Meta into Ctrl', () => {
+    expect(normalizeCombo('Cmd+k')).toBe('Ctrl+k');
+    expect(normalizeCombo('meta+k')).toBe('Ctrl+k');
+  });
+
+  it('handles the plus key and empty combos', () => {
+    expect(normalizeCombo('Shift++')).toBe('Shift++');
+    expect(normalizeCombo('')).toBe('');
+  });
+
+  it('formats letters in upper case', () => {
+    expect(formatCombo('Shift+d')).toBe('Shift+D');
+    expect(formatCombo('/')).toBe('/');
+    expect(formatCombo('ArrowUp')).toBe('ArrowUp');
+    expect(formatCombo('')).toBe('');
+  });
+});
+
+describe('eventCombos', () => {
+  it('matches letters by character, with Shift', () => {
+    expect(eventCombos(key('d', { code: 'KeyD' }))).toEqual(['d']);
+    expect(eventCombos(key('D', { code: 'KeyD', shiftKey: true }))).toEqual(['Shift+d']);
+  });
+
+  it('matches Shift+digit by physical key on any layout', () => {
+    // US: Shift+2 types '@'; German: Shift+2 types '"'
+    expect(eventCombos(key('@', { code: 'Digit2', shiftKey: true }))).toContain('Shift+2');
+    expect(eventCombos(key('"', { code: 'Digit2', shiftKey: true }))).toContain('Shift+2');
+  });
+
+  it('matches shifted symbols by character without Shift', () => {
+    expect(eventCombos(key('~', { code: 'Backquote', shiftKey: true }))).toEqual(['~']);
+    // German '/' is Shift+7 — still '/'
+    expect(eventCombos(key('/', { code: 'Digit7', shiftKey: true }))[0]).toBe('/');
+  });
+
+  it('folds Cmd into Ctrl', () => {
+    expect(eventCombos(key('k', { code: 'KeyK', metaKey: true }))).toEqual(['Ctrl+k']);
+  });
+
+  it('falls back to the physical letter when Alt changes the character', () => {
+    expect(eventCombos(key('å', { code: 'KeyA', altKey: true }))).toEqual(['Alt+å', 'Alt+a']);
+  });
+
+  it('ignores bare modifier presses', () => {
+    expect(eventCombos(key('Shift', { shiftKey: true }))).toEqual([]);
+  });
+});
+
+describe('recordCombo', () => {
+  it('records the digit row by physical key', () => {
+    expect(recordCombo(key('!', { code: 'Digit1', shiftKey: true }))).toBe('Shift+1');
+  });
+
+  it('records other keys by character', () => {
+    expect(recordCombo(key('K', { code: 'KeyK', shiftKey: true }))).toBe('Shift+k');
+    expect(recordCombo(key('F2', { code: 'F2' }))).toBe('F2');
+    expect(recordCombo(key('Control', { ctrlKey: true }))).toBe('');
+  });
+});
+
+describe('resolveKeymap / rebind / keymapOverrides', () => {
+  it('uses defaults for actions without an override', () => {
+    const km = resolveKeymap({ refresh: 'Shift+R', bogus: 'q' });
+    expect(km.refresh).toBe('Shift+r');
+    expect(km.bloom).toBe('b');
+    expect(km).not.toHaveProperty('bogus');
+  });
+
+  it('has no duplicate default bindings', () => {
+    const combos = KEYMAP_ACTIONS.map((a) => normalizeCombo(a.key)).filter(Boolean);
+    expect(new Set(combos).size).toBe(combos.length);
+  });
+
+  it('unbinds the previous owner of a combo', () => {
+    const { keymap, displaced } = rebind(resolveKeymap(), 'refresh', 'b');
+    expect(keymap.refresh).toBe('b');
+    expect(keymap.bloom).toBe('');
+    expect(displaced).toBe('bloom');
+  });
+
+  it('saves only bindings that differ from the defaults', () => {
+    const { keymap } = rebind(resolveKeymap(), 'refresh', 'b');
+    expect(keymapOverrides(keymap)).toEqual({ refresh: 'b', bloom: '' });
+  });
+});
+
+describe('live keymap', () => {
+  it('loads saved bindings and dispatches events through them', async () => {
+    const api = { configGet: vi.fn().mockResolvedValue({ value: '{"refresh":"Shift+r"}' }), configSet: vi.fn() };
+    setKeymapDeps({ api });
+    await loadKeymap();
+    expect(api.configGet).toHaveBeenCalledWith(KEYMAP_CONFIG_KEY);
+    expect(actionForEvent(key('R', { code: 'KeyR', shiftKey: true })).id).toBe('refresh');
+    expect(actionForEvent(key('r', { code: 'KeyR' }))).toBeNull();
+    expect(shortcutFor('refresh')).toBe('Shift+R');
+  });
+
+  it('keeps the defaults when nothing is saved', async () => {
+    setKeymapDeps({ api: { configGet: vi.fn().mockRejectedValue(new Error('not found')), configSet: vi.fn() } });
+    await resetKeymap();
+    await loadKeymap();
+    expect(actionForEvent(key('r', { code: 'KeyR' })).id).toBe('refresh');
+  });
+
+  it('saves overrides on rebind and reset', async () => {
+    const api = { configGet: vi.fn(), configSet: vi.fn().mockResolvedValue({}) };
+    setKeymapDeps({ api });
+    expect(await setBinding('labels', 'Shift+1')).toBe('vfx-subtle');
+    expect(JSON.parse(api.configSet.mock.calls[0][1])).toEqual({ labels: 'Shift+1', 'vfx-subtle': '' });
+    expect(actionForEvent(key('!', { code: 'Digit1', shiftKey: true })).id).toBe('labels');
+    await resetKeymap();
+    expect(api.configSet).toHaveBeenLastCalledWith(KEYMAP_CONFIG_KEY, '{}');
+    expect(actionForEvent(key('l', { code: 'KeyL' })).id).toBe('labels');
+  });
+});
@@ -0,0 +1,116 @@
+import { describe, it, expect } from 'vitest';
+import {
+  clusterKeys,
+  clusterAnchors,
+  swimlaneFor,
+  swimlaneX,
+  SWIMLANES,
+  ganttSpan,
+  ganttPlan,
+} from '../../src/layout.js';
+
+describe('clusterKeys', () => {
+  it('groups by assignee', () => {
+    expect(clusterKeys({ assignee: 'cool-trout' }, 'assignee')).toEqual(['cool-trout']);
+    expect(clusterKeys({}, 'assignee')).toEqual(['(unassigned)']);
+  });
+
+  it('groups by every label', () => {
+    expect(clusterKeys({ labels: ['infra', 'auth'] }, 'label')).toEqual(['infra', 'auth']);
+    expect(clusterKeys({ labels: [] }, 'label')).toEqual(['(no label)']);
+    expect(clusterKeys({}, 'label')).toEqual(['(no label)']);
+  });
+});
+
+describe('clusterAnchors', () => {
+  it('places one anchor per distinct key on a circle', () => {
+    const anchors = clusterAnchors(
+      [{ labels: ['infra', 'auth'] }, { labels: ['infra'] }, { labels: ['ui'] }, {}],
+      'label',
+    );
+    expect(Object.keys(anchors)).toEqual(['infra', 'auth', 'ui', '(no label)']);
+    const radii = Object.values(anchors).map(({ x, z }) => Math.hypot(x, z));
+    radii.forEach((r) => expect(r).toBeCloseTo(240));
+    expect(anchors.infra.x).toBeCloseTo(240);
+    expect(anchors.infra.z).toBeCloseTo(0);
+  });
+
+  it('keeps a minimum radius for few clusters', () => {
+    const anchors = clusterAnchors([{ assignee: 'a' }], 'assignee');
+    expect(anchors.a).toEqual({ x: 200, z: 0 });
+  });
+});
+
+describe('swimlanes', () => {
+  it('puts beads in the column for their status', () => {
+    expect(swimlaneFor({ status: 'open' })).toBe('open');
+    expect(swimlaneFor({ status: 'hooked' })).toBe('hooked');
+    expect(swimlaneFor({ status: 'closed', _blocked: true })).toBe('closed');
+  });
+
+  it('moves beads with open blockers to the blocked column', () => {
+    expect(swimlaneFor({ status: 'open', _blocked: true })).toBe('blocked');
+    expect(swimlaneFor({ status: 'in_progress', _blocked: true })).toBe('blocked');
+  });
+
+  it('folds similar statuses and skips agents and unknown statuses', () => {
+    expect(swimlaneFor({ status: 'review' })).toBe('in_progress');
+    expect(swimlaneFor({ status: 'on_ice' })).toBe('deferred');
+    expect(swimlaneFor({ status: 'tombstone' })).toBeNull();
+    expect(swimlaneFor({ status: 'active', issue_type: 'agent' })).toBeNull();
+  });
+
+  it('lays columns out left to right around the origin', () => {
+    const xs = SWIMLANES.map(swimlaneX);
+    expect(xs).toEqual([...xs].sort((a, b) => a - b));
+    expect(xs[0]).toBeCloseTo(-xs[xs.length - 1]);
+  });
+});
+
+describe('gantt', () => {
+  const NOW = Date.parse('2026-03-10T00:00:00Z');
+  const day = (d) => new Date(NOW - d * 86400000).toISOString();
+
+  it('spans from created to closed, or to now while open', () => {
+    expect(ganttSpan({ created_at: day(5), status: 'open' }, NOW)).toEqual({ start: NOW - 5 * 86400000, end: NOW });
+    expect(ganttSpan({ created_at: day(5), status: 'closed', closed_at: day(2) }, NOW).end).toBe(NOW - 2 * 86400000);
+    expect(ganttSpan({ created_at: day(5), status: 'closed', updated_at: day(1) }, NOW).end).toBe(NOW - 86400000);
+    expect(ganttSpan({ status: 'open' }, NOW)).toBeNull();
+  });
+
+  it('puts beads in the lane of their epic, through sub-tasks', () => {
+    const nodes = [
+      { id: 'e1', issue_type: 'epic', created_at: day(20) },
+      { id: 't1', issue_type: 'task', created_at: day(10) },
+      { id: 't2', issue_type: 'task', created_at: day(8) },
+      { id: 't3', issue_type: 'task', created_at: day(30) },
+      { id: 'agent:x', issue_type: 'agent', created_at: day(1) },
+    ];
+    const links = [
+      { source: 'e1', target: 't1', dep_type: 'parent-child' },
+      { source: { id: 't1' }, target: { id: 't2' }, dep_type: 'parent-child' },
+      { source: 't3', target: 't1', dep_type: 'blocks' },
+    ];
+    const plan = ganttPlan(nodes, links, 'epic', NOW);
+    expect(plan.laneOf.get('e1')).toBe('e1');
+    expect(plan.laneOf.get('t1')).toBe('e1');
+    expect(plan.laneOf.get('t2')).toBe('e1');
+    expect(plan.laneOf.get('t3')).toBe('(no epic)');
+    expect(plan.spans.has('agent:x')).toBe(false);
+    expect(plan.lanes).toEqual(['(no epic)', 'e1']); // earliest bead first
+    expect(plan.domain).toEqual([NOW - 30 * 86400000, NOW]);
+  });
+
+  it('can lane by assignee', () => {
+    const plan = ganttPlan(
+      [
+        { id: 'a', assignee: 'cool-trout', created_at: day(3) },
+        { id: 'b', created_at: day(4) },
+      ],
+      [],
+      'assignee',
+      NOW,
+    );
+    expect(plan.lanes).toEqual(['(unassigned)', 'cool-trout']);
+  });
+});
@@ -0,0 +1,42 @@
+import { describe, it, expect } from 'vitest';
+import { lodTier, linkIconVisible, LOD_NEAR, LOD_FAR, LINK_ICON_DIST } from '../../src/lod.js';
+
+describe('lodTier', () => {
+  it('picks full detail up close, a sprite at mid range and a point far away', () => {
+    expect(lodTier(LOD_NEAR / 2)).toBe('full');
+    expect(lodTier((LOD_NEAR + LOD_FAR) / 2)).toBe('sprite');
+    expect(lodTier(LOD_FAR * 2)).toBe('point');
+  });
+
+  it('gives nodes without a position full detail', () => {
+    expect(lodTier(NaN)).toBe('full');
+  });
+
+  it('keeps the current tier just past a boundary', () => {
+    const justPastNear = LOD_NEAR * 1.05;
+    expect(lodTier(justPastNear, 'full')).toBe('full');
+    expect(lodTier(justPastNear, 'sprite')).toBe('sprite');
+    const justPastFar = LOD_FAR * 1.05;
+    expect(lodTier(justPastFar, 'sprite')).toBe('sprite');
+    expect(lodTier(justPastFar, 'point')).toBe('point');
+  });
+
+  it('shrinks the distances with the adaptive quality scale', () => {
+    expect(lodTier(LOD_NEAR * 0.8, undefined, 1)).toBe('full');
+    expect(lodTier(LOD_NEAR * 0.8, undefined, 0.5)).toBe('sprite');
+    expect(lodTier(LOD_FAR * 0.8, undefined, 0.5)).toBe('point');
+  });
+});
+
+describe('linkIconVisible', () => {
+  it('follows the tiers of the endpoints before the icon distance', () => {
+    expect(linkIconVisible('full', 'point', 0)).toBe(false);
+    expect(linkIconVisible('full', 'sprite', LINK_ICON_DIST * 2)).toBe(true);
+    expect(linkIconVisible('sprite', 'sprite', LINK_ICON_DIST / 2)).toBe(true);
+    expect(linkIconVisible('sprite', 'sprite', LINK_ICON_DIST * 2)).toBe(false);
+  });
+
+  it('shrinks the icon distance with the adaptive quality scale', () => {
+    expect(linkIconVisible('sprite', 'sprite', LINK_ICON_DIST * 0.8, 0.5)).toBe(false);
+  });
+});
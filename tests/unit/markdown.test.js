@@ -0,0 +1,129 @@
+import { describe, it, expect } from 'vitest';
+import { renderMarkdown, escapeMarkdownText } from '../../src/markdown.js';
+
+describe('renderMarkdown', () => {
+  it('returns an empty string for empty input', () => {
+    expect(renderMarkdown('')).toBe('');
+    expect(renderMarkdown(null)).toBe('');
+  });
+
+  it('renders paragraphs, keeping single line breaks', () => {
+    expect(renderMarkdown('one\ntwo\n\nthree')).toBe('<p>one<br>two</p><p>three</p>');
+  });
+
+  it('renders headings', () => {
+    expect(renderMarkdown('# Title\n### Sub ###')).toBe('<h1>Title</h1><h3>Sub</h3>');
+  });
+
+  it('renders inline emphasis, strikethrough and code', () => {
+    expect(renderMarkdown('**bold** *it* _it2_ ~~gone~~ `x < y`')).toBe(
+      '<p><strong>bold</strong> <em>it</em> <em>it2</em> <del>gone</del> <code>x &lt; y</code></p>',
+    );
+  });
+
+  it('leaves snake_case identifiers alone', () => {
+    expect(renderMarkdown('set max_retry_count')).toBe('<p>set max_retry_count</p>');
+  });
+
+  it('renders bullet and numbered lists with nesting', () => {
+    expect(renderMarkdown('- a\n  - a1\n- b\n\n1. one\n2. two')).toBe(
+      '<ul><li>a<ul><li>a1</li></ul></li><li>b</li></ul><ol><li>one</li><li>two</li></ol>',
+    );
+  });
+
+  it('renders task items as disabled checkboxes', () => {
+    const html = renderMarkdown('- [ ] todo\n- [x] done');
+    expect(html).toContain('<li class="md-task"><input type="checkbox" disabled> todo</li>');
+    expect(html).toContain('<li class="md-task"><input type="checkbox" disabled checked> done</li>');
+  });
+
+  it('renders fenced code verbatim without inline formatting', () => {
+    expect(renderMarkdown('```js\nconst a = **b**;\n<div>\n```')).toBe(
+      '<pre><code class="lang-js">const a = **b**;\n&lt;div&gt;</code></pre>',
+    );
+  });
+
+  it('closes an unterminated code fence at the end of input', () => {
+    expect(renderMarkdown('```\ncut off')).toBe('<pre><code>cut off</code></pre>');
+  });
+
+  it('renders pipe tables with alignment', () => {
+    expect(renderMarkdown('| a | b |\n|---|--:|\n| 1 | 2 |')).toBe(
+      '<table><thead><tr><th>a</th><th style="text-align:right">b</th></tr></thead>' +
+        '<tbody><tr><td>1</td><td style="text-align:right">2</td></tr></tbody></table>',
+    );
+  });
+
+  it('renders block quotes and rules', () => {
+    expect(renderMarkdown('> quoted\n\n---')).toBe('<blockquote><p>quoted</p></blockquote><hr>');
+  });
+
+  it('renders http links and bare urls', () => {
+    expect(renderMarkdown('[docs](https://example.com/a?b=1&c=2) see https://x.dev/p.')).toBe(
+      '<p><a href="https://example.com/a?b=1&amp;c=2" target="_blank" rel="noopener noreferrer">docs</a> ' +
+        'see <a href="https://x.dev/p" target="_blank" rel="noopener noreferrer">https://x.dev/p</a>.</p>',
+    );
+  });
+
+  describe('sanitizing', () => {
+    it('escapes raw HTML', () => {
+      const html = renderMarkdown('<script>alert(1)</script> <img src=x onerror=alert(1)>');
+      expect(html).not.toContain('<script');
+      expect(html).not.toContain('<img');
+      expect(html).toContain('&lt;script&gt;');
+    });
+
+    it('escapes HTML inside tables, lists and headings', () => {
+      const html = renderMarkdown('# <b>h</b>\n- <i>x</i>\n\n| <u>a</u> |\n|---|\n| <s>b</s> |');
+      expect(html).not.toMatch(/<(b|i|u|s)>/);
+    });
+
+    it('refuses javascript: and data: links', () => {
+      for (const url of ['javascript:alert(1)', 'JavaScript:alert(1)', 'data:text/html,x']) {
+        const html = renderMarkdown(`[click](${url})`);
+        expect(html).not.toContain('href');
+        expect(html).toBe(`<p>[click](${url})</p>`);
+      }
+    });
+
+    it('cannot break out of an href attribute', () => {
+      const html = renderMarkdown('[x](https://a.com/"onmouseover="alert(1))');
+      expect(html).not.toContain('"onmouseover');
+      expect(html).toContain('&quot;onmouseover=&quot;');
+    });
+
+    it('escapes fence language names', () => {
+      expect(renderMarkdown('```"><x\n```')).not.toContain('"><x');
+    });
+  });
+
+  describe('bead links', () => {
+    const isBeadId = (id) => ['bd-abc12', 'bd-9cpbc.1'].includes(id);
+
+    it('links ids accepted by isBeadId', () => {
+      expect(renderMarkdown('blocked on bd-abc12 and bd-9cpbc.1.', { isBeadId })).toBe(
+        '<p>blocked on <a class="md-bead-link" data-bead-id="bd-abc12">bd-abc12</a> and ' +
+          '<a class="md-bead-link" data-bead-id="bd-9cpbc.1">bd-9cpbc.1</a>.</p>',
+      );
+    });
+
+    it('leaves unknown id-shaped words as text', () => {
+      expect(renderMarkdown('a well-known bd-zzzzz', { isBeadId })).toBe('<p>a well-known bd-zzzzz</p>');
+    });
+
+    it('does not link ids inside code or urls', () => {
+      expect(renderMarkdown('`bd-abc12` https://x.dev/bd-abc12', { isBeadId })).not.toContain('md-bead-link');
+    });
+
+    it('links ids inside lists and tables', () => {
+      expect(renderMarkdown('- [ ] bd-abc12', { isBeadId })).toContain('data-bead-id="bd-abc12"');
+      expect(renderMarkdown('| dep |\n|---|\n| bd-abc12 |', { isBeadId })).toContain('data-bead-id="bd-abc12"');
+    });
+  });
+});
+
+describe('escapeMarkdownText', () => {
+  it('escapes HTML special characters', () => {
+    expect(escapeMarkdownText(`<a href="x">'&'</a>`)).toBe('&lt;a href=&quot;x&quot;&gt;&#39;&amp;&#39;&lt;/a&gt;');
+  });
+});
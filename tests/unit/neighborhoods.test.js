@@ -0,0 +1,235 @@
+import { describe, it, expect } from 'vitest';
+import {
+  setNeighborhoodDeps,
+  unloadedNeighbors,
+  parseNeighborhood,
+  addNeighborStubs,
+  withLoadedBeads,
+  loadNeighborhood,
+  expandNearCamera,
+  markLoadedStale,
+} from '../../src/neighborhoods.js';
+
+describe('unloadedNeighbors', () => {
+  it('maps loaded beads to their neighbours outside the loaded set', () => {
+    const edges = [
+      { source: 'a', target: 'x' },
+      { source: { id: 'y' }, target: { id: 'a' } },
+      { source: 'a', target: 'b' },
+      { source: 'x', target: 'y' },
+    ];
+    const out = unloadedNeighbors(new Set(['a', 'b']), edges);
+    expect([...out]).toEqual([['a', new Set(['x', 'y'])]]);
+  });
+});
+
+describe('parseNeighborhood', () => {
+  it('walks nested beads and keeps bare dependency records as edges only', () => {
+    const { beads, edges } = parseNeighborhood({
+      id: 'a',
+      title: 'A',
+      blocked_by: ['z'],
+      dependencies: [
+        { id: 'b', title: 'B', dependencies: [{ depends_on_id: 'c', type: 'waits-for' }] },
+        { depends_on_id: 'd', dependency_type: 'parent-child' },
+      ],
+    });
+    expect(beads.map((b) => b.id)).toEqual(['a', 'b']);
+    expect(beads[1]).not.toHaveProperty('dependencies');
+    expect(edges).toEqual([
+      { source: 'a', target: 'b', type: 'blocks' },
+      { source: 'b', target: 'c', type: 'waits-for' },
+      { source: 'a', target: 'd', type: 'parent-child' },
+      { source: 'z', target: 'a', type: 'blocks' },
+    ]);
+  });
+
+  it('returns nothing for an empty response', () => {
+    expect(parseNeighborhood(null)).toEqual({ beads: [], edges: [] });
+  });
+});
+
+describe('addNeighborStubs', () => {
+  it('hangs one "+N" stub off each bead with unloaded neighbours', () => {
+    const nodes = [{ id: 'a' }, { id: 'b' }];
+    const links = [];
+    const edges = [
+      { source: 'a', target: 'x', type: 'blocks' },
+      { source: 'y', target: 'a', type: 'blocks' },
+      { source: 'a', target: 'b', type: 'blocks' },
+    ];
+    expect(addNeighborStubs(nodes, links, edges)).toBe(1);
+    expect(nodes[2]).toMatchObject({ id: 'stub:a', title: '+2', _stub: true, _stubOf: 'a', _stubCount: 2 });
+    expect(links).toEqual([{ source: 'a', target: 'stub:a', dep_type: 'unloaded' }]);
+  });
+});
+
+describe('loadNeighborhood', () => {
+  it('loads dependencies and neighbours, keeps them across fetches and skips failures', async () => {
+    const calls = { depTree: 0, show: [], graph: [], loaded: 0 };
+    const api = {
+      graph: async (opts) => {
+        calls.graph.push(opts.ids);
+        return { nodes: [{ id: 'c', title: 'C', status: 'closed', issue_type: 'task' }], edges: [] };
+      },
+      depTree: async (id) => {
+        calls.depTree++;
+        return { id, dependencies: [{ id: 'b', title: 'B', issue_type: 'task' }] };
+      },
+      show: async (id) => {
+        calls.show.push(id);
+        if (id === 'gone') throw new Error('not found');
+        if (id === 'm') return { id: 'm', issue_type: 'message' };
+        return { id, title: id.toUpperCase(), issue_type: 'task', blocked_by: ['d'] };
+      },
+    };
+    const graphData = { nodes: [{ id: 'a' }], links: [] };
+    setNeighborhoodDeps({
+      api,
+      getGraphData: () => graphData,
+      accepts: (bead) => bead.issue_type !== 'message',
+      onLoaded: async () => calls.loaded++,
+    });
+    const core = {
+      nodes: [{ id: 'a' }],
+      edges: [
+        { source: 'b', target: 'a', type: 'blocks' },
+        { source: 'c', target: 'a', type: 'parent-child' },
+        { source: 'a', target: 'gone', type: 'relates-to' },
+        { source: 'a', target: 'm', type: 'relates-to' },
+      ],
+    };
+    addNeighborStubs([{ id: 'a' }], [], core.edges);
+
+    expect(await loadNeighborhood('a')).toBe(2);
+    expect(calls.depTree).toBe(1);
+    expect(calls.show.sort()).toEqual(['c', 'gone', 'm']);
+    expect(calls.loaded).toBe(1);
+
+    // The next fetch brings b and c back along with c's own blocker edge
+    const merged = await withLoadedBeads(core);
+    expect(calls.graph).toEqual([]); // just loaded, still current
+    expect(merged.nodes.map((n) => n.id)).toEqual(['a', 'b', 'c']);
+    expect(merged.edges).toContainEqual({ source: 'd', target: 'c', type: 'blocks' });
+    const nodes = [...merged.nodes];
+    addNeighborStubs(nodes, [], merged.edges);
+    // Only c still has unloaded neighbours; the failed and excluded beads aren't counted
+    expect(nodes.filter((n) => n._stub).map((n) => [n._stubOf, n._stubCount])).toEqual([['c', 1]]);
+
+    // Expanding again pages on from where it left off without refetching the tree
+    graphData.nodes = merged.nodes;
+    await loadNeighborhood('a');
+    expect(calls.depTree).toBe(1);
+
+    // Later fetches carry the live nodes over without asking the server
+    calls.show = [];
+    graphData.nodes = merged.nodes.map((n) => ({ ...n, x: 1, __threeObj: {} }));
+    graphData.nodes.find((n) => n.id === 'b').status = 'in_progress'; // changed live
+    const later = await withLoadedBeads(core);
+    expect(calls.graph).toEqual([]);
+    expect(calls.show).toEqual([]);
+    expect(later.nodes.find((n) => n.id === 'b')).toEqual({
+      id: 'b',
+      title: 'B',
+      issue_type: 'task',
+      status: 'in_progress',
+    });
+
+    // ...except the ones a change event named, which are loaded again
+    markLoadedStale('c');
+    const after = await withLoadedBeads(core);
+    expect(calls.graph).toEqual([['c']]);
+    expect(after.nodes.find((n) => n.id === 'c')).toMatchObject({ status: 'closed' });
+    expect(after.nodes.map((n) => n.id).sort()).toEqual(['a', 'b', 'c']);
+    await withLoadedBeads(core);
+    expect(calls.graph).toHaveLength(1); // fresh again
+  });
+
+  it('keeps beads of excluded types aside until their type is loaded', async () => {
+    let loadFormulas = false;
+    setNeighborhoodDeps({
+      api: {
+        graph: async ({ ids }) => ({ nodes: ids.map((id) => ({ id, issue_type: 'formula' })), edges: [] }),
+        depTree: async (id) => ({ id }),
+        show: async (id) => ({ id, issue_type: 'formula' }),
+      },
+      getGraphData: () => ({ nodes: [{ id: 'p' }], links: [] }),
+      accepts: (bead) => loadFormulas || bead.issue_type !== 'formula',
+    });
+    const edges = [{ source: 'p', target: 'f', type: 'relates-to' }];
+    addNeighborStubs([{ id: 'p' }], [], edges);
+    expect(await loadNeighborhood('p')).toBe(0);
+    expect((await withLoadedBeads({ nodes: [], edges: [] })).nodes.map((n) => n.id)).not.toContain('f');
+
+    loadFormulas = true;
+    expect((await withLoadedBeads({ nodes: [], edges: [] })).nodes.map((n) => n.id)).toContain('f');
+  });
+});
+
+describe('withLoadedBeads without an ids filter', () => {
+  it('notices once, then refetches a few beads per fetch with show', async () => {
+    const calls = { graph: 0, show: [] };
+    const ids = Array.from({ length: 15 }, (_, i) => `s${i}`);
+    setNeighborhoodDeps({
+      api: {
+        graph: async () => {
+          calls.graph++;
+          return { nodes: [{ id: 'unrelated' }], edges: [] }; // ignores ids
+        },
+        depTree: async (id) => ({ id, dependencies: ids.map((d) => ({ id: d, issue_type: 'task' })) }),
+        show: async (id) => {
+          calls.show.push(id);
+          return { id, issue_type: 'task', status: 'closed' };
+        },
+      },
+      getGraphData: () => ({ nodes: [{ id: 'root' }], links: [] }),
+    });
+    await loadNeighborhood('root');
+    for (const id of ids) markLoadedStale(id);
+
+    // Beads from earlier tests aren't live here either, so every fetch wants some
+    for (let fetch = 0; fetch < 3; fetch++) {
+      const before = calls.show.length;
+      await withLoadedBeads({ nodes: [], edges: [] });
+      expect(calls.show.length - before).toBe(10);
+    }
+    expect(calls.graph).toBe(1); // the filter isn't tried again
+    expect(ids.every((id) => calls.show.includes(id))).toBe(true);
+  });
+});
+
+describe('expandNearCamera', () => {
+  it('expands a stub when the camera flies up to it, not when it appears close by', async () => {
+    const expanded = [];
+    const camera = { position: { x: 0, y: 0, z: 1000 } };
+    const graphData = {
+      nodes: [
+        { id: 'stub:q', _stub: true, _stubOf: 'q', x: 0, y: 0, z: 0 },
+        { id: 'stub:s', _stub: true, _stubOf: 's', x: 0, y: 0, z: 0 },
+      ],
+      links: [],
+    };
+    setNeighborhoodDeps({
+      api: {
+        depTree: async (id) => {
+          expanded.push(id);
+          return { id };
+        },
+        show: async (id) => ({ id }),
+      },
+      getGraph: () => ({ camera: () => camera }),
+      getGraphData: () => graphData,
+    });
+    expandNearCamera(); // both out of reach
+    camera.position.z = 50;
+    graphData.nodes[1] = { id: 'stub:r', _stub: true, _stubOf: 'r', x: 0, y: 0, z: 0 };
+    expandNearCamera();
+    await Promise.resolve();
+    expect(expanded).toEqual(['q']); // r showed up already in reach
+
+    // Staying close doesn't expand again
+    await new Promise((r) => setTimeout(r, 0));
+    expandNearCamera();
+    expect(expanded).toEqual(['q']);
+  });
+});
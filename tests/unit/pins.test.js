@@ -0,0 +1,51 @@
+import { describe, it, expect } from 'vitest';
+import { pinsKey, serializePins, parsePins, applyPins } from '../../src/pins.js';
+
+describe('pinsKey', () => {
+  it('keys pins by filter profile', () => {
+    expect(pinsKey('')).toBe('beads3d.pins');
+    expect(pinsKey('triage')).toBe('beads3d.pins.triage');
+  });
+
+  it('stays outside the filter profile namespace', () => {
+    expect(pinsKey('triage').startsWith('beads3d.view.')).toBe(false);
+  });
+});
+
+describe('serializePins / parsePins', () => {
+  it('round-trips positions rounded to 0.1', () => {
+    const pins = new Map([
+      ['bd-a1', [1.234, -5.67, 0]],
+      ['bd-b2', [100, 200, -300.06]],
+    ]);
+    const parsed = parsePins(serializePins(pins));
+    expect([...parsed]).toEqual([
+      ['bd-a1', [1.2, -5.7, 0]],
+      ['bd-b2', [100, 200, -300.1]],
+    ]);
+  });
+
+  it('stores a versioned object', () => {
+    expect(JSON.parse(serializePins(new Map([['x', [1, 2, 3]]])))).toEqual({ version: 1, positions: { x: [1, 2, 3] } });
+  });
+
+  it('drops malformed values and entries', () => {
+    expect(parsePins('not json').size).toBe(0);
+    expect(parsePins('null').size).toBe(0);
+    expect(parsePins('{"positions": 3}').size).toBe(0);
+    const pins = parsePins('{"positions": {"a": [1, 2], "b": "x", "c": [1, null, 2], "d": [1]}}');
+    expect([...pins]).toEqual([['a', [1, 2, 0]]]);
+  });
+});
+
+describe('applyPins', () => {
+  it('releases nodes that are no longer pinned', () => {
+    const stale = { id: 'gone', x: 5, y: 5, z: 5, fx: 5, fy: 5, fz: 5, _pinned: true };
+    const free = { id: 'free', x: 1, y: 1, z: 1 };
+    expect(applyPins([stale, free])).toBe(true);
+    expect(stale.fx).toBeUndefined();
+    expect(stale._pinned).toBe(false);
+    expect(free).toEqual({ id: 'free', x: 1, y: 1, z: 1 });
+    expect(applyPins([free])).toBe(false);
+  });
+});
@@ -0,0 +1,172 @@
+import { describe, it, expect } from 'vitest';
+import { parseQuery, matchQuery, parseDuration, completeQuery, queryContextFromNodes } from '../../src/query.js';
+
+const NOW = Date.parse('2026-03-10T12:00:00Z');
+const daysAgo = (d) => new Date(NOW - d * 86400e3).toISOString();
+
+const nodes = [
+  {
+    id: 'bd-a1',
+    title: 'Fix login',
+    status: 'open',
+    priority: 0,
+    issue_type: 'bug',
+    assignee: 'cool-trout',
+    labels: ['infra', 'auth'],
+    updated_at: daysAgo(1),
+    created_at: daysAgo(30),
+    _blocked: true,
+    blocked_by: ['bd-b2'],
+  },
+  {
+    id: 'bd-b2',
+    title: 'Epic: platform',
+    status: 'in_progress',
+    priority: 2,
+    issue_type: 'epic',
+    assignee: 'warm-bass',
+    labels: [],
+    updated_at: daysAgo(10),
+    created_at: daysAgo(60),
+  },
+  { id: 'bd-c3', title: 'Docs', status: 'closed', priority: 4, issue_type: 'task', updated_at: daysAgo(40) },
+];
+
+const ids = (q) =>
+  nodes
+    .filter((n) => matchQuery(n, parseQuery(q), NOW))
+    .map((n) => n.id)
+    .join(',');
+
+describe('parseQuery', () => {
+  it('splits free text and field clauses', () => {
+    const q = parseQuery('login status:open,blocked -type:epic');
+    expect(q.text).toEqual([{ term: 'login', negate: false }]);
+    expect(q.clauses).toEqual([
+      { field: 'status', op: ':', values: ['open', 'blocked'], negate: false },
+      { field: 'type', op: ':', values: ['epic'], negate: true },
+    ]);
+  });
+
+  it('parses comparison operators and aliases', () => {
+    expect(parseQuery('p:<=1').clauses[0]).toEqual({ field: 'priority', op: '<=', values: ['1'], negate: false });
+  });
+
+  it('keeps quoted values together', () => {
+    expect(parseQuery('label:"needs review" "two words"')).toMatchObject({
+      text: [{ term: 'two words' }],
+      clauses: [{ field: 'label', values: ['needs review'] }],
+    });
+  });
+
+  it('treats unknown fields and empty values as text', () => {
+    expect(parseQuery('agent:cool-trout').text).toEqual([{ term: 'agent:cool-trout', negate: false }]);
+    expect(parseQuery('status:').text).toEqual([{ term: 'status:', negate: false }]);
+  });
+
+  it('reports an empty query', () => {
+    expect(parseQuery('   ').empty).toBe(true);
+    expect(parseQuery('').empty).toBe(true);
+  });
+});
+
+describe('matchQuery', () => {
+  it('matches free text against id, title and assignee', () => {
+    expect(ids('login')).toBe('bd-a1');
+    expect(ids('bass')).toBe('bd-b2');
+    expect(ids('-login')).toBe('bd-b2,bd-c3');
+  });
+
+  it('filters by status, counting blocked beads as blocked', () => {
+    expect(ids('status:blocked')).toBe('bd-a1');
+    expect(ids('status:in_progress,closed')).toBe('bd-b2,bd-c3');
+    expect(ids('-status:closed')).toBe('bd-a1,bd-b2');
+  });
+
+  it('compares priority', () => {
+    expect(ids('priority:<=1')).toBe('bd-a1');
+    expect(ids('p:>=2')).toBe('bd-b2,bd-c3');
+    expect(ids('p:p2')).toBe('bd-b2');
+  });
+
+  it('globs assignee and label', () => {
+    expect(ids('assignee:cool-*')).toBe('bd-a1');
+    expect(ids('label:inf*')).toBe('bd-a1');
+    expect(ids('label:auth,infra')).toBe('bd-a1');
+  });
+
+  it('filters by type', () => {
+    expect(ids('type:epic')).toBe('bd-b2');
+  });
+
+  it('filters by relative and absolute dates', () => {
+    expect(ids('updated:<3d')).toBe('bd-a1');
+    expect(ids('updated:3d')).toBe('bd-a1');
+    expect(ids('updated:>4w')).toBe('bd-c3');
+    expect(ids('created:<2026-02-01')).toBe('bd-b2');
+  });
+
+  it('supports has: and is:', () => {
+    expect(ids('has:blockers')).toBe('bd-a1');
+    expect(ids('has:assignee')).toBe('bd-a1,bd-b2');
+    expect(ids('has:labels')).toBe('bd-a1');
+    expect(ids('is:blocked')).toBe('bd-a1');
+  });
+
+  it('asks an extra text matcher about words not in id/title/assignee', () => {
+    const body = { 'bd-c3': ['markdown'] };
+    const matchText = (n, term) => (body[n.id] || []).includes(term);
+    const hits = nodes.filter((n) => matchQuery(n, parseQuery('markdown'), NOW, { matchText }));
+    expect(hits.map((n) => n.id)).toEqual(['bd-c3']);
+    expect(nodes.filter((n) => matchQuery(n, parseQuery('-markdown'), NOW, { matchText }))).toHaveLength(2);
+  });
+
+  it('ANDs all terms together', () => {
+    expect(ids('status:open,in_progress p:<=2 -type:epic')).toBe('bd-a1');
+  });
+});
+
+describe('parseDuration', () => {
+  it('parses minutes, hours, days and weeks', () => {
+    expect(parseDuration('30m')).toBe(30 * 60e3);
+    expect(parseDuration('12h')).toBe(12 * 3600e3);
+    expect(parseDuration('3d')).toBe(3 * 86400e3);
+    expect(parseDuration('2w')).toBe(14 * 86400e3);
+    expect(parseDuration('3x')).toBeNull();
+  });
+});
+
+describe('completeQuery', () => {
+  const ctx = queryContextFromNodes(nodes);
+
+  it('collects values from nodes', () => {
+    expect(ctx.types).toEqual(['bug', 'epic', 'task']);
+    expect(ctx.assignees).toEqual(['cool-trout', 'warm-bass']);
+    expect(ctx.labels).toEqual(['auth', 'infra']);
+    expect(ctx.statuses).toContain('blocked');
+  });
+
+  it('completes field names', () => {
+    expect(completeQuery('sta', 3, ctx)).toEqual({ from: 0, to: 3, items: ['status:'] });
+    expect(completeQuery('foo -ty', 7, ctx)).toEqual({ from: 5, to: 7, items: ['type:'] });
+  });
+
+  it('completes values after the colon', () => {
+    expect(completeQuery('type:e', 6, ctx)).toEqual({ from: 5, to: 6, items: ['epic'] });
+    expect(completeQuery('assignee:', 9, ctx).items).toEqual(['cool-trout', 'warm-bass']);
+  });
+
+  it('completes the last of several comma-separated values', () => {
+    expect(completeQuery('label:auth,i', 12, ctx)).toEqual({ from: 11, to: 12, items: ['infra'] });
+  });
+
+  it('completes after an operator', () => {
+    expect(completeQuery('updated:<', 9, ctx)).toMatchObject({ from: 9, items: ['1d', '3d', '1w', '4w'] });
+  });
+
+  it('offers nothing for plain words or unknown fields', () => {
+    expect(completeQuery('zzz', 3, ctx).items).toEqual([]);
+    expect(completeQuery('agent:x', 7, ctx).items).toEqual([]);
+    expect(completeQuery('', 0, ctx).items).toEqual([]);
+  });
+});
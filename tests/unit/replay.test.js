@@ -0,0 +1,172 @@
+import { describe, it, expect } from 'vitest';
+import {
+  snapshotGraph,
+  replayEvent,
+  frameAt,
+  shareUnchanged,
+  encodeHistory,
+  decodeHistory,
+  eventTime,
+} from '../../src/replay.js';
+
+describe('snapshotGraph', () => {
+  it('drops position and three.js keys but keeps bead data', () => {
+    const snap = snapshotGraph({
+      nodes: [{ id: 'a', status: 'open', _blocked: true, x: 1, y: 2, z: 3, fx: 1, __threeObj: {} }],
+      links: [],
+    });
+    expect(snap.nodes).toEqual([{ id: 'a', status: 'open', _blocked: true }]);
+  });
+
+  it('leaves out bead bodies', () => {
+    const snap = snapshotGraph({ nodes: [{ id: 'a', title: 'A', description: 'long…', notes: 'more…' }], links: [] });
+    expect(snap.nodes).toEqual([{ id: 'a', title: 'A' }]);
+  });
+
+  it('normalizes link endpoints to ids', () => {
+    const a = { id: 'a' };
+    const b = { id: 'b' };
+    const snap = snapshotGraph({ nodes: [a, b], links: [{ source: a, target: 'b', dep_type: 'blocks', extra: 1 }] });
+    expect(snap.links).toEqual([{ source: 'a', target: 'b', dep_type: 'blocks' }]);
+  });
+
+  it('does not share node objects with the live graph', () => {
+    const live = { id: 'a', status: 'open' };
+    const snap = snapshotGraph({ nodes: [live], links: [] });
+    live.status = 'closed';
+    expect(snap.nodes[0].status).toBe('open');
+  });
+});
+
+describe('replayEvent', () => {
+  it('applies status changes', () => {
+    const node = { id: 'a', status: 'open' };
+    expect(replayEvent(node, { type: 'status', issue_id: 'a', new_status: 'closed' })).toBe(true);
+    expect(node.status).toBe('closed');
+  });
+
+  it('applies assignee and title updates', () => {
+    const node = { id: 'a', assignee: '', title: 'old' };
+    replayEvent(node, { type: 'update', issue_id: 'a', assignee: 'bob', title: 'new' });
+    expect(node).toEqual({ id: 'a', assignee: 'bob', title: 'new' });
+  });
+
+  it('ignores unknown nodes and structural events', () => {
+    expect(replayEvent(undefined, { type: 'status', new_status: 'closed' })).toBe(false);
+    expect(replayEvent({ id: 'a' }, { type: 'create', issue_id: 'a' })).toBe(false);
+  });
+});
+
+describe('frameAt', () => {
+  const snapshots = [
+    { ts: 100, nodes: [{ id: 'a', status: 'open' }], links: [] },
+    {
+      ts: 200,
+      nodes: [
+        { id: 'a', status: 'in_progress' },
+        { id: 'b', status: 'open' },
+      ],
+      links: [{ source: 'a', target: 'b', dep_type: 'blocks' }],
+    },
+  ];
+  const events = [
+    { ts: 150, evt: { type: 'status', issue_id: 'a', new_status: 'in_progress' } },
+    { ts: 250, evt: { type: 'status', issue_id: 'b', new_status: 'closed' } },
+    { ts: 300, evt: { type: 'update', issue_id: 'a', assignee: 'alice' } },
+  ];
+
+  it('returns null with no history', () => {
+    expect(frameAt([], [], 100)).toBeNull();
+  });
+
+  it('uses the latest snapshot at or before the requested time', () => {
+    const frame = frameAt(snapshots, events, 120);
+    expect(frame.nodes).toEqual([{ id: 'a', status: 'open' }]);
+    expect(frame.links).toEqual([]);
+  });
+
+  it('replays events recorded after the snapshot', () => {
+    expect(frameAt(snapshots, events, 160).nodes[0].status).toBe('in_progress');
+    const frame = frameAt(snapshots, events, 260);
+    expect(frame.nodes.find((n) => n.id === 'b').status).toBe('closed');
+    expect(frame.nodes.find((n) => n.id === 'a').assignee).toBeUndefined();
+  });
+
+  it('does not replay events already folded into the snapshot', () => {
+    // The ts=150 status event predates the ts=200 snapshot and must not be reapplied
+    const frame = frameAt(snapshots, events, 200);
+    expect(frame.nodes.find((n) => n.id === 'b').status).toBe('open');
+  });
+
+  it('clamps times before recorded history to the earliest snapshot', () => {
+    expect(frameAt(snapshots, events, 0).nodes).toEqual([{ id: 'a', status: 'open' }]);
+  });
+
+  it('never mutates the recorded snapshots', () => {
+    frameAt(snapshots, events, 400);
+    expect(snapshots[1].nodes[1].status).toBe('open');
+    expect(snapshots[1].nodes[0].assignee).toBeUndefined();
+  });
+});
+
+describe('shareUnchanged', () => {
+  it('reuses node objects and links that did not change', () => {
+    const prev = {
+      nodes: [
+        { id: 'a', labels: ['x'] },
+        { id: 'b', status: 'open' },
+      ],
+      links: [],
+    };
+    const snap = {
+      nodes: [
+        { id: 'a', labels: ['x'] },
+        { id: 'b', status: 'closed' },
+      ],
+      links: [],
+    };
+    shareUnchanged(prev, snap);
+    expect(snap.nodes[0]).toBe(prev.nodes[0]);
+    expect(snap.nodes[1]).not.toBe(prev.nodes[1]);
+    expect(snap.links).toBe(prev.links);
+  });
+});
+
+describe('encodeHistory / decodeHistory', () => {
+  it('stores later snapshots as diffs and rebuilds them', () => {
+    const a = { id: 'a', status: 'open' };
+    const links = [{ source: 'a', target: 'b', dep_type: 'blocks' }];
+    const snapshots = [
+      { ts: 1, sig: 's1', nodes: [a, { id: 'b', status: 'open' }], links },
+      { ts: 2, sig: 's2', nodes: [a, { id: 'c', status: 'open' }], links: [] },
+      { ts: 3, sig: 's3', nodes: [a, { id: 'c', status: 'closed' }], links: [] },
+    ];
+    snapshots[2].links = snapshots[1].links;
+    const events = [{ ts: 2, evt: { type: 'status', issue_id: 'a' } }];
+    const encoded = encodeHistory(snapshots, events);
+    expect(encoded.snapshots.map((s) => [s.set.map((n) => n.id), s.del, s.links && s.links.length])).toEqual([
+      [['a', 'b'], [], 1],
+      [['c'], ['b'], 0],
+      [['c'], [], null],
+    ]);
+
+    const decoded = decodeHistory(JSON.parse(JSON.stringify(encoded)));
+    expect(decoded.snapshots).toEqual(snapshots);
+    expect(decoded.events).toEqual(events);
+    expect(decoded.snapshots[2].nodes[0]).toBe(decoded.snapshots[0].nodes[0]);
+  });
+
+  it('ignores missing or outdated data', () => {
+    expect(decodeHistory(undefined)).toEqual({ snapshots: [], events: [] });
+    expect(decodeHistory({ version: 0, snapshots: [{}] })).toEqual({ snapshots: [], events: [] });
+  });
+});
+
+describe('eventTime', () => {
+  it("uses the event's own time", () => {
+    expect(eventTime({ ts: '2026-01-01T00:00:00Z' })).toBe(Date.UTC(2026, 0, 1));
+    expect(eventTime({ ts: 1234 })).toBe(1234);
+    const now = Date.now();
+    expect(eventTime({ ts: 'garbage' })).toBeGreaterThanOrEqual(now);
+  });
+});
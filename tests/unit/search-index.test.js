@@ -0,0 +1,115 @@
+import { describe, it, expect } from 'vitest';
+import { SearchIndex, tokenizeText, snippetHtml } from '../../src/search-index.js';
+
+const beads = () => [
+  {
+    id: 'bd-a1',
+    title: 'Login page',
+    description: 'Users cannot log in after the OAuth token expires.',
+    notes: 'Repro: wait an hour, refresh.',
+  },
+  {
+    id: 'bd-b2',
+    title: 'Token refresh',
+    description: 'Rotate the refresh token. The token must be stored encrypted.',
+    acceptance_criteria: '- [ ] token rotation covered by tests',
+  },
+  { id: 'bd-c3', title: 'Docs', design: 'Describe the authentication flow end to end.' },
+];
+
+const ranked = (index, term) => [...index.lookup(term)].sort((a, b) => b[1] - a[1]).map(([id]) => id);
+
+describe('tokenizeText', () => {
+  it('lower-cases and splits on non-word characters', () => {
+    expect(tokenizeText('OAuth token-expiry, v2_flag!')).toEqual(['oauth', 'token', 'expiry', 'v2_flag']);
+    expect(tokenizeText('')).toEqual([]);
+    expect(tokenizeText(null)).toEqual([]);
+  });
+});
+
+describe('SearchIndex', () => {
+  it('finds words in every body field', () => {
+    const index = new SearchIndex();
+    index.update(beads());
+    expect([...index.lookup('oauth').keys()]).toEqual(['bd-a1']);
+    expect([...index.lookup('repro').keys()]).toEqual(['bd-a1']);
+    expect([...index.lookup('rotation').keys()]).toEqual(['bd-b2']);
+    expect([...index.lookup('authentication').keys()]).toEqual(['bd-c3']);
+  });
+
+  it('matches word prefixes and requires every word', () => {
+    const index = new SearchIndex();
+    index.update(beads());
+    expect([...index.lookup('auth').keys()]).toEqual(['bd-c3']); // not 'oauth'
+    expect([...index.lookup('token stored').keys()]).toEqual(['bd-b2']);
+    expect(index.lookup('token nowhere').size).toBe(0);
+    expect(index.lookup('---').size).toBe(0);
+  });
+
+  it('ranks title hits and repeated mentions above a single body mention', () => {
+    const index = new SearchIndex();
+    index.update(beads());
+    expect(ranked(index, 'token')).toEqual(['bd-b2', 'bd-a1']);
+  });
+
+  it('ranks exact words above prefix matches', () => {
+    const index = new SearchIndex();
+    index.update([
+      { id: 'x-1', title: 'auth' },
+      { id: 'x-2', title: 'authentication' },
+    ]);
+    expect(ranked(index, 'auth')).toEqual(['x-1', 'x-2']);
+  });
+
+  it('updates incrementally', () => {
+    const index = new SearchIndex();
+    expect(index.update(beads())).toEqual({ added: 3, changed: 0, removed: 0 });
+    expect(index.update(beads())).toEqual({ added: 0, changed: 0, removed: 0 });
+
+    const next = beads().slice(1);
+    next[0].description = 'Rotate the signing key instead.';
+    expect(index.update(next)).toEqual({ added: 0, changed: 1, removed: 1 });
+    expect(index.size).toBe(2);
+    expect(index.lookup('oauth').size).toBe(0);
+    expect(index.lookup('encrypted').size).toBe(0);
+    expect([...index.lookup('signing').keys()]).toEqual(['bd-b2']);
+  });
+});
+
+describe('snippets', () => {
+  it('excerpts the first body field that mentions a term', () => {
+    const index = new SearchIndex();
+    index.update(beads());
+    const s = index.snippet('bd-b2', ['stored']);
+    expect(s.field).toBe('description');
+    expect(s.text).toBe('Rotate the refresh token. The token must be stored encrypted.');
+    expect(s.ranges).toEqual([[44, 50]]);
+  });
+
+  it('trims long bodies around the match on word boundaries', () => {
+    const index = new SearchIndex();
+    const filler = 'lorem ipsum dolor sit amet '.repeat(10);
+    index.update([{ id: 'x-1', notes: `${filler}the needle is here ${filler}` }]);
+    const s = index.snippet('x-1', ['needle'], 20);
+    expect(s.field).toBe('notes');
+    expect(s.text.startsWith('…')).toBe(true);
+    expect(s.text.endsWith('…')).toBe(true);
+    expect(s.text).toContain('the needle is here');
+    expect(s.text.length).toBeLessThan(60);
+    const [[from, to]] = s.ranges;
+    expect(s.text.slice(from, to)).toBe('needle');
+  });
+
+  it('returns null without a body match', () => {
+    const index = new SearchIndex();
+    index.update(beads());
+    expect(index.snippet('bd-c3', ['docs'])).toBeNull();
+    expect(index.snippet('nope', ['token'])).toBeNull();
+  });
+
+  it('renders escaped HTML with marks', () => {
+    expect(snippetHtml({ text: 'a <b> token & more', ranges: [[6, 11]] })).toBe(
+      'a &lt;b&gt; <mark>token</mark> &amp; more',
+    );
+  });
+});
@@ -6,6 +6,8 @@ import {
   createStarField,
   createSelectionRingMaterial,
   createMateriaMaterial,
+  createInstancedMateriaMaterial,
+  createInstancedHaloMaterial,
   createParticlePool,
   updateShaderTime,
 } from '../../src/shaders.js';
@@ -134,6 +136,31 @@ describe('createMateriaMaterial', () => {
   });
 });
 
+describe('createInstancedMateriaMaterial', () => {
+  it('reads color, opacity, core, breath and selection per instance', () => {
+    const mat = createInstancedMateriaMaterial();
+    expect(mat).toBeInstanceOf(THREE.ShaderMaterial);
+    for (const attr of ['aColor', 'aOpacity', 'aCore', 'aBreath', 'aSelected']) {
+      expect(mat.vertexShader).toContain(`attribute ${attr === 'aColor' ? 'vec3' : 'float'} ${attr};`);
+    }
+    expect(mat.vertexShader).toContain('instanceMatrix');
+  });
+
+  it('shares only the time uniform', () => {
+    expect(Object.keys(createInstancedMateriaMaterial().uniforms)).toEqual(['time']);
+  });
+});
+
+describe('createInstancedHaloMaterial', () => {
+  it('billboards additively blended quads with the given map', () => {
+    const map = new THREE.Texture();
+    const mat = createInstancedHaloMaterial(map);
+    expect(mat.uniforms.map.value).toBe(map);
+    expect(mat.blending).toBe(THREE.AdditiveBlending);
+    expect(mat.depthWrite).toBe(false);
+  });
+});
+
 describe('createParticlePool', () => {
   it('returns object with mesh, emit, update, activeCount', () => {
     const pool = createParticlePool(100);
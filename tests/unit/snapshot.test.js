@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest';
+import { parseSnapshot } from '../../src/snapshot.js';
+
+describe('parseSnapshot', () => {
+  const exported = {
+    exported_at: '2026-01-02T03:04:05.000Z',
+    filters: { search: null },
+    nodes: [
+      {
+        id: 'a',
+        title: 'A',
+        status: 'open',
+        priority: 1,
+        issue_type: 'task',
+        assignee: null,
+        blocked: false,
+        x: 10,
+        y: -5,
+        z: 2.5,
+      },
+      {
+        id: 'b',
+        title: 'B',
+        status: 'in_progress',
+        priority: 2,
+        issue_type: 'bug',
+        assignee: 'alice',
+        blocked: true,
+        x: null,
+        y: null,
+        z: null,
+      },
+      { id: 'c', title: 'C', status: 'open', blocked: true, x: 1, y: 2, z: null },
+    ],
+    links: [
+      { source: 'a', target: 'b', dep_type: 'blocks' },
+      { source: 'a', target: 'gone', dep_type: 'blocks' },
+    ],
+  };
+
+  it('rejects payloads without nodes and links', () => {
+    expect(() => parseSnapshot({})).toThrow(/not a beads3d export/);
+    expect(() => parseSnapshot(null)).toThrow();
+  });
+
+  it('places nodes at saved positions without pinning them', () => {
+    const { nodes } = parseSnapshot(exported);
+    const a = nodes.find((n) => n.id === 'a');
+    expect([a.x, a.y, a.z]).toEqual([10, -5, 2.5]);
+    expect(a.fx).toBeUndefined();
+    const b = nodes.find((n) => n.id === 'b');
+    expect(b.x).toBeUndefined();
+    expect(nodes.find((n) => n.id === 'c').z).toBe(0);
+  });
+
+  it('drops links to beads missing from the file', () => {
+    expect(parseSnapshot(exported).links).toEqual([{ source: 'a', target: 'b', dep_type: 'blocks' }]);
+  });
+
+  it('rebuilds blocked_by from blocks links and keeps orphaned blocked flags', () => {
+    const { nodes } = parseSnapshot(exported);
+    expect(nodes.find((n) => n.id === 'a').blocked_by).toEqual([]);
+    expect(nodes.find((n) => n.id === 'b').blocked_by).toEqual(['a']);
+    expect(nodes.find((n) => n.id === 'c').blocked_by).toHaveLength(1);
+  });
+
+  it('carries export metadata through', () => {
+    const snap = parseSnapshot(exported);
+    expect(snap.exportedAt).toBe('2026-01-02T03:04:05.000Z');
+    expect(snap.filters).toEqual({ search: null });
+  });
+});